@@ -9,259 +9,374 @@ const APP_INFO = {
     userAgent: "NONISV|YourCompany|SharePointOneDriveScanner/3.0.0"
 };
 
-// REQUEST QUEUE CLASS FOR THROTTLING AND RATE LIMITING
-class RequestQueue {
-    constructor(maxConcurrent = 2, delayBetweenRequests = 500) {
-        this.maxConcurrent = maxConcurrent;
-        this.delayBetweenRequests = delayBetweenRequests;
-        this.queue = [];
-        this.running = 0;
-    }
-
-    async add(requestFn) {
-        return new Promise((resolve, reject) => {
-            this.queue.push({ requestFn, resolve, reject });
-            this.process();
-        });
-    }
-
-    async process() {
-        if (this.running >= this.maxConcurrent || this.queue.length === 0) {
-            return;
-        }
+// GRAPH BASE URL - resolved per call from the selected cloud environment (see configModule.getGraphBaseUrl)
+function graphBaseUrl() {
+    return window.configModule ? window.configModule.getGraphBaseUrl() : 'https://graph.microsoft.com/v1.0';
+}
 
-        if (globalThrottleState.isThrottled && Date.now() < globalThrottleState.resumeTime) {
-            setTimeout(() => this.process(), Math.max(100, globalThrottleState.resumeTime - Date.now()));
-            return;
-        }
+// DRIVE ITEM METADATA SELECT - shared with the scan worker through classifier.js
+const ITEM_METADATA_SELECT = window.classifierModule.ITEM_METADATA_FIELDS;
 
-        this.running++;
-        const { requestFn, resolve, reject } = this.queue.shift();
+// SHARED GRAPH TRANSPORT - request queue, retrying requests and $batch reads (graph-transport.js),
+// also loaded by the scan worker
+const {
+    REQUEST_LANES,
+    RequestQueue,
+    RETRYABLE_BATCH_STATUSES,
+    getBatchResponseHeader,
+    buildPermissionFailure,
+    FOLDER_LISTING_BATCH_SIZE
+} = window.graphTransportModule;
 
-        try {
-            const result = await requestFn();
-            resolve(result);
-        } catch (error) {
-            reject(error);
-        } finally {
-            this.running--;
-            setTimeout(() => this.process(), this.delayBetweenRequests);
-        }
-    }
-}
+// Final delta links seen per drive during the current session, keyed by drive ID
+const capturedDeltaLinks = new Map();
 
-const requestQueue = new RequestQueue(6, 200);
+// Starts at the previous fixed setting and tunes itself from Graph throttling signals
+const requestQueue = new RequestQueue(6, 200, {
+    minConcurrent: 1,
+    maxConcurrent: 16,
+    minDelay: 25,
+    maxDelay: 5000
+}, globalThrottleState);
 
 // Utility function for delays
 function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// ENHANCED GRAPH API REQUEST WITH RETRY, THROTTLING, AND AUTOMATIC TOKEN REFRESH
-async function graphRequestWithRetry(url, options = {}, maxRetries = 3) {
-    const authModule = window.authModule;
-    if (!authModule) {
-        throw new Error('Authentication module not available');
+// TRANSPORT MODE - 'network' talks to Graph, 'replay' answers from a recorded HAR fixture
+let transportState = {
+    mode: 'network',
+    fixtureName: null,
+    responses: new Map(), // "METHOD path?query[|body]" -> { status, statusText, headers, bodyText }
+    served: 0,
+    misses: 0
+};
+
+// Fixture URLs may come from another cloud or a custom endpoint, so match on the path after the API version
+function normalizeReplayKey(method, url, body = null) {
+    let path = url;
+    const versionMatch = url.match(/^https?:\/\/[^/]+(?:\/[^?]*?)?\/(?:v1\.0|beta)(\/.*)?$/);
+    if (versionMatch) {
+        path = versionMatch[1] || '/';
     }
-    
-    // Check if token needs refresh before making request
-    let accessToken = authModule.accessToken;
-    if (!accessToken || authModule.isTokenExpiring(5)) {
-        console.log('🔄 Token expiring soon, refreshing before API request...');
+    try {
+        path = decodeURIComponent(path);
+    } catch (e) {
+        // Keep the raw path when it contains a stray % sequence
+    }
+
+    let key = `${(method || 'GET').toUpperCase()} ${path}`;
+    if (body) {
         try {
-            accessToken = await authModule.refreshTokenIfNeeded();
-        } catch (refreshError) {
-            console.error('❌ Token refresh failed before API request:', refreshError);
-            throw new Error('Authentication token expired and refresh failed. Please sign in again.');
+            key += `|${JSON.stringify(JSON.parse(body))}`;
+        } catch (e) {
+            key += `|${body}`;
         }
     }
+    return key;
+}
 
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-        try {
-            const response = await fetch(url, {
-                ...options,
-                headers: { 
-                    Authorization: `Bearer ${accessToken}`,
-                    'User-Agent': APP_INFO.userAgent,
-                    ...options.headers 
-                }
-            });
+function isThrottledStatus(status) {
+    return status === 429 || status === 503;
+}
 
-            const rateLimitRemaining = response.headers.get('RateLimit-Remaining');
-            const rateLimitReset = response.headers.get('RateLimit-Reset');
-            
-            if (rateLimitRemaining !== null) {
-                const remaining = parseInt(rateLimitRemaining);
-                const reset = parseInt(rateLimitReset);
-                
-                console.log(`API Rate limit: ${remaining} remaining, resets in ${reset}s`);
-                
-                if (remaining < 100) {
-                    console.warn(`APPROACHING RATE LIMIT (${remaining} remaining), slowing down requests`);
-                    await delay(1000);
-                }
-            }
+// A later capture of the same call wins, except that a throttled retry never hides a real answer
+function addReplayResponse(responses, key, response) {
+    const existing = responses.get(key);
+    if (existing && !isThrottledStatus(existing.status) && isThrottledStatus(response.status)) {
+        return;
+    }
+    responses.set(key, response);
+}
 
-            if (response.status === 429 || response.status === 503) {
-                const retryAfter = response.headers.get('Retry-After');
-                const waitTime = retryAfter ? 
-                    parseInt(retryAfter) * 1000 : 
-                    Math.pow(2, attempt) * 1000 + Math.random() * 1000;
-                
-                console.warn(`THROTTLED (${response.status}), pausing ALL requests for ${waitTime}ms`);
-                
-                globalThrottleState.isThrottled = true;
-                globalThrottleState.resumeTime = Date.now() + waitTime;
-                
-                if (attempt < maxRetries) {
-                    await delay(waitTime);
-                    globalThrottleState.isThrottled = false;
-                    continue;
-                }
-            }
+function loadReplayFixture(har, fixtureName = 'fixture') {
+    const entries = har && har.log && Array.isArray(har.log.entries) ? har.log.entries : null;
+    if (!entries) {
+        throw new Error('Replay fixture is not a HAR file (missing log.entries)');
+    }
 
-            if (response.status === 501) {
-                const errorText = await response.text();
-                if (errorText.includes('notSupported') || errorText.includes('Permission is not supported')) {
-                    console.log(`Item doesn't support permissions (HTTP 501) - skipping retries: ${url.split('/').pop()}`);
-                    const error = new Error(`HTTP ${response.status}: ${errorText}`);
-                    error.isNonRetryable = true;
-                    throw error;
-                }
-            }
+    const responses = new Map();
+    let truncated = 0;
 
-            // Handle 401 Unauthorized - token likely expired
-            if (response.status === 401) {
-                console.warn('🔄 Received 401 Unauthorized - attempting token refresh...');
-                try {
-                    // Force token refresh and update our access token
-                    accessToken = await authModule.refreshTokenIfNeeded(true);
-                    
-                    if (attempt < maxRetries) {
-                        console.log('✅ Token refreshed, retrying request...');
-                        continue; // Retry with new token
-                    }
-                } catch (tokenRefreshError) {
-                    console.error('❌ Token refresh failed on 401 response:', tokenRefreshError);
-                    const error = new Error('Authentication token expired and refresh failed. Please sign in again.');
-                    error.isAuthenticationError = true;
-                    throw error;
-                }
-            }
+    entries.forEach(entry => {
+        const request = entry.request || {};
+        const response = entry.response || {};
+        if (!response.status) return; // Network failures carry no answer to replay
 
-            if (response.status === 404) {
-                const errorText = await response.text();
-                if (errorText.includes('mysite not found') || errorText.includes('ResourceNotFound')) {
-                    console.log(`OneDrive not provisioned (HTTP 404) - skipping retries`);
-                    const error = new Error(`HTTP ${response.status}: ${errorText}`);
-                    error.isNonRetryable = true;
-                    throw error;
-                }
-            }
+        const content = response.content || {};
+        if (content.comment === 'truncated') truncated++;
 
-            if (!response.ok) {
-                const text = await response.text();
-                throw new Error(`HTTP ${response.status}: ${text}`);
-            }
+        const headers = {};
+        (response.headers || []).forEach(h => { headers[h.name] = h.value; });
+        const requestBody = request.postData ? request.postData.text : null;
 
-            return response;
-        } catch (error) {
-            // Don't retry authentication errors or non-retryable errors
-            if (error.isNonRetryable || error.isAuthenticationError || attempt === maxRetries) {
-                throw error;
+        // $batch answers are indexed per subrequest so replayed batches can be regrouped freely
+        if (request.method === 'POST' && /\/\$batch(\?|$)/.test(request.url) && requestBody && content.text) {
+            try {
+                const subRequests = JSON.parse(requestBody).requests || [];
+                const subResponses = JSON.parse(content.text).responses || [];
+                subRequests.forEach(sub => {
+                    const subResponse = subResponses.find(r => String(r.id) === String(sub.id));
+                    if (!subResponse) return;
+                    addReplayResponse(responses, normalizeReplayKey(sub.method, sub.url), {
+                        status: subResponse.status,
+                        statusText: '',
+                        headers: subResponse.headers || {},
+                        bodyText: subResponse.body !== undefined ? JSON.stringify(subResponse.body) : ''
+                    });
+                });
+            } catch (e) {
+                console.warn('⚠️ REPLAY: Skipping unreadable $batch entry:', e.message);
             }
-            
-            const waitTime = Math.pow(2, attempt) * 1000 + Math.random() * 1000;
-            console.warn(`Request failed, retrying in ${waitTime}ms:`, error.message);
-            await delay(waitTime);
+            return;
         }
+
+        const recorded = {
+            status: response.status,
+            statusText: response.statusText || '',
+            headers,
+            bodyText: content.text || ''
+        };
+        const hasBody = request.method !== 'GET' && requestBody;
+        addReplayResponse(responses, normalizeReplayKey(request.method, request.url, hasBody ? requestBody : null), recorded);
+        if (hasBody) {
+            // Looser fallback key for requests whose body differs from the recorded one
+            addReplayResponse(responses, normalizeReplayKey(request.method, request.url), recorded);
+        }
+    });
+
+    if (truncated > 0) {
+        console.warn(`⚠️ REPLAY: ${truncated} recorded responses were truncated and may not parse`);
     }
+
+    transportState = { mode: 'replay', fixtureName, responses, served: 0, misses: 0 };
+    console.log(`📼 REPLAY: Loaded ${responses.size} recorded Graph responses from ${fixtureName}`);
+    return { fixtureName, responses: responses.size, truncated };
 }
 
-// GET ALL ITEMS FROM PAGINATED API RESPONSE
-async function graphGetAll(url) {
-    let items = [];
-    let next = url;
-    while (next) {
-        const resp = await graphRequestWithRetry(next);
-        const j = await resp.json();
-        items = items.concat(j.value || []);
-        next = j['@odata.nextLink'] || null;
-        
-        // Dynamic throttling - only delay if rate limit headers suggest we should
-        const rateLimitRemaining = resp.headers.get('RateLimit-Remaining');
-        if (rateLimitRemaining !== null && parseInt(rateLimitRemaining) < 50) {
-            await delay(200); // Slow down when approaching limits
-        } else if (next) {
-            await delay(25); // Minimal delay for pagination, only if there are more pages
-        }
+function setTransportMode(mode) {
+    if (mode === 'replay' && transportState.responses.size === 0) {
+        throw new Error('Load a replay fixture before switching to replay mode');
     }
-    return items;
+    transportState.mode = mode === 'replay' ? 'replay' : 'network';
+    console.log(`🔌 TRANSPORT: ${transportState.mode === 'replay' ? `Replaying from ${transportState.fixtureName}` : 'Live Microsoft Graph'}`);
 }
 
-// BATCH PERMISSIONS FUNCTION FOR EFFICIENT PERMISSION CHECKING
-async function batchGetPermissions(requests, controller = { stop: false }) {
-    const batchSize = 15; // Optimized: increased from 5 to 15 for better throughput
-    const results = [];
-    
-    for (let i = 0; i < requests.length; i += batchSize) {
-        if (controller.stop) break;
-        
-        const batch = requests.slice(i, i + batchSize);
-        
-        try {
-            const batchRequests = batch.map((req, index) => ({
-                id: (i + index).toString(),
-                method: "GET",
-                url: req.url.replace('https://graph.microsoft.com/v1.0', '')
-            }));
+function isReplayMode() {
+    return transportState.mode === 'replay';
+}
 
-            const response = await requestQueue.add(async () => {
-                return await graphRequestWithRetry('https://graph.microsoft.com/v1.0/$batch', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ requests: batchRequests })
-                });
-            });
+function getTransportStats() {
+    return {
+        mode: transportState.mode,
+        fixtureName: transportState.fixtureName,
+        responses: transportState.responses.size,
+        served: transportState.served,
+        misses: transportState.misses
+    };
+}
 
-            const batchResult = await response.json();
+function lookupReplayResponse(method, url, body = null) {
+    const recorded = transportState.responses.get(normalizeReplayKey(method, url, body))
+        // POST bodies that differ only in paging/ordering still deserve an answer
+        || (body ? transportState.responses.get(normalizeReplayKey(method, url)) : null);
 
-            for (const response of batchResult.responses) {
-                const itemIndex = parseInt(response.id) - i;
-                if (response.status === 200 && response.body && response.body.value) {
-                    results.push({ 
-                        item: batch[itemIndex].item, 
-                        permissions: response.body.value 
-                    });
-                } else {
-                    results.push({ 
-                        item: batch[itemIndex].item, 
-                        permissions: [] 
-                    });
-                }
+    if (recorded) {
+        transportState.served++;
+        return recorded;
+    }
+
+    transportState.misses++;
+    console.warn(`📼 REPLAY MISS: ${method} ${url}`);
+    return {
+        status: 404,
+        statusText: 'Not Found',
+        headers: { 'Content-Type': 'application/json' },
+        bodyText: JSON.stringify({ error: { code: 'itemNotFound', message: `Replay fixture has no response for ${method} ${url}` } })
+    };
+}
+
+// Serves a fetch-compatible Response from the fixture, answering $batch subrequests individually
+function replayFetch(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    let recorded;
+
+    if (method === 'POST' && /\/\$batch(\?|$)/.test(url)) {
+        const subRequests = JSON.parse(options.body || '{}').requests || [];
+        const responses = subRequests.map(sub => {
+            const subResponse = lookupReplayResponse(sub.method || 'GET', sub.url);
+            let body = null;
+            try {
+                body = subResponse.bodyText ? JSON.parse(subResponse.bodyText) : null;
+            } catch (e) {
+                body = subResponse.bodyText;
             }
+            return { id: sub.id, status: subResponse.status, headers: subResponse.headers, body };
+        });
+        recorded = { status: 200, statusText: 'OK', headers: { 'Content-Type': 'application/json' }, bodyText: JSON.stringify({ responses }) };
+    } else {
+        recorded = lookupReplayResponse(method, url, method === 'GET' ? null : options.body);
+    }
 
-        } catch (error) {
-            console.warn(`Batch failed, using individual requests:`, error);
-            
-            for (const req of batch) {
-                if (controller.stop) break;
-                try {
-                    const permissions = await requestQueue.add(async () => {
-                        return await graphGetAll(req.url);
-                    });
-                    results.push({ item: req.item, permissions });
-                } catch (e) {
-                    console.warn(`Failed individual request for ${req.item.name}:`, e);
-                    results.push({ item: req.item, permissions: [] });
-                }
+    // Response bodies are not allowed on these statuses
+    const bodyText = [204, 205, 304].includes(recorded.status) ? null : recorded.bodyText;
+    return new Response(bodyText, {
+        status: recorded.status,
+        statusText: recorded.statusText || '',
+        headers: recorded.headers || {}
+    });
+}
+
+// GRAPH CALL RECORDING - hands each attempt to the recorder module while capture is on
+function recordGraphExchange(details) {
+    const recorderModule = window.recorderModule;
+    if (!recorderModule || !recorderModule.isRecording()) return;
+
+    // Clone before anyone reads the body; the recorder drains the copy asynchronously
+    const responseClone = details.response ? details.response.clone() : null;
+    recorderModule.recordExchange({ ...details, responseClone });
+}
+
+function annotateGraphRecording(event, details = {}) {
+    const recorderModule = window.recorderModule;
+    if (recorderModule && recorderModule.isRecording()) {
+        recorderModule.annotate(event, details);
+    }
+}
+
+// GRAPH CALL COUNT - every request sent, retries and the scan worker's included; scan budgets read it
+let graphCallCount = 0;
+
+function countGraphCalls(count = 1) {
+    graphCallCount += count;
+}
+
+function getGraphCallCount() {
+    return graphCallCount;
+}
+
+// Token for the next Graph attempt - replayed responses need none
+async function getGraphToken(forceRefresh) {
+    const authModule = window.authModule;
+    if (!authModule) {
+        throw new Error('Authentication module not available');
+    }
+    if (isReplayMode()) return null;
+    
+    if (forceRefresh || !authModule.accessToken || authModule.isTokenExpiring(5)) {
+        if (!forceRefresh) console.log('🔄 Token expiring soon, refreshing before API request...');
+        return await authModule.refreshTokenIfNeeded(forceRefresh);
+    }
+    return authModule.accessToken;
+}
+
+const graphClient = window.graphTransportModule.createGraphClient({
+    queue: requestQueue,
+    baseUrl: graphBaseUrl,
+    userAgent: () => APP_INFO.userAgent,
+    getToken: getGraphToken,
+    fetch: (url, init) => isReplayMode() ? replayFetch(url, init) : fetch(url, init),
+    onCall: () => countGraphCalls(),
+    onExchange: recordGraphExchange,
+    // The scan worker shares the tenant's throttling budget, so it pauses too
+    onThrottled: () => {
+        if (window.scanEngineModule) window.scanEngineModule.forwardThrottle();
+    }
+});
+
+// ENHANCED GRAPH API REQUEST WITH RETRY, THROTTLING, AND AUTOMATIC TOKEN REFRESH
+async function graphRequestWithRetry(url, options = {}, maxRetries = 3) {
+    return await graphClient.request(url, options, maxRetries);
+}
+
+// GET ALL ITEMS FROM PAGINATED API RESPONSE
+async function graphGetAll(url, options = {}) {
+    return await graphClient.getAll(url, options);
+}
+
+// BATCH PERMISSIONS FUNCTION FOR EFFICIENT PERMISSION CHECKING
+// requests are { item, url }. Every returned entry is { item, permissions } - items whose
+// permissions could not be verified carry `failed: true` and an `error` ({ status, code, message })
+// so callers can report them as unverified instead of treating them as unshared.
+async function batchGetPermissions(requests, controller = { stop: false }, maxSubRetries = 3) {
+    return await graphClient.batchGetPermissions(requests, controller, maxSubRetries);
+}
+
+// FOLDER LISTINGS WITH EXPANDED PERMISSIONS
+// One $batch lists up to 20 folders and returns every child's permissions inline. Folders listed
+// without permissions come back as { expanded: false, items } for batchGetPermissions; folders that
+// could not be listed come back with items: null and go through getFolderChildren first.
+async function listFoldersWithPermissions(driveId, folderIds, includeFiles = false, controller = { stop: false }, maxSubRetries = 3) {
+    return await graphClient.listFoldersWithPermissions(driveId, folderIds, includeFiles, controller, maxSubRetries);
+}
+
+// MICROSOFT SEARCH PRE-SCAN
+// Tenant-wide /search/query over driveItems returns candidates that SharePoint's index marks as
+// shared, without walking any drive. Candidates still go through batchGetPermissions before they
+// are reported, so the index only decides what gets checked, never what gets flagged.
+const SEARCH_PRESCAN_CONFIG = {
+    pageSize: 500,      // Largest page the search API returns for driveItems
+    maxResults: 10000   // Stop paging beyond this; narrow the query to triage further
+};
+
+// Default KQL per sharing filter - internal sharing has no dedicated managed property
+const SEARCH_SHARED_QUERIES = {
+    external: 'ViewableByExternalUsers:true',
+    all: 'ViewableByExternalUsers:true OR SharedWithUsersOWSUSER:*'
+};
+
+function getDefaultSearchQuery(sharingFilter) {
+    return sharingFilter === 'external' ? SEARCH_SHARED_QUERIES.external : SEARCH_SHARED_QUERIES.all;
+}
+
+async function searchSharedDriveItems(queryString, onProgress = null, controller = { stop: false }) {
+    const candidates = new Map();
+    let from = 0;
+    
+    while (!controller.stop) {
+        const response = await requestQueue.add(async () => {
+            return await graphRequestWithRetry(`${graphBaseUrl()}/search/query`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    requests: [{
+                        entityTypes: ['driveItem'],
+                        query: { queryString },
+                        from: from,
+                        size: SEARCH_PRESCAN_CONFIG.pageSize
+                    }]
+                })
+            });
+        });
+        
+        const data = await response.json();
+        const container = ((data.value && data.value[0] && data.value[0].hitsContainers) || [])[0] || {};
+        const hits = container.hits || [];
+        
+        hits.forEach(hit => {
+            const resource = hit.resource;
+            // Only hits that can be addressed as /drives/{driveId}/items/{id} can be verified
+            if (resource && resource.id && resource.parentReference && resource.parentReference.driveId) {
+                candidates.set(`${resource.parentReference.driveId}|${resource.id}`, resource);
             }
+        });
+        
+        if (onProgress) {
+            onProgress(candidates.size, container.total || candidates.size);
+        }
+        
+        if (!container.moreResultsAvailable || hits.length === 0) break;
+        
+        from += hits.length;
+        if (from >= SEARCH_PRESCAN_CONFIG.maxResults) {
+            console.warn(`⚠️ SEARCH PRE-SCAN: Stopped after ${from} hits (limit ${SEARCH_PRESCAN_CONFIG.maxResults}) - narrow the query to see the rest`);
+            break;
         }
-
-        await delay(500);
     }
     
-    return results;
+    console.log(`🔎 SEARCH PRE-SCAN: ${candidates.size} candidate items for query "${queryString}"`);
+    return Array.from(candidates.values());
 }
 
 // TENANT DOMAIN LOADING FOR INTERNAL/EXTERNAL CLASSIFICATION
@@ -270,7 +385,7 @@ async function loadTenantDomains() {
         console.log('🔍 LOADING TENANT DOMAINS - Including .onmicrosoft.com domains per custom instructions...');
         
         const domains = await requestQueue.add(async () => {
-            return await graphGetAll('https://graph.microsoft.com/v1.0/domains');
+            return await graphGetAll(`${graphBaseUrl()}/domains`);
         });
         
         const tenantDomains = new Set();
@@ -351,35 +466,348 @@ async function loadTenantDomains() {
     }
 }
 
-// DISCOVER SHAREPOINT SITES
-async function discoverSharePointSites() {
+// DISCOVER SHAREPOINT SITES - COMPLETE, PAGINATED, WITH TEMPLATE/HUB/GROUP METADATA
+const SITE_SELECT = 'id,name,displayName,webUrl,createdDateTime,lastModifiedDateTime,siteCollection,isPersonalSite';
+
+async function discoverSharePointSites(onProgress = null) {
     try {
-        const response = await graphRequestWithRetry('https://graph.microsoft.com/v1.0/sites?search=*');
-        const data = await response.json();
-        return data.value || [];
+        let rawSites;
+        
+        // getAllSites enumerates every site collection but is only available with application permissions;
+        // delegated sessions fall back to paging through search
+        try {
+            // Probe the first page without retries so delegated sessions fail over immediately
+            const firstPage = await graphRequestWithRetry(`${graphBaseUrl()}/sites/getAllSites?$select=${SITE_SELECT}&$top=999`, {}, 0);
+            const firstData = await firstPage.json();
+            const nextLink = firstData['@odata.nextLink'];
+            rawSites = (firstData.value || []).concat(nextLink ? await graphGetAll(nextLink) : []);
+            console.log(`✅ SITE DISCOVERY: getAllSites returned ${rawSites.length} sites`);
+        } catch (allSitesError) {
+            console.log('ℹ️ SITE DISCOVERY: getAllSites not available, paging through /sites?search=*');
+            rawSites = await graphGetAll(`${graphBaseUrl()}/sites?search=*&$select=${SITE_SELECT}&$top=999`);
+            console.log(`✅ SITE DISCOVERY: search returned ${rawSites.length} sites`);
+        }
+        
+        // OneDrive personal sites are scanned from the OneDrive tab (sharepoint.com, .us and .cn hosts)
+        const sites = rawSites.filter(site => 
+            !site.isPersonalSite && !/-my\.sharepoint\.[a-z.]+\/personal\//i.test(site.webUrl || '')
+        );
+        
+        if (onProgress) onProgress(`Found ${sites.length} sites, loading site metadata...`);
+        
+        const metadata = await getSiteSearchMetadata(onProgress);
+        
+        return await mergeTeamChannelSites(sites.map(site => normalizeSiteMetadata(site, metadata)), onProgress);
     } catch (error) {
         console.error('Error discovering SharePoint sites:', error);
         throw error;
     }
 }
 
-// DISCOVER ONEDRIVE USERS
-async function discoverOneDriveUsers() {
+// TEAMS PRIVATE AND SHARED CHANNEL SITES
+// These channels get their own site collections, which getAllSites and site search do not reliably
+// return. Each channel is resolved through its files folder, and the site is tagged with its team
+// and channel so the picker can group it under the parent team.
+const CHANNEL_SITE_MEMBERSHIP_TYPES = ['private', 'shared'];
+
+async function mergeTeamChannelSites(sites, onProgress = null) {
+    if (!await window.authModule.requestOptionalScope('channels')) {
+        console.warn('⚠️ CHANNEL DISCOVERY: Channel.ReadBasic.All not granted, private/shared channel sites may be missing');
+        return sites;
+    }
+    
+    let channelSites;
     try {
-        const response = await graphRequestWithRetry('https://graph.microsoft.com/v1.0/users?$select=id,displayName,userPrincipalName,mail&$top=50');
-        const data = await response.json();
-        return data.value || [];
+        channelSites = await discoverTeamChannelSites(sites, onProgress);
+    } catch (error) {
+        // Channel discovery is an enrichment - the regular site list is still usable
+        console.warn('⚠️ CHANNEL DISCOVERY: Teams channels unavailable, private/shared channel sites may be missing:', error);
+        return sites;
+    }
+    
+    const channelSitesById = new Map(channelSites.map(site => [site.id.toLowerCase(), site]));
+    const merged = sites.map(site => {
+        const channelSite = channelSitesById.get(site.id.toLowerCase());
+        if (!channelSite) return site;
+        channelSitesById.delete(site.id.toLowerCase());
+        return { ...site, teamChannel: channelSite.teamChannel };
+    });
+    
+    console.log(`✅ CHANNEL DISCOVERY: ${channelSites.length} private/shared channel sites (${channelSitesById.size} not returned by site discovery)`);
+    return merged.concat(Array.from(channelSitesById.values()));
+}
+
+async function discoverTeamChannelSites(knownSites, onProgress = null) {
+    const teams = await requestQueue.add(async () => {
+        return await graphGetAll(`${graphBaseUrl()}/groups?$filter=resourceProvisioningOptions/Any(x:x eq 'Team')&$select=id,displayName&$top=999`);
+    });
+    
+    const knownById = new Map(knownSites.map(site => [site.id.toLowerCase(), site]));
+    const channelSites = new Map();
+    
+    for (let i = 0; i < teams.length; i++) {
+        const team = teams[i];
+        if (onProgress) onProgress(`Checking channels of team ${i + 1}/${teams.length}...`);
+        
+        // /channels lists the channels a team hosts, so a shared channel is found once, under its host team
+        let channels;
+        try {
+            channels = await requestQueue.add(async () => {
+                return await graphGetAll(`${graphBaseUrl()}/teams/${team.id}/channels?$select=id,displayName,membershipType`);
+            });
+        } catch (error) {
+            console.warn(`⚠️ CHANNEL DISCOVERY: Channels of team ${team.displayName} unavailable:`, error.message);
+            continue;
+        }
+        
+        for (const channel of channels.filter(c => CHANNEL_SITE_MEMBERSHIP_TYPES.includes(c.membershipType))) {
+            try {
+                const site = await resolveChannelSite(team, channel, knownById);
+                if (site && !channelSites.has(site.id.toLowerCase())) {
+                    channelSites.set(site.id.toLowerCase(), site);
+                }
+            } catch (error) {
+                console.warn(`⚠️ CHANNEL DISCOVERY: Could not resolve the site of ${team.displayName} / ${channel.displayName}:`, error.message);
+            }
+        }
+    }
+    
+    return Array.from(channelSites.values());
+}
+
+async function resolveChannelSite(team, channel, knownById) {
+    const folderResponse = await requestQueue.add(async () => {
+        return await graphRequestWithRetry(`${graphBaseUrl()}/teams/${team.id}/channels/${channel.id}/filesFolder?$select=id,name,webUrl,sharepointIds`);
+    });
+    const folder = await folderResponse.json();
+    const ids = folder.sharepointIds || {};
+    
+    // The channel site is provisioned lazily - until someone opens the Files tab there is nothing to scan
+    if (!ids.siteId || !ids.webId) {
+        console.log(`ℹ️ CHANNEL DISCOVERY: ${team.displayName} / ${channel.displayName} has no site yet`);
+        return null;
+    }
+    
+    const siteId = `${new URL(ids.siteUrl || folder.webUrl).host},${ids.siteId},${ids.webId}`;
+    let site = knownById.get(siteId.toLowerCase());
+    if (!site) {
+        const siteResponse = await requestQueue.add(async () => {
+            return await graphRequestWithRetry(`${graphBaseUrl()}/sites/${siteId}?$select=${SITE_SELECT}`);
+        });
+        site = normalizeSiteMetadata(await siteResponse.json(), new Map());
+    }
+    
+    return {
+        ...site,
+        teamChannel: {
+            teamId: team.id,
+            teamName: team.displayName,
+            channelId: channel.id,
+            channelName: channel.displayName,
+            membershipType: channel.membershipType,
+            filesFolderUrl: folder.webUrl
+        }
+    };
+}
+
+// SITE METADATA FROM MICROSOFT SEARCH (TEMPLATE, HUB, M365 GROUP) KEYED BY LOWERCASE WEB URL
+async function getSiteSearchMetadata(onProgress = null) {
+    const metadata = new Map();
+    const pageSize = 500;
+    let from = 0;
+    let moreResultsAvailable = true;
+    
+    try {
+        while (moreResultsAvailable) {
+            const response = await requestQueue.add(async () => {
+                return await graphRequestWithRetry(`${graphBaseUrl()}/search/query`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        requests: [{
+                            entityTypes: ['site'],
+                            query: { queryString: 'contentclass:STS_Site' },
+                            fields: ['Path', 'WebTemplate', 'SiteTemplateId', 'GroupId', 'RelatedGroupId', 'DepartmentId', 'IsHubSite', 'Created', 'LastModifiedTime'],
+                            from: from,
+                            size: pageSize
+                        }]
+                    })
+                });
+            });
+            
+            const data = await response.json();
+            const container = data.value && data.value[0] && data.value[0].hitsContainers ? data.value[0].hitsContainers[0] : null;
+            const hits = container && container.hits ? container.hits : [];
+            
+            for (const hit of hits) {
+                const resource = hit.resource || {};
+                const fields = resource.listItem && resource.listItem.fields ? resource.listItem.fields : (resource.fields || {});
+                const url = (resource.webUrl || fields.path || fields.Path || '').toLowerCase().replace(/\/$/, '');
+                if (url) {
+                    metadata.set(url, fields);
+                }
+            }
+            
+            moreResultsAvailable = !!(container && container.moreResultsAvailable) && hits.length > 0;
+            from += hits.length;
+            
+            if (onProgress) onProgress(`Loaded metadata for ${metadata.size} sites...`);
+        }
+    } catch (error) {
+        // Metadata is an enrichment - discovery still succeeds without it
+        console.warn('⚠️ SITE DISCOVERY: Search metadata unavailable, template/hub/group fields will be blank:', error);
+    }
+    
+    return metadata;
+}
+
+// MERGE SEARCH METADATA INTO A SITE OBJECT
+function normalizeSiteMetadata(site, metadata) {
+    const fields = metadata.get((site.webUrl || '').toLowerCase().replace(/\/$/, '')) || {};
+    const field = (name) => {
+        const key = Object.keys(fields).find(k => k.toLowerCase() === name.toLowerCase());
+        return key ? fields[key] : null;
+    };
+    
+    const groupId = field('GroupId') || field('RelatedGroupId');
+    const hubSiteId = field('DepartmentId');
+    const isHubSite = String(field('IsHubSite')).toLowerCase() === 'true';
+    const emptyGuid = '00000000-0000-0000-0000-000000000000';
+    const cleanGuid = (value) => {
+        const guid = value ? String(value).replace(/[{}]/g, '') : null;
+        return guid && guid !== emptyGuid ? guid : null;
+    };
+    
+    return {
+        ...site,
+        name: site.name || site.displayName,
+        template: field('WebTemplate') ? `${field('WebTemplate')}${field('SiteTemplateId') !== null ? '#' + field('SiteTemplateId') : ''}` : null,
+        createdDateTime: site.createdDateTime || field('Created') || null,
+        lastModifiedDateTime: site.lastModifiedDateTime || field('LastModifiedTime') || null,
+        isHubSite: isHubSite,
+        hubSiteId: cleanGuid(hubSiteId),
+        groupId: cleanGuid(groupId),
+        isGroupConnected: !!cleanGuid(groupId)
+    };
+}
+
+// DISCOVER ONEDRIVE USERS - FULL PAGING WITH SERVER-SIDE DIRECTORY FILTERS
+async function discoverOneDriveUsers(filters = {}, onProgress = null) {
+    try {
+        const select = 'id,displayName,userPrincipalName,mail,accountEnabled,userType,department,companyName,usageLocation,assignedLicenses';
+        const filterQuery = buildUserFilterQuery(filters);
+        
+        let url = `${graphBaseUrl()}/users?$select=${select}&$top=999`;
+        let options = {};
+        
+        if (filterQuery) {
+            // companyName, department and assignedLicenses filters are advanced directory queries
+            url += `&$filter=${encodeURIComponent(filterQuery)}&$count=true`;
+            options = { headers: { ConsistencyLevel: 'eventual' } };
+            console.log(`🔍 USER DISCOVERY: Applying directory filter: ${filterQuery}`);
+        }
+        
+        const users = await graphGetAll(url, options);
+        console.log(`✅ USER DISCOVERY: Found ${users.length} users`);
+        
+        if (filters.checkProvisioning === false) {
+            return users.map(user => ({ ...user, oneDriveStatus: 'unknown' }));
+        }
+        
+        if (onProgress) onProgress(`Checking OneDrive for ${users.length} users...`);
+        return await checkOneDriveProvisioning(users, onProgress);
     } catch (error) {
         console.error('Error discovering OneDrive users:', error);
         throw error;
     }
 }
 
+// BUILD THE $filter EXPRESSION FOR USER DISCOVERY
+function buildUserFilterQuery(filters = {}) {
+    const escapeOData = (value) => String(value).trim().replace(/'/g, "''");
+    const clauses = [];
+    
+    if (filters.accountEnabled === 'enabled') clauses.push('accountEnabled eq true');
+    if (filters.accountEnabled === 'disabled') clauses.push('accountEnabled eq false');
+    if (filters.userType && filters.userType !== 'all') clauses.push(`userType eq '${escapeOData(filters.userType)}'`);
+    if (filters.department) clauses.push(`department eq '${escapeOData(filters.department)}'`);
+    if (filters.companyName) clauses.push(`companyName eq '${escapeOData(filters.companyName)}'`);
+    if (filters.usageLocation) clauses.push(`usageLocation eq '${escapeOData(filters.usageLocation).toUpperCase()}'`);
+    if (filters.licenseSkuId && filters.licenseSkuId !== 'all') clauses.push(`assignedLicenses/any(x:x/skuId eq ${filters.licenseSkuId})`);
+    
+    return clauses.join(' and ');
+}
+
+// LICENSE SKUS AVAILABLE IN THE TENANT (FOR THE LICENSE FILTER)
+async function getSubscribedSkus() {
+    try {
+        return await requestQueue.add(async () => {
+            return await graphGetAll(`${graphBaseUrl()}/subscribedSkus?$select=skuId,skuPartNumber,consumedUnits`);
+        }, REQUEST_LANES.INTERACTIVE);
+    } catch (error) {
+        console.warn('⚠️ Could not load subscribed SKUs for the license filter:', error);
+        return [];
+    }
+}
+
+// CHECK ONEDRIVE PROVISIONING IN $batch CALLS SO SCANS CAN SKIP UNPROVISIONED USERS
+async function checkOneDriveProvisioning(users, onProgress = null) {
+    const batchSize = 20; // Graph $batch maximum
+    const checkedUsers = [];
+    
+    for (let i = 0; i < users.length; i += batchSize) {
+        const batch = users.slice(i, i + batchSize);
+        const statusById = new Map();
+        
+        try {
+            const response = await requestQueue.add(async () => {
+                return await graphRequestWithRetry(`${graphBaseUrl()}/$batch`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        requests: batch.map((user, index) => ({
+                            id: index.toString(),
+                            method: 'GET',
+                            url: `/users/${user.id}/drive?$select=id,name,webUrl,driveType`
+                        }))
+                    })
+                });
+            });
+            
+            const batchResult = await response.json();
+            for (const subResponse of batchResult.responses) {
+                statusById.set(subResponse.id, subResponse);
+            }
+        } catch (error) {
+            console.warn('⚠️ OneDrive provisioning check failed for a batch, leaving status unknown:', error);
+        }
+        
+        batch.forEach((user, index) => {
+            const subResponse = statusById.get(index.toString());
+            if (subResponse && subResponse.status === 200) {
+                checkedUsers.push({ ...user, oneDriveStatus: 'provisioned', oneDrive: subResponse.body });
+            } else if (subResponse && subResponse.status === 404) {
+                checkedUsers.push({ ...user, oneDriveStatus: 'not-provisioned' });
+            } else {
+                // Throttled / forbidden / batch failure - let the scan try the user normally
+                checkedUsers.push({ ...user, oneDriveStatus: 'unknown' });
+            }
+        });
+        
+        if (onProgress) onProgress(`Checked OneDrive for ${checkedUsers.length}/${users.length} users...`);
+    }
+    
+    const notProvisioned = checkedUsers.filter(u => u.oneDriveStatus === 'not-provisioned').length;
+    console.log(`✅ ONEDRIVE PROVISIONING: ${checkedUsers.length - notProvisioned} provisioned/unknown, ${notProvisioned} not provisioned`);
+    
+    return checkedUsers;
+}
+
 // GET DRIVES FOR A SITE
 async function getSiteDrives(siteId) {
     try {
         return await requestQueue.add(async () => {
-            return await graphGetAll(`https://graph.microsoft.com/v1.0/sites/${siteId}/drives`);
+            return await graphGetAll(`${graphBaseUrl()}/sites/${siteId}/drives`);
         });
     } catch (error) {
         console.error(`Error getting drives for site ${siteId}:`, error);
@@ -387,11 +815,85 @@ async function getSiteDrives(siteId) {
     }
 }
 
+// SHAREPOINT LISTS
+// Generic lists (issue trackers, HR requests, lists with attachments) are not drives, so their
+// item-level sharing is only visible through SharePoint REST role assignments
+async function getSiteLists(siteId) {
+    try {
+        return await requestQueue.add(async () => {
+            return await graphGetAll(`${graphBaseUrl()}/sites/${siteId}/lists?$select=id,name,displayName,webUrl,list,createdDateTime,lastModifiedDateTime,createdBy,lastModifiedBy`);
+        });
+    } catch (error) {
+        console.error(`Error getting lists for site ${siteId}:`, error);
+        throw error;
+    }
+}
+
+// SharePoint REST calls go through the same retry, throttling and recording path as Graph calls,
+// with a token for the site's SharePoint resource instead of the Graph token
+async function sharePointRestOptions(url) {
+    const authToken = isReplayMode() ? null : await window.authModule.acquireSharePointToken(new URL(url).origin);
+    return {
+        headers: {
+            Accept: 'application/json;odata=nometadata',
+            ...(authToken ? { Authorization: `Bearer ${authToken}` } : {})
+        }
+    };
+}
+
+async function sharePointRestGetAll(url) {
+    const options = await sharePointRestOptions(url);
+    
+    let items = [];
+    let next = url;
+    while (next) {
+        const resp = await graphRequestWithRetry(next, options);
+        const j = await resp.json();
+        items = items.concat(j.value || []);
+        next = j['odata.nextLink'] || null;
+    }
+    return items;
+}
+
+function listRestUrl(siteUrl, listId) {
+    return `${siteUrl}/_api/web/lists(guid'${listId}')`;
+}
+
+// Whether the list itself breaks inheritance, and which of its items do
+async function getListUniquePermissionScopes(siteUrl, listId) {
+    const listInfo = await requestQueue.add(async () => {
+        const url = `${listRestUrl(siteUrl, listId)}?$select=Id,Title,HasUniqueRoleAssignments`;
+        const response = await graphRequestWithRetry(url, await sharePointRestOptions(url));
+        return await response.json();
+    });
+    
+    const items = await requestQueue.add(async () => {
+        return await sharePointRestGetAll(`${listRestUrl(siteUrl, listId)}/items?$select=Id,Title,FileRef,Attachments,HasUniqueRoleAssignments,Created,Modified,Author/Title,Editor/Title&$expand=Author,Editor&$top=5000`);
+    });
+    
+    return {
+        hasUniqueRoleAssignments: !!listInfo.HasUniqueRoleAssignments,
+        uniqueItems: items.filter(item => item.HasUniqueRoleAssignments)
+    };
+}
+
+// Role assignments of a list (itemId null) or list item, as Graph-shaped permissions
+async function getListPermissions(siteUrl, listId, itemId = null, lane = REQUEST_LANES.SCAN) {
+    const target = itemId !== null ? `${listRestUrl(siteUrl, listId)}/items(${itemId})` : listRestUrl(siteUrl, listId);
+    const assignments = await requestQueue.add(async () => {
+        return await sharePointRestGetAll(`${target}/roleassignments?$expand=Member,RoleDefinitionBindings`);
+    }, lane);
+    
+    return assignments
+        .map(assignment => window.classifierModule.roleAssignmentToPermission(assignment))
+        .filter(Boolean);
+}
+
 // GET ONEDRIVE FOR A USER
 async function getUserOneDrive(userId) {
     try {
         const response = await requestQueue.add(async () => {
-            return await graphRequestWithRetry(`https://graph.microsoft.com/v1.0/users/${userId}/drive`);
+            return await graphRequestWithRetry(`${graphBaseUrl()}/users/${userId}/drive`);
         });
         return await response.json();
     } catch (error) {
@@ -401,12 +903,20 @@ async function getUserOneDrive(userId) {
 }
 
 // OPTIMIZED SHARED ITEMS QUERY - ONLY GET ITEMS WITH SHARING
-async function performOptimizedSharedItemsQuery(driveId) {
+// options.onPage(items, nextLink) is awaited for each page so callers can process and checkpoint
+// as they go; options.resumeFrom continues an interrupted delta walk from a saved nextLink
+async function performOptimizedSharedItemsQuery(driveId, options = {}) {
     try {
+        if (options.resumeFrom) {
+            console.log(`⏯️ RESUME: Continuing delta walk for drive ${driveId} from saved page link`);
+            annotateGraphRecording('sharedItemsQuery.resume', { driveId });
+            return await performEnhancedDeltaQuery(driveId, options);
+        }
+        
         console.log(`🚀 PERFORMANCE: Using optimized shared-only query for drive ${driveId}`);
         
         // Try the most efficient approach first: search for shared items
-        const searchUrl = `https://graph.microsoft.com/v1.0/drives/${driveId}/root/search(q='')?$expand=permissions&$select=id,name,folder,file,parentReference,permissions,createdBy,lastModifiedBy&$filter=permissions/any()`;
+        const searchUrl = `${graphBaseUrl()}/drives/${driveId}/root/search(q='')?$expand=permissions&$select=id,name,folder,file,parentReference,permissions,${ITEM_METADATA_SELECT}&$filter=permissions/any()`;
         
         try {
             const response = await requestQueue.add(async () => {
@@ -419,32 +929,38 @@ async function performOptimizedSharedItemsQuery(driveId) {
             );
             
             console.log(`✅ OPTIMIZED: Found ${sharedItems.length} shared items directly (skipped non-shared items)`);
+            annotateGraphRecording('sharedItemsQuery.search', { driveId, sharedItems: sharedItems.length });
+            if (options.onPage) {
+                await options.onPage(sharedItems, null);
+            }
             return sharedItems;
             
         } catch (searchError) {
             console.warn(`⚠️ Shared items search failed, falling back to delta with shared filter:`, searchError);
+            annotateGraphRecording('sharedItemsQuery.fallback.enhancedDelta', { driveId, reason: searchError.message });
             
             // Fallback: Enhanced delta query with sharing filter
-            return await performEnhancedDeltaQuery(driveId);
+            return await performEnhancedDeltaQuery(driveId, options);
         }
         
     } catch (error) {
         console.error(`❌ Optimized shared items query failed for drive ${driveId}, falling back to standard delta:`, error);
+        annotateGraphRecording('sharedItemsQuery.fallback.delta', { driveId, reason: error.message });
         // Final fallback to original delta
-        return await performDeltaQuery(driveId);
+        return await performDeltaQuery(driveId, { ...options, resumeFrom: null });
     }
 }
 
 // ENHANCED DELTA QUERY WITH SHARING FILTER
-async function performEnhancedDeltaQuery(driveId) {
+async function performEnhancedDeltaQuery(driveId, options = {}) {
     try {
         console.log(`🔄 PERFORMANCE: Using enhanced delta with shared items focus for drive ${driveId}`);
         
         // Use delta but request more selective data and filter on client side more efficiently
-        const deltaUrl = `https://graph.microsoft.com/v1.0/drives/${driveId}/root/delta?$expand=permissions&$select=id,name,folder,file,parentReference,permissions,createdBy,lastModifiedBy`;
+        const deltaUrl = `${graphBaseUrl()}/drives/${driveId}/root/delta?$expand=permissions&$select=id,name,folder,file,parentReference,permissions,${ITEM_METADATA_SELECT}`;
         
         let allSharedItems = [];
-        let nextUrl = deltaUrl;
+        let nextUrl = options.resumeFrom || deltaUrl;
         let pageCount = 0;
         let totalProcessed = 0;
         let sharedFound = 0;
@@ -478,6 +994,15 @@ async function performEnhancedDeltaQuery(driveId) {
             sharedFound += sharedItemsOnPage.length;
             nextUrl = data['@odata.nextLink'];
             pageCount++;
+
+            if (data['@odata.deltaLink']) {
+                capturedDeltaLinks.set(driveId, data['@odata.deltaLink']);
+            }
+            
+            // onPage returning false stops the walk (e.g. the scan was stopped)
+            if (options.onPage && (await options.onPage(sharedItemsOnPage, nextUrl || null)) === false) {
+                break;
+            }
             
             const filteredPercent = sharedItemsOnPage.length > 0 ? ((sharedItemsOnPage.length / pageItems.length) * 100).toFixed(1) : '0.0';
             console.log(`📊 Enhanced Delta page ${pageCount}: ${pageItems.length} total → ${sharedItemsOnPage.length} shared (${filteredPercent}% efficiency)`);
@@ -497,14 +1022,14 @@ async function performEnhancedDeltaQuery(driveId) {
 }
 
 // ORIGINAL DELTA QUERY FOR FALLBACK
-async function performDeltaQuery(driveId) {
+async function performDeltaQuery(driveId, options = {}) {
     try {
         console.log(`⚠️ FALLBACK: Using standard delta query for drive ${driveId}`);
         
-        const deltaUrl = `https://graph.microsoft.com/v1.0/drives/${driveId}/root/delta?$expand=permissions&$select=id,name,folder,file,parentReference,permissions,createdBy,lastModifiedBy`;
+        const deltaUrl = `${graphBaseUrl()}/drives/${driveId}/root/delta?$expand=permissions&$select=id,name,folder,file,parentReference,permissions,${ITEM_METADATA_SELECT}`;
         
         let allItems = [];
-        let nextUrl = deltaUrl;
+        let nextUrl = options.resumeFrom || deltaUrl;
         let pageCount = 0;
         
         while (nextUrl) {
@@ -517,6 +1042,14 @@ async function performDeltaQuery(driveId) {
             allItems = allItems.concat(newItems);
             nextUrl = data['@odata.nextLink'];
             pageCount++;
+
+            if (data['@odata.deltaLink']) {
+                capturedDeltaLinks.set(driveId, data['@odata.deltaLink']);
+            }
+            
+            if (options.onPage && (await options.onPage(newItems, nextUrl || null)) === false) {
+                break;
+            }
             
             console.log(`📄 Standard Delta page ${pageCount}: ${newItems.length} items, total: ${allItems.length}`);
             
@@ -530,25 +1063,271 @@ async function performDeltaQuery(driveId) {
     }
 }
 
-// GET SHARED ITEMS DIRECTLY (MOST EFFICIENT FOR DRIVES WITH HEAVY SHARING)
-async function getSharedItems(driveId) {
+// DELTA LINK CAPTURE - the final page of a delta walk carries the link for the next incremental scan
+function getCapturedDeltaLink(driveId) {
+    return capturedDeltaLinks.get(driveId) || null;
+}
+
+function clearCapturedDeltaLink(driveId) {
+    capturedDeltaLinks.delete(driveId);
+}
+
+// GET A DELTA LINK REPRESENTING THE DRIVE'S CURRENT STATE (NO ITEMS RETURNED)
+async function getLatestDeltaLink(driveId) {
     try {
-        console.log(`🎯 TARGETED: Getting only shared items for drive ${driveId}`);
-        
-        // Try to get items that are explicitly shared
-        const sharedUrl = `https://graph.microsoft.com/v1.0/drives/${driveId}/sharedWithMe?$expand=permissions&$select=id,name,folder,file,parentReference,permissions`;
-        
-        const sharedItems = await requestQueue.add(async () => {
-            return await graphGetAll(sharedUrl);
+        const response = await requestQueue.add(async () => {
+            return await graphRequestWithRetry(`${graphBaseUrl()}/drives/${driveId}/root/delta?token=latest`);
         });
+        const data = await response.json();
+        return data['@odata.deltaLink'] || null;
+    } catch (error) {
+        console.warn(`⚠️ Could not get latest delta link for drive ${driveId}:`, error);
+        return null;
+    }
+}
+
+// INCREMENTAL DELTA QUERY - RESUME FROM A STORED DELTA LINK AND RETURN ONLY CHANGES
+async function performIncrementalDeltaQuery(driveId, deltaLink) {
+    try {
+        console.log(`🔁 INCREMENTAL: Resuming delta for drive ${driveId} from stored link`);
+
+        let changedItems = [];
+        let nextUrl = deltaLink;
+        let newDeltaLink = null;
+        let pageCount = 0;
+
+        while (nextUrl) {
+            const response = await requestQueue.add(async () => {
+                return await graphRequestWithRetry(nextUrl, {
+                    // Surface items whose sharing changed even if their content didn't
+                    headers: { Prefer: 'deltashowsharingchanges, deltashowremovedasdeleted' }
+                });
+            });
+
+            const data = await response.json();
+            const pageItems = data.value || [];
+            changedItems = changedItems.concat(pageItems);
+            nextUrl = data['@odata.nextLink'];
+            newDeltaLink = data['@odata.deltaLink'] || newDeltaLink;
+            pageCount++;
+
+            console.log(`🔁 Incremental delta page ${pageCount}: ${pageItems.length} changes, total: ${changedItems.length}`);
+
+            if (nextUrl) {
+                await delay(100);
+            }
+        }
+
+        console.log(`✅ INCREMENTAL: ${changedItems.length} changed items since last scan`);
+        return { items: changedItems, deltaLink: newDeltaLink };
+
+    } catch (error) {
+        console.error(`❌ Incremental delta query failed for drive ${driveId}:`, error);
+        throw error;
+    }
+}
+
+// SENSITIVITY LABELS
+// extractSensitivityLabels only returns label ids; the tenant's label catalogue supplies their names
+async function getSensitivityLabels() {
+    if (!await window.authModule.requestOptionalScope('sensitivityLabels')) {
+        throw new Error('InformationProtectionPolicy.Read was not granted');
+    }
+    return await requestQueue.add(async () => {
+        return await graphGetAll(`${graphBaseUrl()}/security/informationProtection/sensitivityLabels`);
+    });
+}
+
+// Labels stamped on each item, read through $batch; resolves to [{ item, labels, failed, error }]
+async function batchExtractSensitivityLabels(driveId, items, controller = { stop: false }, maxSubRetries = 2) {
+    const batchSize = 20;
+    const results = [];
+    
+    for (let i = 0; i < items.length; i += batchSize) {
+        if (controller.stop) break;
+        
+        const batch = items.slice(i, i + batchSize);
+        let pending = new Map(batch.map((item, index) => [(i + index).toString(), item]));
         
-        console.log(`✅ TARGETED: Found ${sharedItems.length} directly shared items`);
-        return sharedItems;
+        try {
+            for (let attempt = 0; attempt <= maxSubRetries && pending.size > 0; attempt++) {
+                if (controller.stop) break;
+                
+                const response = await requestQueue.add(async () => {
+                    return await graphRequestWithRetry(`${graphBaseUrl()}/$batch`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            requests: Array.from(pending.entries()).map(([id, item]) => ({
+                                id: id,
+                                method: 'POST',
+                                url: `/drives/${driveId}/items/${item.id}/extractSensitivityLabels`,
+                                headers: { 'Content-Type': 'application/json' },
+                                body: {}
+                            }))
+                        })
+                    });
+                });
+                
+                const batchResult = await response.json();
+                const retryPending = new Map();
+                const completedIds = new Set();
+                let retryAfterMs = 0;
+                
+                for (const subResponse of batchResult.responses || []) {
+                    const item = pending.get(subResponse.id);
+                    if (!item) continue;
+                    
+                    if (subResponse.status === 200 && subResponse.body) {
+                        results.push({ item, labels: subResponse.body.labels || [] });
+                        completedIds.add(subResponse.id);
+                        continue;
+                    }
+                    
+                    requestQueue.recordResponse({ status: subResponse.status });
+                    
+                    if (RETRYABLE_BATCH_STATUSES.includes(subResponse.status) && attempt < maxSubRetries) {
+                        const retryAfter = getBatchResponseHeader(subResponse, 'Retry-After');
+                        const waitMs = retryAfter ? parseInt(retryAfter) * 1000 : Math.pow(2, attempt) * 1000;
+                        retryAfterMs = Math.max(retryAfterMs, isNaN(waitMs) ? 1000 : waitMs);
+                        retryPending.set(subResponse.id, item);
+                        continue;
+                    }
+                    
+                    results.push({ item, labels: [], failed: true, error: buildPermissionFailure(subResponse.status, subResponse.body, 'Label could not be read') });
+                    completedIds.add(subResponse.id);
+                }
+                
+                // Subrequests missing from the batch response are retried like throttled ones
+                for (const [id, item] of pending) {
+                    if (!retryPending.has(id) && !completedIds.has(id)) {
+                        retryPending.set(id, item);
+                    }
+                }
+                
+                pending = retryPending;
+                if (pending.size > 0 && attempt < maxSubRetries) {
+                    await delay(retryAfterMs || 1000);
+                }
+            }
+        } catch (error) {
+            // One failed $batch leaves only this batch's labels unread, not the whole drive's
+            console.warn(`Sensitivity label batch failed for ${pending.size} files:`, error);
+            const statusMatch = /HTTP (\d+)/.exec(error.message || '');
+            for (const item of pending.values()) {
+                results.push({ item, labels: [], failed: true, error: buildPermissionFailure(statusMatch ? parseInt(statusMatch[1]) : null, null, error.message) });
+            }
+            pending = new Map();
+        }
         
+        // Anything still pending after the final attempt could not be read
+        for (const item of pending.values()) {
+            results.push({ item, labels: [], failed: true, error: buildPermissionFailure(null, null, controller.stop ? 'Scan stopped before the label was read' : 'Retries exhausted') });
+        }
+    }
+    
+    // Batches never sent because the scan was stopped are reported too, so no file is left without an answer
+    const answered = new Set(results.map(entry => entry.item));
+    for (const item of items) {
+        if (!answered.has(item)) {
+            results.push({ item, labels: [], failed: true, error: buildPermissionFailure(null, null, 'Scan stopped before the label was read') });
+        }
+    }
+    
+    return results;
+}
+
+// GROUP MEMBERSHIP
+// Transitive user members of an Entra group (nested groups flattened by Graph)
+async function getGroupTransitiveMembers(groupId) {
+    const members = await requestQueue.add(async () => {
+        return await graphGetAll(`${graphBaseUrl()}/groups/${groupId}/transitiveMembers?$select=id,displayName,mail,userPrincipalName,userType&$top=999`);
+    });
+    return members.filter(member => member['@odata.type'] === '#microsoft.graph.user');
+}
+
+// Owners of an Entra group - what a "<group> Owners" claim in a SharePoint group stands for
+async function getGroupOwners(groupId) {
+    const owners = await requestQueue.add(async () => {
+        return await graphGetAll(`${graphBaseUrl()}/groups/${groupId}/owners?$select=id,displayName,mail,userPrincipalName,userType&$top=999`);
+    });
+    return owners.filter(owner => owner['@odata.type'] === '#microsoft.graph.user');
+}
+
+// Members of a SharePoint site group - users, plus Entra groups and claims that still need expanding
+async function getSiteGroupMembers(siteUrl, siteGroupId) {
+    return await requestQueue.add(async () => {
+        return await sharePointRestGetAll(`${siteUrl}/_api/web/sitegroups/GetById(${siteGroupId})/users?$select=Id,Title,Email,LoginName,PrincipalType,IsShareByEmailGuestUser`);
+    });
+}
+
+// GUEST ACCOUNTS - directory lookup of an external grantee by email
+// signInActivity needs AuditLog.Read.All (asked for on first lookup) and an Entra ID P1 licence;
+// once either is refused the lookups continue without it
+let signInActivityReadable = true;
+
+const GUEST_SELECT = 'id,displayName,mail,userPrincipalName,userType,accountEnabled,createdDateTime,creationType,externalUserState,externalUserStateChangeDateTime';
+
+// Resolves to the matching user with its sponsors (the inviter, unless reassigned), or null when none exists
+async function getGuestAccount(email) {
+    const escaped = email.replace(/'/g, "''");
+    const filter = encodeURIComponent(`mail eq '${escaped}' or otherMails/any(x:x eq '${escaped}')`);
+    
+    const findUsers = (select) => requestQueue.add(async () => {
+        // The "or" across mail and otherMails is an advanced directory query
+        const response = await graphRequestWithRetry(`${graphBaseUrl()}/users?$filter=${filter}&$select=${select}&$count=true`, {
+            headers: { 'ConsistencyLevel': 'eventual' }
+        });
+        const data = await response.json();
+        return data.value || [];
+    });
+    
+    if (signInActivityReadable && !await window.authModule.requestOptionalScope('signInActivity')) {
+        signInActivityReadable = false;
+        console.warn('⚠️ AuditLog.Read.All was not granted - guest last sign-in will be blank');
+    }
+    
+    let users = null;
+    if (signInActivityReadable) {
+        try {
+            users = await findUsers(`${GUEST_SELECT},signInActivity`);
+        } catch (error) {
+            if (!/HTTP 403/.test(error.message || '')) throw error;
+            signInActivityReadable = false;
+            console.warn('⚠️ Sign-in activity is not readable (needs AuditLog.Read.All and Entra ID P1) - guest last sign-in will be blank');
+        }
+    }
+    if (!users) users = await findUsers(GUEST_SELECT);
+    
+    const user = users.find(u => u.userType === 'Guest') || users[0];
+    if (!user) return null;
+    
+    let sponsors = [];
+    try {
+        sponsors = await requestQueue.add(async () => {
+            return await graphGetAll(`${graphBaseUrl()}/users/${user.id}/sponsors?$select=id,displayName,mail,userPrincipalName`);
+        });
     } catch (error) {
-        console.warn(`⚠️ Direct shared items query failed for drive ${driveId}:`, error);
-        return [];
+        console.warn(`⚠️ Could not read sponsors of ${email}:`, error);
     }
+    
+    return { ...user, sponsors };
+}
+
+// INBOUND SHARING - items other people (including other organizations) shared with a user.
+// sharedWithMe is only defined on a user's own drive, so other users' lists may be refused (403)
+// depending on the signed-in account's rights; callers treat that as "not available for this user".
+async function getSharedWithMe(userId = null) {
+    const url = userId
+        ? `${graphBaseUrl()}/users/${userId}/drive/sharedWithMe`
+        : `${graphBaseUrl()}/me/drive/sharedWithMe`;
+    
+    const items = await requestQueue.add(async () => {
+        return await graphGetAll(url);
+    });
+    
+    console.log(`📥 INBOUND: ${items.length} items shared with ${userId || 'the signed-in user'}`);
+    return items;
 }
 
 // GET FOLDER CHILDREN WITH FILTERING
@@ -557,20 +1336,21 @@ async function getFolderChildren(driveId, itemId, includeFiles = false) {
         let url;
         if (includeFiles) {
             url = itemId === "root"
-                ? `https://graph.microsoft.com/v1.0/drives/${driveId}/root/children?$select=id,name,folder,file,parentReference`
-                : `https://graph.microsoft.com/v1.0/drives/${driveId}/items/${itemId}/children?$select=id,name,folder,file,parentReference`;
+                ? `${graphBaseUrl()}/drives/${driveId}/root/children?$select=id,name,folder,file,parentReference,${ITEM_METADATA_SELECT}`
+                : `${graphBaseUrl()}/drives/${driveId}/items/${itemId}/children?$select=id,name,folder,file,parentReference,${ITEM_METADATA_SELECT}`;
         } else {
             url = itemId === "root"
-                ? `https://graph.microsoft.com/v1.0/drives/${driveId}/root/children?$select=id,name,folder,parentReference&$filter=folder ne null`
-                : `https://graph.microsoft.com/v1.0/drives/${driveId}/items/${itemId}/children?$select=id,name,folder,parentReference&$filter=folder ne null`;
+                ? `${graphBaseUrl()}/drives/${driveId}/root/children?$select=id,name,folder,parentReference,${ITEM_METADATA_SELECT}&$filter=folder ne null`
+                : `${graphBaseUrl()}/drives/${driveId}/items/${itemId}/children?$select=id,name,folder,parentReference,${ITEM_METADATA_SELECT}&$filter=folder ne null`;
         }
         
         return await requestQueue.add(async () => {
             return await graphGetAll(url);
         });
     } catch (error) {
+        // Rethrown so the caller keeps the folder pending instead of treating it as empty
         console.error(`Error getting children for ${itemId} in drive ${driveId}:`, error);
-        return [];
+        throw error;
     }
 }
 
@@ -578,6 +1358,7 @@ async function getFolderChildren(driveId, itemId, includeFiles = false) {
 window.apiModule = {
     // Classes
     RequestQueue,
+    REQUEST_LANES,
     
     // Variables
     requestQueue,
@@ -586,21 +1367,68 @@ window.apiModule = {
     
     // Functions
     delay,
+    graphBaseUrl,
     graphRequestWithRetry,
+    annotateGraphRecording,
+    countGraphCalls,
+    getGraphCallCount,
+    
+    // Transport (live Graph or offline replay)
+    loadReplayFixture,
+    setTransportMode,
+    isReplayMode,
+    getTransportStats,
     graphGetAll,
     batchGetPermissions,
     loadTenantDomains,
     discoverSharePointSites,
+    getSiteSearchMetadata,
+    discoverTeamChannelSites,
     discoverOneDriveUsers,
+    buildUserFilterQuery,
+    getSubscribedSkus,
+    checkOneDriveProvisioning,
     getSiteDrives,
     getUserOneDrive,
     
+    // SharePoint lists
+    getSiteLists,
+    getListUniquePermissionScopes,
+    getListPermissions,
+    
+    // Tenant-wide search pre-scan
+    SEARCH_PRESCAN_CONFIG,
+    getDefaultSearchQuery,
+    searchSharedDriveItems,
+    
     // Optimized scanning functions
     performOptimizedSharedItemsQuery,
     performEnhancedDeltaQuery,
     performDeltaQuery, // Original fallback
-    getSharedItems,
+    
+    // Sensitivity labels
+    getSensitivityLabels,
+    batchExtractSensitivityLabels,
+    
+    // Group membership
+    getGroupTransitiveMembers,
+    getGroupOwners,
+    getSiteGroupMembers,
+    
+    // Guest accounts
+    getGuestAccount,
+    
+    // Inbound sharing
+    getSharedWithMe,
+    
+    // Incremental (delta link) scanning
+    performIncrementalDeltaQuery,
+    getLatestDeltaLink,
+    getCapturedDeltaLink,
+    clearCapturedDeltaLink,
     
     // Folder scanning
-    getFolderChildren
+    getFolderChildren,
+    listFoldersWithPermissions,
+    FOLDER_LISTING_BATCH_SIZE
 };
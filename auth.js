@@ -7,6 +7,70 @@ let accessToken = '';
 
 const requiredScopes = ["User.Read", "Sites.Read.All", "Files.Read.All", "Directory.Read.All", "Files.ReadWrite.All"];
 
+// Scopes only one feature needs - requested when that feature first runs (incremental consent), so
+// sign-in never depends on them and a refused scope only switches its feature off
+const OPTIONAL_SCOPES = {
+    channels: 'Channel.ReadBasic.All',                       // Teams private/shared channel discovery
+    sensitivityLabels: 'InformationProtectionPolicy.Read',   // Sensitivity label names
+    signInActivity: 'AuditLog.Read.All'                      // Guest account last sign-in
+};
+let grantedOptionalScopes = new Set();
+let declinedOptionalScopes = new Set();
+
+// CLOUD-AWARE MSAL CONFIGURATION - authority and scopes follow the selected cloud environment
+function getRequiredScopes() {
+    return window.configModule.getGraphScopes([...requiredScopes, ...grantedOptionalScopes]);
+}
+
+function createMsalInstance(clientId, tenantId) {
+    const authorityHost = window.configModule.getAuthorityHost();
+    const auth = {
+        clientId: clientId,
+        authority: `${authorityHost}/${tenantId}`,
+        redirectUri: window.location.origin
+    };
+
+    // MSAL only trusts authorities it can discover; a custom host has to be declared
+    if (window.configModule.getCloudEnvironment() === 'custom') {
+        auth.knownAuthorities = [new URL(authorityHost).host];
+    }
+
+    console.log(`☁️ MSAL authority: ${auth.authority}`);
+    return new msal.PublicClientApplication({ auth });
+}
+
+// CLOUD ENVIRONMENT FORM - mirrors configModule.cloudSettings in the authentication card
+function restoreCloudEnvironmentUI() {
+    const settings = window.configModule.cloudSettings;
+    const envSelect = document.getElementById('cloud-environment');
+    const graphInput = document.getElementById('custom-graph-endpoint');
+    const authorityInput = document.getElementById('custom-authority-host');
+
+    if (envSelect) envSelect.value = window.configModule.getCloudEnvironment();
+    if (graphInput) graphInput.value = settings.customGraphEndpoint || '';
+    if (authorityInput) authorityInput.value = settings.customAuthorityHost || '';
+    toggleCustomEndpointInputs();
+}
+
+function toggleCustomEndpointInputs() {
+    const envSelect = document.getElementById('cloud-environment');
+    const customFields = document.getElementById('custom-endpoint-fields');
+    if (envSelect && customFields) {
+        customFields.style.display = envSelect.value === 'custom' ? 'grid' : 'none';
+    }
+}
+
+function applyCloudEnvironmentFromUI() {
+    const envSelect = document.getElementById('cloud-environment');
+    if (!envSelect) return;
+
+    window.configModule.updateCloudSettings({
+        environment: envSelect.value,
+        customGraphEndpoint: (document.getElementById('custom-graph-endpoint')?.value || '').trim(),
+        customAuthorityHost: (document.getElementById('custom-authority-host')?.value || '').trim()
+    });
+}
+
 // ENHANCED AUTHENTICATION STATE MANAGEMENT FOR PAGE REFRESH BEHAVIOR
 async function checkExistingAuthentication() {
     console.log('🔍 ENHANCED AUTHENTICATION CHECK ON PAGE REFRESH...');
@@ -16,6 +80,8 @@ async function checkExistingAuthentication() {
         const storedTenantId = localStorage.getItem('sp_scanner_tenant_id');
         const storedClientId = localStorage.getItem('sp_scanner_client_id');
         
+        restoreCloudEnvironmentUI();
+        
         if (storedTenantId && storedClientId) {
             document.getElementById('tenant-id').value = storedTenantId;
             document.getElementById('client-id').value = storedClientId;
@@ -33,13 +99,7 @@ async function checkExistingAuthentication() {
         // Load MSAL and initialize
         await loadMSAL();
         
-        msalInstance = new msal.PublicClientApplication({
-            auth: {
-                clientId: storedClientId,
-                authority: `https://login.microsoftonline.com/${storedTenantId}`,
-                redirectUri: window.location.origin
-            }
-        });
+        msalInstance = createMsalInstance(storedClientId, storedTenantId);
 
         if (msalInstance.initialize) {
             await msalInstance.initialize();
@@ -58,16 +118,17 @@ async function checkExistingAuthentication() {
                 console.log('🔄 Attempting silent token acquisition for existing session...');
                 const tokenResult = await msalInstance.acquireTokenSilent({
                     account: account,
-                    scopes: requiredScopes,
+                    scopes: getRequiredScopes(),
                     forceRefresh: false // Allow cached tokens for better UX
                 });
                 
                 accessToken = tokenResult.accessToken;
+                shareTokenWithScanEngine(accessToken);
                 console.log('✅ Successfully restored authentication session with valid token');
                 
                 // Validate the token with a lightweight API call
                 try {
-                    const testResponse = await graphRequestWithRetry('https://graph.microsoft.com/v1.0/me', {}, 1); // Single retry
+                    const testResponse = await graphRequestWithRetry(`${window.configModule.getGraphBaseUrl()}/me`, {}, 1); // Single retry
                     const userData = await testResponse.json();
                     
                     console.log('✅ Token validation successful - user authenticated:', userData.userPrincipalName);
@@ -129,6 +190,9 @@ async function clearAuthenticationState() {
         account = null;
         accessToken = '';
         tokenExpirationTime = 0;
+        grantedOptionalScopes = new Set();
+        declinedOptionalScopes = new Set();
+        shareTokenWithScanEngine('');
         
         // Clear MSAL cache if available
         if (msalInstance) {
@@ -177,6 +241,16 @@ function updateAuthenticationUI(isAuthenticated, username = '') {
         
         console.log('✅ UI updated for authenticated state');
         showToast(`Welcome back, ${username}!`, 3000);
+        
+        // Offer to resume a scan this tenant left unfinished
+        if (window.uiModule && window.uiModule.refreshResumeButtons) {
+            window.uiModule.refreshResumeButtons();
+        }
+        
+        // Snapshots are stored per tenant
+        if (window.snapshotsModule && window.snapshotsModule.refreshSnapshots) {
+            window.snapshotsModule.refreshSnapshots();
+        }
     } else {
         userDisplay.innerText = 'Not signed in';
         authStatus.innerText = 'Not Connected';
@@ -201,6 +275,7 @@ async function performLogout() {
         // Clear application state
         account = null;
         accessToken = '';
+        shareTokenWithScanEngine('');
         
         // Clear MSAL cache if instance exists
         if (msalInstance) {
@@ -218,6 +293,11 @@ async function performLogout() {
             }
         }
         
+        // Leaving offline replay returns to live Graph
+        if (window.apiModule && window.apiModule.isReplayMode()) {
+            window.apiModule.setTransportMode('network');
+        }
+        
         // Clear application data - these will be imported from other modules
         if (typeof clearResults === 'function') clearResults();
         if (typeof clearSitesAndUsers === 'function') clearSitesAndUsers();
@@ -267,11 +347,18 @@ function loadMSAL() {
 let tokenExpirationTime = 0;
 let tokenRefreshInProgress = false;
 
+// The scan worker calls Graph directly, so every token this module obtains is handed to it
+function shareTokenWithScanEngine(token) {
+    if (window.scanEngineModule) {
+        window.scanEngineModule.supplyToken(token);
+    }
+}
+
 async function acquireToken(forceRefresh = false) {
     try {
         const result = await msalInstance.acquireTokenSilent({
             account: account,
-            scopes: requiredScopes,
+            scopes: getRequiredScopes(),
             forceRefresh: forceRefresh
         });
         
@@ -279,17 +366,68 @@ async function acquireToken(forceRefresh = false) {
         tokenExpirationTime = Date.now() + (55 * 60 * 1000); // Refresh 5 minutes before expiration
         console.log(`✅ Token acquired, expires at: ${new Date(tokenExpirationTime).toLocaleTimeString()}`);
         
+        shareTokenWithScanEngine(result.accessToken);
         return result.accessToken;
     } catch (e) {
         console.log('🔄 Silent token acquisition failed, using popup...');
         const result = await msalInstance.acquireTokenPopup({
             account: account,
-            scopes: requiredScopes
+            scopes: getRequiredScopes()
         });
         
         tokenExpirationTime = Date.now() + (55 * 60 * 1000);
         console.log(`✅ Token acquired via popup, expires at: ${new Date(tokenExpirationTime).toLocaleTimeString()}`);
         
+        shareTokenWithScanEngine(result.accessToken);
+        return result.accessToken;
+    }
+}
+
+// OPTIONAL SCOPES - resolves to true once the feature's scope is granted, false when it was refused.
+// The new token carries the required scopes too, so it replaces the current one everywhere.
+async function requestOptionalScope(feature) {
+    const scope = OPTIONAL_SCOPES[feature];
+    if (!scope) throw new Error(`Unknown optional scope feature: ${feature}`);
+    
+    // Replayed calls never reach Graph
+    if (window.apiModule && window.apiModule.isReplayMode()) return true;
+    if (grantedOptionalScopes.has(scope)) return true;
+    if (declinedOptionalScopes.has(scope) || !msalInstance || !account) return false;
+    
+    const scopes = window.configModule.getGraphScopes([...requiredScopes, ...grantedOptionalScopes, scope]);
+    try {
+        let result;
+        try {
+            result = await msalInstance.acquireTokenSilent({ account: account, scopes: scopes });
+        } catch (e) {
+            console.log(`🔄 ${scope} not consented yet, asking for it...`);
+            result = await msalInstance.acquireTokenPopup({ account: account, scopes: scopes });
+        }
+        
+        grantedOptionalScopes.add(scope);
+        accessToken = result.accessToken;
+        tokenExpirationTime = Date.now() + (55 * 60 * 1000);
+        shareTokenWithScanEngine(accessToken);
+        console.log(`✅ Optional scope granted: ${scope}`);
+        return true;
+    } catch (error) {
+        declinedOptionalScopes.add(scope);
+        console.warn(`⚠️ ${scope} was not granted - ${feature} is skipped for this session:`, error);
+        return false;
+    }
+}
+
+// SHAREPOINT REST TOKENS
+// List and list-item role assignments are only exposed by the SharePoint REST API, which takes a
+// token for the tenant's SharePoint resource rather than Graph. MSAL caches these per resource.
+async function acquireSharePointToken(resourceOrigin) {
+    const scopes = [`${resourceOrigin}/AllSites.Read`];
+    try {
+        const result = await msalInstance.acquireTokenSilent({ account: account, scopes: scopes });
+        return result.accessToken;
+    } catch (e) {
+        console.log(`🔄 Silent SharePoint token acquisition failed for ${resourceOrigin}, using popup...`);
+        const result = await msalInstance.acquireTokenPopup({ account: account, scopes: scopes });
         return result.accessToken;
     }
 }
@@ -442,6 +580,11 @@ function stopScanningTokenMonitoring() {
 
 // NEW: Force token refresh during scanning with better error handling
 async function ensureValidTokenForScanning() {
+    // Offline replay serves recorded responses and never needs a token
+    if (window.apiModule && window.apiModule.isReplayMode()) {
+        return accessToken;
+    }
+    
     if (!account || !accessToken) {
         throw new Error('Not authenticated - cannot perform scanning operations');
     }
@@ -510,24 +653,21 @@ async function performLogin() {
     loginBtn.innerText = 'Signing in...';
 
     try {
+        // Cloud environment drives the authority, scopes and every Graph URL
+        applyCloudEnvironmentFromUI();
+
         // Save configuration for future page loads
         saveAuthenticationConfig(tenantId, clientId);
         
         await loadMSAL();
         
-        msalInstance = new msal.PublicClientApplication({
-            auth: {
-                clientId: clientId,
-                authority: `https://login.microsoftonline.com/${tenantId}`,
-                redirectUri: window.location.origin
-            }
-        });
+        msalInstance = createMsalInstance(clientId, tenantId);
 
         if (msalInstance.initialize) {
             await msalInstance.initialize();
         }
 
-        const loginResult = await msalInstance.loginPopup({ scopes: requiredScopes });
+        const loginResult = await msalInstance.loginPopup({ scopes: getRequiredScopes() });
         
         account = loginResult.account;
         accessToken = await acquireToken();
@@ -552,6 +692,26 @@ async function performLogin() {
     }
 }
 
+// OFFLINE REPLAY - load a recorded HAR fixture and run the app against it without signing in
+async function startOfflineReplay(file) {
+    if (!file) return;
+    
+    try {
+        const har = JSON.parse(await file.text());
+        const summary = window.apiModule.loadReplayFixture(har, file.name);
+        
+        // Drop anything gathered from a live tenant before showing replayed data
+        if (typeof clearResults === 'function') clearResults();
+        if (typeof clearSitesAndUsers === 'function') clearSitesAndUsers();
+        
+        updateAuthenticationUI(true, `Offline replay: ${file.name}`);
+        showToast(`Offline replay ready - ${summary.responses} recorded responses loaded`, 4000);
+    } catch (error) {
+        console.error('❌ Failed to load replay fixture:', error);
+        alert('Could not load replay fixture: ' + error.message);
+    }
+}
+
 // Initialize authentication event handlers
 function initializeAuthenticationHandlers() {
     // Login button handler
@@ -560,6 +720,26 @@ function initializeAuthenticationHandlers() {
         loginBtn.addEventListener('click', performLogin);
     }
 
+    // Offline replay fixture loader
+    const replayInput = document.getElementById('replay-fixture-input');
+    if (replayInput) {
+        replayInput.addEventListener('change', async (event) => {
+            await startOfflineReplay(event.target.files[0]);
+            event.target.value = ''; // Allow the same file to be loaded again
+        });
+    }
+
+        // Cloud environment selector - takes effect on the next sign-in
+    const cloudSelect = document.getElementById('cloud-environment');
+    if (cloudSelect) {
+        cloudSelect.addEventListener('change', () => {
+            toggleCustomEndpointInputs();
+            if (account) {
+                showToast('Sign out and sign in again to switch cloud environment', 4000);
+            }
+        });
+    }
+
     // Logout button handler
     const logoutBtn = document.getElementById('logout-btn');
     if (logoutBtn) {
@@ -604,8 +784,15 @@ window.authModule = {
     saveAuthenticationConfig,
     loadMSAL,
     acquireToken,
+    acquireSharePointToken,
+    requestOptionalScope,
     performLogin,
     initializeAuthenticationHandlers,
+    getRequiredScopes,
+    createMsalInstance,
+    restoreCloudEnvironmentUI,
+    applyCloudEnvironmentFromUI,
+    startOfflineReplay,
     
     // Token refresh functions
     refreshTokenIfNeeded,
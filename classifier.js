@@ -0,0 +1,732 @@
+// classifier.js - Permission Classification Module for SharePoint & OneDrive Scanner v3.0
+// Pure classification, filtering and path helpers with no DOM access, shared by config.js on the
+// page and by scan-worker.js inside the scan worker (loaded there with importScripts)
+// Kept in its own function scope: config.js declares wrappers with the same names on the page, and
+// classic scripts share one global scope, so the wrappers would otherwise replace these functions
+(function () {
+
+// PATH RULES - what a scan does not examine. A glob without "/" matches a whole name, so "Forms"
+// skips a folder named Forms but not "Members Forms"; a glob with "/" matches the whole path below the
+// library root ("Finance/Archive/**"). Regexes are tested against that path. appliesTo is 'folders',
+// 'items' (files and folders) or 'libraries' (drives and lists, matched by name). site and drive are
+// optional globs that scope a rule to matching site names or URLs and library names.
+// A matching include rule wins over every exclude rule, so includes carve exceptions out of excludes.
+const PRESERVATION_HOLD_GLOB = '{Preservation Hold*,PreservationHoldLibrary,Legal Hold*,Compliance Hold*,eDiscovery Hold*}';
+
+const BUILT_IN_PATH_RULES = [
+    {
+        id: 'builtin-system-folders',
+        description: 'SharePoint system folders',
+        action: 'exclude',
+        syntax: 'glob',
+        appliesTo: 'folders',
+        pattern: '{Forms,SiteAssets,Style Library,SitePages,Lists,PublishingImages,SiteCollectionImages,MasterPageGallery,wpresources,ClientSideAssets,_*,.*}'
+    },
+    // The preservation hold rules follow the "Exclude Preservation Hold Libraries" checkbox
+    {
+        id: 'builtin-preservation-hold-libraries',
+        description: 'Preservation and legal hold libraries',
+        preservationHold: true,
+        action: 'exclude',
+        syntax: 'glob',
+        appliesTo: 'libraries',
+        pattern: PRESERVATION_HOLD_GLOB
+    },
+    {
+        id: 'builtin-preservation-hold-folders',
+        description: 'Preservation and legal hold folders',
+        preservationHold: true,
+        action: 'exclude',
+        syntax: 'glob',
+        appliesTo: 'folders',
+        pattern: PRESERVATION_HOLD_GLOB
+    }
+];
+
+// DRIVE ITEM METADATA FIELDS - appended to every traversal $select so buildScanResult can record them
+const ITEM_METADATA_FIELDS = 'size,createdDateTime,lastModifiedDateTime,createdBy,lastModifiedBy';
+
+// DEBUG LOGGING HOOK - config.js routes this to its debug console; the worker leaves it off
+let debugLogger = null;
+
+function setDebugLogger(logger) {
+    debugLogger = logger;
+}
+
+function debugLog(...args) {
+    if (debugLogger) debugLogger(...args);
+}
+
+// PATH RULE MATCHING
+// "*" and "?" stay within one path segment, "**" spans segments and {a,b} lists alternatives.
+// anyDepth lets "*" cross "/" too, for the site and drive scopes (site URLs contain slashes).
+function globToRegExp(glob, anyDepth = false) {
+    let source = '';
+    let openBraces = 0;
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            i++;
+            if (glob[i + 1] === '/') {
+                i++;
+                source += '(?:.*/)?';
+            } else {
+                source += '.*';
+            }
+        } else if (char === '*') {
+            source += anyDepth ? '.*' : '[^/]*';
+        } else if (char === '?') {
+            source += anyDepth ? '.' : '[^/]';
+        } else if (char === '{') {
+            openBraces++;
+            source += '(?:';
+        } else if (char === '}' && openBraces > 0) {
+            openBraces--;
+            source += ')';
+        } else if (char === ',' && openBraces > 0) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+        }
+    }
+
+    if (openBraces > 0) throw new Error('Unclosed "{" in glob');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+function compilePathRule(rule) {
+    const pattern = (rule.pattern || '').trim();
+    if (!pattern) throw new Error('Pattern is empty');
+    if (rule.action !== 'include' && rule.action !== 'exclude') throw new Error(`Unknown action "${rule.action}"`);
+
+    const isRegex = rule.syntax === 'regex';
+    return {
+        rule,
+        matchesPath: isRegex || pattern.includes('/'),
+        pattern: isRegex ? new RegExp(pattern, 'i') : globToRegExp(pattern.replace(/^\/+/, '')),
+        site: rule.site && rule.site.trim() ? globToRegExp(rule.site.trim(), true) : null,
+        drive: rule.drive && rule.drive.trim() ? globToRegExp(rule.drive.trim(), true) : null
+    };
+}
+
+// Why a rule cannot be used (shown by the rule editor), or null when it is valid
+function validatePathRule(rule) {
+    try {
+        compilePathRule(rule);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+// Built-ins first, then the custom rules; compiled once per rule set
+let compiledPathRules = { customRules: null, excludePreservationHolds: null, rules: [] };
+
+function getCompiledPathRules(customRules, excludePreservationHolds) {
+    if (compiledPathRules.customRules === customRules && compiledPathRules.excludePreservationHolds === excludePreservationHolds) {
+        return compiledPathRules.rules;
+    }
+
+    const rules = [];
+    BUILT_IN_PATH_RULES
+        .filter(rule => excludePreservationHolds || !rule.preservationHold)
+        .concat(customRules || [])
+        .forEach(rule => {
+            try {
+                rules.push(compilePathRule(rule));
+            } catch (error) {
+                debugLog(`⚠️ PATH RULES: Ignoring rule "${rule.pattern}": ${error.message}`);
+            }
+        });
+
+    compiledPathRules = { customRules, excludePreservationHolds, rules };
+    return rules;
+}
+
+function pathRuleMatches(compiled, scope, entry) {
+    const appliesTo = compiled.rule.appliesTo || 'items';
+    if ((appliesTo === 'libraries') !== (entry.kind === 'library')) return false;
+    if (appliesTo === 'folders' && entry.kind !== 'folder') return false;
+    if (compiled.site && !compiled.site.test(scope.siteName || '') && !compiled.site.test(scope.siteUrl || '')) return false;
+    if (compiled.drive && !compiled.drive.test(scope.driveName || '')) return false;
+    return compiled.pattern.test(compiled.matchesPath ? entry.path : entry.name);
+}
+
+// The exclude rule that applies to an entry, or null when it is scanned
+function excludingPathRule(rules, scope, entry) {
+    let excludedBy = null;
+    for (const compiled of rules) {
+        if (!pathRuleMatches(compiled, scope, entry)) continue;
+        if (compiled.rule.action === 'include') return null;
+        if (!excludedBy) excludedBy = compiled.rule;
+    }
+    return excludedBy;
+}
+
+// Path below the library root without a leading slash, e.g. "Finance/Archive/report.xlsx"
+function driveRelativePath(item) {
+    const parentPath = item.parentReference ? item.parentReference.path : null;
+    const rootIndex = parentPath ? parentPath.indexOf('root:') : -1;
+    const parentSegments = rootIndex === -1 ? [] : parentPath.slice(rootIndex + 'root:'.length).split('/').filter(Boolean);
+
+    return parentSegments.map(segment => {
+        try {
+            return decodeURIComponent(segment);
+        } catch (error) {
+            return segment;
+        }
+    }).concat(item.name).join('/');
+}
+
+function pathRuleScope(site, drive) {
+    return { siteName: site.name, siteUrl: site.webUrl, driveName: drive.name || 'Documents' };
+}
+
+// Why a drive item is skipped: { rule, inherited } or null. Items inside an excluded folder are skipped
+// too (inherited) - traversal never lists them, but delta pages return the whole drive.
+function findPathSkip(rules, site, drive, item) {
+    if (item.root || rules.length === 0) return null;
+
+    const scope = pathRuleScope(site, drive);
+    const segments = driveRelativePath(item).split('/');
+
+    for (let i = 0; i < segments.length - 1; i++) {
+        const rule = excludingPathRule(rules, scope, { kind: 'folder', name: segments[i], path: segments.slice(0, i + 1).join('/') });
+        if (rule) return { rule, inherited: true };
+    }
+
+    const rule = excludingPathRule(rules, scope, { kind: item.folder ? 'folder' : 'file', name: item.name, path: segments.join('/') });
+    return rule ? { rule, inherited: false } : null;
+}
+
+// Drives and lists are matched by name against the 'libraries' rules
+function findLibrarySkip(rules, site, libraryName) {
+    const rule = excludingPathRule(rules, pathRuleScope(site, { name: libraryName }), { kind: 'library', name: libraryName, path: libraryName });
+    return rule ? { rule, inherited: false } : null;
+}
+
+function describePathRule(rule) {
+    if (rule.description) return rule.description;
+    const scope = [rule.site && `site ${rule.site}`, rule.drive && `library ${rule.drive}`].filter(Boolean).join(', ');
+    return `${rule.action} ${rule.syntax} ${rule.pattern}${scope ? ` (${scope})` : ''}`;
+}
+
+// DEPTH LIMITS - the drive root's children are at depth 1; a maxDepth of null (or 0) means unlimited
+function itemDepth(item) {
+    const parentPath = item && item.parentReference ? item.parentReference.path : null;
+    if (!parentPath) return null;
+    const rootIndex = parentPath.indexOf('root:');
+    if (rootIndex === -1) return null;
+    return parentPath.slice(rootIndex + 'root:'.length).split('/').filter(Boolean).length + 1;
+}
+
+function exceedsDepthLimit(item, maxDepth) {
+    if (!maxDepth) return false;
+    const depth = itemDepth(item);
+    return depth !== null && depth > maxDepth;
+}
+
+// A folder at the limit is still reported but its children are not listed
+function canDescendInto(folder, maxDepth) {
+    if (!maxDepth) return true;
+    const depth = itemDepth(folder);
+    return depth === null || depth < maxDepth;
+}
+
+// A folder at the limit whose children are left unlisted - recorded as skipped when it has any
+function stopsAtDepthLimit(item, maxDepth) {
+    return !!item.folder && item.folder.childCount !== 0 && !exceedsDepthLimit(item, maxDepth) && !canDescendInto(item, maxDepth);
+}
+
+// PERMISSION CLASSIFICATION FUNCTIONS
+// tenantDomains may be a Set (page) or an Array (worker messages cannot carry Sets cheaply)
+function isExternalUser(email, tenantDomains) {
+    if (!email) return false;
+    const emailDomain = email.toLowerCase().split('@')[1];
+    if (!emailDomain) return false;
+
+    for (const domain of tenantDomains) {
+        if (emailDomain === domain.toLowerCase()) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function isInternalUser(email, tenantDomains) {
+    if (!email) return false;
+    const emailDomain = email.toLowerCase().split('@')[1];
+    if (!emailDomain) return false;
+
+    for (const domain of tenantDomains) {
+        if (emailDomain === domain.toLowerCase()) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// ENHANCED PERMISSION CLASSIFICATION - FIXED TO ENFORCE CUSTOM INSTRUCTIONS AND HANDLE GROUPS
+function classifyPermission(permission, tenantDomains) {
+    debugLog('🔍 CLASSIFYING PERMISSION:', permission);
+    debugLog('🎯 TENANT DOMAINS FOR COMPARISON:', Array.from(tenantDomains));
+
+    let isExternal = false;
+    let isInternal = false;
+    let debugInfo = [];
+
+    // Anonymous links are always external
+    if (permission.link && permission.link.scope === 'anonymous') {
+        debugLog('✅ CLASSIFICATION: external (anonymous link)');
+        return 'external';
+    }
+
+    // Organization links are internal
+    if (permission.link && permission.link.scope === 'organization') {
+        debugLog('✅ CLASSIFICATION: internal (organization link)');
+        return 'internal';
+    }
+
+    // Group grants are internal unless membership expansion found guests or external members in the group
+    if (permission.grantedToV2 && permission.grantedToV2.group) {
+        const classification = classifyGroupGrant(permission);
+        debugLog(`✅ CLASSIFICATION: ${classification} (group permission)`);
+        return classification;
+    }
+
+    // Site groups are only classified once their members are known
+    if (permission.grantedToV2 && permission.grantedToV2.siteGroup && permission.groupMembership) {
+        const classification = classifyGroupGrant(permission);
+        debugLog(`✅ CLASSIFICATION: ${classification} (site group permission)`);
+        return classification;
+    }
+
+    // Check grantedTo user
+    if (permission.grantedTo && permission.grantedTo.user && permission.grantedTo.user.email) {
+        const email = permission.grantedTo.user.email;
+        const isExt = isExternalUser(email, tenantDomains);
+        debugInfo.push(`grantedTo: ${email} -> ${isExt ? 'EXTERNAL' : 'INTERNAL'}`);
+
+        if (isExt) {
+            isExternal = true;
+        } else {
+            isInternal = true;
+        }
+    }
+
+    // Check grantedToIdentitiesV2
+    if (Array.isArray(permission.grantedToIdentitiesV2)) {
+        for (const g of permission.grantedToIdentitiesV2) {
+            if (g.user && g.user.email) {
+                const email = g.user.email;
+                const isExt = isExternalUser(email, tenantDomains);
+                debugInfo.push(`grantedToIdentitiesV2: ${email} -> ${isExt ? 'EXTERNAL' : 'INTERNAL'}`);
+
+                if (isExt) {
+                    isExternal = true;
+                } else {
+                    isInternal = true;
+                }
+            } else if (g.group) {
+                // Groups in grantedToIdentitiesV2 are also internal
+                debugInfo.push(`grantedToIdentitiesV2.group: ${g.group.displayName} -> INTERNAL (organizational group)`);
+                isInternal = true;
+            }
+        }
+    }
+
+    // ❌ REMOVED INCORRECT ASSUMPTION: 'users' scope links can be shared with external users
+    // The previous code incorrectly assumed permission.link.scope === 'users' meant internal only
+
+    const result = isExternal && !isInternal ? 'external' :
+                  isInternal && !isExternal ? 'internal' :
+                  isExternal && isInternal ? 'mixed' : 'unknown';
+
+    debugLog(`🎯 CLASSIFICATION RESULT: ${result.toUpperCase()}`);
+    if (debugInfo.length > 0) {
+        debugLog('📋 DEBUG INFO:', debugInfo);
+    }
+
+    return result;
+}
+
+// GROUP GRANTS
+// permission.groupMembership ({ key, memberCount, externalMemberCount }) is attached by
+// scanningModule.expandGroupGrants; a group with any outsider in it is external exposure
+function classifyGroupGrant(permission) {
+    const membership = permission.groupMembership;
+    return membership && membership.externalMemberCount > 0 ? 'external' : 'internal';
+}
+
+// A group that could not be expanded (permission.groupExpansionError) may contain outsiders, so the
+// item holding the grant is unverified rather than internal; returns null when every group expanded
+function describeUnexpandedGroups(permissions) {
+    const failed = permissions.filter(p => p.groupExpansionError);
+    if (failed.length === 0) return null;
+
+    const names = new Set(failed.map(p => {
+        const grantee = p.grantedToV2 ? (p.grantedToV2.group || p.grantedToV2.siteGroup) : null;
+        return (grantee && grantee.displayName) || 'group';
+    }));
+    return {
+        status: null,
+        code: 'groupExpansionFailed',
+        message: `Members of ${Array.from(names).join(', ')} could not be expanded: ${failed[0].groupExpansionError}`
+    };
+}
+
+// ENHANCED FILTERING BASED ON SCAN SETTINGS - WITH DIRECT GRANTS CHECKBOX SUPPORT
+function shouldIncludePermission(permission, tenantDomains, sharingFilter, showDirectGrants = true) {
+    if (debugLogger) {
+        debugLog('🔍 ANALYZING PERMISSION FOR INCLUSION:', JSON.stringify(permission, null, 2));
+    }
+
+    const hasRegularGroup = permission.grantedToV2 && permission.grantedToV2.group;
+    const hasSiteGroup = permission.grantedToV2 && permission.grantedToV2.siteGroup;
+    const hasGroupPermission = hasRegularGroup || hasSiteGroup;
+    const hasDirectUserGrant = permission.grantedTo && permission.grantedTo.user && !permission.link;
+    const hasLinkSharing = permission.link;
+
+    debugLog('🔍 PERMISSION TYPE CHECK:', {
+        hasRegularGroup: hasRegularGroup,
+        hasSiteGroup: hasSiteGroup,
+        hasGroupPermission: hasGroupPermission,
+        hasDirectUserGrant: hasDirectUserGrant,
+        hasLinkSharing: hasLinkSharing
+    });
+
+    // ✅ Check direct grants checkbox - exclude direct user grants if checkbox is unchecked
+    if (hasDirectUserGrant && !showDirectGrants) {
+        debugLog('🚫 EXCLUDING DIRECT USER GRANT - checkbox is unchecked:', permission);
+        return false;
+    }
+
+    // Include remaining permission types
+    if (hasGroupPermission) {
+        debugLog('✅ INCLUDING GROUP PERMISSION:', permission);
+    }
+
+    if (hasDirectUserGrant && showDirectGrants) {
+        debugLog('✅ INCLUDING DIRECT USER GRANT - checkbox is checked:', permission);
+    }
+
+    if (hasLinkSharing) {
+        debugLog('✅ INCLUDING LINK-BASED PERMISSION:', permission);
+    }
+
+    const classification = classifyPermission(permission, tenantDomains);
+    debugLog('🎯 PERMISSION CLASSIFICATION:', classification);
+
+    let includeBasedOnFilter = false;
+    switch (sharingFilter) {
+        case 'external':
+            includeBasedOnFilter = classification === 'external' || classification === 'mixed';
+            break;
+        case 'internal':
+            includeBasedOnFilter = classification === 'internal' || classification === 'mixed';
+            break;
+        case 'all':
+            includeBasedOnFilter = true;
+            break;
+        default:
+            includeBasedOnFilter = classification === 'external' || classification === 'mixed';
+    }
+
+    debugLog('🎚️ FILTER DECISION:', {
+        sharingFilter: sharingFilter,
+        classification: classification,
+        includeBasedOnFilter: includeBasedOnFilter,
+        showDirectGrants: showDirectGrants,
+        finalDecision: includeBasedOnFilter
+    });
+
+    return includeBasedOnFilter;
+}
+
+// SHAREPOINT ROLE ASSIGNMENTS
+// List and list-item permissions come from the SharePoint REST API as role assignments; they are
+// reshaped into Graph permission objects so classification, filtering and display treat them alike
+const ROLE_TYPE_ROLES = {
+    2: 'read',      // Reader
+    3: 'write',     // Contributor
+    4: 'write',     // Web Designer
+    5: 'owner',     // Administrator (Full Control)
+    6: 'write'      // Editor
+};
+const LIMITED_ACCESS_ROLE_TYPE = 1; // Granted automatically alongside item-level shares - not a share itself
+
+// Guests without an Email value: i:0#.f|membership|bob_contoso.com#ext#@tenant.onmicrosoft.com -> bob@contoso.com
+function emailFromLoginName(loginName) {
+    if (!loginName) return '';
+    const claim = loginName.split('|').pop();
+    const guestMatch = /^(.+)_([^_]+)#ext#@/i.exec(claim);
+    if (guestMatch) return `${guestMatch[1]}@${guestMatch[2]}`;
+    return claim.includes('@') ? claim : '';
+}
+
+// Entra ID object id in a group claim: c:0o.c|federateddirectoryclaimprovider|<id>[_o] or c:0t.c|tenant|<id>
+function entraIdFromLoginName(loginName) {
+    const match = /\|([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})(_o)?$/i.exec(loginName || '');
+    return match ? match[1] : null;
+}
+
+function roleAssignmentToPermission(assignment) {
+    const member = assignment.Member || {};
+    const roles = (assignment.RoleDefinitionBindings || [])
+        .filter(binding => binding.RoleTypeKind !== LIMITED_ACCESS_ROLE_TYPE)
+        .map(binding => ROLE_TYPE_ROLES[binding.RoleTypeKind] || (binding.Name || 'custom').toLowerCase());
+
+    if (roles.length === 0) return null;
+
+    const permission = {
+        id: `roleAssignment-${assignment.PrincipalId}`,
+        roles: Array.from(new Set(roles)),
+        source: 'roleAssignment'
+    };
+
+    if (member.PrincipalType === 1) {
+        const user = { id: String(member.Id), displayName: member.Title, email: member.Email || emailFromLoginName(member.LoginName) };
+        permission.grantedTo = { user };
+        permission.grantedToV2 = { user };
+    } else if (member.PrincipalType === 8) {
+        permission.grantedToV2 = { siteGroup: { id: String(member.Id), displayName: member.Title, loginName: member.LoginName } };
+    } else {
+        permission.grantedToV2 = { group: { id: String(member.Id), displayName: member.Title, loginName: member.LoginName } };
+    }
+
+    return permission;
+}
+
+// EXTERNAL GRANTEES - the external email addresses a permission grants access to
+function externalEmailsFromPermission(permission, tenantDomains) {
+    const users = [];
+    if (permission.grantedTo && permission.grantedTo.user) users.push(permission.grantedTo.user);
+    if (permission.grantedToV2 && permission.grantedToV2.user) users.push(permission.grantedToV2.user);
+    [permission.grantedToIdentitiesV2, permission.grantedToIdentities].forEach(identities => {
+        if (Array.isArray(identities)) {
+            identities.forEach(g => { if (g.user) users.push(g.user); });
+        }
+    });
+
+    const emails = users
+        .map(user => (user.email || '').toLowerCase())
+        .filter(email => email && isExternalUser(email, tenantDomains));
+    return Array.from(new Set(emails));
+}
+
+// LABEL VS SHARING VIOLATIONS
+// rules: [{ labelPattern, forbiddenSharing: ['anonymous', 'external'] }] - the first rule whose pattern
+// occurs in the label name applies
+function findLabelViolations(label, permissions, tenantDomains, rules) {
+    if (!label || !label.name) return [];
+
+    const labelName = label.name.toLowerCase();
+    const rule = rules.find(r => labelName.includes(r.labelPattern.toLowerCase()));
+    if (!rule) return [];
+
+    const isAnonymous = p => !!(p.link && p.link.scope === 'anonymous');
+    const violations = [];
+
+    if (rule.forbiddenSharing.includes('anonymous') && permissions.some(isAnonymous)) {
+        violations.push(`${label.name} file has an anonymous link`);
+    }
+    if (rule.forbiddenSharing.includes('external') && permissions.some(p =>
+        !isAnonymous(p) && ['external', 'mixed'].includes(classifyPermission(p, tenantDomains))
+    )) {
+        violations.push(`${label.name} file is shared with external users`);
+    }
+
+    return violations;
+}
+
+// PATH FORMATTING UTILITIES
+function formatItemPath(parentPath, itemName, driveName = 'Documents', scanType = 'sharepoint') {
+    let itemPath = '';
+
+    if (scanType === 'onedrive') {
+        if (parentPath) {
+            let cleanPath = parentPath;
+            cleanPath = cleanPath.replace('/drive/root:', '');
+            cleanPath = cleanPath.replace(/^\/drives\/[^\/]+/, '');
+            itemPath = cleanPath ? `${cleanPath}/${itemName}` : `/${itemName}`;
+        } else {
+            itemPath = `/${itemName}`;
+        }
+    } else {
+        const drivePrefix = driveName || 'Documents';
+        if (parentPath) {
+            let cleanPath = parentPath;
+            cleanPath = cleanPath.replace('/drive/root:', '');
+            cleanPath = cleanPath.replace(/^\/drives\/[^\/]+/, '');
+            if (cleanPath && cleanPath !== '/') {
+                itemPath = `/${drivePrefix}${cleanPath}/${itemName}`;
+            } else {
+                itemPath = `/${drivePrefix}/${itemName}`;
+            }
+        } else {
+            itemPath = `/${drivePrefix}/${itemName}`;
+        }
+    }
+
+    // Clean up path
+    itemPath = itemPath.replace(/\/+/g, '/');
+    if (!itemPath.startsWith('/')) itemPath = '/' + itemPath;
+
+    return itemPath;
+}
+
+// PERMISSION INHERITANCE
+// Graph marks every permission an item gets from an ancestor with inheritedFrom. An item holding any
+// grant of its own has broken inheritance (unique permissions) and is itself a breakpoint; an item whose
+// permissions are all inherited points at the ancestor where inheritance was broken.
+function formatReferencePath(referencePath, driveName, scanType) {
+    if (!referencePath) return null;
+
+    const separator = referencePath.lastIndexOf('/');
+    const name = referencePath.slice(separator + 1);
+    if (/root:?$/.test(name)) {
+        return scanType === 'onedrive' ? '/' : `/${driveName || 'Documents'}`;
+    }
+    return formatItemPath(referencePath.slice(0, separator), name, driveName, scanType);
+}
+
+function describeInheritance(allPermissions, interesting, drive, scanType) {
+    if (allPermissions.length === 0 || allPermissions.some(p => !p.inheritedFrom)) {
+        return { permissionInheritance: 'unique', inheritanceBreakpoint: null };
+    }
+
+    // The displayed grants decide which ancestor the result is collapsed under
+    const source = (interesting.find(p => p.inheritedFrom) || allPermissions[0]).inheritedFrom;
+    return {
+        permissionInheritance: 'inherited',
+        inheritanceBreakpoint: {
+            itemId: source.id || null,
+            path: formatReferencePath(source.path, drive.name, scanType)
+        }
+    };
+}
+
+// ITEM METADATA
+function identityName(identitySet) {
+    const identity = identitySet && (identitySet.user || identitySet.application || identitySet.device);
+    return identity ? (identity.displayName || identity.email || null) : null;
+}
+
+function fileExtension(name) {
+    const dot = (name || '').lastIndexOf('.');
+    return dot > 0 ? name.slice(dot + 1).toLowerCase() : null;
+}
+
+// Dates stay ISO strings; fields Graph did not return are null
+function describeItemMetadata(item) {
+    return {
+        createdDateTime: item.createdDateTime || null,
+        lastModifiedDateTime: item.lastModifiedDateTime || null,
+        createdBy: identityName(item.createdBy),
+        lastModifiedBy: identityName(item.lastModifiedBy),
+        size: typeof item.size === 'number' ? item.size : null,
+        mimeType: item.file ? item.file.mimeType || null : null,
+        fileExtension: item.folder ? null : fileExtension(item.name)
+    };
+}
+
+// SCAN RESULT RECORD - the shape every scan path pushes into configModule.results
+// Stores BOTH the filtered permissions (display) AND all permissions (owner detection)
+function buildScanResult(site, drive, item, allPermissions, interesting, scanType) {
+    return {
+        siteName: scanType === 'onedrive' ? 'OneDrive' : site.name,
+        siteUrl: site.webUrl,
+        driveId: drive.id,
+        itemId: item.id,
+        itemName: item.name,
+        itemPath: formatItemPath(item.parentReference?.path, item.name, drive.name, scanType),
+        itemType: item.folder ? 'folder' : 'file',
+        permissions: interesting, // Filtered permissions for display
+        allPermissions: allPermissions, // Complete permissions set for owner detection
+        scanType: scanType,
+        driveName: drive.name || (scanType === 'onedrive' ? 'OneDrive' : 'Documents'),
+        ...describeInheritance(allPermissions, interesting, drive, scanType),
+        ...describeItemMetadata(item)
+    };
+}
+
+// SKIPPED PATH RECORDS - the audit trail of what a scan deliberately did not examine.
+// item is null when a whole library is skipped; reason is 'path-rule' or 'depth-limit'.
+function buildSkippedEntry(site, drive, item, scanType, reason, rule = null) {
+    const driveName = drive.name || (scanType === 'onedrive' ? 'OneDrive' : 'Documents');
+    return {
+        siteName: scanType === 'onedrive' ? 'OneDrive' : site.name,
+        siteUrl: site.webUrl,
+        driveId: drive.id,
+        driveName: driveName,
+        itemId: item ? item.id : null,
+        itemName: item ? item.name : driveName,
+        itemPath: item ? formatItemPath(item.parentReference?.path, item.name, drive.name, scanType) : `/${driveName}`,
+        itemType: item ? (item.folder ? 'folder' : 'file') : 'library',
+        scanType: scanType,
+        reason: reason,
+        ruleId: rule ? rule.id : null,
+        rule: rule ? describePathRule(rule) : null
+    };
+}
+
+// Export functions for use in other modules (self is window on the page and the worker scope in scan-worker.js)
+self.classifierModule = {
+    // Constants
+    BUILT_IN_PATH_RULES,
+    ITEM_METADATA_FIELDS,
+
+    // Logging
+    setDebugLogger,
+
+    // Path rules
+    globToRegExp,
+    validatePathRule,
+    getCompiledPathRules,
+    driveRelativePath,
+    findPathSkip,
+    findLibrarySkip,
+    describePathRule,
+
+    // Depth limits
+    itemDepth,
+    exceedsDepthLimit,
+    canDescendInto,
+    stopsAtDepthLimit,
+
+    // Skipped paths
+    buildSkippedEntry,
+
+    // Permission classification
+    isExternalUser,
+    isInternalUser,
+    classifyPermission,
+    shouldIncludePermission,
+
+    // SharePoint role assignments
+    emailFromLoginName,
+    entraIdFromLoginName,
+    roleAssignmentToPermission,
+
+    // Group grants
+    classifyGroupGrant,
+    describeUnexpandedGroups,
+
+    // External grantees
+    externalEmailsFromPermission,
+
+    // Sensitivity labels
+    findLabelViolations,
+
+    // Item metadata
+    identityName,
+    fileExtension,
+    describeItemMetadata,
+
+    // Paths and results
+    formatItemPath,
+    describeInheritance,
+    buildScanResult
+};
+})();
@@ -2,23 +2,8 @@
 // Contains constants, utility functions, permission classification, and helper methods
 
 // APPLICATION CONSTANTS
-const SKIP_FOLDERS = [
-    'Forms', 'SiteAssets', '_catalogs', 'Style Library', 'SitePages', 
-    'Lists', 'PublishingImages', 'SiteCollectionImages', 'MasterPageGallery',
-    '_themes', '_layouts', '_vti_', 'wpresources', 'ClientSideAssets'
-];
-
-// SHAREPOINT PRESERVATION HOLD LIBRARY PATTERNS
-// These patterns identify SharePoint preservation hold libraries used for legal hold and compliance
-const PRESERVATION_HOLD_PATTERNS = [
-    'Preservation Hold Library',
-    'Preservation Hold',
-    'Hold Library',
-    'PreservationHoldLibrary',
-    'Legal Hold',
-    'Compliance Hold',
-    'eDiscovery Hold'
-];
+// Path rules and classification live in classifier.js so the scan worker shares them.
+const classifier = window.classifierModule;
 
 // DEFAULT SHAREPOINT GROUPS - Groups typically created automatically by SharePoint
 const DEFAULT_SHAREPOINT_GROUPS = [
@@ -46,11 +31,97 @@ const APP_CONFIG = {
     throttleDelay: 500
 };
 
+// CLOUD ENVIRONMENTS - Graph endpoint and Entra ID authority host per national cloud
+const CLOUD_ENVIRONMENTS = {
+    global: {
+        name: 'Global (Commercial / GCC)',
+        graphEndpoint: 'https://graph.microsoft.com',
+        authorityHost: 'https://login.microsoftonline.com'
+    },
+    usgov: {
+        name: 'US Government (GCC High)',
+        graphEndpoint: 'https://graph.microsoft.us',
+        authorityHost: 'https://login.microsoftonline.us'
+    },
+    dod: {
+        name: 'US Government (DoD)',
+        graphEndpoint: 'https://dod-graph.microsoft.us',
+        authorityHost: 'https://login.microsoftonline.us'
+    },
+    china: {
+        name: 'China (21Vianet)',
+        graphEndpoint: 'https://microsoftgraph.chinacloudapi.cn',
+        authorityHost: 'https://login.chinacloudapi.cn'
+    },
+    custom: {
+        name: 'Custom endpoint',
+        graphEndpoint: null, // Supplied by the user, e.g. http://localhost:8080 for a local Graph stand-in
+        authorityHost: null
+    }
+};
+
+const GRAPH_API_VERSION = 'v1.0';
+
+// CLOUD ENVIRONMENT SELECTION - persisted so authority and Graph calls agree across reloads
+let cloudSettings = {
+    environment: localStorage.getItem('sp_scanner_cloud_env') || 'global',
+    customGraphEndpoint: localStorage.getItem('sp_scanner_custom_graph_endpoint') || '',
+    customAuthorityHost: localStorage.getItem('sp_scanner_custom_authority_host') || ''
+};
+
+// SCAN BUDGETS - null means no limit; items are items whose permissions were examined
+const DEFAULT_SCAN_BUDGET = {
+    maxItems: null,
+    maxGraphCalls: null,
+    maxMinutes: null
+};
+
 // ENHANCED SCAN SETTINGS - UPDATED DEFAULTS FOR COMPREHENSIVE SCANNING
 let scanSettings = {
     sharingFilter: 'all', // external, internal, all - DEFAULT: all sharing
-    contentScope: 'all'    // folders, all - DEFAULT: all content (files + folders)
+    contentScope: 'all',   // folders, all - DEFAULT: all content (files + folders)
+    rescanMode: 'full',    // full, changes - changes resumes from the stored delta link per drive
+    traversalMode: 'single-pass', // single-pass (children with expanded permissions), per-item (separate /permissions reads)
+    maxDepth: null,        // Folder levels below the drive root to scan - null scans the whole drive
+    driveBudget: { ...DEFAULT_SCAN_BUDGET },  // Limits for each drive - a drive that reaches one is kept as partial
+    scanBudget: { ...DEFAULT_SCAN_BUDGET }    // Limits for the whole scan - reaching one stops the scan, resumable
+};
+
+// SITE PICKER FILTERS - applied to discovered sites before selection/scanning
+const DEFAULT_SITE_FILTERS = {
+    text: '',               // Matches site name or URL
+    template: 'all',        // WebTemplate (e.g. GROUP#0, SITEPAGEPUBLISHING#0) or 'all'
+    groupConnection: 'all', // all, connected, standalone
+    hub: 'all',             // all, hub, associated, none
+    createdAfter: '',       // YYYY-MM-DD
+    modifiedAfter: '',      // YYYY-MM-DD
+    modifiedBefore: ''      // YYYY-MM-DD
 };
+let siteFilters = { ...DEFAULT_SITE_FILTERS };
+
+// ONEDRIVE USER DISCOVERY FILTERS - applied server-side when discovering users
+const DEFAULT_USER_FILTERS = {
+    accountEnabled: 'all',   // all, enabled, disabled
+    userType: 'all',         // all, Member, Guest
+    department: '',
+    companyName: '',
+    usageLocation: '',       // Two-letter country code, e.g. US
+    licenseSkuId: 'all',     // skuId GUID or 'all'
+    checkProvisioning: true  // Check each user's OneDrive so scans can skip unprovisioned users
+};
+let userFilters = { ...DEFAULT_USER_FILTERS };
+
+// LABEL VS SHARING RULES - sharing that a file's sensitivity label does not allow. The first rule whose
+// pattern occurs in the label name applies (case-insensitive), so more specific patterns go first.
+let labelSharingRules = [
+    { labelPattern: 'highly confidential', forbiddenSharing: ['anonymous', 'external'] },
+    { labelPattern: 'restricted', forbiddenSharing: ['anonymous', 'external'] },
+    { labelPattern: 'confidential', forbiddenSharing: ['anonymous'] }
+];
+
+// CUSTOM PATH RULES - applied after classifier.js's built-in rules (see BUILT_IN_PATH_RULES there)
+const PATH_RULES_STORAGE_KEY = 'sp_scanner_path_rules';
+let pathRules = loadPathRules();
 
 // APPLICATION STATE
 let sites = [];
@@ -58,9 +129,15 @@ let users = [];
 let selectedSiteIds = new Set();
 let selectedUserIds = new Set();
 let results = [];
+let unverifiedItems = []; // Items whose permissions could not be read (throttled, forbidden, locked...)
+let skippedPaths = []; // Libraries and folders a scan deliberately did not examine (path rules, depth limit)
+let partialDrives = []; // Drives a scan budget or unlisted folders cut short - their frontier is kept in the scan checkpoint
+let inboundShares = []; // Items outside organizations shared into our users' OneDrives (sharedWithMe)
+let guestAccounts = new Map(); // External grantee email -> directory guest account lookup (see scanningModule.enrichGuestAccounts)
+let groupMemberships = new Map(); // Group grant key -> expanded members (see scanningModule.expandGroupGrants)
 let scanning = false;
 let tenantDomains = new Set();
-let controller = { stop: false };
+let controller = createScanController();
 let bulkCsvData = [];
 let debugEnabled = true; // Debug console output enabled by default
 
@@ -74,184 +151,22 @@ function showToast(msg, timeout = 3000) {
     }
 }
 
-function shouldSkipFolder(folderName) {
-    if (!folderName) return true;
-    if (folderName.startsWith('_') || folderName.startsWith('.')) return true;
-    return SKIP_FOLDERS.some(skip => 
-        folderName.toLowerCase().includes(skip.toLowerCase())
-    );
-}
-
 // PERMISSION CLASSIFICATION FUNCTIONS
 function isExternalUser(email, tenantDomains) {
-    if (!email) return false;
-    const emailDomain = email.toLowerCase().split('@')[1];
-    if (!emailDomain) return false;
-    
-    for (const domain of tenantDomains) {
-        if (emailDomain === domain.toLowerCase()) {
-            return false;
-        }
-    }
-    return true;
+    return classifier.isExternalUser(email, tenantDomains);
 }
 
 function isInternalUser(email, tenantDomains) {
-    if (!email) return false;
-    const emailDomain = email.toLowerCase().split('@')[1];
-    if (!emailDomain) return false;
-    
-    for (const domain of tenantDomains) {
-        if (emailDomain === domain.toLowerCase()) {
-            return true;
-        }
-    }
-    return false;
+    return classifier.isInternalUser(email, tenantDomains);
 }
 
-// ENHANCED PERMISSION CLASSIFICATION - FIXED TO ENFORCE CUSTOM INSTRUCTIONS AND HANDLE GROUPS
 function classifyPermission(permission, tenantDomains) {
-    debugLog('🔍 CLASSIFYING PERMISSION:', permission);
-    debugLog('🎯 TENANT DOMAINS FOR COMPARISON:', Array.from(tenantDomains));
-    
-    let isExternal = false;
-    let isInternal = false;
-    let debugInfo = [];
-    
-    // Anonymous links are always external
-    if (permission.link && permission.link.scope === 'anonymous') {
-        debugLog('✅ CLASSIFICATION: external (anonymous link)');
-        return 'external';
-    }
-    
-    // Organization links are internal
-    if (permission.link && permission.link.scope === 'organization') {
-        debugLog('✅ CLASSIFICATION: internal (organization link)');
-        return 'internal';
-    }
-    
-    // Check for group permission in grantedToV2 - GROUPS ARE ALWAYS INTERNAL
-    if (permission.grantedToV2 && permission.grantedToV2.group) {
-        const group = permission.grantedToV2.group;
-        debugInfo.push(`grantedToV2.group: ${group.displayName} -> INTERNAL (organizational group)`);
-        debugLog('✅ CLASSIFICATION: internal (group permission)');
-        return 'internal';
-    }
-    
-    // Check grantedTo user
-    if (permission.grantedTo && permission.grantedTo.user && permission.grantedTo.user.email) {
-        const email = permission.grantedTo.user.email;
-        const isExt = isExternalUser(email, tenantDomains);
-        debugInfo.push(`grantedTo: ${email} -> ${isExt ? 'EXTERNAL' : 'INTERNAL'}`);
-        
-        if (isExt) {
-            isExternal = true;
-        } else {
-            isInternal = true;
-        }
-    }
-    
-    // Check grantedToIdentitiesV2
-    if (Array.isArray(permission.grantedToIdentitiesV2)) {
-        for (const g of permission.grantedToIdentitiesV2) {
-            if (g.user && g.user.email) {
-                const email = g.user.email;
-                const isExt = isExternalUser(email, tenantDomains);
-                debugInfo.push(`grantedToIdentitiesV2: ${email} -> ${isExt ? 'EXTERNAL' : 'INTERNAL'}`);
-                
-                if (isExt) {
-                    isExternal = true;
-                } else {
-                    isInternal = true;
-                }
-            } else if (g.group) {
-                // Groups in grantedToIdentitiesV2 are also internal
-                debugInfo.push(`grantedToIdentitiesV2.group: ${g.group.displayName} -> INTERNAL (organizational group)`);
-                isInternal = true;
-            }
-        }
-    }
-    
-    // ❌ REMOVED INCORRECT ASSUMPTION: 'users' scope links can be shared with external users
-    // The previous code incorrectly assumed permission.link.scope === 'users' meant internal only
-    
-    const result = isExternal && !isInternal ? 'external' : 
-                  isInternal && !isExternal ? 'internal' : 
-                  isExternal && isInternal ? 'mixed' : 'unknown';
-    
-    debugLog(`🎯 CLASSIFICATION RESULT: ${result.toUpperCase()}`);
-    if (debugInfo.length > 0) {
-        debugLog('📋 DEBUG INFO:', debugInfo);
-    }
-    
-    return result;
+    return classifier.classifyPermission(permission, tenantDomains);
 }
 
-// ENHANCED FILTERING BASED ON SCAN SETTINGS - WITH DIRECT GRANTS CHECKBOX SUPPORT
+// Direct user grants follow the "show direct grants" checkbox on the page
 function shouldIncludePermission(permission, tenantDomains, sharingFilter) {
-    debugLog('🔍 ANALYZING PERMISSION FOR INCLUSION:', JSON.stringify(permission, null, 2));
-    
-    const hasRegularGroup = permission.grantedToV2 && permission.grantedToV2.group;
-    const hasSiteGroup = permission.grantedToV2 && permission.grantedToV2.siteGroup;
-    const hasGroupPermission = hasRegularGroup || hasSiteGroup;
-    const hasDirectUserGrant = permission.grantedTo && permission.grantedTo.user && !permission.link;
-    const hasLinkSharing = permission.link;
-    
-    debugLog('🔍 PERMISSION TYPE CHECK:', {
-        hasRegularGroup: hasRegularGroup,
-        hasSiteGroup: hasSiteGroup,
-        hasGroupPermission: hasGroupPermission,
-        hasDirectUserGrant: hasDirectUserGrant,
-        hasLinkSharing: hasLinkSharing
-    });
-    
-    // ✅ Check direct grants checkbox - exclude direct user grants if checkbox is unchecked
-    const showDirectGrants = shouldShowDirectGrants();
-    if (hasDirectUserGrant && !showDirectGrants) {
-        debugLog('🚫 EXCLUDING DIRECT USER GRANT - checkbox is unchecked:', permission);
-        return false;
-    }
-    
-    // Include remaining permission types
-    if (hasGroupPermission) {
-        debugLog('✅ INCLUDING GROUP PERMISSION:', permission);
-    }
-    
-    if (hasDirectUserGrant && showDirectGrants) {
-        debugLog('✅ INCLUDING DIRECT USER GRANT - checkbox is checked:', permission);
-    }
-    
-    if (hasLinkSharing) {
-        debugLog('✅ INCLUDING LINK-BASED PERMISSION:', permission);
-    }
-    
-    const classification = classifyPermission(permission, tenantDomains);
-    debugLog('🎯 PERMISSION CLASSIFICATION:', classification);
-    
-    let includeBasedOnFilter = false;
-    switch (sharingFilter) {
-        case 'external':
-            includeBasedOnFilter = classification === 'external' || classification === 'mixed';
-            break;
-        case 'internal':
-            includeBasedOnFilter = classification === 'internal' || classification === 'mixed';
-            break;
-        case 'all':
-            includeBasedOnFilter = true;
-            break;
-        default:
-            includeBasedOnFilter = classification === 'external' || classification === 'mixed';
-    }
-    
-    debugLog('🎚️ FILTER DECISION:', {
-        sharingFilter: sharingFilter,
-        classification: classification,
-        includeBasedOnFilter: includeBasedOnFilter,
-        showDirectGrants: showDirectGrants,
-        finalDecision: includeBasedOnFilter
-    });
-    
-    return includeBasedOnFilter;
+    return classifier.shouldIncludePermission(permission, tenantDomains, sharingFilter, shouldShowDirectGrants());
 }
 
 // PERMISSION EXTRACTION UTILITIES - FIXED FOR CORRECT API PROPERTIES
@@ -286,14 +201,7 @@ function extractUserFromPermission(p, tenantDomains) {
     
     // Check for direct user grant (but this should be excluded by shouldIncludePermission)
     if (p.grantedTo && p.grantedTo.user && p.grantedTo.user.email) {
-        const displayName = p.grantedTo.user.displayName;
-        let email = p.grantedTo.user.email;
-        
-        if (displayName && displayName !== email) {
-            who = `${displayName} (${email})`;
-        } else {
-            who = email;
-        }
+        who = formatGrantee(p.grantedTo.user.displayName, p.grantedTo.user.email, tenantDomains);
     }
     
     // Handle grantedToIdentitiesV2 if it exists (for older API versions or different structures)
@@ -301,20 +209,7 @@ function extractUserFromPermission(p, tenantDomains) {
         const parts = [];
         for (const g of p.grantedToIdentitiesV2) {
             if (g.user) {
-                const displayName = g.user.displayName;
-                let email = g.user.email;
-                
-                let userDisplay = '';
-                if (displayName && email && displayName !== email) {
-                    userDisplay = `${displayName} (${email})`;
-                } else if (email) {
-                    userDisplay = email;
-                } else if (displayName) {
-                    userDisplay = displayName;
-                } else {
-                    userDisplay = '(user)';
-                }
-                parts.push(userDisplay);
+                parts.push(formatGrantee(g.user.displayName, g.user.email, tenantDomains));
             } else if (g.group) {
                 parts.push(g.group.displayName || g.group.email || '(group)');
             }
@@ -333,6 +228,29 @@ function extractUserFromPermission(p, tenantDomains) {
     return who;
 }
 
+// GUEST ACCOUNT STATUS - set on each guestAccounts record by scanningModule.enrichGuestAccounts
+const GUEST_STATUS_LABELS = {
+    active: 'active guest',
+    pending: 'invitation not redeemed',
+    disabled: 'guest disabled',
+    'no-account': 'no guest account',
+    unknown: 'guest lookup failed'
+};
+
+// Short guest status for an external email, or null when it was not looked up
+function describeGuestAccount(email) {
+    const record = email ? guestAccounts.get(email.toLowerCase()) : null;
+    return record ? GUEST_STATUS_LABELS[record.status] : null;
+}
+
+function formatGrantee(displayName, email, tenantDomains) {
+    let display = displayName && email && displayName !== email ? `${displayName} (${email})` : (email || displayName || '(user)');
+    
+    const guestStatus = email && tenantDomains && classifier.isExternalUser(email, tenantDomains) ? describeGuestAccount(email) : null;
+    if (guestStatus) display += ` [${guestStatus}]`;
+    return display;
+}
+
 function extractExpirationDate(permission) {
     if (permission.expirationDateTime) {
         try {
@@ -356,6 +274,12 @@ function extractExpirationDate(permission) {
 // STATE MANAGEMENT FUNCTIONS
 function clearResults() {
     results = [];
+    unverifiedItems = [];
+    skippedPaths = [];
+    partialDrives = [];
+    inboundShares = [];
+    guestAccounts = new Map();
+    groupMemberships = new Map();
     const resultsContainer = document.getElementById('results-container');
     if (resultsContainer) {
         resultsContainer.innerHTML = '<div class="empty-state"><p>No scan results yet. Configure scan options and run a scan to discover sharing.</p></div>';
@@ -376,6 +300,26 @@ function clearResults() {
         bulkControls.style.display = 'none';
     }
     
+    const unverifiedSection = document.getElementById('unverified-items-section');
+    if (unverifiedSection) {
+        unverifiedSection.style.display = 'none';
+    }
+    
+    const partialSection = document.getElementById('partial-drives-section');
+    if (partialSection) {
+        partialSection.style.display = 'none';
+    }
+    
+    const skippedSection = document.getElementById('skipped-paths-section');
+    if (skippedSection) {
+        skippedSection.style.display = 'none';
+    }
+    
+    const inboundSection = document.getElementById('inbound-shares-section');
+    if (inboundSection) {
+        inboundSection.style.display = 'none';
+    }
+    
     // Update result count
     const resultCount = document.getElementById('result-count');
     if (resultCount) {
@@ -402,6 +346,11 @@ function clearSitesAndUsers() {
         sitesContainer.innerHTML = '<div class="empty-state"><p>Click "Discover Sites" to load your SharePoint sites</p></div>';
     }
     
+    const siteFiltersBar = document.getElementById('site-filters');
+    if (siteFiltersBar) {
+        siteFiltersBar.style.display = 'none';
+    }
+    
     const sitesCount = document.getElementById('sites-count');
     if (sitesCount) {
         sitesCount.innerText = 'No sites loaded';
@@ -452,49 +401,231 @@ function clearSitesAndUsers() {
     }
 }
 
+// UNVERIFIED ITEM TRACKING - permission reads that failed must not look like "not shared"
+function recordUnverifiedItem(entry) {
+    const existingIndex = unverifiedItems.findIndex(u => u.driveId === entry.driveId && u.itemId === entry.itemId);
+    const record = { ...entry, recordedAt: new Date().toISOString() };
+    
+    if (existingIndex !== -1) {
+        unverifiedItems[existingIndex] = record;
+    } else {
+        unverifiedItems.push(record);
+    }
+    
+    criticalWarn(`⚠️ UNVERIFIED ${entry.itemType || 'item'}: ${entry.itemPath || entry.itemName} (HTTP ${entry.status || 'n/a'} ${entry.errorCode || ''})`);
+}
+
+function removeUnverifiedItem(driveId, itemId) {
+    unverifiedItems = unverifiedItems.filter(u => !(u.driveId === driveId && u.itemId === itemId));
+}
+
+// SKIPPED PATH TRACKING - auditors need to see what was not examined, not only what was
+function recordSkippedPath(entry) {
+    const key = `${entry.driveId}|${entry.itemId}`;
+    const existingIndex = skippedPaths.findIndex(s => `${s.driveId}|${s.itemId}` === key);
+    const record = { ...entry, recordedAt: new Date().toISOString() };
+    
+    if (existingIndex !== -1) {
+        skippedPaths[existingIndex] = record;
+    } else {
+        skippedPaths.push(record);
+    }
+    
+    debugLog(`⏭️ SKIPPED ${entry.itemType}: ${entry.itemPath} (${entry.reason === 'depth-limit' ? 'depth limit' : entry.rule})`);
+}
+
 function updateScanSettings(newSettings) {
     scanSettings = { ...scanSettings, ...newSettings };
     debugLog('Scan settings updated:', scanSettings);
 }
 
+function updateSiteFilters(newFilters) {
+    siteFilters = { ...siteFilters, ...newFilters };
+    debugLog('Site filters updated:', siteFilters);
+}
+
+// SITE FILTER MATCHING
+function siteMatchesFilters(site, filters = siteFilters) {
+    if (filters.text) {
+        const text = filters.text.toLowerCase();
+        const name = (site.name || site.displayName || '').toLowerCase();
+        const url = (site.webUrl || '').toLowerCase();
+        // Channel sites also match on their team and channel names
+        const team = site.teamChannel ? `${site.teamChannel.teamName} ${site.teamChannel.channelName}`.toLowerCase() : '';
+        if (!name.includes(text) && !url.includes(text) && !team.includes(text)) return false;
+    }
+    
+    if (filters.template !== 'all' && (site.template || 'Unknown') !== filters.template) {
+        return false;
+    }
+    
+    if (filters.groupConnection === 'connected' && !site.isGroupConnected) return false;
+    if (filters.groupConnection === 'standalone' && site.isGroupConnected) return false;
+    
+    if (filters.hub === 'hub' && !site.isHubSite) return false;
+    if (filters.hub === 'associated' && (site.isHubSite || !site.hubSiteId)) return false;
+    if (filters.hub === 'none' && (site.isHubSite || site.hubSiteId)) return false;
+    
+    const created = site.createdDateTime ? new Date(site.createdDateTime) : null;
+    const modified = site.lastModifiedDateTime ? new Date(site.lastModifiedDateTime) : null;
+    
+    if (filters.createdAfter && (!created || created < new Date(filters.createdAfter))) return false;
+    if (filters.modifiedAfter && (!modified || modified < new Date(filters.modifiedAfter))) return false;
+    if (filters.modifiedBefore && (!modified || modified > new Date(filters.modifiedBefore + 'T23:59:59'))) return false;
+    
+    return true;
+}
+
+function updateUserFilters(newFilters) {
+    userFilters = { ...userFilters, ...newFilters };
+    debugLog('User filters updated:', userFilters);
+}
+
+// SCAN CONTROLLER - the Stop button sets stop; scanning.js installs budgetCheck so a used-up scan
+// budget reads as stop too, and every loop that honours the Stop button winds down on its own
+function createScanController() {
+    let stopRequested = false;
+    return {
+        budgetCheck: null,
+        get stopRequested() { return stopRequested; },
+        get stop() { return stopRequested || !!(this.budgetCheck && this.budgetCheck()); },
+        set stop(value) { stopRequested = value; }
+    };
+}
+
 function resetScanController() {
-    controller = { stop: false };
+    controller = createScanController();
 }
 
-// PATH FORMATTING UTILITIES
-function formatItemPath(parentPath, itemName, driveName = 'Documents', scanType = 'sharepoint') {
-    let itemPath = '';
-    
-    if (scanType === 'onedrive') {
-        if (parentPath) {
-            let cleanPath = parentPath;
-            cleanPath = cleanPath.replace('/drive/root:', '');
-            cleanPath = cleanPath.replace(/^\/drives\/[^\/]+/, '');
-            itemPath = cleanPath ? `${cleanPath}/${itemName}` : `/${itemName}`;
-        } else {
-            itemPath = `/${itemName}`;
+// CLOUD ENVIRONMENT UTILITIES
+function trimTrailingSlashes(url) {
+    return (url || '').trim().replace(/\/+$/, '');
+}
+
+function isValidEndpointUrl(url) {
+    try {
+        const parsed = new URL(url);
+        // Plain http is only accepted for a local Graph stand-in
+        if (parsed.protocol === 'https:') return true;
+        return parsed.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+    } catch (e) {
+        return false;
+    }
+}
+
+function getCloudEnvironment() {
+    return CLOUD_ENVIRONMENTS[cloudSettings.environment] ? cloudSettings.environment : 'global';
+}
+
+function getGraphEndpoint() {
+    const environment = getCloudEnvironment();
+    if (environment === 'custom') {
+        const custom = trimTrailingSlashes(cloudSettings.customGraphEndpoint);
+        // A custom endpoint may already include the version segment
+        return custom.replace(new RegExp(`/${GRAPH_API_VERSION.replace('.', '\\.')}$`), '') || CLOUD_ENVIRONMENTS.global.graphEndpoint;
+    }
+    return CLOUD_ENVIRONMENTS[environment].graphEndpoint;
+}
+
+function getGraphBaseUrl() {
+    return `${getGraphEndpoint()}/${GRAPH_API_VERSION}`;
+}
+
+function getAuthorityHost() {
+    const environment = getCloudEnvironment();
+    if (environment === 'custom') {
+        return trimTrailingSlashes(cloudSettings.customAuthorityHost) || CLOUD_ENVIRONMENTS.global.authorityHost;
+    }
+    return CLOUD_ENVIRONMENTS[environment].authorityHost;
+}
+
+// Scopes must name the Graph resource of the selected cloud; bare scopes resolve to global Graph
+function getGraphScopes(scopes) {
+    if (getCloudEnvironment() === 'global') return scopes;
+    const resource = getGraphEndpoint();
+    return scopes.map(scope => scope.includes('://') ? scope : `${resource}/${scope}`);
+}
+
+function updateCloudSettings(newSettings) {
+    const merged = { ...cloudSettings, ...newSettings };
+
+    if (!CLOUD_ENVIRONMENTS[merged.environment]) {
+        throw new Error(`Unknown cloud environment: ${merged.environment}`);
+    }
+    if (merged.environment === 'custom') {
+        if (!isValidEndpointUrl(trimTrailingSlashes(merged.customGraphEndpoint))) {
+            throw new Error('Custom Graph endpoint must be an https URL (or http://localhost)');
         }
-    } else {
-        const drivePrefix = driveName || 'Documents';
-        if (parentPath) {
-            let cleanPath = parentPath;
-            cleanPath = cleanPath.replace('/drive/root:', '');
-            cleanPath = cleanPath.replace(/^\/drives\/[^\/]+/, '');
-            if (cleanPath && cleanPath !== '/') {
-                itemPath = `/${drivePrefix}${cleanPath}/${itemName}`;
-            } else {
-                itemPath = `/${drivePrefix}/${itemName}`;
-            }
-        } else {
-            itemPath = `/${drivePrefix}/${itemName}`;
+        if (merged.customAuthorityHost && !isValidEndpointUrl(trimTrailingSlashes(merged.customAuthorityHost))) {
+            throw new Error('Custom authority host must be an https URL (or http://localhost)');
         }
     }
+
+    cloudSettings = merged;
+    localStorage.setItem('sp_scanner_cloud_env', cloudSettings.environment);
+    localStorage.setItem('sp_scanner_custom_graph_endpoint', cloudSettings.customGraphEndpoint || '');
+    localStorage.setItem('sp_scanner_custom_authority_host', cloudSettings.customAuthorityHost || '');
+
+    console.log(`☁️ CLOUD: Using ${CLOUD_ENVIRONMENTS[cloudSettings.environment].name} - Graph ${getGraphBaseUrl()}, authority ${getAuthorityHost()}`);
+}
+
+// PATH RULE PERSISTENCE
+function loadPathRules() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PATH_RULES_STORAGE_KEY) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        console.warn('⚠️ PATH RULES: Could not read saved rules:', error);
+        return [];
+    }
+}
+
+// Rebuilds a custom rule from known fields only; throws when the rule cannot be used
+function normalizePathRule(rule) {
+    if (!rule || typeof rule !== 'object') throw new Error('Path rule is not an object');
+    
+    const normalized = {
+        id: typeof rule.id === 'string' && rule.id ? rule.id : `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        action: rule.action === 'include' ? 'include' : 'exclude',
+        syntax: rule.syntax === 'regex' ? 'regex' : 'glob',
+        appliesTo: ['folders', 'items', 'libraries'].includes(rule.appliesTo) ? rule.appliesTo : 'items',
+        pattern: typeof rule.pattern === 'string' ? rule.pattern.trim() : '',
+        site: typeof rule.site === 'string' ? rule.site.trim() : '',
+        drive: typeof rule.drive === 'string' ? rule.drive.trim() : ''
+    };
     
-    // Clean up path
-    itemPath = itemPath.replace(/\/+/g, '/');
-    if (!itemPath.startsWith('/')) itemPath = '/' + itemPath;
-    
-    return itemPath;
+    const problem = classifier.validatePathRule(normalized);
+    if (problem) throw new Error(`Path rule "${normalized.pattern}": ${problem}`);
+    return normalized;
+}
+
+// Replaces the custom rules; throws on the first invalid rule so nothing half-applies
+function updatePathRules(rules) {
+    pathRules = rules.map(normalizePathRule);
+    localStorage.setItem(PATH_RULES_STORAGE_KEY, JSON.stringify(pathRules));
+    debugLog('Path rules updated:', pathRules);
+}
+
+// PATH FORMATTING UTILITIES
+function formatItemPath(parentPath, itemName, driveName = 'Documents', scanType = 'sharepoint') {
+    return classifier.formatItemPath(parentPath, itemName, driveName, scanType);
+}
+
+// ITEM METADATA FORMATTING
+function formatFileSize(bytes) {
+    if (typeof bytes !== 'number') return 'n/a';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+function formatItemDate(isoDate) {
+    return isoDate ? new Date(isoDate).toLocaleDateString() : 'n/a';
 }
 
 // VALIDATION UTILITIES
@@ -862,16 +993,10 @@ function debugInfo(...args) {
     }
 }
 
-// PRESERVATION HOLD LIBRARY DETECTION
-function isPreservationHoldLibrary(libraryName) {
-    if (!libraryName) return false;
-    
-    const libraryNameLower = libraryName.toLowerCase();
-    return PRESERVATION_HOLD_PATTERNS.some(pattern => 
-        libraryNameLower.includes(pattern.toLowerCase())
-    );
-}
+// Classification debug output follows the same checkbox
+classifier.setDebugLogger(debugLog);
 
+// PRESERVATION HOLD LIBRARY EXCLUSION - switches the built-in hold rules in classifier.js on and off
 function shouldExcludePreservationHolds() {
     const checkbox = document.getElementById('exclude-preservation-holds');
     const isChecked = checkbox ? checkbox.checked : true; // ✅ Default to true (exclude preservation holds)
@@ -882,67 +1007,92 @@ function shouldExcludePreservationHolds() {
     return isChecked;
 }
 
-function shouldSkipPreservationHoldLibrary(libraryName) {
-    const checkboxEnabled = shouldExcludePreservationHolds();
-    const isHoldLibrary = isPreservationHoldLibrary(libraryName);
-    
-    // ENHANCED Debug logging for preservation hold detection - Uses debug function
-    debugLog('🔍 PRESERVATION HOLD DEBUG:', {
-        libraryName: libraryName,
-        checkboxEnabled: checkboxEnabled,
-        isHoldLibrary: isHoldLibrary,
-        patterns: PRESERVATION_HOLD_PATTERNS,
-        willSkip: checkboxEnabled && isHoldLibrary
-    });
-    
-    // Only skip if BOTH conditions are true:
-    // 1. The checkbox is checked (exclusion enabled) 
-    // 2. The library matches a preservation hold pattern
-    if (checkboxEnabled && isHoldLibrary) {
-        debugLog('🚫 SKIPPING PRESERVATION HOLD LIBRARY:', libraryName);
-        return true;
-    }
-    
-    if (isHoldLibrary && !checkboxEnabled) {
-        debugLog('✅ PRESERVATION HOLD DETECTED but INCLUSION enabled (checkbox unchecked):', libraryName);
-    }
-    
-    if (!isHoldLibrary) {
-        debugLog('✅ NOT A PRESERVATION HOLD LIBRARY:', libraryName);
-    }
-    
-    return false;
+// PATH RULE DECISIONS - built-in and custom rules as they stand right now
+function activePathRules() {
+    return classifier.getCompiledPathRules(pathRules, shouldExcludePreservationHolds());
+}
+
+function findActivePathSkip(site, drive, item) {
+    return classifier.findPathSkip(activePathRules(), site, drive, item);
+}
+
+function findActiveLibrarySkip(site, libraryName) {
+    return classifier.findLibrarySkip(activePathRules(), site, libraryName);
+}
+
+// GROUP MEMBERSHIP EXPANSION TOGGLE
+function shouldExpandGroupMembers() {
+    const checkbox = document.getElementById('expand-group-members');
+    return checkbox ? checkbox.checked : true; // Default to expanding group grants to their members
+}
+
+// GUEST ACCOUNT ENRICHMENT TOGGLE
+function shouldEnrichGuestAccounts() {
+    const checkbox = document.getElementById('enrich-guest-accounts');
+    return checkbox ? checkbox.checked : true; // Default to resolving external grantees against the directory
+}
+
+// SENSITIVITY LABEL TOGGLE
+function shouldReadSensitivityLabels() {
+    const checkbox = document.getElementById('read-sensitivity-labels');
+    return checkbox ? checkbox.checked : true; // Default to enriching shared files with their labels
+}
+
+// SHAREPOINT LIST SCANNING TOGGLE
+function shouldScanSharePointLists() {
+    const checkbox = document.getElementById('scan-sharepoint-lists');
+    return checkbox ? checkbox.checked : true; // Default to scanning lists alongside drives
 }
 
 // EXPORT FUNCTIONS AND VARIABLES
 window.configModule = {
     // Constants
-    SKIP_FOLDERS,
     APP_CONFIG,
-    
+    CLOUD_ENVIRONMENTS,
+    DEFAULT_SITE_FILTERS,
+    DEFAULT_USER_FILTERS,
+    DEFAULT_SCAN_BUDGET,
+
     // State Variables
+    get cloudSettings() { return cloudSettings; },
     get scanSettings() { return scanSettings; },
+    get labelSharingRules() { return labelSharingRules; },
+    get siteFilters() { return siteFilters; },
+    get userFilters() { return userFilters; },
     get sites() { return sites; },
     get users() { return users; },
     get selectedSiteIds() { return selectedSiteIds; },
     get selectedUserIds() { return selectedUserIds; },
     get results() { return results; },
+    get unverifiedItems() { return unverifiedItems; },
+    get skippedPaths() { return skippedPaths; },
+    get partialDrives() { return partialDrives; },
+    get pathRules() { return pathRules; },
+    get inboundShares() { return inboundShares; },
+    get guestAccounts() { return guestAccounts; },
+    get groupMemberships() { return groupMemberships; },
     get scanning() { return scanning; },
     get tenantDomains() { return tenantDomains; },
     get controller() { return controller; },
     get bulkCsvData() { return bulkCsvData; },
     
     // State Setters
+    set labelSharingRules(value) { labelSharingRules = value; },
     set sites(value) { sites = value; },
     set users(value) { users = value; },
     set results(value) { results = value; },
+    set unverifiedItems(value) { unverifiedItems = value; },
+    set skippedPaths(value) { skippedPaths = value; },
+    set partialDrives(value) { partialDrives = value; },
+    set inboundShares(value) { inboundShares = value; },
+    set guestAccounts(value) { guestAccounts = value; },
+    set groupMemberships(value) { groupMemberships = value; },
     set scanning(value) { scanning = value; },
     set tenantDomains(value) { tenantDomains = value; },
     set bulkCsvData(value) { bulkCsvData = value; },
     
     // Utility Functions
     showToast,
-    shouldSkipFolder,
     
     // Permission Classification
     isExternalUser,
@@ -956,11 +1106,29 @@ window.configModule = {
     clearResults,
     clearSitesAndUsers,
     updateScanSettings,
+    updateSiteFilters,
+    siteMatchesFilters,
+    updateUserFilters,
+    recordUnverifiedItem,
+    removeUnverifiedItem,
+    recordSkippedPath,
     resetScanController,
-    
+
+    // Cloud Environment
+    getCloudEnvironment,
+    getGraphEndpoint,
+    getGraphBaseUrl,
+    getAuthorityHost,
+    getGraphScopes,
+    updateCloudSettings,
+
     // Path Utilities
     formatItemPath,
     
+    // Item metadata formatting
+    formatFileSize,
+    formatItemDate,
+    
     // Validation
     validateTenantAndClientIds,
     validateCSVData,
@@ -983,9 +1151,27 @@ window.configModule = {
     formatDirectGrantDisplay,
     
     // Preservation Hold Libraries
-    isPreservationHoldLibrary,
     shouldExcludePreservationHolds,
-    shouldSkipPreservationHoldLibrary,
+    
+    // Path rules
+    normalizePathRule,
+    updatePathRules,
+    findActivePathSkip,
+    findActiveLibrarySkip,
+    
+    // SharePoint lists
+    shouldScanSharePointLists,
+    
+    // Sensitivity labels
+    shouldReadSensitivityLabels,
+    
+    // Group membership
+    shouldExpandGroupMembers,
+    
+    // Guest accounts
+    shouldEnrichGuestAccounts,
+    GUEST_STATUS_LABELS,
+    describeGuestAccount,
     
     // Debug Console Output
     isDebugEnabled,
@@ -63,6 +63,13 @@ function extractOwnersForExport(result, configModule) {
     return result_text;
 }
 
+// Workbooks exported while a scan profile is loaded are named after it
+function profileFilenamePrefix() {
+    const profilesModule = window.profilesModule;
+    const profile = profilesModule ? profilesModule.getActiveProfile() : null;
+    return profile ? `${profilesModule.profileSlug(profile.name)}_` : '';
+}
+
 // EXCEL EXPORT FUNCTIONALITY
 function exportResults() {
     const configModule = window.configModule;
@@ -166,11 +173,24 @@ function exportResults() {
                     'Item Name': result.itemName,
                     'Item Path': result.itemPath,
                     'Item Type': result.itemType || 'folder',
+                    'Created': result.createdDateTime || 'N/A',
+                    'Created By': result.createdBy || 'N/A',
+                    'Modified': result.lastModifiedDateTime || 'N/A',
+                    'Modified By': result.lastModifiedBy || 'N/A',
+                    'Size (Bytes)': typeof result.size === 'number' ? result.size : 'N/A',
+                    'MIME Type': result.mimeType || 'N/A',
+                    'File Extension': result.fileExtension || 'N/A',
+                    'Permission Inheritance': result.permissionInheritance || 'N/A',
+                    'Inheritance Breakpoint': describeInheritanceBreakpoint(result),
+                    'Sensitivity Label': describeSensitivityLabel(result),
+                    'Label Violations': (result.labelViolations || []).join('; '),
                     'Owners': owners,
                     'Who Has Access': who,
                     'Permission Level': roles,
                     'Sharing Type': classification.toUpperCase(),
                     'Link Expiration': expiration,
+                    'Group Members': permission.groupMembership ? permission.groupMembership.memberCount : 'N/A',
+                    'External Group Members': permission.groupMembership ? permission.groupMembership.externalMemberCount : 'N/A',
                     
                     // Enhanced Direct Grants Information - Using improved config module functions
                     'Is Direct Grant': isDirectGrantPermission ? 'YES' : 'NO',
@@ -213,8 +233,14 @@ function exportResults() {
         const ws = XLSX.utils.json_to_sheet(exportData);
         const wb = XLSX.utils.book_new();
         XLSX.utils.book_append_sheet(wb, ws, 'Enhanced Sharing Report');
+        appendUnverifiedItemsSheet(wb, configModule);
+        appendSkippedPathsSheet(wb, configModule);
+        appendPartialDrivesSheet(wb, configModule);
+        appendInboundSharesSheet(wb, configModule);
+        appendGroupMembersSheet(wb, configModule);
+        appendGuestAccountsSheet(wb, configModule);
         
-        const filename = `sharepoint_onedrive_enhanced_sharing_${new Date().toISOString().slice(0,10)}.xlsx`;
+        const filename = `${profileFilenamePrefix()}sharepoint_onedrive_enhanced_sharing_${new Date().toISOString().slice(0,10)}.xlsx`;
         XLSX.writeFile(wb, filename);
         
         if (configModule.showToast) {
@@ -226,6 +252,265 @@ function exportResults() {
     }
 }
 
+// UNVERIFIED ITEMS SHEET - items whose permissions could not be read are listed so they can be rescanned
+function appendUnverifiedItemsSheet(wb, configModule) {
+    const unverified = configModule.unverifiedItems || [];
+    if (unverified.length === 0) return;
+    
+    const unverifiedData = unverified.map(u => ({
+        'Source': u.scanType === 'onedrive' ? 'OneDrive' : 'SharePoint',
+        'Site Name': u.siteName,
+        'Site URL': u.siteUrl || '',
+        'Drive ID': u.driveId,
+        'Drive Name': u.driveName,
+        'Item ID': u.itemId,
+        'Item Name': u.itemName,
+        'Item Path': u.itemPath,
+        'Item Type': u.itemType,
+        'HTTP Status': u.status || 'N/A',
+        'Error Code': u.errorCode,
+        'Error Message': u.errorMessage,
+        'Recorded At': u.recordedAt
+    }));
+    
+    const ws = XLSX.utils.json_to_sheet(unverifiedData);
+    XLSX.utils.book_append_sheet(wb, ws, 'Unverified Items');
+}
+
+// SKIPPED PATHS SHEET - what the scan deliberately did not examine, and which rule decided it
+function appendSkippedPathsSheet(wb, configModule) {
+    const skipped = configModule.skippedPaths || [];
+    if (skipped.length === 0) return;
+    
+    const skippedData = skipped.map(entry => ({
+        'Source': entry.scanType === 'onedrive' ? 'OneDrive' : 'SharePoint',
+        'Site Name': entry.siteName,
+        'Site URL': entry.siteUrl || '',
+        'Drive ID': entry.driveId,
+        'Drive Name': entry.driveName,
+        'Item ID': entry.itemId || 'N/A',
+        'Item Path': entry.itemPath,
+        'Item Type': entry.itemType,
+        'Reason': entry.reason === 'depth-limit' ? 'Depth limit - contents not listed' : 'Path rule',
+        'Rule': entry.rule || 'N/A',
+        'Rule ID': entry.ruleId || 'N/A',
+        'Recorded At': entry.recordedAt
+    }));
+    
+    const ws = XLSX.utils.json_to_sheet(skippedData);
+    XLSX.utils.book_append_sheet(wb, ws, 'Skipped Paths');
+}
+
+// PARTIAL DRIVES SHEET - drives a scan budget or unlisted folders cut short; their results are incomplete until resumed
+function appendPartialDrivesSheet(wb, configModule) {
+    const partial = configModule.partialDrives || [];
+    if (partial.length === 0) return;
+    
+    const partialData = partial.map(entry => ({
+        'Source': entry.scanType === 'onedrive' ? 'OneDrive' : 'SharePoint',
+        'Site Name': entry.siteName,
+        'Site URL': entry.siteUrl || '',
+        'Drive ID': entry.driveId,
+        'Drive Name': entry.driveName,
+        'Stopped By': entry.reason,
+        'Stopped At': entry.markedAt
+    }));
+    
+    const ws = XLSX.utils.json_to_sheet(partialData);
+    XLSX.utils.book_append_sheet(wb, ws, 'Partial Drives');
+}
+
+// INBOUND SHARES SHEET - content outside organizations have shared with our users
+function appendInboundSharesSheet(wb, configModule) {
+    const inbound = configModule.inboundShares || [];
+    if (inbound.length === 0) return;
+    
+    const inboundData = inbound.map(record => ({
+        'Remote Tenant': record.remoteTenant,
+        'Remote Host': record.remoteHost || 'N/A',
+        'Sharer Name': record.sharerName,
+        'Sharer Email': record.sharerEmail || 'N/A',
+        'Sharer Domain': record.sharerDomain || 'N/A',
+        'Item Name': record.itemName,
+        'Item Type': record.itemType,
+        'Item URL': record.webUrl || 'N/A',
+        'Role': record.role,
+        'Shared With': record.userName,
+        'Shared With UPN': record.userPrincipalName || 'N/A',
+        'Shared On': record.sharedDateTime || 'N/A',
+        'Remote Drive ID': record.remoteDriveId || 'N/A',
+        'Remote Item ID': record.itemId
+    }));
+    
+    const ws = XLSX.utils.json_to_sheet(inboundData);
+    XLSX.utils.book_append_sheet(wb, ws, 'Inbound Shares');
+}
+
+// GROUP MEMBERS SHEET - one row per member of every group grant expanded during the scan
+function appendGroupMembersSheet(wb, configModule) {
+    if (configModule.groupMemberships.size === 0) return;
+    
+    const memberData = [];
+    configModule.groupMemberships.forEach(record => {
+        const group = record.displayName || record.key;
+        if (record.error) {
+            memberData.push({ 'Group': group, 'Group Key': record.key, 'Member': 'N/A', 'Email': 'N/A', 'User Type': 'N/A', 'External': 'N/A', 'Error': record.error });
+            return;
+        }
+        record.members.forEach(member => memberData.push({
+            'Group': group,
+            'Group Key': record.key,
+            'Member': member.displayName,
+            'Email': member.email || 'N/A',
+            'User Type': member.userType || 'N/A',
+            'External': member.external ? 'YES' : 'NO',
+            'Error': ''
+        }));
+    });
+    
+    if (memberData.length === 0) return;
+    const ws = XLSX.utils.json_to_sheet(memberData);
+    XLSX.utils.book_append_sheet(wb, ws, 'Group Members');
+}
+
+// GUEST ACCOUNTS SHEET - directory state of every external grantee, with the items shared to them
+function appendGuestAccountsSheet(wb, configModule) {
+    if (configModule.guestAccounts.size === 0) return;
+    
+    const itemCounts = new Map();
+    configModule.results.forEach(result => {
+        const emails = new Set();
+        (result.permissions || []).forEach(permission => {
+            window.classifierModule.externalEmailsFromPermission(permission, configModule.tenantDomains).forEach(email => emails.add(email));
+        });
+        emails.forEach(email => itemCounts.set(email, (itemCounts.get(email) || 0) + 1));
+    });
+    
+    const guestData = Array.from(configModule.guestAccounts.values()).map(record => ({
+        'Email': record.email,
+        'Status': configModule.GUEST_STATUS_LABELS[record.status],
+        'Guest Account Exists': record.exists === null ? 'Unknown' : (record.exists ? 'Yes' : 'No'),
+        'Display Name': record.displayName || 'N/A',
+        'User Type': record.userType || 'N/A',
+        'Redemption State': record.redemptionState || 'N/A',
+        'Redemption State Changed': record.redemptionStateChangedDateTime || 'N/A',
+        'Account Enabled': record.exists ? (record.accountEnabled ? 'Yes' : 'No') : 'N/A',
+        'Created': record.createdDateTime || 'N/A',
+        'Last Sign-In': record.lastSignInDateTime || 'N/A',
+        'Invited By': record.invitedBy || 'N/A',
+        'Shared Items': itemCounts.get(record.email) || 0,
+        'Lookup Error': record.error || ''
+    }));
+    
+    const ws = XLSX.utils.json_to_sheet(guestData);
+    XLSX.utils.book_append_sheet(wb, ws, 'Guest Accounts');
+}
+
+// INBOUND SHARING EXPORT - the inventory on its own, with a per-tenant summary
+function exportInboundShares() {
+    const configModule = window.configModule;
+    
+    if (!configModule || configModule.inboundShares.length === 0) {
+        alert('No inbound shares to export. Run the Inbound Sharing Inventory first.');
+        return;
+    }
+    
+    try {
+        const wb = XLSX.utils.book_new();
+        appendInboundSharesSheet(wb, configModule);
+        
+        const tenants = new Map();
+        configModule.inboundShares.forEach(record => {
+            if (!tenants.has(record.remoteTenant)) {
+                tenants.set(record.remoteTenant, { items: 0, users: new Set(), sharers: new Set() });
+            }
+            const tenant = tenants.get(record.remoteTenant);
+            tenant.items++;
+            tenant.users.add(record.userPrincipalName || record.userName);
+            tenant.sharers.add(record.sharerEmail || record.sharerName);
+        });
+        
+        const summaryData = Array.from(tenants.entries()).map(([name, tenant]) => ({
+            'Remote Tenant': name,
+            'Items': tenant.items,
+            'Users Reached': tenant.users.size,
+            'Sharers': tenant.sharers.size
+        }));
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(summaryData), 'Remote Tenants');
+        
+        const filename = `inbound_sharing_inventory_${new Date().toISOString().slice(0,10)}.xlsx`;
+        XLSX.writeFile(wb, filename);
+        
+        if (configModule.showToast) {
+            configModule.showToast(`Exported ${configModule.inboundShares.length} inbound shares to ${filename}`);
+        }
+    } catch (error) {
+        console.error('Inbound export error:', error);
+        alert('Export failed: ' + error.message);
+    }
+}
+
+// SNAPSHOT DIFF EXPORT - every change between the compared result sets, with a summary sheet
+function exportSnapshotDiff() {
+    const configModule = window.configModule;
+    const snapshotsModule = window.snapshotsModule;
+    const diff = snapshotsModule ? snapshotsModule.currentDiff : null;
+    
+    if (!diff) {
+        alert('No snapshot comparison to export. Compare two snapshots first.');
+        return;
+    }
+    
+    try {
+        const wb = XLSX.utils.book_new();
+        const labels = snapshotsModule.CHANGE_TYPE_LABELS;
+        
+        const summaryData = [
+            { 'Field': 'Earlier Set', 'Value': diff.base.name },
+            { 'Field': 'Earlier Set Taken', 'Value': new Date(diff.base.createdAt).toLocaleString() },
+            { 'Field': 'Earlier Set Sharing Filter', 'Value': diff.base.sharingFilter },
+            { 'Field': 'Later Set', 'Value': diff.compare.name },
+            { 'Field': 'Later Set Taken', 'Value': new Date(diff.compare.createdAt).toLocaleString() },
+            { 'Field': 'Later Set Sharing Filter', 'Value': diff.compare.sharingFilter },
+            { 'Field': 'Compared', 'Value': new Date(diff.comparedAt).toLocaleString() },
+            { 'Field': 'Total Changes', 'Value': diff.summary.total },
+            ...Object.keys(labels).map(type => ({ 'Field': labels[type], 'Value': diff.summary.counts[type] })),
+            { 'Field': 'Drives Only In Earlier Set', 'Value': diff.summary.drivesOnlyInBase }
+        ];
+        XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(summaryData), 'Diff Summary');
+        
+        const changeData = diff.changes.map(change => ({
+            'Change': labels[change.changeType],
+            'Site': change.siteName || '',
+            'Site URL': change.siteUrl || '',
+            'Item Path': change.itemPath,
+            'Item Type': change.itemType,
+            'Grantee': change.grantee,
+            'Before': change.before || '',
+            'After': change.after || '',
+            'Scan Type': change.scanType,
+            'Item URL': change.webUrl || '',
+            'Drive ID': change.driveId,
+            'Item ID': change.itemId,
+            'Permission ID': change.permissionId
+        }));
+        const ws = changeData.length > 0
+            ? XLSX.utils.json_to_sheet(changeData)
+            : XLSX.utils.aoa_to_sheet([['No changes between the compared result sets']]);
+        XLSX.utils.book_append_sheet(wb, ws, 'Changes');
+        
+        const filename = `${profileFilenamePrefix()}snapshot_diff_${new Date().toISOString().slice(0,10)}.xlsx`;
+        XLSX.writeFile(wb, filename);
+        
+        if (configModule && configModule.showToast) {
+            configModule.showToast(`Exported ${diff.changes.length} changes to ${filename}`);
+        }
+    } catch (error) {
+        console.error('Snapshot diff export error:', error);
+        alert('Export failed: ' + error.message);
+    }
+}
+
 // BULK OPERATIONS CSV TEMPLATE DOWNLOAD
 function downloadCSVTemplate() {
     const template = [
@@ -494,6 +779,11 @@ function generateExportStatistics(results) {
         oneDriveItems: results.filter(r => r.scanType === 'onedrive').length,
         foldersCount: results.filter(r => r.itemType === 'folder').length,
         filesCount: results.filter(r => r.itemType === 'file').length,
+        uniquePermissionItems: results.filter(r => r.permissionInheritance === 'unique').length,
+        inheritedPermissionItems: results.filter(r => r.permissionInheritance === 'inherited').length,
+        labeledFiles: results.filter(r => r.sensitivityLabel).length,
+        totalFileSize: results.reduce((total, r) => total + (typeof r.size === 'number' && r.itemType === 'file' ? r.size : 0), 0),
+        labelViolationItems: results.filter(r => r.labelViolations && r.labelViolations.length > 0).length,
         externalSharingCount: 0,
         internalSharingCount: 0,
         mixedSharingCount: 0,
@@ -638,11 +928,24 @@ function exportResultsWithStatistics() {
                         'Item Name': result.itemName,
                         'Item Path': result.itemPath,
                         'Item Type': result.itemType || 'folder',
+                        'Created': result.createdDateTime || 'N/A',
+                        'Created By': result.createdBy || 'N/A',
+                        'Modified': result.lastModifiedDateTime || 'N/A',
+                        'Modified By': result.lastModifiedBy || 'N/A',
+                        'Size (Bytes)': typeof result.size === 'number' ? result.size : 'N/A',
+                        'MIME Type': result.mimeType || 'N/A',
+                        'File Extension': result.fileExtension || 'N/A',
+                        'Permission Inheritance': result.permissionInheritance || 'N/A',
+                        'Inheritance Breakpoint': describeInheritanceBreakpoint(result),
+                        'Sensitivity Label': describeSensitivityLabel(result),
+                        'Label Violations': (result.labelViolations || []).join('; '),
                         'Owners': owners,
                         'Who Has Access': who,
                         'Permission Level': roles,
                         'Sharing Type': classification.toUpperCase(),
                         'Link Expiration': expiration,
+                        'Group Members': permission.groupMembership ? permission.groupMembership.memberCount : 'N/A',
+                        'External Group Members': permission.groupMembership ? permission.groupMembership.externalMemberCount : 'N/A',
                         
                         // Enhanced Direct Grants Information - Using improved config module functions
                         'Is Direct Grant': isDirectGrantPermission ? 'YES' : 'NO',
@@ -690,6 +993,11 @@ function exportResultsWithStatistics() {
             statisticsData.push(['OneDrive Items', stats.oneDriveItems]);
             statisticsData.push(['Folders', stats.foldersCount]);
             statisticsData.push(['Files', stats.filesCount]);
+            statisticsData.push(['Total Size of Shared Files', configModule.formatFileSize(stats.totalFileSize)]);
+            statisticsData.push(['Unique Permissions (breakpoints)', stats.uniquePermissionItems]);
+            statisticsData.push(['Inherited Permissions', stats.inheritedPermissionItems]);
+            statisticsData.push(['Labeled Files', stats.labeledFiles]);
+            statisticsData.push(['Label Violations', stats.labelViolationItems]);
             statisticsData.push(['']);
             statisticsData.push(['External Sharing Items', stats.externalSharingCount]);
             statisticsData.push(['Internal Sharing Items', stats.internalSharingCount]);
@@ -699,6 +1007,9 @@ function exportResultsWithStatistics() {
             statisticsData.push(['Link-based Permissions', stats.linkPermissions]);
             statisticsData.push(['Direct Permissions', stats.directPermissions]);
             statisticsData.push(['Expired Permissions', stats.expiredPermissions]);
+            statisticsData.push(['Unverified Items', configModule.unverifiedItems.length]);
+            statisticsData.push(['Skipped Paths', configModule.skippedPaths.length]);
+            statisticsData.push(['Partially Scanned Drives', configModule.partialDrives.length]);
             statisticsData.push(['']);
             statisticsData.push(['Scan Date', new Date().toLocaleDateString()]);
             statisticsData.push(['Scan Time', new Date().toLocaleTimeString()]);
@@ -718,7 +1029,21 @@ function exportResultsWithStatistics() {
             XLSX.utils.book_append_sheet(wb, ws2, 'Statistics');
         }
         
-        const filename = `sharepoint_onedrive_enhanced_sharing_${new Date().toISOString().slice(0,10)}.xlsx`;
+        // Unverified items sheet
+        appendUnverifiedItemsSheet(wb, configModule);
+        
+        // Skipped paths sheet
+        appendSkippedPathsSheet(wb, configModule);
+        
+        // Partially scanned drives sheet
+        appendPartialDrivesSheet(wb, configModule);
+        
+        // Inbound sharing sheet
+        appendInboundSharesSheet(wb, configModule);
+        appendGroupMembersSheet(wb, configModule);
+        appendGuestAccountsSheet(wb, configModule);
+        
+        const filename = `${profileFilenamePrefix()}sharepoint_onedrive_enhanced_sharing_${new Date().toISOString().slice(0,10)}.xlsx`;
         XLSX.writeFile(wb, filename);
         
         if (configModule.showToast) {
@@ -791,11 +1116,22 @@ async function initializeCsvExport() {
             'Item Name',
             'Item Path',
             'Item Type',
+            'Created',
+            'Created By',
+            'Modified',
+            'Modified By',
+            'Size (Bytes)',
+            'MIME Type',
+            'File Extension',
+            'Permission Inheritance',
+            'Inheritance Breakpoint',
             'Owners',
             'Who Has Access',
             'Permission Level',
             'Sharing Type',
-            'Link Expiration'
+            'Link Expiration',
+            'Group Members',
+            'External Group Members'
         ].join(',') + '\n';
         
         await csvWriterStream.write(headers);
@@ -895,11 +1231,22 @@ async function writeResultToCsv(result) {
                     escapeCsvValue(result.itemName),
                     escapeCsvValue(result.itemPath),
                     result.itemType || 'folder',
+                    result.createdDateTime || 'N/A',
+                    escapeCsvValue(result.createdBy || 'N/A'),
+                    result.lastModifiedDateTime || 'N/A',
+                    escapeCsvValue(result.lastModifiedBy || 'N/A'),
+                    typeof result.size === 'number' ? result.size : 'N/A',
+                    escapeCsvValue(result.mimeType || 'N/A'),
+                    escapeCsvValue(result.fileExtension || 'N/A'),
+                    result.permissionInheritance || 'N/A',
+                    escapeCsvValue(describeInheritanceBreakpoint(result)),
                     escapeCsvValue(owners),
                     escapeCsvValue(who),
                     escapeCsvValue(roles),
                     classification.toUpperCase(),
-                    escapeCsvValue(expiration)
+                    escapeCsvValue(expiration),
+                    permission.groupMembership ? permission.groupMembership.memberCount : 'N/A',
+                    permission.groupMembership ? permission.groupMembership.externalMemberCount : 'N/A'
                 ].join(',') + '\n';
                 
                 await csvWriterStream.write(csvRow);
@@ -919,6 +1266,23 @@ async function writeResultToCsv(result) {
     }
 }
 
+// Where the result's grants are actually set: the item itself when its permissions are unique,
+// otherwise the ancestor it inherits them from
+function describeInheritanceBreakpoint(result) {
+    if (result.permissionInheritance === 'unique') return result.itemPath;
+    if (result.permissionInheritance === 'inherited' && result.inheritanceBreakpoint) {
+        return result.inheritanceBreakpoint.path || result.inheritanceBreakpoint.itemId || 'Unknown';
+    }
+    return 'N/A';
+}
+
+// Label name, "None" for unlabeled files, "N/A" when the label was not read
+function describeSensitivityLabel(result) {
+    if (result.sensitivityLabel) return result.sensitivityLabel.name;
+    if (result.sensitivityLabel === null) return 'None';
+    return result.sensitivityLabelError ? 'Could not be read' : 'N/A';
+}
+
 // Escape CSV values to handle commas, quotes, and newlines
 function escapeCsvValue(value) {
     if (value === null || value === undefined) {
@@ -1073,6 +1437,13 @@ window.exportModule = {
     exportResults,
     exportResultsWithStatistics,
     
+    // Inbound sharing inventory
+    exportInboundShares,
+    appendInboundSharesSheet,
+    
+    // Snapshot diff
+    exportSnapshotDiff,
+    
     // Bulk operations
     downloadCSVTemplate,
     handleCSVUpload,
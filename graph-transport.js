@@ -0,0 +1,699 @@
+// graph-transport.js - Graph Transport Module for SharePoint & OneDrive Scanner v3.0
+// Request queue with priority lanes and adaptive concurrency, Graph requests with retry and
+// throttling, and the $batch permission and folder-listing reads. Shared by api.js on the page and
+// by scan-worker.js inside the scan worker (loaded there with importScripts); each side supplies
+// its tokens, fetch, call counting and recording through createGraphClient.
+// Kept in its own function scope so api.js can keep its own names for what it re-exports
+(function () {
+
+// DRIVE ITEM METADATA SELECT - from classifier.js, which both sides load first
+const ITEM_METADATA_SELECT = self.classifierModule.ITEM_METADATA_FIELDS;
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// REQUEST QUEUE PRIORITY LANES
+// Each lane gets `weight` dispatches per scheduling round while others are waiting, so a long
+// scan still progresses but a click never sits behind hundreds of traversal calls. Lanes with
+// burst slots may run that many requests above the adaptive concurrency limit.
+const REQUEST_LANES = {
+    INTERACTIVE: 'interactive', // Single-item actions clicked in the results (expiration, disable links, refresh)
+    REMEDIATION: 'remediation', // Bulk permission changes from CSV
+    SCAN: 'scan'                // Discovery and traversal traffic
+};
+
+const LANE_CONFIG = {
+    [REQUEST_LANES.INTERACTIVE]: { weight: 8, burstSlots: 2 },
+    [REQUEST_LANES.REMEDIATION]: { weight: 4, burstSlots: 1 },
+    [REQUEST_LANES.SCAN]: { weight: 1, burstSlots: 0 }
+};
+
+// REQUEST QUEUE CLASS FOR THROTTLING AND RATE LIMITING
+// Concurrency and inter-request delay self-tune on an additive-increase / multiplicative-decrease
+// model: a run of healthy responses opens the queue up one slot at a time, while 429/503s,
+// Retry-After and a low RateLimit-Remaining cut it back sharply.
+// throttleState ({ isThrottled, resumeTime }) is set by the Graph client while Graph has asked
+// everyone to back off; the queue dispatches nothing until it has passed.
+class RequestQueue {
+    constructor(maxConcurrent = 2, delayBetweenRequests = 500, adaptiveOptions = null, throttleState = { isThrottled: false, resumeTime: 0 }) {
+        this.maxConcurrent = maxConcurrent;
+        this.delayBetweenRequests = delayBetweenRequests;
+        this.running = 0;
+        this.throttleState = throttleState;
+
+        // One FIFO per lane, listed highest priority first
+        this.lanes = {};
+        Object.entries(LANE_CONFIG).forEach(([name, config]) => {
+            this.lanes[name] = { ...config, queue: [], running: 0, credits: config.weight };
+        });
+
+        this.adaptive = adaptiveOptions ? {
+            minConcurrent: 1,
+            maxConcurrent: 16,
+            minDelay: 25,
+            maxDelay: 5000,
+            delayStep: 25,              // Additive delay decrease per healthy window
+            decreaseFactor: 0.5,        // Multiplicative concurrency decrease on throttling
+            successesPerIncrease: 20,   // Consecutive healthy responses before opening a slot
+            lowRemainingThreshold: 100, // RateLimit-Remaining below this blocks growth
+            criticalRemainingThreshold: 20, // ...and below this backs off
+            decreaseCooldownMs: 2000,   // Ignore follow-up throttles from requests already in flight
+            windowSize: 50,             // Sliding window used to compute the throttle rate
+            maxThrottleRate: 0.05,      // Back off when more than 5% of recent responses are throttled
+            ...adaptiveOptions
+        } : null;
+
+        this.consecutiveSuccesses = 0;
+        this.lastDecreaseTime = 0;
+        this.recentStatuses = [];
+    }
+
+    async add(requestFn, lane = REQUEST_LANES.SCAN) {
+        const target = this.lanes[lane] || this.lanes[REQUEST_LANES.SCAN];
+        return new Promise((resolve, reject) => {
+            target.queue.push({ requestFn, resolve, reject });
+            this.process();
+        });
+    }
+
+    // Total requests waiting across all lanes
+    get queue() {
+        return Object.values(this.lanes).flatMap(lane => lane.queue);
+    }
+
+    // WEIGHTED ROUND ROBIN ACROSS LANES
+    // Returns the name of the lane to dispatch from next, or null if nothing can run right now
+    selectLane() {
+        const entries = Object.entries(this.lanes);
+        const canRun = ([, lane]) => lane.queue.length > 0 && this.running < this.maxConcurrent + lane.burstSlots;
+
+        const candidates = entries.filter(canRun);
+        if (candidates.length === 0) return null;
+
+        // Start a new round once every waiting lane has used up its share
+        if (!candidates.some(([, lane]) => lane.credits > 0)) {
+            entries.forEach(([, lane]) => { lane.credits = lane.weight; });
+        }
+
+        const [name, lane] = candidates.find(([, l]) => l.credits > 0);
+        lane.credits--;
+        return name;
+    }
+
+    // ADAPTIVE CONCURRENCY: FEED A GRAPH RESPONSE SIGNAL INTO THE AIMD CONTROLLER
+    recordResponse({ status, retryAfterMs = null, rateLimitRemaining = null } = {}) {
+        if (!this.adaptive) return;
+
+        const isThrottled = status === 429 || status === 503;
+        this.recentStatuses.push(isThrottled);
+        if (this.recentStatuses.length > this.adaptive.windowSize) {
+            this.recentStatuses.shift();
+        }
+
+        if (isThrottled) {
+            this.decrease(`HTTP ${status}`, retryAfterMs);
+            return;
+        }
+
+        const throttleRate = this.getThrottleRate();
+        if (throttleRate > this.adaptive.maxThrottleRate) {
+            this.decrease(`throttle rate ${(throttleRate * 100).toFixed(1)}%`);
+            return;
+        }
+
+        if (rateLimitRemaining !== null && !isNaN(rateLimitRemaining)) {
+            if (rateLimitRemaining < this.adaptive.criticalRemainingThreshold) {
+                this.decrease(`RateLimit-Remaining ${rateLimitRemaining}`);
+                return;
+            }
+            if (rateLimitRemaining < this.adaptive.lowRemainingThreshold) {
+                // Hold steady - headroom is running out, so don't grow
+                this.consecutiveSuccesses = 0;
+                return;
+            }
+        }
+
+        if (status >= 200 && status < 400) {
+            this.consecutiveSuccesses++;
+            if (this.consecutiveSuccesses >= this.adaptive.successesPerIncrease) {
+                this.increase();
+            }
+        }
+    }
+
+    // ADDITIVE INCREASE
+    increase() {
+        const opts = this.adaptive;
+        this.consecutiveSuccesses = 0;
+
+        const newConcurrent = Math.min(opts.maxConcurrent, this.maxConcurrent + 1);
+        const newDelay = Math.max(opts.minDelay, this.delayBetweenRequests - opts.delayStep);
+
+        if (newConcurrent !== this.maxConcurrent || newDelay !== this.delayBetweenRequests) {
+            this.maxConcurrent = newConcurrent;
+            this.delayBetweenRequests = newDelay;
+            console.log(`📈 QUEUE: Graph has headroom - concurrency ${this.maxConcurrent}, delay ${this.delayBetweenRequests}ms`);
+            // Fill the newly opened slot straight away
+            this.process();
+        }
+    }
+
+    // MULTIPLICATIVE DECREASE
+    decrease(reason, retryAfterMs = null) {
+        const opts = this.adaptive;
+        this.consecutiveSuccesses = 0;
+
+        const now = Date.now();
+        if (now - this.lastDecreaseTime < opts.decreaseCooldownMs) {
+            return;
+        }
+        this.lastDecreaseTime = now;
+
+        this.maxConcurrent = Math.max(opts.minConcurrent, Math.floor(this.maxConcurrent * opts.decreaseFactor));
+
+        // Retry-After tells us how long Graph wants us gone; spread the remaining
+        // capacity so we don't immediately burst back into the limit
+        const throttledDelay = retryAfterMs ? Math.max(this.delayBetweenRequests * 2, retryAfterMs / 4) : this.delayBetweenRequests * 2;
+        this.delayBetweenRequests = Math.min(opts.maxDelay, Math.max(opts.minDelay, Math.round(throttledDelay)));
+
+        console.warn(`📉 QUEUE: Backing off (${reason}) - concurrency ${this.maxConcurrent}, delay ${this.delayBetweenRequests}ms`);
+    }
+
+    getThrottleRate() {
+        if (this.recentStatuses.length === 0) return 0;
+        return this.recentStatuses.filter(Boolean).length / this.recentStatuses.length;
+    }
+
+    getStats() {
+        const lanes = {};
+        Object.entries(this.lanes).forEach(([name, lane]) => {
+            lanes[name] = { running: lane.running, queued: lane.queue.length };
+        });
+
+        return {
+            concurrency: this.maxConcurrent,
+            delay: this.delayBetweenRequests,
+            running: this.running,
+            queued: this.queue.length,
+            throttleRate: this.getThrottleRate(),
+            adaptive: !!this.adaptive,
+            lanes
+        };
+    }
+
+    async process() {
+        if (!Object.values(this.lanes).some(lane => lane.queue.length > 0)) {
+            return;
+        }
+
+        if (this.throttleState.isThrottled && Date.now() < this.throttleState.resumeTime) {
+            setTimeout(() => this.process(), Math.max(100, this.throttleState.resumeTime - Date.now()));
+            return;
+        }
+
+        const laneName = this.selectLane();
+        if (!laneName) {
+            return;
+        }
+
+        const lane = this.lanes[laneName];
+        this.running++;
+        lane.running++;
+        const { requestFn, resolve, reject } = lane.queue.shift();
+
+        // Interactive work skips the pacing delay so clicks feel immediate
+        const nextDelay = laneName === REQUEST_LANES.INTERACTIVE ? 0 : this.delayBetweenRequests;
+
+        try {
+            const result = await requestFn();
+            resolve(result);
+        } catch (error) {
+            reject(error);
+        } finally {
+            this.running--;
+            lane.running--;
+            setTimeout(() => this.process(), nextDelay);
+        }
+    }
+}
+
+// BATCH SUBRESPONSE STATUSES WORTH RETRYING (THROTTLED, LOCKED, TRANSIENT SERVER ERRORS)
+const RETRYABLE_BATCH_STATUSES = [423, 429, 500, 502, 503, 504];
+
+// Read a header from a $batch subresponse - header names are not case-normalized there
+function getBatchResponseHeader(response, headerName) {
+    if (!response.headers) return null;
+    const key = Object.keys(response.headers).find(h => h.toLowerCase() === headerName.toLowerCase());
+    return key ? response.headers[key] : null;
+}
+
+// Build the failure record for an item whose permissions could not be read
+function buildPermissionFailure(status, body, fallbackMessage) {
+    const error = body && body.error ? body.error : {};
+    return {
+        status: status,
+        code: error.code || (status ? `HTTP${status}` : 'unknown'),
+        message: error.message || fallbackMessage || 'Permissions could not be retrieved'
+    };
+}
+
+// FOLDER LISTINGS WITH EXPANDED PERMISSIONS
+// One $batch lists up to 20 folders and returns every child's permissions inline, replacing a
+// children call plus a /permissions read per item.
+const FOLDER_LISTING_BATCH_SIZE = 20;
+
+function buildExpandedChildrenUrl(driveId, folderId, includeFiles) {
+    const base = folderId === 'root'
+        ? `/drives/${driveId}/root/children`
+        : `/drives/${driveId}/items/${folderId}/children`;
+    return includeFiles
+        ? `${base}?$select=id,name,folder,file,parentReference,${ITEM_METADATA_SELECT}&$expand=permissions`
+        : `${base}?$select=id,name,folder,parentReference,${ITEM_METADATA_SELECT}&$expand=permissions&$filter=folder ne null`;
+}
+
+// GRAPH CLIENT
+// host supplies what differs between the page and the scan worker:
+//   queue                        RequestQueue that reads are dispatched through and that takes throttling signals
+//   baseUrl(), userAgent()       Graph base URL for the selected cloud and the User-Agent to send
+//   getToken(forceRefresh)       Access token for the next attempt (null when no token is needed, e.g. replay)
+//   fetch(url, init)             Sends one attempt; the page answers from a fixture while replaying
+//   onCall()                     Counts every attempt sent, for scan budgets
+//   onExchange(details)          Hands each attempt ({ url, options, attempt, ..., response | error }) to recording
+//   onThrottled(status, waitMs)  Optional - told when Graph asks for a pause
+//   shouldProxy(), proxy(url, options)  Optional - answer JSON calls somewhere else entirely (the worker during replay)
+//   logger                       Optional console replacement
+function createGraphClient(host) {
+    const queue = host.queue;
+    const logger = host.logger || console;
+    const notify = (hook, ...args) => { if (host[hook]) host[hook](...args); };
+
+    // ENHANCED GRAPH API REQUEST WITH RETRY, THROTTLING, AND AUTOMATIC TOKEN REFRESH
+    // Resolves to the Response; throws an Error whose message starts with "HTTP <status>" when the call fails
+    async function request(url, options = {}, maxRetries = 3) {
+        let accessToken;
+        try {
+            accessToken = await host.getToken(false);
+        } catch (refreshError) {
+            logger.error('❌ Token refresh failed before API request:', refreshError);
+            throw new Error('Authentication token expired and refresh failed. Please sign in again.');
+        }
+
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            try {
+                const startedAt = Date.now();
+                let response;
+                notify('onCall');
+                try {
+                    response = await host.fetch(url, {
+                        ...options,
+                        headers: {
+                            ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+                            'User-Agent': host.userAgent(),
+                            ...options.headers
+                        }
+                    });
+                } catch (networkError) {
+                    notify('onExchange', { url, options, attempt, maxRetries, startedAt, durationMs: Date.now() - startedAt, error: networkError });
+                    throw networkError;
+                }
+
+                notify('onExchange', { url, options, attempt, maxRetries, startedAt, durationMs: Date.now() - startedAt, response });
+
+                const rateLimitRemaining = response.headers.get('RateLimit-Remaining');
+                const rateLimitReset = response.headers.get('RateLimit-Reset');
+                const retryAfter = response.headers.get('Retry-After');
+
+                // Feed throttling signals to the adaptive queue
+                queue.recordResponse({
+                    status: response.status,
+                    retryAfterMs: retryAfter ? parseInt(retryAfter) * 1000 : null,
+                    rateLimitRemaining: rateLimitRemaining !== null ? parseInt(rateLimitRemaining) : null
+                });
+
+                if (rateLimitRemaining !== null) {
+                    const remaining = parseInt(rateLimitRemaining);
+                    const reset = parseInt(rateLimitReset);
+
+                    logger.log(`API Rate limit: ${remaining} remaining, resets in ${reset}s`);
+
+                    if (remaining < 100) {
+                        logger.warn(`APPROACHING RATE LIMIT (${remaining} remaining), slowing down requests`);
+                        await delay(1000);
+                    }
+                }
+
+                if (response.status === 429 || response.status === 503) {
+                    const waitTime = retryAfter ?
+                        parseInt(retryAfter) * 1000 :
+                        Math.pow(2, attempt) * 1000 + Math.random() * 1000;
+
+                    logger.warn(`THROTTLED (${response.status}), pausing ALL requests for ${waitTime}ms`);
+
+                    queue.throttleState.isThrottled = true;
+                    queue.throttleState.resumeTime = Date.now() + waitTime;
+                    notify('onThrottled', response.status, waitTime);
+
+                    if (attempt < maxRetries) {
+                        await delay(waitTime);
+                        queue.throttleState.isThrottled = false;
+                        continue;
+                    }
+                }
+
+                if (response.status === 501) {
+                    const errorText = await response.text();
+                    if (errorText.includes('notSupported') || errorText.includes('Permission is not supported')) {
+                        logger.log(`Item doesn't support permissions (HTTP 501) - skipping retries: ${url.split('/').pop()}`);
+                        const error = new Error(`HTTP ${response.status}: ${errorText}`);
+                        error.isNonRetryable = true;
+                        throw error;
+                    }
+                }
+
+                // Handle 401 Unauthorized - token likely expired
+                if (response.status === 401) {
+                    logger.warn('🔄 Received 401 Unauthorized - attempting token refresh...');
+                    try {
+                        // Force token refresh and update our access token
+                        accessToken = await host.getToken(true);
+
+                        if (attempt < maxRetries) {
+                            logger.log('✅ Token refreshed, retrying request...');
+                            continue; // Retry with new token
+                        }
+                    } catch (tokenRefreshError) {
+                        logger.error('❌ Token refresh failed on 401 response:', tokenRefreshError);
+                        const error = new Error('Authentication token expired and refresh failed. Please sign in again.');
+                        error.isAuthenticationError = true;
+                        throw error;
+                    }
+                }
+
+                // 410 Gone on a delta link means the token expired and a full resync is required
+                if (response.status === 410) {
+                    const errorText = await response.text();
+                    logger.log(`Delta token expired (HTTP 410) - full resync required`);
+                    const error = new Error(`HTTP ${response.status}: ${errorText}`);
+                    error.isNonRetryable = true;
+                    error.isResyncRequired = true;
+                    throw error;
+                }
+
+                if (response.status === 404) {
+                    const errorText = await response.text();
+                    if (errorText.includes('mysite not found') || errorText.includes('ResourceNotFound')) {
+                        logger.log(`OneDrive not provisioned (HTTP 404) - skipping retries`);
+                        const error = new Error(`HTTP ${response.status}: ${errorText}`);
+                        error.isNonRetryable = true;
+                        throw error;
+                    }
+                }
+
+                if (!response.ok) {
+                    const text = await response.text();
+                    throw new Error(`HTTP ${response.status}: ${text}`);
+                }
+
+                return response;
+            } catch (error) {
+                // Don't retry authentication errors or non-retryable errors
+                if (error.isNonRetryable || error.isAuthenticationError || attempt === maxRetries) {
+                    throw error;
+                }
+
+                const waitTime = Math.pow(2, attempt) * 1000 + Math.random() * 1000;
+                logger.warn(`Request failed, retrying in ${waitTime}ms:`, error.message);
+                await delay(waitTime);
+            }
+        }
+    }
+
+    // Parsed body plus the RateLimit-Remaining header (null when proxied or absent)
+    async function requestJson(url, options = {}) {
+        if (host.shouldProxy && host.shouldProxy()) {
+            return { body: await host.proxy(url, options), rateLimitRemaining: null };
+        }
+        const response = await request(url, options);
+        const rateLimitRemaining = response.headers.get('RateLimit-Remaining');
+        return { body: await response.json(), rateLimitRemaining: rateLimitRemaining !== null ? parseInt(rateLimitRemaining) : null };
+    }
+
+    // GET ALL ITEMS FROM PAGINATED API RESPONSE
+    async function getAll(url, options = {}) {
+        let items = [];
+        let next = url;
+        while (next) {
+            const { body, rateLimitRemaining } = await requestJson(next, options);
+            items = items.concat(body.value || []);
+            next = body['@odata.nextLink'] || null;
+
+            // Dynamic throttling - only delay if rate limit headers suggest we should
+            if (rateLimitRemaining !== null && rateLimitRemaining < 50) {
+                await delay(200); // Slow down when approaching limits
+            } else if (next) {
+                await delay(25); // Minimal delay for pagination, only if there are more pages
+            }
+        }
+        return items;
+    }
+
+    async function postBatch(batchRequests) {
+        const { body } = await queue.add(() => requestJson(`${host.baseUrl()}/$batch`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ requests: batchRequests })
+        }));
+        return body;
+    }
+
+    // BATCH PERMISSIONS FUNCTION FOR EFFICIENT PERMISSION CHECKING
+    // requests are { item, url } with url the item's full /permissions URL. Every returned entry is
+    // { item, permissions } - items whose permissions could not be verified carry `failed: true` and
+    // an `error` ({ status, code, message }) so callers can report them as unverified instead of
+    // treating them as unshared.
+    async function batchGetPermissions(requests, controller = { stop: false }, maxSubRetries = 3) {
+        const batchSize = 15; // Optimized: increased from 5 to 15 for better throughput
+        const results = [];
+
+        for (let i = 0; i < requests.length; i += batchSize) {
+            if (controller.stop) break;
+
+            const batch = requests.slice(i, i + batchSize);
+
+            try {
+                // Subrequests still pending for this batch, keyed by their $batch id
+                let pending = new Map(batch.map((req, index) => [(i + index).toString(), req]));
+
+                for (let attempt = 0; attempt <= maxSubRetries && pending.size > 0; attempt++) {
+                    if (controller.stop) break;
+
+                    const batchResult = await postBatch(Array.from(pending.entries()).map(([id, req]) => ({
+                        id: id,
+                        method: "GET",
+                        url: req.url.replace(host.baseUrl(), '')
+                    })));
+
+                    const retryPending = new Map();
+                    const completedIds = new Set();
+                    let retryAfterMs = 0;
+
+                    for (const subResponse of batchResult.responses || []) {
+                        const req = pending.get(subResponse.id);
+                        if (!req) continue;
+
+                        if (subResponse.status === 200 && subResponse.body && subResponse.body.value) {
+                            results.push({
+                                item: req.item,
+                                permissions: subResponse.body.value
+                            });
+                            completedIds.add(subResponse.id);
+                            continue;
+                        }
+
+                        queue.recordResponse({ status: subResponse.status });
+
+                        if (RETRYABLE_BATCH_STATUSES.includes(subResponse.status) && attempt < maxSubRetries) {
+                            const retryAfter = getBatchResponseHeader(subResponse, 'Retry-After');
+                            const waitMs = retryAfter ? parseInt(retryAfter) * 1000 : Math.pow(2, attempt) * 1000;
+                            retryAfterMs = Math.max(retryAfterMs, isNaN(waitMs) ? 1000 : waitMs);
+                            retryPending.set(subResponse.id, req);
+                            continue;
+                        }
+
+                        const failure = buildPermissionFailure(subResponse.status, subResponse.body);
+                        logger.warn(`⚠️ UNVERIFIED: Permissions for ${req.item.name} failed with HTTP ${subResponse.status} (${failure.code})`);
+                        results.push({
+                            item: req.item,
+                            permissions: [],
+                            failed: true,
+                            error: failure
+                        });
+                        completedIds.add(subResponse.id);
+                    }
+
+                    // Subrequests missing from the batch response are retried like throttled ones
+                    for (const [id, req] of pending) {
+                        if (!retryPending.has(id) && !completedIds.has(id)) {
+                            retryPending.set(id, req);
+                        }
+                    }
+
+                    pending = retryPending;
+
+                    if (pending.size > 0 && attempt < maxSubRetries) {
+                        logger.warn(`🔁 BATCH: Retrying ${pending.size} subrequests in ${retryAfterMs}ms (attempt ${attempt + 1}/${maxSubRetries})`);
+                        await delay(retryAfterMs || 1000);
+                    }
+                }
+
+                // Anything still pending after the final attempt could not be verified
+                for (const req of pending.values()) {
+                    results.push({
+                        item: req.item,
+                        permissions: [],
+                        failed: true,
+                        error: buildPermissionFailure(null, null, controller.stop ? 'Scan stopped before permissions were retrieved' : 'Retries exhausted')
+                    });
+                }
+
+            } catch (error) {
+                logger.warn(`Batch failed, using individual requests:`, error);
+
+                for (const req of batch) {
+                    if (results.some(r => r.item === req.item)) continue;
+                    if (controller.stop) {
+                        results.push({ item: req.item, permissions: [], failed: true, error: buildPermissionFailure(null, null, 'Scan stopped before permissions were retrieved') });
+                        continue;
+                    }
+                    try {
+                        const permissions = await queue.add(async () => {
+                            return await getAll(req.url);
+                        });
+                        results.push({ item: req.item, permissions });
+                    } catch (e) {
+                        logger.warn(`Failed individual request for ${req.item.name}:`, e);
+                        const statusMatch = /HTTP (\d+)/.exec(e.message || '');
+                        results.push({
+                            item: req.item,
+                            permissions: [],
+                            failed: true,
+                            error: buildPermissionFailure(e.status || (statusMatch ? parseInt(statusMatch[1]) : null), null, e.message)
+                        });
+                    }
+                }
+            }
+
+            // Pace batches with the queue's current adaptive delay instead of a fixed pause
+            await delay(Math.max(queue.delayBetweenRequests, 100));
+        }
+
+        return results;
+    }
+
+    // Folders listed without their children's permissions come back as { expanded: false, items } so
+    // the caller reads just those permissions through batchGetPermissions; folders that could not be
+    // listed at all come back with items: null and are listed individually.
+    async function listFoldersWithPermissions(driveId, folderIds, includeFiles = false, controller = { stop: false }, maxSubRetries = 3) {
+        const listings = new Map();
+        let pending = new Map(folderIds.map((folderId, index) => [index.toString(), folderId]));
+
+        for (let attempt = 0; attempt <= maxSubRetries && pending.size > 0; attempt++) {
+            if (controller.stop) break;
+
+            let batchResult;
+            try {
+                batchResult = await postBatch(Array.from(pending.entries()).map(([id, folderId]) => ({
+                    id: id,
+                    method: 'GET',
+                    url: buildExpandedChildrenUrl(driveId, folderId, includeFiles)
+                })));
+            } catch (error) {
+                logger.warn(`⚠️ EXPANDED LISTING: $batch failed for drive ${driveId}, listing folders individually:`, error);
+                break;
+            }
+
+            const retryPending = new Map();
+            let retryAfterMs = 0;
+
+            for (const subResponse of batchResult.responses || []) {
+                const folderId = pending.get(subResponse.id);
+                if (!folderId) continue;
+                pending.delete(subResponse.id);
+
+                if (subResponse.status === 200 && subResponse.body) {
+                    let items = subResponse.body.value || [];
+                    const nextLink = subResponse.body['@odata.nextLink'];
+                    try {
+                        if (nextLink) {
+                            items = items.concat(await queue.add(async () => await getAll(nextLink)));
+                        }
+                    } catch (pageError) {
+                        logger.warn(`⚠️ EXPANDED LISTING: Paging failed for folder ${folderId}, listing it individually:`, pageError);
+                        listings.set(folderId, { expanded: false, items: null });
+                        continue;
+                    }
+
+                    // Some libraries answer 200 but silently drop the expansion
+                    const expanded = items.every(item => Array.isArray(item.permissions));
+                    listings.set(folderId, { expanded, items });
+                    continue;
+                }
+
+                queue.recordResponse({ status: subResponse.status });
+
+                if (RETRYABLE_BATCH_STATUSES.includes(subResponse.status) && attempt < maxSubRetries) {
+                    const retryAfter = getBatchResponseHeader(subResponse, 'Retry-After');
+                    const waitMs = retryAfter ? parseInt(retryAfter) * 1000 : Math.pow(2, attempt) * 1000;
+                    retryAfterMs = Math.max(retryAfterMs, isNaN(waitMs) ? 1000 : waitMs);
+                    retryPending.set(subResponse.id, folderId);
+                    continue;
+                }
+
+                // Expansion not supported (400/501) or the listing failed - the per-folder path handles it
+                logger.log(`📂 EXPANDED LISTING: Folder ${folderId} returned HTTP ${subResponse.status}, falling back`);
+                listings.set(folderId, { expanded: false, items: null });
+            }
+
+            // Subrequests missing from the batch response are retried like throttled ones
+            pending.forEach((folderId, id) => retryPending.set(id, folderId));
+            pending = retryPending;
+
+            if (pending.size > 0 && attempt < maxSubRetries) {
+                await delay(retryAfterMs || 1000);
+            }
+        }
+
+        // Anything not listed by now goes through the per-folder path
+        folderIds.forEach(folderId => {
+            if (!listings.has(folderId)) listings.set(folderId, { expanded: false, items: null });
+        });
+
+        return listings;
+    }
+
+    return {
+        request,
+        getAll,
+        batchGetPermissions,
+        listFoldersWithPermissions
+    };
+}
+
+// Export functions for use in other modules (self is window on the page and the worker scope in scan-worker.js)
+self.graphTransportModule = {
+    // Request queue
+    REQUEST_LANES,
+    RequestQueue,
+
+    // $batch helpers
+    RETRYABLE_BATCH_STATUSES,
+    getBatchResponseHeader,
+    buildPermissionFailure,
+    FOLDER_LISTING_BATCH_SIZE,
+    buildExpandedChildrenUrl,
+
+    // Graph client
+    createGraphClient
+};
+})();
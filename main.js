@@ -64,15 +64,21 @@ document.addEventListener('DOMContentLoaded', function() {
     try {
         // Check that all required modules are loaded
         const requiredModules = [
+            'classifierModule',
             'configModule',
+            'storageModule',
+            'recorderModule',
             'virtualDomModule',
             'authModule', 
             'apiModule',
+            'scanEngineModule',
             'uiModule',
             'scanningModule',
             'resultsModule',
             'permissionsModule',
-            'exportModule'
+            'exportModule',
+            'profilesModule',
+            'snapshotsModule'
         ];
         
         console.log('📋 Checking module dependencies...');
@@ -143,15 +149,33 @@ document.addEventListener('DOMContentLoaded', function() {
             console.log('✅ Export module initialized');
         }
         
-        // 8. Initialize debug console toggle
+        // 8. Initialize Graph call recorder controls
+        if (window.recorderModule.initializeRecorderControls) {
+            window.recorderModule.initializeRecorderControls();
+            console.log('✅ Graph call recorder initialized');
+        }
+        
+        // 9. Initialize scan profile controls
+        if (window.profilesModule.initializeProfileControls) {
+            window.profilesModule.initializeProfileControls();
+            console.log('✅ Scan profiles initialized');
+        }
+        
+        // 10. Initialize snapshot controls
+        if (window.snapshotsModule.initializeSnapshotControls) {
+            window.snapshotsModule.initializeSnapshotControls();
+            console.log('✅ Snapshot controls initialized');
+        }
+        
+        // 11. Initialize debug console toggle
         initializeDebugConsole();
         console.log('✅ Debug console initialized');
         
-        // 9. Initialize clear results button
+        // 12. Initialize clear results button
         initializeClearResultsButton();
         console.log('✅ Clear results button initialized');
         
-        // 10. Check for existing authentication on page load
+        // 13. Check for existing authentication on page load
         if (window.authModule.checkExistingAuthentication) {
             window.authModule.checkExistingAuthentication();
             console.log('✅ Authentication check initiated');
@@ -193,14 +217,20 @@ window.appUtils = {
     // Module status checker
     checkModuleStatus: function() {
         const modules = [
+            'classifierModule',
             'configModule',
+            'storageModule',
+            'recorderModule',
             'authModule', 
             'apiModule',
+            'scanEngineModule',
             'uiModule',
             'scanningModule',
             'resultsModule',
             'permissionsModule',
-            'exportModule'
+            'exportModule',
+            'profilesModule',
+            'snapshotsModule'
         ];
         
         const status = {};
@@ -154,13 +154,18 @@ async function setExpirationForItem(result, expirationDate) {
         return false;
     }
     
+    if (result.listId) {
+        console.warn(`⚠️ LISTS: ${result.itemName} is a SharePoint list result - its permissions are managed in SharePoint, not through drive item permissions`);
+        return false;
+    }
+    
     try {
-        const permissionsUrl = `https://graph.microsoft.com/v1.0/drives/${result.driveId}/items/${result.itemId}/permissions`;
+        const permissionsUrl = `${apiModule.graphBaseUrl()}/drives/${result.driveId}/items/${result.itemId}/permissions`;
         
         // Get current permissions
         const currentPermissions = await apiModule.requestQueue.add(async () => {
             return await apiModule.graphGetAll(permissionsUrl);
-        });
+        }, apiModule.REQUEST_LANES.INTERACTIVE);
         
         let success = true;
         
@@ -184,7 +189,7 @@ async function setExpirationForItem(result, expirationDate) {
                             headers: { 'Content-Type': 'application/json' },
                             body: JSON.stringify(updateBody)
                         });
-                    });
+                    }, apiModule.REQUEST_LANES.INTERACTIVE);
                     
                     console.log(`Updated expiration for permission ${permission.id}`);
                 } catch (error) {
@@ -209,13 +214,18 @@ async function removeSharingLinksForItem(result) {
         return false;
     }
     
+    if (result.listId) {
+        console.warn(`⚠️ LISTS: ${result.itemName} is a SharePoint list result - its permissions are managed in SharePoint, not through drive item permissions`);
+        return false;
+    }
+    
     try {
-        const permissionsUrl = `https://graph.microsoft.com/v1.0/drives/${result.driveId}/items/${result.itemId}/permissions`;
+        const permissionsUrl = `${apiModule.graphBaseUrl()}/drives/${result.driveId}/items/${result.itemId}/permissions`;
         
         // Get current permissions
         const currentPermissions = await apiModule.requestQueue.add(async () => {
             return await apiModule.graphGetAll(permissionsUrl);
-        });
+        }, apiModule.REQUEST_LANES.INTERACTIVE);
         
         let success = true;
         
@@ -227,7 +237,7 @@ async function removeSharingLinksForItem(result) {
                         return await apiModule.graphRequestWithRetry(`${permissionsUrl}/${permission.id}`, {
                             method: 'DELETE'
                         });
-                    });
+                    }, apiModule.REQUEST_LANES.INTERACTIVE);
                     
                     console.log(`Removed link permission ${permission.id}`);
                 } catch (error) {
@@ -252,13 +262,18 @@ async function removeAllSharingForItem(result) {
         return false;
     }
     
+    if (result.listId) {
+        console.warn(`⚠️ LISTS: ${result.itemName} is a SharePoint list result - its permissions are managed in SharePoint, not through drive item permissions`);
+        return false;
+    }
+    
     try {
-        const permissionsUrl = `https://graph.microsoft.com/v1.0/drives/${result.driveId}/items/${result.itemId}/permissions`;
+        const permissionsUrl = `${apiModule.graphBaseUrl()}/drives/${result.driveId}/items/${result.itemId}/permissions`;
         
         // Get current permissions
         const currentPermissions = await apiModule.requestQueue.add(async () => {
             return await apiModule.graphGetAll(permissionsUrl);
-        });
+        }, apiModule.REQUEST_LANES.INTERACTIVE);
         
         let success = true;
         
@@ -280,7 +295,7 @@ async function removeAllSharingForItem(result) {
                     return await apiModule.graphRequestWithRetry(`${permissionsUrl}/${permission.id}`, {
                         method: 'DELETE'
                     });
-                });
+                }, apiModule.REQUEST_LANES.INTERACTIVE);
                 
                 console.log(`Removed permission ${permission.id}`);
             } catch (error) {
@@ -330,7 +345,7 @@ async function addBulkPermission(permissionsUrl, userEmail, role, linkScope, exp
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(body)
             });
-        });
+        }, apiModule.REQUEST_LANES.REMEDIATION);
         
         return true;
     } catch (error) {
@@ -351,7 +366,7 @@ async function removeBulkPermission(permissionsUrl, userEmail) {
         // Get current permissions
         const currentPermissions = await apiModule.requestQueue.add(async () => {
             return await apiModule.graphGetAll(permissionsUrl);
-        });
+        }, apiModule.REQUEST_LANES.REMEDIATION);
         
         // Find permission to remove
         const permissionToRemove = currentPermissions.find(p => 
@@ -364,7 +379,7 @@ async function removeBulkPermission(permissionsUrl, userEmail) {
                 return await apiModule.graphRequestWithRetry(`${permissionsUrl}/${permissionToRemove.id}`, {
                     method: 'DELETE'
                 });
-            });
+            }, apiModule.REQUEST_LANES.REMEDIATION);
             return true;
         }
         
@@ -387,7 +402,7 @@ async function modifyBulkPermission(permissionsUrl, linkScope, expirationDate) {
         // Get current permissions
         const currentPermissions = await apiModule.requestQueue.add(async () => {
             return await apiModule.graphGetAll(permissionsUrl);
-        });
+        }, apiModule.REQUEST_LANES.REMEDIATION);
         
         // Find link permissions to modify
         const linkPermissions = currentPermissions.filter(p => p.link);
@@ -406,7 +421,7 @@ async function modifyBulkPermission(permissionsUrl, linkScope, expirationDate) {
                         headers: { 'Content-Type': 'application/json' },
                         body: JSON.stringify(updateBody)
                     });
-                });
+                }, apiModule.REQUEST_LANES.REMEDIATION);
             }
         }
         
@@ -435,7 +450,12 @@ async function processSingleBulkOperation(operation) {
             return false;
         }
         
-        const permissionsUrl = `https://graph.microsoft.com/v1.0/drives/${targetResult.driveId}/items/${ItemID}/permissions`;
+        if (targetResult.listId) {
+            console.warn(`⚠️ LISTS: Skipping bulk operation on SharePoint list result ${ItemID}`);
+            return false;
+        }
+        
+        const permissionsUrl = `${window.apiModule.graphBaseUrl()}/drives/${targetResult.driveId}/items/${ItemID}/permissions`;
         
         switch (Action.toLowerCase()) {
             case 'add':
@@ -0,0 +1,630 @@
+// profiles.js - Scan Profiles Module for SharePoint & OneDrive Scanner v3.0
+// Named scan setups kept in localStorage: site and user selection (by filter rule or explicit list),
+// scan settings, skip and path rules, depth limit and export targets. Profiles are loaded from the scan tabs
+// and exchanged as JSON so a recurring audit runs the same way for everyone.
+
+const PROFILE_STORAGE_KEY = 'sp_scanner_scan_profiles';
+const PROFILE_FILE_TYPE = 'sp-scanner-scan-profiles';
+const PROFILE_FORMAT_VERSION = 1;
+
+const SELECTION_MODES = ['rule', 'list', 'none'];   // none leaves that side's selection untouched
+const POST_SCAN_EXPORTS = ['none', 'results', 'statistics'];
+
+// PROFILE STATE
+let profiles = [];
+let unreadableProfiles = []; // Stored entries that failed to normalize - kept so saving does not erase them
+let activeProfileId = null;
+let pendingSelections = { sites: null, users: null }; // Selections waiting for site or user discovery
+
+// PROFILE NORMALIZATION - stored and imported profiles are rebuilt from known fields only
+function createProfileId() {
+    return `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function pickOption(value, allowed, fallback) {
+    return allowed.includes(value) ? value : fallback;
+}
+
+function normalizeStringList(values) {
+    if (!Array.isArray(values)) return [];
+    return [...new Set(values.filter(value => typeof value === 'string' && value.trim()).map(value => value.trim()))];
+}
+
+function normalizeFilters(filters, defaults) {
+    const normalized = { ...defaults };
+    if (!filters || typeof filters !== 'object') return normalized;
+
+    Object.keys(defaults).forEach(key => {
+        if (filters[key] === undefined || filters[key] === null) return;
+        normalized[key] = typeof defaults[key] === 'boolean' ? filters[key] === true : String(filters[key]);
+    });
+    return normalized;
+}
+
+// Budget limits are positive whole numbers; anything else (including profiles without budgets) means no limit
+function normalizeBudget(budget) {
+    const normalized = { ...window.configModule.DEFAULT_SCAN_BUDGET };
+    if (!budget || typeof budget !== 'object') return normalized;
+
+    Object.keys(normalized).forEach(key => {
+        const value = parseInt(budget[key], 10);
+        normalized[key] = value > 0 ? value : null;
+    });
+    return normalized;
+}
+
+function normalizeProfile(raw) {
+    const configModule = window.configModule;
+
+    if (!raw || typeof raw !== 'object') {
+        throw new Error('Profile is not an object');
+    }
+
+    const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+    if (!name) {
+        throw new Error('Profile has no name');
+    }
+
+    const sites = raw.sites || {};
+    const users = raw.users || {};
+    const scanSettings = raw.scanSettings || {};
+    const skipRules = raw.skipRules || {};
+    const enrichment = raw.enrichment || {};
+    const exportTargets = raw.exportTargets || {};
+    const maxDepth = parseInt(scanSettings.maxDepth, 10);
+    const now = new Date().toISOString();
+
+    return {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : createProfileId(),
+        name,
+        createdAt: raw.createdAt || now,
+        updatedAt: raw.updatedAt || raw.createdAt || now,
+        sites: {
+            mode: pickOption(sites.mode, SELECTION_MODES, 'none'),
+            filters: normalizeFilters(sites.filters, configModule.DEFAULT_SITE_FILTERS),
+            urls: normalizeStringList(sites.urls)
+        },
+        users: {
+            mode: pickOption(users.mode, SELECTION_MODES, 'none'),
+            filters: normalizeFilters(users.filters, configModule.DEFAULT_USER_FILTERS),
+            userPrincipalNames: normalizeStringList(users.userPrincipalNames)
+        },
+        scanSettings: {
+            sharingFilter: pickOption(scanSettings.sharingFilter, ['external', 'internal', 'all'], 'all'),
+            contentScope: pickOption(scanSettings.contentScope, ['folders', 'all'], 'all'),
+            rescanMode: pickOption(scanSettings.rescanMode, ['full', 'changes'], 'full'),
+            traversalMode: pickOption(scanSettings.traversalMode, ['single-pass', 'per-item'], 'single-pass'),
+            maxDepth: maxDepth > 0 ? maxDepth : null,
+            driveBudget: normalizeBudget(scanSettings.driveBudget),
+            scanBudget: normalizeBudget(scanSettings.scanBudget)
+        },
+        skipRules: {
+            excludePreservationHolds: skipRules.excludePreservationHolds !== false,
+            scanSharePointLists: skipRules.scanSharePointLists !== false,
+            // Profiles saved before path rules existed leave the current rules alone
+            pathRules: Array.isArray(skipRules.pathRules) ? skipRules.pathRules.map(configModule.normalizePathRule) : null
+        },
+        enrichment: {
+            readSensitivityLabels: enrichment.readSensitivityLabels !== false,
+            expandGroupMembers: enrichment.expandGroupMembers !== false,
+            enrichGuestAccounts: enrichment.enrichGuestAccounts !== false
+        },
+        exportTargets: {
+            workbook: pickOption(exportTargets.workbook, POST_SCAN_EXPORTS, 'none'),
+            realtimeCsv: exportTargets.realtimeCsv === true
+        }
+    };
+}
+
+// PERSISTENCE
+// A stored profile that no longer normalizes (e.g. a path rule that stopped validating) is skipped on
+// its own and written back untouched, so one bad entry never costs the others
+function loadStoredProfiles() {
+    profiles = [];
+    unreadableProfiles = [];
+    try {
+        const stored = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY) || '[]');
+        (Array.isArray(stored) ? stored : []).forEach(raw => {
+            try {
+                profiles.push(normalizeProfile(raw));
+            } catch (error) {
+                console.warn(`⚠️ PROFILES: Skipping stored scan profile "${raw && raw.name}":`, error.message);
+                unreadableProfiles.push(raw);
+            }
+        });
+    } catch (error) {
+        console.warn('⚠️ PROFILES: Stored scan profiles could not be read:', error.message);
+    }
+    return profiles;
+}
+
+function persistProfiles() {
+    localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profiles.concat(unreadableProfiles)));
+}
+
+function getProfile(profileId) {
+    return profiles.find(profile => profile.id === profileId) || null;
+}
+
+function findProfileByName(name) {
+    const lowerName = name.trim().toLowerCase();
+    return profiles.find(profile => profile.name.toLowerCase() === lowerName) || null;
+}
+
+function getActiveProfile() {
+    return activeProfileId ? getProfile(activeProfileId) : null;
+}
+
+// Filename-safe form of a profile name, e.g. "External-only finance" -> "external-only-finance"
+function profileSlug(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'profile';
+}
+
+// CAPTURE THE CURRENT SETUP
+function readCheckbox(id, fallback) {
+    const checkbox = document.getElementById(id);
+    return checkbox ? checkbox.checked : fallback;
+}
+
+function getSelectionModeChoice() {
+    const select = document.getElementById('profile-selection-mode');
+    return select && select.value === 'list' ? 'list' : 'rule';
+}
+
+function getPostScanExport() {
+    const select = document.getElementById('post-scan-export');
+    return select ? pickOption(select.value, POST_SCAN_EXPORTS, 'none') : 'none';
+}
+
+// A side with nothing selected is saved as 'none' so loading the profile leaves it alone
+function captureSiteSelection(selectionMode) {
+    const configModule = window.configModule;
+    const selectedSites = configModule.sites.filter(site => configModule.selectedSiteIds.has(site.id));
+
+    if (selectedSites.length === 0) {
+        return { mode: 'none', filters: { ...configModule.DEFAULT_SITE_FILTERS }, urls: [] };
+    }
+    if (selectionMode === 'list') {
+        return { mode: 'list', filters: { ...configModule.DEFAULT_SITE_FILTERS }, urls: selectedSites.map(site => site.webUrl).filter(Boolean) };
+    }
+    return { mode: 'rule', filters: { ...configModule.siteFilters }, urls: [] };
+}
+
+function captureUserSelection(selectionMode) {
+    const configModule = window.configModule;
+    const selectedUsers = configModule.users.filter(user => configModule.selectedUserIds.has(user.id));
+
+    if (selectedUsers.length === 0) {
+        return { mode: 'none', filters: { ...configModule.DEFAULT_USER_FILTERS }, userPrincipalNames: [] };
+    }
+    if (selectionMode === 'list') {
+        return { mode: 'list', filters: { ...configModule.DEFAULT_USER_FILTERS }, userPrincipalNames: selectedUsers.map(user => user.userPrincipalName || user.mail).filter(Boolean) };
+    }
+    return { mode: 'rule', filters: { ...configModule.userFilters }, userPrincipalNames: [] };
+}
+
+function captureCurrentProfile(name, existing = null) {
+    const configModule = window.configModule;
+    const selectionMode = getSelectionModeChoice();
+    const now = new Date().toISOString();
+
+    return normalizeProfile({
+        id: existing ? existing.id : createProfileId(),
+        name,
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now,
+        sites: captureSiteSelection(selectionMode),
+        users: captureUserSelection(selectionMode),
+        scanSettings: { ...configModule.scanSettings },
+        skipRules: {
+            excludePreservationHolds: configModule.shouldExcludePreservationHolds(),
+            scanSharePointLists: configModule.shouldScanSharePointLists(),
+            pathRules: configModule.pathRules
+        },
+        enrichment: {
+            readSensitivityLabels: configModule.shouldReadSensitivityLabels(),
+            expandGroupMembers: configModule.shouldExpandGroupMembers(),
+            enrichGuestAccounts: configModule.shouldEnrichGuestAccounts()
+        },
+        exportTargets: {
+            workbook: getPostScanExport(),
+            realtimeCsv: readCheckbox('enable-realtime-csv', false)
+        }
+    });
+}
+
+// APPLY A PROFILE
+// Checkboxes are changed through their change event so the modules listening to them react
+function setCheckbox(id, checked) {
+    const checkbox = document.getElementById(id);
+    if (!checkbox || checkbox.checked === checked) return;
+    checkbox.checked = checked;
+    checkbox.dispatchEvent(new Event('change'));
+}
+
+function normalizeSiteUrl(url) {
+    return (url || '').trim().replace(/\/+$/, '').toLowerCase();
+}
+
+// Returns a short description of what was selected, or why nothing was selected yet
+function applySiteSelection(selection) {
+    const configModule = window.configModule;
+    const uiModule = window.uiModule;
+
+    if (configModule.sites.length === 0) {
+        pendingSelections.sites = selection;
+        return 'sites: waiting for discovery';
+    }
+    pendingSelections.sites = null;
+
+    const selectedSiteIds = configModule.selectedSiteIds;
+    const missing = [];
+    selectedSiteIds.clear();
+
+    if (selection.mode === 'rule') {
+        configModule.sites.filter(site => configModule.siteMatchesFilters(site)).forEach(site => selectedSiteIds.add(site.id));
+    } else {
+        const sitesByUrl = new Map(configModule.sites.map(site => [normalizeSiteUrl(site.webUrl), site]));
+        selection.urls.forEach(url => {
+            const site = sitesByUrl.get(normalizeSiteUrl(url));
+            if (site) {
+                selectedSiteIds.add(site.id);
+            } else {
+                missing.push(url);
+            }
+        });
+    }
+
+    if (missing.length > 0) {
+        console.warn(`⚠️ PROFILES: ${missing.length} profile sites were not discovered:`, missing);
+    }
+
+    uiModule.renderSites();
+    uiModule.updateScanButton();
+    return `sites: ${selectedSiteIds.size} selected${missing.length > 0 ? ` (${missing.length} not found)` : ''}`;
+}
+
+function applyUserSelection(selection) {
+    const configModule = window.configModule;
+    const uiModule = window.uiModule;
+
+    // Rule selections are discovery filters, so they always wait for the next discovery
+    if (selection.mode === 'rule' || configModule.users.length === 0) {
+        pendingSelections.users = selection;
+        return 'users: discover users to apply';
+    }
+    pendingSelections.users = null;
+
+    const selectedUserIds = configModule.selectedUserIds;
+    const wanted = new Set(selection.userPrincipalNames.map(name => name.toLowerCase()));
+    const found = new Set();
+    selectedUserIds.clear();
+
+    configModule.users.forEach(user => {
+        if (user.oneDriveStatus === 'not-provisioned') return;
+        const names = [user.userPrincipalName, user.mail].filter(Boolean).map(name => name.toLowerCase());
+        const match = names.find(name => wanted.has(name));
+        if (match) {
+            selectedUserIds.add(user.id);
+            found.add(match);
+        }
+    });
+
+    const missing = selection.userPrincipalNames.filter(name => !found.has(name.toLowerCase()));
+    if (missing.length > 0) {
+        console.warn(`⚠️ PROFILES: ${missing.length} profile users were not discovered or have no OneDrive:`, missing);
+    }
+
+    uiModule.renderUsers();
+    uiModule.updateUserButtons();
+    return `users: ${selectedUserIds.size} selected${missing.length > 0 ? ` (${missing.length} not found)` : ''}`;
+}
+
+// Called by the discovery handlers in ui.js once sites or users are loaded
+function applyPendingSelection(side) {
+    const selection = pendingSelections[side];
+    if (!selection) return;
+
+    if (side === 'sites') {
+        updateProfileStatus(applySiteSelection(selection));
+        return;
+    }
+
+    // The discovered users already match the profile's rule
+    pendingSelections.users = null;
+    if (selection.mode === 'rule') {
+        const configModule = window.configModule;
+        configModule.selectedUserIds.clear();
+        configModule.users
+            .filter(user => user.oneDriveStatus !== 'not-provisioned')
+            .forEach(user => configModule.selectedUserIds.add(user.id));
+        window.uiModule.updateUserCheckboxes();
+        window.uiModule.updateUserButtons();
+        updateProfileStatus(`users: ${configModule.selectedUserIds.size} selected`);
+        return;
+    }
+
+    updateProfileStatus(applyUserSelection(selection));
+}
+
+function applyProfile(profile) {
+    const configModule = window.configModule;
+    const uiModule = window.uiModule;
+
+    if (configModule.scanning) {
+        configModule.showToast('Stop the running scan before loading a profile');
+        return;
+    }
+
+    configModule.updateScanSettings({ ...profile.scanSettings });
+    uiModule.syncScanControls();
+
+    setCheckbox('exclude-preservation-holds', profile.skipRules.excludePreservationHolds);
+    setCheckbox('scan-sharepoint-lists', profile.skipRules.scanSharePointLists);
+    if (profile.skipRules.pathRules) {
+        configModule.updatePathRules(profile.skipRules.pathRules);
+        uiModule.renderPathRules();
+    }
+    setCheckbox('read-sensitivity-labels', profile.enrichment.readSensitivityLabels);
+    setCheckbox('expand-group-members', profile.enrichment.expandGroupMembers);
+    setCheckbox('enrich-guest-accounts', profile.enrichment.enrichGuestAccounts);
+    setCheckbox('enable-realtime-csv', profile.exportTargets.realtimeCsv);
+
+    const postScanExport = document.getElementById('post-scan-export');
+    if (postScanExport) postScanExport.value = profile.exportTargets.workbook;
+
+    const statusParts = [];
+    pendingSelections = { sites: null, users: null };
+
+    if (profile.sites.mode !== 'none') {
+        configModule.updateSiteFilters(profile.sites.filters);
+        uiModule.syncSiteFilterInputs();
+        statusParts.push(applySiteSelection(profile.sites));
+    }
+
+    if (profile.users.mode !== 'none') {
+        configModule.updateUserFilters(profile.users.filters);
+        uiModule.syncUserFilterInputs();
+        statusParts.push(applyUserSelection(profile.users));
+    }
+
+    activeProfileId = profile.id;
+    renderProfileOptions();
+    updateProfileStatus(statusParts.join(' • '));
+
+    console.log(`📋 PROFILES: Loaded "${profile.name}"`, profile);
+    configModule.showToast(profile.exportTargets.realtimeCsv
+        ? `Loaded profile "${profile.name}" - choose a CSV location before scanning`
+        : `Loaded profile "${profile.name}"`, 4000);
+}
+
+// POST-SCAN EXPORTS - called by scanningModule when a scan completes
+function runPostScanExports() {
+    const exportModule = window.exportModule;
+    const workbook = getPostScanExport();
+
+    if (workbook === 'none' || !exportModule || window.configModule.results.length === 0) return;
+
+    console.log(`📋 PROFILES: Post-scan export (${workbook})`);
+    if (workbook === 'statistics') {
+        exportModule.exportResultsWithStatistics();
+    } else {
+        exportModule.exportResults();
+    }
+}
+
+// JSON EXPORT AND IMPORT
+function downloadProfiles(profilesToExport) {
+    const file = {
+        type: PROFILE_FILE_TYPE,
+        version: PROFILE_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        profiles: profilesToExport
+    };
+
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = profilesToExport.length === 1
+        ? `scan_profile_${profileSlug(profilesToExport[0].name)}.json`
+        : `scan_profiles_${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Accepts an exported profiles file or a single bare profile; profiles replace saved ones with the same name
+function importProfiles(json) {
+    const isProfileFile = !!json && json.type === PROFILE_FILE_TYPE;
+    const profilesInFile = isProfileFile ? json.profiles : [json];
+    if (!Array.isArray(profilesInFile) || profilesInFile.length === 0) {
+        throw new Error('No scan profiles found in file');
+    }
+    if (isProfileFile && json.version > PROFILE_FORMAT_VERSION) {
+        throw new Error(`Profile file version ${json.version} is newer than this scanner supports (${PROFILE_FORMAT_VERSION})`);
+    }
+
+    const imported = profilesInFile.map(normalizeProfile);
+    let replaced = 0;
+
+    imported.forEach(profile => {
+        const existing = findProfileByName(profile.name);
+        if (existing) {
+            profile.id = existing.id;
+            profiles = profiles.map(saved => saved.id === existing.id ? profile : saved);
+            replaced++;
+        } else {
+            // Ids from another browser may collide with unrelated local profiles
+            if (getProfile(profile.id)) profile.id = createProfileId();
+            profiles.push(profile);
+        }
+    });
+
+    persistProfiles();
+    return { imported: imported.length, replaced };
+}
+
+// PROFILE CONTROLS
+function getSelectedProfileId() {
+    const select = document.getElementById('scan-profile-select');
+    return select ? select.value : '';
+}
+
+function renderProfileOptions(selectedId = activeProfileId) {
+    const select = document.getElementById('scan-profile-select');
+    if (!select) return;
+
+    select.innerHTML = '';
+    select.add(new Option(profiles.length === 0 ? 'No saved profiles' : 'Choose a profile...', ''));
+    profiles
+        .slice()
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(profile => select.add(new Option(profile.name, profile.id)));
+    select.value = selectedId && getProfile(selectedId) ? selectedId : '';
+    updateProfileButtons();
+}
+
+function updateProfileButtons() {
+    const hasSelection = !!getSelectedProfileId();
+    const loadBtn = document.getElementById('load-profile-btn');
+    const deleteBtn = document.getElementById('delete-profile-btn');
+    const exportBtn = document.getElementById('export-profiles-btn');
+
+    if (loadBtn) loadBtn.disabled = !hasSelection;
+    if (deleteBtn) deleteBtn.disabled = !hasSelection;
+    if (exportBtn) exportBtn.disabled = profiles.length === 0;
+}
+
+function updateProfileStatus(detail = '') {
+    const status = document.getElementById('scan-profile-status');
+    if (!status) return;
+
+    const active = getActiveProfile();
+    status.textContent = active ? `Loaded: ${active.name}${detail ? ` • ${detail}` : ''}` : detail;
+}
+
+function saveCurrentAsProfile() {
+    const configModule = window.configModule;
+    const active = getActiveProfile();
+    const name = prompt('Save the current scan setup as profile:', active ? active.name : '');
+    if (!name || !name.trim()) return;
+
+    const existing = findProfileByName(name);
+    if (existing && !confirm(`Replace the saved profile "${existing.name}"?`)) return;
+
+    const profile = captureCurrentProfile(name, existing);
+    profiles = existing
+        ? profiles.map(saved => saved.id === existing.id ? profile : saved)
+        : [...profiles, profile];
+    persistProfiles();
+
+    activeProfileId = profile.id;
+    renderProfileOptions();
+    updateProfileStatus();
+
+    console.log(`💾 PROFILES: Saved "${profile.name}"`, profile);
+    configModule.showToast(`Saved profile "${profile.name}"`);
+}
+
+function deleteSelectedProfile() {
+    const profile = getProfile(getSelectedProfileId());
+    if (!profile || !confirm(`Delete the scan profile "${profile.name}"?`)) return;
+
+    profiles = profiles.filter(saved => saved.id !== profile.id);
+    persistProfiles();
+    if (activeProfileId === profile.id) activeProfileId = null;
+
+    renderProfileOptions();
+    updateProfileStatus();
+    window.configModule.showToast(`Deleted profile "${profile.name}"`);
+}
+
+async function handleProfileImport(file) {
+    if (!file) return;
+
+    try {
+        const { imported, replaced } = importProfiles(JSON.parse(await file.text()));
+        renderProfileOptions();
+        console.log(`📥 PROFILES: Imported ${imported} profiles from ${file.name} (${replaced} replaced)`);
+        window.configModule.showToast(`Imported ${imported} profile${imported === 1 ? '' : 's'}${replaced > 0 ? ` (${replaced} replaced)` : ''}`);
+    } catch (error) {
+        console.error('❌ Failed to import scan profiles:', error);
+        alert('Could not import scan profiles: ' + error.message);
+    }
+}
+
+function initializeProfileControls() {
+    loadStoredProfiles();
+    renderProfileOptions();
+
+    const select = document.getElementById('scan-profile-select');
+    if (select) {
+        select.addEventListener('change', updateProfileButtons);
+    }
+
+    const loadBtn = document.getElementById('load-profile-btn');
+    if (loadBtn) {
+        loadBtn.addEventListener('click', () => {
+            const profile = getProfile(getSelectedProfileId());
+            if (profile) applyProfile(profile);
+        });
+    }
+
+    const saveBtn = document.getElementById('save-profile-btn');
+    if (saveBtn) {
+        saveBtn.addEventListener('click', saveCurrentAsProfile);
+    }
+
+    const deleteBtn = document.getElementById('delete-profile-btn');
+    if (deleteBtn) {
+        deleteBtn.addEventListener('click', deleteSelectedProfile);
+    }
+
+    // Exports the chosen profile, or every saved profile when none is chosen
+    const exportBtn = document.getElementById('export-profiles-btn');
+    if (exportBtn) {
+        exportBtn.addEventListener('click', () => {
+            const profile = getProfile(getSelectedProfileId());
+            downloadProfiles(profile ? [profile] : profiles);
+        });
+    }
+
+    const importInput = document.getElementById('import-profiles-input');
+    if (importInput) {
+        importInput.addEventListener('change', async (event) => {
+            await handleProfileImport(event.target.files[0]);
+            event.target.value = ''; // Allow the same file to be imported again
+        });
+    }
+
+    console.log(`✅ Scan profile controls initialized (${profiles.length} saved)`);
+}
+
+// Export functions for use in other modules
+window.profilesModule = {
+    // Constants
+    PROFILE_STORAGE_KEY,
+    PROFILE_FORMAT_VERSION,
+
+    // State
+    get profiles() { return profiles; },
+    getProfile,
+    getActiveProfile,
+    profileSlug,
+
+    // Profiles
+    normalizeProfile,
+    captureCurrentProfile,
+    applyProfile,
+    applyPendingSelection,
+    runPostScanExports,
+
+    // JSON exchange
+    downloadProfiles,
+    importProfiles,
+
+    // Initialization
+    initializeProfileControls
+};
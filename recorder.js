@@ -0,0 +1,372 @@
+// recorder.js - Graph Call Recorder Module for SharePoint & OneDrive Scanner v3.0
+// Captures every Graph request attempt made by graphRequestWithRetry and exports the capture
+// as a HAR 1.2 style JSON file for support cases and offline replay
+
+const RECORDER_CONFIG = {
+    maxEntries: 50000,          // Stop capturing beyond this to protect memory on huge scans
+    maxBodyChars: 250000,       // Response bodies longer than this are truncated
+    capturedResponseHeaders: [
+        'Content-Type', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset',
+        'request-id', 'client-request-id', 'x-ms-ags-diagnostic', 'x-ms-throttle-information',
+        'x-ms-resource-unit'
+    ],
+    // Request headers are copied from the caller's options - Authorization is never among them
+    excludedRequestHeaders: ['authorization']
+};
+
+// RECORDER STATE
+let recording = false;
+let recordingStartedAt = null;
+let entries = [];
+let annotations = [];
+let droppedEntries = 0;
+let redactPersonalData = true;
+
+// RECORDING CONTROL
+function startRecording(options = {}) {
+    if (typeof options.redactPersonalData === 'boolean') {
+        redactPersonalData = options.redactPersonalData;
+    }
+    recording = true;
+    recordingStartedAt = recordingStartedAt || new Date().toISOString();
+    console.log(`🎙️ RECORDER: Capturing Graph calls (personal data ${redactPersonalData ? 'pseudonymized' : 'kept'})`);
+    updateRecorderStatus();
+}
+
+function stopRecording() {
+    recording = false;
+    console.log(`🎙️ RECORDER: Stopped - ${entries.length} calls captured`);
+    updateRecorderStatus();
+}
+
+function clearRecording() {
+    entries = [];
+    annotations = [];
+    droppedEntries = 0;
+    recordingStartedAt = recording ? new Date().toISOString() : null;
+    updateRecorderStatus();
+}
+
+function isRecording() {
+    return recording;
+}
+
+// REDACTION
+// Sharing link URLs and download URLs are bearer capabilities - anyone holding them gets access
+const SECRET_KEYS = ['@microsoft.graph.downloadUrl', 'downloadUrl', 'password', 'accessToken', 'access_token', 'refresh_token', 'id_token'];
+const EMAIL_KEYS = ['email', 'mail', 'userPrincipalName', 'loginName', 'otherMails', 'proxyAddresses', 'upn'];
+const PERSON_NAME_KEYS = ['displayName', 'givenName', 'surname'];
+const PERSON_PARENT_KEYS = ['user', 'siteUser', 'application', 'device', 'grantedTo', 'grantedToV2', 'grantedToIdentities', 'grantedToIdentitiesV2', 'invitation', 'invitedBy', 'createdBy', 'lastModifiedBy', 'owner', 'sharedBy'];
+
+// Stable FNV-1a hash so the same person maps to the same pseudonym across a capture
+function pseudonym(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+// Keep the domain so internal/external classification still works on the redacted data
+function pseudonymizeEmail(value) {
+    if (typeof value !== 'string') return value;
+    return value.replace(/([^\s@<>"',;:]+)@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g, (match, local, domain) => {
+        const guestMatch = local.match(/^(.*)_([^_]+)#ext#$/i);
+        if (guestMatch) {
+            return `u-${pseudonym(guestMatch[1].toLowerCase())}_${guestMatch[2]}#EXT#@${domain}`;
+        }
+        return `u-${pseudonym(local.toLowerCase())}@${domain}`;
+    });
+}
+
+function redactValue(key, value, parentKey) {
+    if (SECRET_KEYS.includes(key)) {
+        return '[REDACTED]';
+    }
+    // link.webUrl is the shareable link itself
+    if (parentKey === 'link' && key === 'webUrl') {
+        return '[REDACTED-LINK]';
+    }
+    if (!redactPersonalData) {
+        return value;
+    }
+    if (EMAIL_KEYS.includes(key)) {
+        return Array.isArray(value) ? value.map(pseudonymizeEmail) : pseudonymizeEmail(value);
+    }
+    if (PERSON_NAME_KEYS.includes(key) && PERSON_PARENT_KEYS.includes(parentKey) && typeof value === 'string') {
+        return `Person ${pseudonym(value.toLowerCase())}`;
+    }
+    return value;
+}
+
+function redactObject(node, parentKey = null) {
+    if (Array.isArray(node)) {
+        return node.map(child => redactObject(child, parentKey));
+    }
+    if (node && typeof node === 'object') {
+        const redacted = {};
+        Object.entries(node).forEach(([key, value]) => {
+            const replaced = redactValue(key, value, parentKey);
+            redacted[key] = replaced === value && value && typeof value === 'object'
+                ? redactObject(value, key)
+                : replaced;
+        });
+        return redacted;
+    }
+    return node;
+}
+
+// Returns null for a JSON body that does not parse - it is left out rather than kept with its links
+function redactBodyText(text, mimeType) {
+    if (!text) return text;
+    if ((mimeType || '').includes('json')) {
+        try {
+            return JSON.stringify(redactObject(JSON.parse(text)));
+        } catch (e) {
+            return null;
+        }
+    }
+    return redactPersonalData ? pseudonymizeEmail(text) : text;
+}
+
+// URLs can carry a UPN (e.g. /users/{upn}/drive) - ids and skip/delta tokens are kept for replay
+function redactUrl(url) {
+    return redactPersonalData ? pseudonymizeEmail(url) : url;
+}
+
+// CAPTURE
+function toHarHeaders(headers, allowList = null) {
+    const result = [];
+    if (!headers) return result;
+
+    if (typeof headers.get === 'function') {
+        (allowList || []).forEach(name => {
+            const value = headers.get(name);
+            if (value !== null) result.push({ name, value });
+        });
+        return result;
+    }
+
+    Object.entries(headers).forEach(([name, value]) => {
+        if (!RECORDER_CONFIG.excludedRequestHeaders.includes(name.toLowerCase())) {
+            result.push({ name, value: String(value) });
+        }
+    });
+    return result;
+}
+
+function parseQueryString(url) {
+    try {
+        return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+    } catch (e) {
+        return [];
+    }
+}
+
+// Called by api.js for every fetch attempt; responseClone must be cloned before the body is read
+async function recordExchange({ url, options = {}, attempt = 0, maxRetries = 0, startedAt, durationMs, response = null, responseClone = null, error = null }) {
+    if (!recording) return;
+
+    if (entries.length >= RECORDER_CONFIG.maxEntries) {
+        droppedEntries++;
+        return;
+    }
+
+    const method = (options.method || 'GET').toUpperCase();
+    const requestBody = typeof options.body === 'string' ? options.body : null;
+    const mimeType = response ? (response.headers.get('Content-Type') || '') : '';
+
+    const entry = {
+        startedDateTime: new Date(startedAt).toISOString(),
+        time: Math.round(durationMs),
+        request: {
+            method,
+            url: redactUrl(url),
+            httpVersion: 'HTTP/1.1',
+            headers: toHarHeaders(options.headers),
+            queryString: parseQueryString(redactUrl(url)),
+            headersSize: -1,
+            bodySize: requestBody ? requestBody.length : 0
+        },
+        response: {
+            status: response ? response.status : 0,
+            statusText: response ? response.statusText : (error ? error.message : ''),
+            httpVersion: 'HTTP/1.1',
+            headers: response ? toHarHeaders(response.headers, RECORDER_CONFIG.capturedResponseHeaders) : [],
+            content: { size: 0, mimeType },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: -1
+        },
+        cache: {},
+        timings: { send: 0, wait: Math.round(durationMs), receive: 0 },
+        _retryAttempt: attempt,
+        _maxRetries: maxRetries
+    };
+
+    if (requestBody) {
+        const redactedBody = redactBodyText(requestBody, 'application/json');
+        entry.request.postData = {
+            mimeType: (options.headers && options.headers['Content-Type']) || 'application/json',
+            text: redactedBody === null ? '' : redactedBody
+        };
+        if (redactedBody === null) {
+            entry.request.postData.comment = 'body omitted: could not be parsed for redaction';
+        }
+    }
+
+    if (error) {
+        entry._error = error.message;
+    }
+
+    // Reserve the slot now so entries stay in request order while the body is read
+    entries.push(entry);
+    updateRecorderStatus();
+
+    if (responseClone) {
+        try {
+            const text = await responseClone.text();
+            entry.response.content.size = text.length;
+            entry.response.bodySize = entry.response.content.size;
+
+            // Redact the whole body before truncating - a cut JSON body no longer parses for redaction
+            let redacted = redactBodyText(text, mimeType);
+            if (redacted === null) {
+                entry.response.content.comment = 'body omitted: could not be parsed for redaction';
+            } else {
+                if (redacted.length > RECORDER_CONFIG.maxBodyChars) {
+                    redacted = redacted.slice(0, RECORDER_CONFIG.maxBodyChars);
+                    entry.response.content.comment = 'truncated';
+                }
+                entry.response.content.text = redacted;
+            }
+        } catch (readError) {
+            entry.response.content.comment = `body unavailable: ${readError.message}`;
+        }
+    }
+}
+
+// Free-form notes about decisions the scan made (fallback paths, resyncs) kept alongside the calls
+function annotate(event, details = {}) {
+    if (!recording) return;
+    annotations.push({
+        time: new Date().toISOString(),
+        entryIndex: entries.length,
+        event,
+        details: redactObject(details)
+    });
+}
+
+// EXPORT
+function buildHar() {
+    const configModule = window.configModule;
+    const appConfig = configModule ? configModule.APP_CONFIG : { name: 'SharePoint & OneDrive Scanner Enhanced', version: '3.0.0' };
+
+    return {
+        log: {
+            version: '1.2',
+            creator: { name: appConfig.name, version: appConfig.version },
+            pages: [],
+            entries: entries,
+            comment: `Graph calls captured from ${recordingStartedAt || 'n/a'} to ${new Date().toISOString()}`,
+            _graphBaseUrl: configModule ? configModule.getGraphBaseUrl() : null,
+            _personalDataRedacted: redactPersonalData,
+            _droppedEntries: droppedEntries,
+            _annotations: annotations
+        }
+    };
+}
+
+function exportHar() {
+    if (entries.length === 0) {
+        if (window.configModule) window.configModule.showToast('No Graph calls recorded yet');
+        return;
+    }
+
+    const blob = new Blob([JSON.stringify(buildHar(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `graph_calls_${new Date().toISOString().replace(/[:.]/g, '-')}.har`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    console.log(`📦 RECORDER: Exported ${entries.length} Graph calls`);
+    if (window.configModule) window.configModule.showToast(`Exported ${entries.length} recorded Graph calls`);
+}
+
+// RECORDER UI
+function updateRecorderStatus() {
+    const status = document.getElementById('graph-recorder-status');
+    if (status) {
+        const dropped = droppedEntries > 0 ? ` (${droppedEntries} dropped)` : '';
+        status.textContent = recording
+            ? `Recording • ${entries.length} calls${dropped}`
+            : `${entries.length} calls captured${dropped}`;
+    }
+
+    const exportBtn = document.getElementById('export-graph-recording-btn');
+    if (exportBtn) exportBtn.disabled = entries.length === 0;
+}
+
+function initializeRecorderControls() {
+    const toggle = document.getElementById('enable-graph-recorder');
+    const redactToggle = document.getElementById('graph-recorder-redact');
+    const exportBtn = document.getElementById('export-graph-recording-btn');
+    const clearBtn = document.getElementById('clear-graph-recording-btn');
+
+    if (toggle) {
+        toggle.addEventListener('change', () => {
+            if (toggle.checked) {
+                startRecording({ redactPersonalData: redactToggle ? redactToggle.checked : true });
+            } else {
+                stopRecording();
+            }
+        });
+    }
+
+    if (redactToggle) {
+        redactToggle.addEventListener('change', () => {
+            redactPersonalData = redactToggle.checked;
+        });
+    }
+
+    if (exportBtn) exportBtn.addEventListener('click', exportHar);
+    if (clearBtn) clearBtn.addEventListener('click', clearRecording);
+
+    updateRecorderStatus();
+}
+
+// Export functions for use in other modules
+window.recorderModule = {
+    // Constants
+    RECORDER_CONFIG,
+
+    // State
+    get entries() { return entries; },
+    get annotations() { return annotations; },
+
+    // Recording control
+    startRecording,
+    stopRecording,
+    clearRecording,
+    isRecording,
+
+    // Capture
+    recordExchange,
+    annotate,
+
+    // Redaction
+    redactObject,
+    pseudonymizeEmail,
+
+    // Export
+    buildHar,
+    exportHar,
+
+    // UI
+    initializeRecorderControls
+};
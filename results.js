@@ -1,6 +1,12 @@
 // results.js - Results Module for SharePoint & OneDrive Scanner v3.0
 // Handles result processing, filtering, real-time display management, and result UI components
 
+// SharePoint list results reuse the folder/file layouts with their own icons
+const LIST_RESULT_ICONS = {
+    list: '🗂️',
+    listItem: '📋'
+};
+
 // EXTRACT OWNERS FROM RESULT - ENHANCED TO WORK WITH EXISTING DATA AND NEW DUAL PERMISSION STRUCTURE
 function extractOwnersFromResult(result) {
     console.log('🔍 OWNERS: Function called for:', result ? result.itemName : 'NO RESULT');
@@ -266,6 +272,16 @@ function initializeResultsFiltering() {
             }
         });
     });
+    
+    ['label-filter', 'extension-filter', 'modified-filter', 'size-filter'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) {
+            select.addEventListener('change', () => {
+                applyResultsFilter(getCurrentResultsFilter());
+                console.log(`Results filter applied: ${id} = ${select.value}`);
+            });
+        }
+    });
 }
 
 function applyResultsFilter(filterType) {
@@ -309,10 +325,12 @@ function shouldShowResult(resultIndex, filterType) {
     const configModule = window.configModule;
     if (!configModule) return false;
     
-    if (filterType === 'all') return true;
     if (resultIndex >= configModule.results.length) return false;
     
     const result = configModule.results[resultIndex];
+    if (!resultMatchesItemFilters(result)) return false;
+    
+    if (filterType === 'all') return true;
     if (!result || !result.permissions) return false;
     
     // Check if any permission matches the filter
@@ -336,6 +354,72 @@ function shouldShowResult(resultIndex, filterType) {
     return false;
 }
 
+// GROUP MEMBERS - summary and expandable member list for group grants expanded during the scan
+function formatGroupMembershipSummary(permission) {
+    const membership = permission.groupMembership;
+    if (!membership) return '';
+    
+    const guests = membership.guestCount > 0 ? ` (${membership.guestCount} guests)` : '';
+    const outsiders = membership.externalMemberCount > 0 ? ` • ${membership.externalMemberCount} external${guests}` : '';
+    return `👥 ${membership.memberCount} members${outsiders}`;
+}
+
+// Returns a fragment - member names and emails come from the directory and SharePoint, so they go in as text
+function renderGroupMemberList(key) {
+    const configModule = window.configModule;
+    const record = configModule ? configModule.groupMemberships.get(key) : null;
+    const fragment = document.createDocumentFragment();
+    
+    if (!record) {
+        const notice = document.createElement('div');
+        notice.style.color = 'var(--text-muted)';
+        notice.textContent = 'Member list not loaded - rescan to expand this group again';
+        fragment.appendChild(notice);
+        return fragment;
+    }
+    
+    // Outsiders first
+    const members = [...record.members].sort((a, b) => (b.external - a.external) || (a.displayName || '').localeCompare(b.displayName || ''));
+    members.forEach(member => {
+        const line = document.createElement('div');
+        if (member.external) line.style.cssText = 'color: var(--danger); font-weight: 600;';
+        line.textContent = `${member.external ? '🌐' : '👤'} ${member.displayName}${member.email && member.email !== member.displayName ? ` (${member.email})` : ''}${member.userType === 'Guest' ? ' • Guest' : ''}`;
+        fragment.appendChild(line);
+    });
+    return fragment;
+}
+
+// Returns null for grants that are not expanded groups
+function createGroupMembersToggle(permission) {
+    const summary = formatGroupMembershipSummary(permission);
+    if (!summary) return null;
+    
+    const container = document.createElement('div');
+    container.style.cssText = 'font-size: 11px; margin-top: 2px;';
+    
+    const toggle = document.createElement('a');
+    toggle.href = '#';
+    toggle.style.cssText = `color: ${permission.groupMembership.externalMemberCount > 0 ? 'var(--danger)' : 'var(--text-muted)'}; text-decoration: none;`;
+    toggle.innerText = `${summary} ▸`;
+    
+    const list = document.createElement('div');
+    list.style.cssText = 'display: none; margin-top: 4px; max-height: 160px; overflow-y: auto;';
+    
+    toggle.addEventListener('click', (event) => {
+        event.preventDefault();
+        const opening = list.style.display === 'none';
+        if (opening && !list.hasChildNodes()) {
+            list.appendChild(renderGroupMemberList(permission.groupMembership.key));
+        }
+        list.style.display = opening ? 'block' : 'none';
+        toggle.innerText = `${summary} ${opening ? '▾' : '▸'}`;
+    });
+    
+    container.appendChild(toggle);
+    container.appendChild(list);
+    return container;
+}
+
 // ENHANCED REAL-TIME RESULTS DISPLAY WITH ITEMID - FIXED VERSION WITH REAL-TIME FILTERING
 function addResultToDisplay(result) {
     try {
@@ -384,11 +468,104 @@ function getCurrentResultsFilter() {
     return activeFilterBtn ? activeFilterBtn.dataset.filter : 'all';
 }
 
+// SENSITIVITY LABEL FILTER - all, violations, labeled, unlabeled or label:<name>
+function getCurrentLabelFilter() {
+    const select = document.getElementById('label-filter');
+    return select ? select.value : 'all';
+}
+
+function resultMatchesLabelFilter(result, labelFilter) {
+    if (labelFilter === 'all') return true;
+    if (!result) return false;
+    
+    switch (labelFilter) {
+        case 'violations':
+            return !!(result.labelViolations && result.labelViolations.length > 0);
+        case 'labeled':
+            return !!result.sensitivityLabel;
+        case 'unlabeled':
+            return result.sensitivityLabel === null;
+        default:
+            return !!result.sensitivityLabel && `label:${result.sensitivityLabel.name}` === labelFilter;
+    }
+}
+
+// ITEM METADATA FILTERS - file type, modified within N days, minimum size
+function getCurrentMetadataFilters() {
+    const value = id => {
+        const select = document.getElementById(id);
+        return select ? select.value : 'all';
+    };
+    return {
+        extension: value('extension-filter'),
+        modifiedWithinDays: value('modified-filter'),
+        minSize: value('size-filter')
+    };
+}
+
+function resultMatchesMetadataFilters(result, filters) {
+    if (!result) return false;
+    
+    if (filters.extension !== 'all' && result.fileExtension !== filters.extension) return false;
+    
+    if (filters.modifiedWithinDays !== 'all') {
+        if (!result.lastModifiedDateTime) return false;
+        const ageMs = Date.now() - new Date(result.lastModifiedDateTime).getTime();
+        if (ageMs > parseInt(filters.modifiedWithinDays) * 24 * 60 * 60 * 1000) return false;
+    }
+    
+    if (filters.minSize !== 'all' && !(result.size >= parseInt(filters.minSize))) return false;
+    
+    return true;
+}
+
+// Label and metadata filters apply on top of the sharing filter in every view
+function resultMatchesItemFilters(result) {
+    return resultMatchesLabelFilter(result, getCurrentLabelFilter()) &&
+        resultMatchesMetadataFilters(result, getCurrentMetadataFilters());
+}
+
+// Replaces the options added from scan results, keeping the current choice when it still exists
+function replaceDynamicOptions(select, options) {
+    const current = select.value;
+    select.querySelectorAll('option[data-dynamic]').forEach(option => option.remove());
+    
+    options.forEach(({ value, text }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.dataset.dynamic = 'true';
+        option.textContent = text;
+        select.appendChild(option);
+    });
+    
+    select.value = Array.from(select.options).some(option => option.value === current) ? current : 'all';
+}
+
+// One option per label and per file extension found so far
+function refreshResultFilterOptions() {
+    const configModule = window.configModule;
+    if (!configModule) return;
+    
+    const labelSelect = document.getElementById('label-filter');
+    if (labelSelect) {
+        const labelNames = new Set(configModule.results.filter(r => r.sensitivityLabel).map(r => r.sensitivityLabel.name));
+        replaceDynamicOptions(labelSelect, Array.from(labelNames).sort().map(name => ({ value: `label:${name}`, text: `🏷️ ${name}` })));
+    }
+    
+    const extensionSelect = document.getElementById('extension-filter');
+    if (extensionSelect) {
+        const extensions = new Set(configModule.results.filter(r => r.fileExtension).map(r => r.fileExtension));
+        replaceDynamicOptions(extensionSelect, Array.from(extensions).sort().map(ext => ({ value: ext, text: `.${ext}` })));
+    }
+}
+
 // NEW FUNCTION: Check if result should show based on current filter
 function shouldShowResultBasedOnFilter(result, filterType) {
     const configModule = window.configModule;
     if (!configModule) return false;
     
+    if (!resultMatchesItemFilters(result)) return false;
+    
     if (filterType === 'all') return true;
     if (!result || !result.permissions) return false;
     
@@ -591,7 +768,9 @@ function createAndInsertResultElement(result, resultsList, shouldShow = true) {
         
         // Fix for file icon display - files should show appropriate icons based on source and type
         let displayIcon;
-        if (result.itemType === 'file') {
+        if (LIST_RESULT_ICONS[result.itemType]) {
+            displayIcon = LIST_RESULT_ICONS[result.itemType];
+        } else if (result.itemType === 'file') {
             // For files: SharePoint files show just file icon, OneDrive files show source + file icon
             displayIcon = result.scanType === 'onedrive' ? '☁️📄' : '📄';
         } else {
@@ -698,6 +877,8 @@ function createAndInsertResultElement(result, resultsList, shouldShow = true) {
             } else {
                 tdWho.innerText = who;
             }
+            const groupMembersToggle = createGroupMembersToggle(p);
+            if (groupMembersToggle) tdWho.appendChild(groupMembersToggle);
             
             const tdRoles = document.createElement('td');
             if (directGrantDisplay && directGrantDisplay.inheritedFrom) {
@@ -958,11 +1139,14 @@ async function refreshItemPermissions(result, resultIndex) {
     }
     
     try {
-        const permissionsUrl = `https://graph.microsoft.com/v1.0/drives/${result.driveId}/items/${result.itemId}/permissions`;
+        const permissionsUrl = `${apiModule.graphBaseUrl()}/drives/${result.driveId}/items/${result.itemId}/permissions`;
         
-        const updatedPermissions = await apiModule.requestQueue.add(async () => {
-            return await apiModule.graphGetAll(permissionsUrl);
-        });
+        // SharePoint list results are re-read from their role assignments
+        const updatedPermissions = result.listId
+            ? await apiModule.getListPermissions(result.siteUrl, result.listId, result.listItemId, apiModule.REQUEST_LANES.INTERACTIVE)
+            : await apiModule.requestQueue.add(async () => {
+                return await apiModule.graphGetAll(permissionsUrl);
+            }, apiModule.REQUEST_LANES.INTERACTIVE);
         
         // Filter based on current scan settings
         const filteredPermissions = updatedPermissions.filter(p => 
@@ -983,6 +1167,10 @@ async function refreshItemPermissions(result, resultIndex) {
 // TABLE VIEW FUNCTIONALITY
 let currentView = 'card'; // Track current view mode
 
+function getCurrentView() {
+    return currentView;
+}
+
 function initializeViewToggle() {
     const viewToggleButtons = document.querySelectorAll('#view-toggle .filter-btn');
     
@@ -1050,12 +1238,13 @@ function displayResultsAsTable() {
     const thead = document.createElement('thead');
     thead.innerHTML = `
         <tr>
-            <th style="width: 20%;">Item</th>
-            <th style="width: 12%;">ItemID</th>
+            <th style="width: 18%;">Item</th>
+            <th style="width: 10%;">ItemID</th>
             <th style="width: 12%;">Owners</th>
-            <th style="width: 26%;">Permissions</th>
-            <th style="width: 12%;">Classifications</th>
-            <th style="width: 18%;">Actions</th>
+            <th style="width: 24%;">Permissions</th>
+            <th style="width: 10%;">Classifications</th>
+            <th style="width: 12%;">Label</th>
+            <th style="width: 14%;">Actions</th>
         </tr>
     `;
     table.appendChild(thead);
@@ -1122,15 +1311,19 @@ function createTableRow(result, resultIndex) {
     if (!displayPath.startsWith('/')) displayPath = '/' + displayPath;
     
     let displayIcon;
-    if (result.itemType === 'file') {
+    if (LIST_RESULT_ICONS[result.itemType]) {
+        displayIcon = LIST_RESULT_ICONS[result.itemType];
+    } else if (result.itemType === 'file') {
         displayIcon = result.scanType === 'onedrive' ? '☁️📄' : '📄';
     } else {
         displayIcon = result.scanType === 'onedrive' ? '☁️📁' : '📁';
     }
     
+    const metadataSummary = formatMetadataSummary(result);
     tdItem.innerHTML = `
         <div class="table-item-name">${displayIcon} ${result.siteName}${displayPath}</div>
         <div class="table-item-path">${result.siteUrl || (result.scanType === 'onedrive' ? 'Personal OneDrive' : 'SharePoint Site')}</div>
+        ${metadataSummary ? `<div class="table-item-path">${metadataSummary}</div>` : ''}
     `;
     
     // ItemID column
@@ -1183,6 +1376,7 @@ function createTableRow(result, resultIndex) {
             <div class="table-permission-item">
                 <div class="table-permission-who">${who}</div>
                 <div class="table-permission-role">${roles}${exp !== 'No expiration' ? ` • Expires: ${exp}` : ''}</div>
+                ${p.groupMembership ? `<div class="table-permission-role">${formatGroupMembershipSummary(p)}</div>` : ''}
             </div>
         `;
     });
@@ -1198,6 +1392,10 @@ function createTableRow(result, resultIndex) {
     });
     tdClassifications.innerHTML = classificationsHtml;
     
+    // Label column
+    const tdLabel = document.createElement('td');
+    tdLabel.innerHTML = formatLabelCell(result);
+    
     // Actions column
     const tdActions = document.createElement('td');
     tdActions.className = 'table-actions-cell';
@@ -1227,11 +1425,41 @@ function createTableRow(result, resultIndex) {
     tr.appendChild(tdOwners);
     tr.appendChild(tdPermissions);
     tr.appendChild(tdClassifications);
+    tr.appendChild(tdLabel);
     tr.appendChild(tdActions);
     
     return tr;
 }
 
+// Size • modified date and modifier • creator, skipping what the result does not have
+function formatMetadataSummary(result) {
+    const configModule = window.configModule;
+    const parts = [];
+    if (typeof result.size === 'number') parts.push(`📏 ${configModule.formatFileSize(result.size)}`);
+    if (result.lastModifiedDateTime) {
+        parts.push(`✏️ ${configModule.formatItemDate(result.lastModifiedDateTime)}${result.lastModifiedBy ? ` by ${result.lastModifiedBy}` : ''}`);
+    }
+    if (result.createdBy) parts.push(`Created by ${result.createdBy}`);
+    return parts.join(' • ');
+}
+
+// Label, "None" for unlabeled files, "—" when the label was not read; violations listed underneath
+function formatLabelCell(result) {
+    let html;
+    if (result.sensitivityLabel) {
+        html = `<div class="table-item-label">🏷️ ${result.sensitivityLabel.name}</div>`;
+    } else if (result.sensitivityLabel === null) {
+        html = '<div class="table-item-label" style="color: var(--text-muted);">None</div>';
+    } else {
+        html = `<div class="table-item-label" style="color: var(--text-muted);" title="${result.sensitivityLabelError ? 'Label could not be read' : 'Label not read'}">—</div>`;
+    }
+    
+    (result.labelViolations || []).forEach(violation => {
+        html += `<div style="color: var(--danger); font-size: 11px; font-weight: 600;">⚠️ ${violation}</div>`;
+    });
+    return html;
+}
+
 // Table action handler (global function for onclick handlers)
 window.handleTableAction = function(actionType, resultIndex) {
     const configModule = window.configModule;
@@ -1319,12 +1547,13 @@ function ensureResultsUIInitializedEnhanced(resultsContainer) {
             const thead = document.createElement('thead');
             thead.innerHTML = `
                 <tr>
-                    <th style="width: 20%;">Item</th>
-                    <th style="width: 12%;">ItemID</th>
+                    <th style="width: 18%;">Item</th>
+                    <th style="width: 10%;">ItemID</th>
                     <th style="width: 12%;">Owners</th>
-                    <th style="width: 26%;">Permissions</th>
-                    <th style="width: 12%;">Classifications</th>
-                    <th style="width: 18%;">Actions</th>
+                    <th style="width: 24%;">Permissions</th>
+                    <th style="width: 10%;">Classifications</th>
+                    <th style="width: 12%;">Label</th>
+                    <th style="width: 14%;">Actions</th>
                 </tr>
             `;
             table.appendChild(thead);
@@ -1455,6 +1684,8 @@ class TreeNode {
         this.parent = null;
         this.isExpanded = false;
         this.level = 0;
+        this.isBreakpoint = false; // Inheritance is broken here - the grants below are set on this node
+        this.inheritingResults = []; // Results whose permissions are all inherited from this node
     }
     
     addChild(childNode) {
@@ -1492,9 +1723,15 @@ function buildResultsTree(results) {
     console.log('🌲 Building hierarchical tree from', results.length, 'results');
     
     const siteRoots = new Map(); // Map of site root nodes
+    const nodesByItem = new Map(); // driveId|itemId -> node, to find the ancestor holding an inherited grant
+    
+    // Inherited results are collapsed under the ancestor that actually holds the grant, so they are
+    // placed after every other result has its node
+    const inheritedResults = results.filter(result => result.permissionInheritance === 'inherited' && result.inheritanceBreakpoint);
+    const placedResults = results.filter(result => !inheritedResults.includes(result));
     
     // Process each result and build tree
-    results.forEach((result, index) => {
+    placedResults.forEach((result, index) => {
         console.log(`🔍 Processing result ${index + 1}:`, result.itemName, 'at path:', result.itemPath);
         
         // Create or get site root node
@@ -1547,10 +1784,13 @@ function buildResultsTree(results) {
         
         let itemNode = currentNode.getChild(itemName);
         if (!itemNode) {
-            const nodeType = result.itemType === 'file' ? 'file' : 'folder';
+            const nodeType = result.itemType === 'file' || result.itemType === 'listItem' ? 'file' : 'folder';
             itemNode = new TreeNode(itemName, finalPath, nodeType, result);
             currentNode.addChild(itemNode);
             console.log(`📄 Added ${nodeType}: ${itemName} at level ${itemNode.level} with ${result.permissions.length} permissions`);
+        } else if (!itemNode.result) {
+            // A folder created along another result's path turns out to have sharing of its own
+            itemNode.result = result;
         } else {
             // Merge permissions if item already exists (shouldn't normally happen)
             if (itemNode.result && result.permissions) {
@@ -1558,8 +1798,46 @@ function buildResultsTree(results) {
                 console.log(`🔗 Merged permissions for existing item:`, itemName);
             }
         }
+        
+        itemNode.isBreakpoint = itemNode.isBreakpoint || result.permissionInheritance === 'unique';
+        nodesByItem.set(`${result.driveId}|${result.itemId}`, itemNode);
+    });
+    
+    // Attach inherited results to their breakpoint: the ancestor's own result node when it was found,
+    // otherwise a node at the breakpoint's path (created if needed, e.g. the library root)
+    inheritedResults.forEach(result => {
+        const breakpoint = result.inheritanceBreakpoint;
+        let breakpointNode = breakpoint.itemId ? nodesByItem.get(`${result.driveId}|${breakpoint.itemId}`) : null;
+        
+        if (!breakpointNode) {
+            const siteKey = `${result.scanType}_${result.siteName}`;
+            let siteNode = siteRoots.get(siteKey);
+            if (!siteNode) {
+                siteNode = new TreeNode(result.scanType === 'onedrive' ? `☁️ ${result.siteName} (OneDrive)` : `📁 ${result.siteName}`, '', 'site', null);
+                siteNode.siteInfo = { siteName: result.siteName, siteUrl: result.siteUrl, scanType: result.scanType };
+                siteRoots.set(siteKey, siteNode);
+            }
+            
+            breakpointNode = siteNode;
+            let currentPath = '';
+            (breakpoint.path || '').split('/').filter(part => part.length > 0).forEach(folderName => {
+                currentPath += '/' + folderName;
+                let folderNode = breakpointNode.getChild(folderName);
+                if (!folderNode) {
+                    folderNode = breakpointNode.addChild(new TreeNode(folderName, currentPath, 'folder', null));
+                }
+                breakpointNode = folderNode;
+            });
+        }
+        
+        breakpointNode.isBreakpoint = true;
+        breakpointNode.inheritingResults.push(result);
     });
     
+    if (inheritedResults.length > 0) {
+        console.log(`🔓 Collapsed ${inheritedResults.length} inherited results under their inheritance breakpoints`);
+    }
+    
     console.log(`✅ Tree built with ${siteRoots.size} site roots:`, Array.from(siteRoots.keys()));
     return siteRoots;
 }
@@ -1672,13 +1950,29 @@ function createHierarchicalNode(node, currentFilter) {
         nameSpan.style.fontWeight = '600';
         nameSpan.style.color = 'var(--primary)';
     } else if (node.type === 'folder') {
-        nodeIcon = '📁';
+        nodeIcon = (node.result && LIST_RESULT_ICONS[node.result.itemType]) || '📁';
         nameSpan.innerHTML = `${nodeIcon} ${node.name}`;
     } else if (node.type === 'file') {
-        nodeIcon = '📄';
+        nodeIcon = (node.result && LIST_RESULT_ICONS[node.result.itemType]) || '📄';
         nameSpan.innerHTML = `${nodeIcon} ${node.name}`;
     }
     
+    // Inheritance breakpoint marker and the items collapsed under it
+    if (node.isBreakpoint && node.type !== 'site') {
+        const inheritingCount = node.inheritingResults.length;
+        const breakpointBadge = document.createElement('span');
+        breakpointBadge.className = 'inheritance-breakpoint-badge';
+        breakpointBadge.style.cssText = 'margin-left: 8px; padding: 2px 6px; border-radius: 4px; font-size: 11px; font-weight: 600; background: #fef3c7; color: #92400e;';
+        breakpointBadge.textContent = inheritingCount > 0 ?
+            `🔓 Inheritance broken • ${inheritingCount} item${inheritingCount !== 1 ? 's' : ''} inherit` :
+            '🔓 Inheritance broken';
+        if (inheritingCount > 0) {
+            breakpointBadge.title = node.inheritingResults.slice(0, 20).map(r => r.itemPath).join('\n') +
+                (inheritingCount > 20 ? `\n... and ${inheritingCount - 20} more` : '');
+        }
+        nameSpan.appendChild(breakpointBadge);
+    }
+    
     // Permission count and actions for items with permissions
     const actionsDiv = document.createElement('div');
     actionsDiv.className = 'tree-node-actions';
@@ -1814,9 +2108,11 @@ function createHierarchicalNode(node, currentFilter) {
     
     nodeDiv.appendChild(childrenContainer);
     
-    // Add permission details if this node has permissions
-    if (node.result && node.result.permissions && node.result.permissions.length > 0) {
-        const permissionsDetails = createPermissionsDetailsForNode(node.result, currentFilter);
+    // Add permission details if this node has permissions - a breakpoint that was not a result itself
+    // shows the grants its inheriting items report
+    const detailsResult = node.result || node.inheritingResults[0];
+    if (detailsResult && detailsResult.permissions && detailsResult.permissions.length > 0) {
+        const permissionsDetails = createPermissionsDetailsForNode(detailsResult, currentFilter);
         if (permissionsDetails) {
             nodeDiv.appendChild(permissionsDetails);
         }
@@ -1853,13 +2149,20 @@ function shouldShowHierarchicalNode(node, currentFilter) {
     if (node.type === 'site') return true;
     
     // For files and folders with permissions, check if they match the filter
-    if (node.result && node.result.permissions) {
+    if (node.result && node.result.permissions && resultMatchesItemFilters(node.result)) {
         const filteredPermissions = getFilteredPermissions(node.result.permissions, currentFilter);
         if (filteredPermissions.length > 0) {
             return true;
         }
     }
     
+    // Breakpoints stand in for the inherited items collapsed under them
+    if (node.inheritingResults.some(result =>
+        resultMatchesItemFilters(result) && getFilteredPermissions(result.permissions || [], currentFilter).length > 0
+    )) {
+        return true;
+    }
+    
     // For folder nodes without permissions, check if any descendants match the filter
     if (node.type === 'folder' && node.hasChildren()) {
         for (const child of node.children.values()) {
@@ -1922,6 +2225,9 @@ function createPermissionsDetailsForNode(result, currentFilter) {
             <td style="padding: 4px 8px;">${expiration}</td>
         `;
         
+        const groupMembersToggle = createGroupMembersToggle(permission);
+        if (groupMembersToggle) tr.firstElementChild.appendChild(groupMembersToggle);
+        
         tbody.appendChild(tr);
     });
     
@@ -2011,7 +2317,8 @@ function addResultToHierarchicalView(result) {
         let finalItemNode = currentContainer.querySelector(`[data-node-key="${finalKey}"]`);
         if (!finalItemNode) {
             console.log(`📄 Adding final item: ${finalItemName} with ${result.permissions.length} permissions`);
-            finalItemNode = createHierarchyNode(finalItemName, finalKey, result.itemType, result, pathParts.length);
+            const finalNodeType = result.itemType === 'list' ? 'folder' : result.itemType === 'listItem' ? 'file' : result.itemType;
+            finalItemNode = createHierarchyNode(finalItemName, finalKey, finalNodeType, result, pathParts.length);
             finalItemNode.setAttribute('data-node-key', finalKey);
             currentContainer.appendChild(finalItemNode);
         }
@@ -2085,9 +2392,9 @@ function createHierarchyNode(name, nodeKey, nodeType, result = null, level = 0)
     if (nodeType === 'site') {
         nodeIcon = name.includes('OneDrive') ? '☁️' : '🏢';
     } else if (nodeType === 'folder') {
-        nodeIcon = '📁';
+        nodeIcon = (result && LIST_RESULT_ICONS[result.itemType]) || '📁';
     } else if (nodeType === 'file') {
-        nodeIcon = '📄';
+        nodeIcon = (result && LIST_RESULT_ICONS[result.itemType]) || '📄';
     }
     nameSpan.textContent = `${nodeIcon} ${name}`;
     
@@ -2279,7 +2586,397 @@ function addResultToDisplayEnhancedWithHierarchy(result) {
     }
 }
 
+// SUMMARY TABLE CELLS - names, paths and URLs in these tables come from Graph (and, for inbound
+// shares, from other tenants), so they are only ever set through textContent
+function createSummaryCell(text, style = '') {
+    const cell = document.createElement('td');
+    cell.style.cssText = `padding: 4px 8px; font-size: 12px; ${style}`;
+    cell.textContent = text;
+    return cell;
+}
+
+// Only https URLs become links; anything else (javascript:, data:...) is shown as plain text
+function createSafeLink(url, text) {
+    let parsed = null;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        parsed = null;
+    }
+    
+    if (!parsed || parsed.protocol !== 'https:') {
+        return document.createTextNode(text);
+    }
+    
+    const link = document.createElement('a');
+    link.href = parsed.href;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = text;
+    return link;
+}
+
 // Export functions for use in other modules
+// UNVERIFIED ITEMS DISPLAY - items whose permissions could not be read during the scan
+function renderUnverifiedItems() {
+    const configModule = window.configModule;
+    const section = document.getElementById('unverified-items-section');
+    
+    if (!configModule || !section) return;
+    
+    const unverified = configModule.unverifiedItems;
+    if (unverified.length === 0) {
+        section.style.display = 'none';
+        section.innerHTML = '';
+        return;
+    }
+    
+    const maxShown = 50;
+    
+    section.innerHTML = `
+        <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 8px;">
+            <strong style="font-size: 13px;">⚠️ ${unverified.length} item${unverified.length === 1 ? '' : 's'} could not be verified</strong>
+            <span style="font-size: 12px; color: var(--text-muted);">Permissions or folder contents could not be read (throttled, forbidden, locked...) - these are NOT confirmed as unshared</span>
+            <button id="rescan-unverified-btn" class="btn btn-secondary btn-small" style="margin-left: auto;">🔁 Rescan Unverified</button>
+        </div>
+        <div style="max-height: 200px; overflow-y: auto;">
+            <table style="width: 100%; border-collapse: collapse;">
+                <thead>
+                    <tr style="text-align: left; font-size: 12px;">
+                        <th style="padding: 4px 8px;">Location</th>
+                        <th style="padding: 4px 8px;">Item</th>
+                        <th style="padding: 4px 8px;">Status</th>
+                        <th style="padding: 4px 8px;">Error Code</th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            ${unverified.length > maxShown ? `<div style="font-size: 12px; font-style: italic; padding: 4px 8px;">... and ${unverified.length - maxShown} more (included in export)</div>` : ''}
+        </div>
+    `;
+    
+    const body = section.querySelector('tbody');
+    unverified.slice(0, maxShown).forEach(u => {
+        const row = document.createElement('tr');
+        row.appendChild(createSummaryCell(u.scanType === 'onedrive' ? 'OneDrive' : u.siteName));
+        row.appendChild(createSummaryCell(u.itemPath || u.itemName, 'word-break: break-all;'));
+        row.appendChild(createSummaryCell(u.status || 'n/a'));
+        row.appendChild(createSummaryCell(u.errorCode));
+        body.appendChild(row);
+    });
+    section.style.display = 'block';
+    
+    const rescanBtn = document.getElementById('rescan-unverified-btn');
+    if (rescanBtn) {
+        rescanBtn.addEventListener('click', () => {
+            if (window.scanningModule && window.scanningModule.rescanUnverifiedItems) {
+                window.scanningModule.rescanUnverifiedItems();
+            }
+        });
+    }
+}
+
+// SKIPPED PATHS DISPLAY - libraries and folders the path rules or depth limit kept out of the scan
+function renderSkippedPaths() {
+    const configModule = window.configModule;
+    const section = document.getElementById('skipped-paths-section');
+    
+    if (!configModule || !section) return;
+    
+    const skipped = configModule.skippedPaths;
+    if (skipped.length === 0) {
+        section.style.display = 'none';
+        section.innerHTML = '';
+        return;
+    }
+    
+    const byRule = skipped.filter(entry => entry.reason === 'path-rule').length;
+    const maxShown = 50;
+    
+    section.innerHTML = `
+        <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 8px;">
+            <strong style="font-size: 13px;">⏭️ ${skipped.length} path${skipped.length === 1 ? '' : 's'} not examined</strong>
+            <span style="font-size: 12px; color: var(--text-muted);">${byRule} by path rules • ${skipped.length - byRule} at the depth limit - everything inside them was skipped too</span>
+        </div>
+        <div style="max-height: 200px; overflow-y: auto;">
+            <table style="width: 100%; border-collapse: collapse;">
+                <thead>
+                    <tr style="text-align: left; font-size: 12px;">
+                        <th style="padding: 4px 8px;">Location</th>
+                        <th style="padding: 4px 8px;">Path</th>
+                        <th style="padding: 4px 8px;">Type</th>
+                        <th style="padding: 4px 8px;">Reason</th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            ${skipped.length > maxShown ? `<div style="font-size: 12px; font-style: italic; padding: 4px 8px;">... and ${skipped.length - maxShown} more (included in export)</div>` : ''}
+        </div>
+    `;
+    
+    // Paths and custom rule patterns are filled through textContent
+    const body = section.querySelector('tbody');
+    skipped.slice(0, maxShown).forEach(entry => {
+        const row = document.createElement('tr');
+        row.appendChild(createSummaryCell(entry.scanType === 'onedrive' ? 'OneDrive' : entry.siteName));
+        row.appendChild(createSummaryCell(entry.itemPath, 'word-break: break-all;'));
+        row.appendChild(createSummaryCell(entry.itemType));
+        row.appendChild(createSummaryCell(entry.reason === 'depth-limit' ? 'Depth limit (contents not listed)' : entry.rule));
+        body.appendChild(row);
+    });
+    section.style.display = 'block';
+}
+
+function renderPartialDrives() {
+    const configModule = window.configModule;
+    const section = document.getElementById('partial-drives-section');
+    
+    if (!configModule || !section) return;
+    
+    const partial = configModule.partialDrives;
+    if (partial.length === 0) {
+        section.style.display = 'none';
+        section.innerHTML = '';
+        return;
+    }
+    
+    section.innerHTML = `
+        <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 8px;">
+            <strong style="font-size: 13px;">⏸️ ${partial.length} drive${partial.length === 1 ? '' : 's'} partially scanned</strong>
+            <span style="font-size: 12px; color: var(--text-muted);">A scan budget ran out or folders could not be listed before these drives were finished - results from them are incomplete</span>
+            <button id="resume-partial-drives-btn" class="btn btn-secondary btn-small" style="margin-left: auto;">▶️ Resume Scan</button>
+        </div>
+        <div style="max-height: 200px; overflow-y: auto;">
+            <table style="width: 100%; border-collapse: collapse;">
+                <thead>
+                    <tr style="text-align: left; font-size: 12px;">
+                        <th style="padding: 4px 8px;">Location</th>
+                        <th style="padding: 4px 8px;">Drive</th>
+                        <th style="padding: 4px 8px;">Stopped By</th>
+                        <th style="padding: 4px 8px;">Stopped At</th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        </div>
+    `;
+    
+    const body = section.querySelector('tbody');
+    partial.forEach(entry => {
+        const row = document.createElement('tr');
+        row.appendChild(createSummaryCell(entry.siteName));
+        row.appendChild(createSummaryCell(entry.driveName));
+        row.appendChild(createSummaryCell(entry.reason));
+        row.appendChild(createSummaryCell(new Date(entry.markedAt).toLocaleString()));
+        body.appendChild(row);
+    });
+    section.style.display = 'block';
+    
+    const resumeBtn = document.getElementById('resume-partial-drives-btn');
+    if (resumeBtn) {
+        resumeBtn.addEventListener('click', () => {
+            if (window.scanningModule && window.scanningModule.resumeLastScan) {
+                window.scanningModule.resumeLastScan();
+            }
+        });
+    }
+}
+
+function renderInboundShares() {
+    const configModule = window.configModule;
+    const section = document.getElementById('inbound-shares-section');
+    
+    if (!configModule || !section) return;
+    
+    const inbound = configModule.inboundShares;
+    if (inbound.length === 0) {
+        section.style.display = 'none';
+        section.innerHTML = '';
+        return;
+    }
+    
+    // One chip per remote tenant: how many items and how many of our users they reach
+    const tenants = new Map();
+    inbound.forEach(record => {
+        if (!tenants.has(record.remoteTenant)) {
+            tenants.set(record.remoteTenant, { items: 0, users: new Set() });
+        }
+        const tenant = tenants.get(record.remoteTenant);
+        tenant.items++;
+        tenant.users.add(record.userPrincipalName || record.userName);
+    });
+    const maxShown = 100;
+    
+    section.innerHTML = `
+        <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 8px;">
+            <strong style="font-size: 13px;">📥 ${inbound.length} item${inbound.length === 1 ? '' : 's'} shared in from ${tenants.size} outside organization${tenants.size === 1 ? '' : 's'}</strong>
+            <span style="font-size: 12px; color: var(--text-muted);">Content other tenants have shared with our users (sharedWithMe)</span>
+            <button id="export-inbound-btn" class="btn btn-secondary btn-small" style="margin-left: auto;">📊 Export Inbound</button>
+        </div>
+        <div id="inbound-tenant-chips" style="margin-bottom: 8px;"></div>
+        <div style="max-height: 240px; overflow-y: auto;">
+            <table style="width: 100%; border-collapse: collapse;">
+                <thead>
+                    <tr style="text-align: left; font-size: 12px;">
+                        <th style="padding: 4px 8px;">Remote Tenant</th>
+                        <th style="padding: 4px 8px;">Sharer</th>
+                        <th style="padding: 4px 8px;">Item</th>
+                        <th style="padding: 4px 8px;">Role</th>
+                        <th style="padding: 4px 8px;">Shared With</th>
+                        <th style="padding: 4px 8px;">Shared On</th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            ${inbound.length > maxShown ? `<div style="font-size: 12px; font-style: italic; padding: 4px 8px;">... and ${inbound.length - maxShown} more (included in export)</div>` : ''}
+        </div>
+    `;
+    
+    // Tenant names, sharers, item names and URLs all come from the remote tenant
+    const chipContainer = section.querySelector('#inbound-tenant-chips');
+    Array.from(tenants.entries())
+        .sort((a, b) => b[1].items - a[1].items)
+        .forEach(([name, tenant]) => {
+            const chip = document.createElement('span');
+            chip.style.cssText = 'display: inline-block; padding: 2px 8px; margin: 2px; border-radius: 10px; background: var(--border); font-size: 12px;';
+            chip.textContent = `${name}: ${tenant.items} item${tenant.items === 1 ? '' : 's'} • ${tenant.users.size} user${tenant.users.size === 1 ? '' : 's'}`;
+            chipContainer.appendChild(chip);
+        });
+    
+    const body = section.querySelector('tbody');
+    inbound.slice(0, maxShown).forEach(record => {
+        const row = document.createElement('tr');
+        row.appendChild(createSummaryCell(record.remoteTenant));
+        row.appendChild(createSummaryCell(`${record.sharerName}${record.sharerEmail ? ` (${record.sharerEmail})` : ''}`));
+        
+        const itemCell = createSummaryCell(`${record.itemType === 'folder' ? '📁' : '📄'} `, 'word-break: break-all;');
+        itemCell.appendChild(record.webUrl ? createSafeLink(record.webUrl, record.itemName) : document.createTextNode(record.itemName));
+        row.appendChild(itemCell);
+        
+        row.appendChild(createSummaryCell(record.role));
+        row.appendChild(createSummaryCell(record.userName));
+        row.appendChild(createSummaryCell(record.sharedDateTime ? new Date(record.sharedDateTime).toLocaleDateString() : 'n/a'));
+        body.appendChild(row);
+    });
+    section.style.display = 'block';
+    
+    const exportBtn = document.getElementById('export-inbound-btn');
+    if (exportBtn) {
+        exportBtn.addEventListener('click', () => {
+            if (window.exportModule && window.exportModule.exportInboundShares) {
+                window.exportModule.exportInboundShares();
+            }
+        });
+    }
+}
+
+// SNAPSHOT DIFF - changes between two saved result sets (see snapshotsModule.compareSnapshots)
+let snapshotDiffTypeFilter = 'all';
+
+function renderSnapshotDiff() {
+    const snapshotsModule = window.snapshotsModule;
+    const section = document.getElementById('snapshot-diff-section');
+    
+    if (!snapshotsModule || !section) return;
+    
+    const diff = snapshotsModule.currentDiff;
+    if (!diff) {
+        section.style.display = 'none';
+        section.innerHTML = '';
+        snapshotDiffTypeFilter = 'all';
+        return;
+    }
+    
+    const labels = snapshotsModule.CHANGE_TYPE_LABELS;
+    const describeSide = side => `${side.name} • ${new Date(side.createdAt).toLocaleString()} • ${side.resultCount} results`;
+    const chip = (type, label, count) => `<button class="filter-btn${snapshotDiffTypeFilter === type ? ' active' : ''}" data-diff-type="${type}" style="font-size: 12px;">${label}: ${count}</button>`;
+    const chips = chip('all', 'All changes', diff.summary.total) +
+        Object.keys(labels).map(type => chip(type, labels[type], diff.summary.counts[type])).join('');
+    
+    const warnings = [];
+    if (diff.base.sharingFilter !== diff.compare.sharingFilter) {
+        warnings.push(`The scans used different sharing filters (${diff.base.sharingFilter} vs ${diff.compare.sharingFilter}) - shares outside the narrower filter show up as new or removed.`);
+    }
+    if (diff.summary.drivesOnlyInBase > 0) {
+        warnings.push(`${diff.summary.drivesOnlyInBase} drive${diff.summary.drivesOnlyInBase === 1 ? '' : 's'} only appear in the earlier set - their removed shares may just be outside the later scan.`);
+    }
+    if (diff.summary.unconfirmedItems > 0) {
+        warnings.push(`${diff.summary.unconfirmedItems} item${diff.summary.unconfirmedItems === 1 ? ' was' : 's were'} unverified, skipped or on a partially scanned drive in the later set - their shares are not reported as removed.`);
+    }
+    
+    const changes = snapshotDiffTypeFilter === 'all' ? diff.changes : diff.changes.filter(change => change.changeType === snapshotDiffTypeFilter);
+    const maxShown = 200;
+    
+    section.innerHTML = `
+        <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 8px;">
+            <strong style="font-size: 13px;">🔍 ${diff.summary.total} change${diff.summary.total === 1 ? '' : 's'} between snapshots</strong>
+            <span id="snapshot-diff-sides" style="font-size: 12px; color: var(--text-muted);"></span>
+            <button id="export-diff-btn" class="btn btn-secondary btn-small" style="margin-left: auto;">📊 Export Diff</button>
+            <button id="close-diff-btn" class="btn btn-secondary btn-small">Close</button>
+        </div>
+        ${warnings.map(warning => `<div style="font-size: 12px; color: var(--warning); margin-bottom: 4px;">⚠️ ${warning}</div>`).join('')}
+        <div class="filter-buttons" style="margin-bottom: 8px; flex-wrap: wrap;">${chips}</div>
+        <div style="max-height: 320px; overflow-y: auto;">
+            <table style="width: 100%; border-collapse: collapse;">
+                <thead>
+                    <tr style="text-align: left; font-size: 12px;">
+                        <th style="padding: 4px 8px;">Change</th>
+                        <th style="padding: 4px 8px;">Site</th>
+                        <th style="padding: 4px 8px;">Item</th>
+                        <th style="padding: 4px 8px;">Grantee</th>
+                        <th style="padding: 4px 8px;">Before</th>
+                        <th style="padding: 4px 8px;">After</th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            ${changes.length === 0 ? '<div style="font-size: 12px; font-style: italic; padding: 4px 8px;">No changes of this type</div>' : ''}
+            ${changes.length > maxShown ? `<div style="font-size: 12px; font-style: italic; padding: 4px 8px;">... and ${changes.length - maxShown} more (included in export)</div>` : ''}
+        </div>
+    `;
+    
+    // Snapshot names are typed by the user; paths, grantees and URLs come from the scanned tenant
+    section.querySelector('#snapshot-diff-sides').textContent = `${describeSide(diff.base)} → ${describeSide(diff.compare)}`;
+    
+    const body = section.querySelector('tbody');
+    changes.slice(0, maxShown).forEach(change => {
+        const row = document.createElement('tr');
+        row.appendChild(createSummaryCell(labels[change.changeType], 'white-space: nowrap;'));
+        row.appendChild(createSummaryCell(change.siteName || ''));
+        
+        const itemCell = createSummaryCell(`${change.itemType === 'folder' ? '📁' : '📄'} `, 'word-break: break-all;');
+        itemCell.appendChild(change.webUrl ? createSafeLink(change.webUrl, change.itemPath) : document.createTextNode(change.itemPath));
+        row.appendChild(itemCell);
+        
+        row.appendChild(createSummaryCell(change.grantee));
+        row.appendChild(createSummaryCell(change.before || '—'));
+        row.appendChild(createSummaryCell(change.after || '—'));
+        body.appendChild(row);
+    });
+    section.style.display = 'block';
+    
+    section.querySelectorAll('[data-diff-type]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            snapshotDiffTypeFilter = btn.dataset.diffType;
+            renderSnapshotDiff();
+        });
+    });
+    
+    const exportBtn = document.getElementById('export-diff-btn');
+    if (exportBtn) {
+        exportBtn.addEventListener('click', () => {
+            if (window.exportModule && window.exportModule.exportSnapshotDiff) {
+                window.exportModule.exportSnapshotDiff();
+            }
+        });
+    }
+    
+    const closeBtn = document.getElementById('close-diff-btn');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', () => snapshotsModule.clearDiff());
+    }
+}
+
 window.resultsModule = {
     // Filtering functions
     initializeResultsFiltering,
@@ -2290,6 +2987,16 @@ window.resultsModule = {
     addResultToDisplay: addResultToDisplayEnhancedWithHierarchy,
     getCurrentResultsFilter,
     shouldShowResultBasedOnFilter,
+    
+    // Sensitivity label filter
+    getCurrentLabelFilter,
+    resultMatchesLabelFilter,
+    
+    // Item metadata filters
+    getCurrentMetadataFilters,
+    resultMatchesMetadataFilters,
+    resultMatchesItemFilters,
+    refreshResultFilterOptions,
     updateResultsDisplayWithFilter,
     ensureResultsUIInitialized,
     createAndInsertResultElement,
@@ -2298,9 +3005,12 @@ window.resultsModule = {
     // Table view functions
     initializeViewToggle,
     switchView: switchViewEnhanced,
+    getCurrentView,
     displayResultsAsTable,
     displayResultsAsCards,
     createTableRow,
+    formatMetadataSummary,
+    formatLabelCell,
     addResultToTableView,
     
     // Hierarchical view functions
@@ -2311,9 +3021,29 @@ window.resultsModule = {
     shouldShowHierarchicalNode,
     addResultToHierarchicalView,
     
+    // Group members
+    formatGroupMembershipSummary,
+    renderGroupMemberList,
+    createGroupMembersToggle,
+    
     // Permission refresh
     refreshItemPermissions,
     
+    // Unverified items
+    renderUnverifiedItems,
+    
+    // Skipped paths
+    renderSkippedPaths,
+    
+    // Partial drives
+    renderPartialDrives,
+    
+    // Inbound sharing inventory
+    renderInboundShares,
+    
+    // Snapshot diff
+    renderSnapshotDiff,
+    
     // SharePoint groups toggle
     initializeSharePointGroupsToggle,
     
@@ -0,0 +1,343 @@
+// scan-engine.js - Scan Engine Bridge Module for SharePoint & OneDrive Scanner v3.0
+// Owns the scan Web Worker (scan-worker.js): hands it settings and access tokens, runs traversal
+// and classification jobs on it, and feeds the streamed results back to scanning.js.
+// When workers are unavailable (e.g. the page is opened from file://) scanning.js keeps
+// using its main-thread pipeline.
+
+const ENGINE_CONFIG = {
+    workerScript: 'scan-worker.js',
+    readyTimeoutMs: 5000,   // Give up on the worker if it has not started by then
+    stopPollMs: 250         // How often running jobs check the scan controller's stop flag
+};
+
+// ENGINE STATE
+let worker = null;
+let enginePromise = null;
+let engineAvailable = false;
+let nextJobId = 1;
+const engineJobs = new Map();
+let workerQueueStats = null; // Latest RequestQueue.getStats() from the worker while a job runs
+
+// WORKER LIFECYCLE
+function ensureEngine() {
+    if (enginePromise) return enginePromise;
+
+    enginePromise = new Promise(resolve => {
+        if (typeof Worker === 'undefined') {
+            console.warn('⚠️ SCAN ENGINE: Web Workers not supported - scanning on the main thread');
+            resolve(false);
+            return;
+        }
+
+        let settled = false;
+        const settle = (available, reason) => {
+            if (settled) return;
+            settled = true;
+            engineAvailable = available;
+            if (available) {
+                console.log('🧵 SCAN ENGINE: Worker ready - traversal and classification run off the main thread');
+            } else {
+                console.warn(`⚠️ SCAN ENGINE: Worker unavailable (${reason}) - scanning on the main thread`);
+                terminateEngine();
+            }
+            resolve(available);
+        };
+
+        try {
+            worker = new Worker(ENGINE_CONFIG.workerScript);
+        } catch (error) {
+            settle(false, error.message);
+            return;
+        }
+
+        worker.onmessage = (event) => {
+            if (event.data.type === 'ready') {
+                settle(true);
+                return;
+            }
+            handleWorkerMessage(event.data);
+        };
+        worker.onerror = (event) => {
+            event.preventDefault();
+            if (!settled) {
+                settle(false, event.message || 'failed to load');
+                return;
+            }
+            failAllJobs(new Error(`Scan worker crashed: ${event.message || 'unknown error'}`));
+        };
+
+        setTimeout(() => settle(false, 'startup timed out'), ENGINE_CONFIG.readyTimeoutMs);
+    });
+
+    return enginePromise;
+}
+
+function terminateEngine() {
+    if (worker) {
+        worker.terminate();
+        worker = null;
+    }
+    failAllJobs(new Error('Scan worker stopped'));
+    engineAvailable = false;
+    enginePromise = null;
+}
+
+function isEngineAvailable() {
+    return engineAvailable;
+}
+
+// SETTINGS AND TOKENS
+// Snapshot of everything the worker's classification needs - the worker cannot read the DOM
+function buildEngineSettings() {
+    const configModule = window.configModule;
+    const apiModule = window.apiModule;
+    const recorderModule = window.recorderModule;
+
+    return {
+        graphBaseUrl: apiModule.graphBaseUrl(),
+        userAgent: apiModule.APP_INFO.userAgent,
+        tenantDomains: Array.from(configModule.tenantDomains),
+        sharingFilter: configModule.scanSettings.sharingFilter,
+        contentScope: configModule.scanSettings.contentScope,
+        traversalMode: configModule.scanSettings.traversalMode,
+        showDirectGrants: configModule.shouldShowDirectGrants(),
+        excludePreservationHolds: configModule.shouldExcludePreservationHolds(),
+        pathRules: configModule.pathRules,
+        maxDepth: configModule.scanSettings.maxDepth,
+        expandGroupMembers: configModule.shouldExpandGroupMembers(),
+        // Replayed fixtures only exist on the page, so the worker asks the page for every call
+        transport: apiModule.isReplayMode() ? 'proxy' : 'network',
+        recording: !!(recorderModule && recorderModule.isRecording()),
+        maxConcurrent: apiModule.requestQueue.maxConcurrent
+    };
+}
+
+function configureEngine() {
+    if (!worker) return;
+    worker.postMessage({ type: 'configure', settings: buildEngineSettings() });
+}
+
+// Called by auth.js whenever it acquires, refreshes or clears the access token
+function supplyToken(token) {
+    if (!worker) return;
+    worker.postMessage({ type: 'token', token: token || '' });
+}
+
+// THROTTLING
+// Called by api.js when Graph asks the page to back off (and when a job starts), so the worker's
+// queue pauses for the same tenant-wide budget
+function forwardThrottle() {
+    const throttleState = window.apiModule.globalThrottleState;
+    if (!worker || !throttleState.isThrottled || Date.now() >= throttleState.resumeTime) return;
+    worker.postMessage({ type: 'throttle', resumeTime: throttleState.resumeTime });
+}
+
+// Null when no job is running; shown next to the page queue's lanes by uiModule.renderQueueLaneStats
+function getWorkerQueueStats() {
+    return workerQueueStats;
+}
+
+// WORKER MESSAGES
+function handleWorkerMessage(message) {
+    const job = message.jobId ? engineJobs.get(message.jobId) : null;
+
+    switch (message.type) {
+        case 'result':
+            if (job && job.callbacks.onResult) job.callbacks.onResult(message.result);
+            break;
+        case 'unverified':
+            if (job && job.callbacks.onUnverified) job.callbacks.onUnverified(message.item);
+            break;
+        case 'unlisted':
+            if (job && job.callbacks.onUnlisted) job.callbacks.onUnlisted(message.folderId, message.error);
+            break;
+        case 'skipped':
+            if (job && job.callbacks.onSkipped) job.callbacks.onSkipped(message.entry);
+            break;
+        case 'progress':
+            if (job && message.queue) workerQueueStats = message.queue;
+            if (job && job.callbacks.onProgress) job.callbacks.onProgress(message.text, message.stats);
+            break;
+        case 'frontier':
+            if (job && job.callbacks.onFrontier) job.callbacks.onFrontier(message.added || [], message.removed || []);
+            break;
+        case 'job-done':
+            if (job) finishJob(job, null, message);
+            break;
+        case 'job-error':
+            if (job) finishJob(job, Object.assign(new Error(message.message), { status: message.status }));
+            break;
+        case 'token-request':
+            answerTokenRequest(message);
+            break;
+        case 'graph-request':
+            answerGraphRequest(message);
+            break;
+        case 'expand-groups':
+            answerGroupExpansion(message);
+            break;
+        case 'exchange':
+            recordWorkerExchange(message.exchange);
+            break;
+        case 'graph-call':
+            window.apiModule.countGraphCalls();
+            break;
+        case 'throttled':
+            // The worker shares the tenant's throttling budget with the page's request queue
+            window.apiModule.requestQueue.recordResponse({ status: message.status, retryAfterMs: message.retryAfterMs });
+            break;
+        case 'log':
+            console[message.level === 'error' ? 'error' : message.level === 'warn' ? 'warn' : 'log']('🧵 SCAN WORKER:', ...message.args);
+            break;
+        default:
+            console.warn(`⚠️ SCAN ENGINE: Unknown worker message ${message.type}`);
+    }
+}
+
+async function answerTokenRequest(message) {
+    try {
+        const token = await window.authModule.refreshTokenIfNeeded(!!message.forceRefresh);
+        worker.postMessage({ type: 'token-response', requestId: message.requestId, token });
+    } catch (error) {
+        if (worker) worker.postMessage({ type: 'token-response', requestId: message.requestId, error: error.message });
+    }
+}
+
+// Offline replay: the page's transport answers the worker's Graph calls
+async function answerGraphRequest(message) {
+    const apiModule = window.apiModule;
+    try {
+        const response = await apiModule.requestQueue.add(() => apiModule.graphRequestWithRetry(message.url, message.options));
+        const body = await response.json();
+        if (worker) worker.postMessage({ type: 'graph-response', requestId: message.requestId, body });
+    } catch (error) {
+        const statusMatch = /HTTP (\d+)/.exec(error.message || '');
+        if (worker) worker.postMessage({ type: 'graph-response', requestId: message.requestId, error: error.message, status: statusMatch ? parseInt(statusMatch[1]) : null });
+    }
+}
+
+// Group grants the worker listed are expanded by scanning.js, which holds the membership cache;
+// memberships and errors come back in the order of the grants (membership null where a group was not expanded)
+async function answerGroupExpansion(message) {
+    try {
+        const grants = message.grants;
+        await window.scanningModule.expandGroupGrants(grants, message.siteUrl);
+        if (worker) worker.postMessage({ type: 'expand-groups-response', requestId: message.requestId, memberships: grants.map(grant => grant.groupMembership || null), errors: grants.map(grant => grant.groupExpansionError || null) });
+    } catch (error) {
+        if (worker) worker.postMessage({ type: 'expand-groups-response', requestId: message.requestId, error: error.message });
+    }
+}
+
+// Rebuild a Response so the recorder captures worker calls exactly like page calls
+function recordWorkerExchange(exchange) {
+    const recorderModule = window.recorderModule;
+    if (!recorderModule || !recorderModule.isRecording()) return;
+
+    let response = null;
+    if (exchange.status) {
+        const bodyless = [204, 205, 304].includes(exchange.status);
+        response = new Response(bodyless ? null : exchange.bodyText, {
+            status: exchange.status,
+            statusText: exchange.statusText || '',
+            headers: exchange.headers || {}
+        });
+    }
+
+    recorderModule.recordExchange({
+        url: exchange.url,
+        options: exchange.options,
+        attempt: exchange.attempt,
+        maxRetries: exchange.maxRetries,
+        startedAt: exchange.startedAt,
+        durationMs: exchange.durationMs,
+        response,
+        responseClone: response ? response.clone() : null,
+        error: exchange.error ? new Error(exchange.error) : null
+    });
+}
+
+// JOBS
+function startJob(type, payload, callbacks = {}) {
+    const configModule = window.configModule;
+    const jobId = nextJobId++;
+
+    return new Promise((resolve, reject) => {
+        const job = { id: jobId, callbacks, resolve, reject, stopTimer: null };
+
+        // Forward the Stop button to the worker
+        job.stopTimer = setInterval(() => {
+            if (configModule.controller.stop && worker) {
+                worker.postMessage({ type: 'stop', jobId });
+                clearInterval(job.stopTimer);
+                job.stopTimer = null;
+            }
+        }, ENGINE_CONFIG.stopPollMs);
+
+        engineJobs.set(jobId, job);
+        configureEngine();
+        forwardThrottle();
+        worker.postMessage({ type, jobId, ...payload });
+    });
+}
+
+function finishJob(job, error, outcome = null) {
+    if (job.stopTimer) clearInterval(job.stopTimer);
+    engineJobs.delete(job.id);
+    if (engineJobs.size === 0) workerQueueStats = null;
+    if (error) {
+        job.reject(error);
+    } else {
+        job.resolve(outcome);
+    }
+}
+
+function failAllJobs(error) {
+    Array.from(engineJobs.values()).forEach(job => finishJob(job, error));
+}
+
+// Only the fields the worker reads - keeps messages small
+function describeTarget(site, drive) {
+    return {
+        site: { id: site.id, name: site.name, webUrl: site.webUrl },
+        drive: { id: drive.id, name: drive.name }
+    };
+}
+
+// Traverse a drive from the given folders; callbacks receive results as they are found
+async function traverseDrive(site, drive, scanType, { startFolders, seenItemIds }, callbacks) {
+    return startJob('traverse', {
+        ...describeTarget(site, drive),
+        scanType,
+        startFolders,
+        seenItemIds: Array.from(seenItemIds || [])
+    }, callbacks);
+}
+
+// Classify one delta page; resolves to the scan results it contains
+async function classifyItems(site, drive, items, scanType, callbacks = {}) {
+    const outcome = await startJob('classify', { ...describeTarget(site, drive), scanType, items }, callbacks);
+    return outcome.results;
+}
+
+// Export functions for use in other modules
+window.scanEngineModule = {
+    // Constants
+    ENGINE_CONFIG,
+
+    // Lifecycle
+    ensureEngine,
+    terminateEngine,
+    isEngineAvailable,
+
+    // Settings and tokens
+    configureEngine,
+    supplyToken,
+
+    // Throttling and queue stats
+    forwardThrottle,
+    getWorkerQueueStats,
+
+    // Jobs
+    traverseDrive,
+    classifyItems
+};
@@ -0,0 +1,458 @@
+// scan-worker.js - Scan Engine Worker for SharePoint & OneDrive Scanner v3.0
+// Runs folder traversal, permission batching and classification off the main thread.
+// The page (scan-engine.js) supplies settings and access tokens; this worker streams
+// results, unverified and skipped items, progress and the traversal frontier back as messages.
+
+importScripts('classifier.js', 'graph-transport.js');
+
+const classifier = self.classifierModule;
+const transport = self.graphTransportModule;
+const ITEM_METADATA_SELECT = classifier.ITEM_METADATA_FIELDS;
+
+const CAPTURED_RESPONSE_HEADERS = ['Content-Type', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'request-id', 'client-request-id'];
+
+// ENGINE STATE
+let settings = {
+    graphBaseUrl: 'https://graph.microsoft.com/v1.0',
+    userAgent: '',
+    tenantDomains: [],
+    sharingFilter: 'external',
+    contentScope: 'all',
+    traversalMode: 'single-pass',
+    showDirectGrants: true,
+    excludePreservationHolds: true,
+    pathRules: [],          // Custom path rules - classifier.js adds the built-in ones
+    maxDepth: null,         // Folder levels below the drive root to scan; null is unlimited
+    expandGroupMembers: true, // Ask the page to expand group grants before they are classified
+    transport: 'network',   // 'network' fetches Graph directly, 'proxy' asks the page (offline replay)
+    recording: false,       // Forward every exchange to the page's Graph call recorder
+    maxConcurrent: 6
+};
+let accessToken = '';
+const jobs = new Map();
+const pendingReplies = new Map();
+let nextRequestId = 1;
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function post(type, payload = {}) {
+    self.postMessage({ type, ...payload });
+}
+
+function log(level, ...args) {
+    post('log', { level, args: args.map(arg => arg instanceof Error ? arg.message : arg) });
+}
+
+// REQUESTS TO THE PAGE (token refresh, proxied Graph calls, group expansion)
+function askPage(type, payload = {}) {
+    const requestId = nextRequestId++;
+    return new Promise((resolve, reject) => {
+        pendingReplies.set(requestId, { resolve, reject });
+        post(type, { requestId, ...payload });
+    });
+}
+
+function settleReply(message) {
+    const reply = pendingReplies.get(message.requestId);
+    if (!reply) return;
+    pendingReplies.delete(message.requestId);
+    if (message.error) {
+        const error = new Error(message.error);
+        error.status = message.status || null;
+        reply.reject(error);
+    } else {
+        reply.resolve(message);
+    }
+}
+
+// GRAPH TRANSPORT
+function headersToObject(headers) {
+    const result = {};
+    CAPTURED_RESPONSE_HEADERS.forEach(name => {
+        const value = headers.get(name);
+        if (value !== null) result[name] = value;
+    });
+    return result;
+}
+
+async function forwardExchange(exchange, response) {
+    if (!settings.recording) return;
+    const details = { ...exchange };
+    if (response) {
+        details.status = response.status;
+        details.statusText = response.statusText;
+        details.headers = headersToObject(response.headers);
+        try {
+            details.bodyText = await response.clone().text();
+        } catch (e) {
+            details.bodyText = null;
+        }
+    }
+    post('exchange', { exchange: details });
+}
+
+// Same queue and client as the page (graph-transport.js). Concurrency starts from the page queue's
+// current setting, then adapts to what this worker's own responses report.
+const requestQueue = new transport.RequestQueue(settings.maxConcurrent, 25, {
+    minConcurrent: 1,
+    maxConcurrent: 16,
+    minDelay: 25,
+    maxDelay: 5000
+});
+
+const graphClient = transport.createGraphClient({
+    queue: requestQueue,
+    baseUrl: () => settings.graphBaseUrl,
+    userAgent: () => settings.userAgent,
+    // The page refreshes through MSAL and hands back the new token
+    getToken: async (forceRefresh) => {
+        if (forceRefresh || !accessToken) {
+            accessToken = (await askPage('token-request', forceRefresh ? { forceRefresh: true } : {})).token;
+        }
+        return accessToken;
+    },
+    fetch: (url, init) => fetch(url, init),
+    // Scan budgets count the worker's calls on the page (proxied calls are counted there already)
+    onCall: () => post('graph-call'),
+    onExchange: ({ response, error, ...exchange }) => forwardExchange(error ? { ...exchange, error: error.message } : exchange, response),
+    // The worker shares the tenant's throttling budget with the page's request queue
+    onThrottled: (status, retryAfterMs) => post('throttled', { status, retryAfterMs }),
+    // Offline replay: fixtures only exist on the page, so it answers every call
+    shouldProxy: () => settings.transport === 'proxy',
+    proxy: async (url, options) => (await askPage('graph-request', { url, options })).body,
+    logger: {
+        log: (...args) => log('info', ...args),
+        warn: (...args) => log('warn', ...args),
+        error: (...args) => log('error', ...args)
+    }
+});
+
+// FOLDER LISTING - same selects and filters as apiModule.getFolderChildren
+async function getFolderChildren(driveId, itemId, includeFiles) {
+    const base = itemId === 'root'
+        ? `${settings.graphBaseUrl}/drives/${driveId}/root/children`
+        : `${settings.graphBaseUrl}/drives/${driveId}/items/${itemId}/children`;
+    const url = includeFiles
+        ? `${base}?$select=id,name,folder,file,parentReference,${ITEM_METADATA_SELECT}`
+        : `${base}?$select=id,name,folder,parentReference,${ITEM_METADATA_SELECT}&$filter=folder ne null`;
+
+    // Errors propagate - a folder that could not be listed must not look empty
+    return await requestQueue.add(() => graphClient.getAll(url));
+}
+
+// BATCH PERMISSIONS - through the shared client: 15 per $batch, throttled subrequests retried,
+// anything unreadable returned with `failed: true`
+async function batchGetPermissions(driveId, items, job) {
+    const requests = items.map(item => ({ item, url: `${settings.graphBaseUrl}/drives/${driveId}/items/${item.id}/permissions` }));
+    return await graphClient.batchGetPermissions(requests, job.controller);
+}
+
+// CLASSIFICATION
+// Items a path rule skips are reported to the page; items inside a skipped folder are covered by its entry
+function isExcludedItem(job, item) {
+    const { site, drive, scanType } = job.message;
+    const rules = classifier.getCompiledPathRules(settings.pathRules, settings.excludePreservationHolds);
+    const skip = classifier.findPathSkip(rules, site, drive, item);
+    if (skip) {
+        if (!skip.inherited) {
+            post('skipped', { jobId: job.id, entry: classifier.buildSkippedEntry(site, drive, item, scanType, 'path-rule', skip.rule) });
+        }
+        return true;
+    }
+    return classifier.exceedsDepthLimit(item, settings.maxDepth);
+}
+
+function reportDepthLimit(job, folder) {
+    const { site, drive, scanType } = job.message;
+    post('skipped', { jobId: job.id, entry: classifier.buildSkippedEntry(site, drive, folder, scanType, 'depth-limit') });
+}
+
+// GROUP GRANTS - expanded by the page (SharePoint group members need its tokens and its membership
+// cache) before the sharing filter runs, so a group containing outsiders counts as external here too.
+// Items holding a group that could not be expanded are reported as unverified.
+async function expandGroupGrants(job, permissionResults) {
+    if (!settings.expandGroupMembers) return;
+
+    const grants = permissionResults
+        .flatMap(result => result.permissions || [])
+        .filter(p => !p.groupMembership && p.grantedToV2 && (p.grantedToV2.group || p.grantedToV2.siteGroup));
+    if (grants.length === 0) return;
+
+    try {
+        const reply = await askPage('expand-groups', { jobId: job.id, siteUrl: job.message.site.webUrl, grants });
+        grants.forEach((grant, index) => {
+            if (reply.memberships[index]) grant.groupMembership = reply.memberships[index];
+            if (reply.errors[index]) grant.groupExpansionError = reply.errors[index];
+        });
+    } catch (error) {
+        log('warn', 'Group grants could not be expanded:', error);
+        grants.forEach(grant => { grant.groupExpansionError = error.message; });
+    }
+
+    const { site, drive, scanType } = job.message;
+    for (const result of permissionResults) {
+        const error = classifier.describeUnexpandedGroups(result.permissions || []);
+        if (error) post('unverified', { jobId: job.id, item: buildUnverifiedItem(site, drive, { item: result.item, error }, scanType) });
+    }
+}
+
+function interestingPermissions(permissions) {
+    return permissions.filter(p =>
+        classifier.shouldIncludePermission(p, settings.tenantDomains, settings.sharingFilter, settings.showDirectGrants)
+    );
+}
+
+function buildUnverifiedItem(site, drive, failure, scanType) {
+    const item = failure.item;
+    return {
+        siteName: scanType === 'onedrive' ? 'OneDrive' : site.name,
+        siteId: site.id,
+        siteUrl: site.webUrl,
+        driveId: drive.id,
+        driveName: drive.name || (scanType === 'onedrive' ? 'OneDrive' : 'Documents'),
+        itemId: item.id,
+        itemName: item.name,
+        itemPath: classifier.formatItemPath(item.parentReference?.path, item.name, drive.name, scanType),
+        itemType: item.folder ? 'folder' : 'file',
+        parentPath: item.parentReference?.path || null,
+        scanType: scanType,
+        status: failure.error ? failure.error.status : null,
+        errorCode: failure.error ? failure.error.code : 'unknown',
+        errorMessage: failure.error ? failure.error.message : ''
+    };
+}
+
+// DELTA PAGE CLASSIFICATION - the worker half of scanning.js processEnhancedDeltaItems
+function classifyItems(job) {
+    const { site, drive, scanType, items } = job.message;
+    const results = [];
+
+    for (const item of items) {
+        if (isExcludedItem(job, item)) continue;
+        if (classifier.stopsAtDepthLimit(item, settings.maxDepth)) reportDepthLimit(job, item);
+        if (settings.contentScope === 'folders' && !item.folder) continue;
+        if (!item.permissions || item.permissions.length === 0) continue;
+
+        const interesting = interestingPermissions(item.permissions);
+        if (interesting.length > 0) {
+            results.push(classifier.buildScanResult(site, drive, item, item.permissions, interesting, scanType));
+        }
+    }
+
+    return { results };
+}
+
+// COMPREHENSIVE TRAVERSAL - the worker half of scanning.js traverseFolderEnhanced / traverseDriveSinglePass
+function selectTraversableChildren(job, children) {
+    return children.filter(f => {
+        if (isExcludedItem(job, f)) return false;
+        return settings.contentScope === 'folders' ? f.folder : (f.file || f.folder);
+    });
+}
+
+// Classify one folder's permission results, stream what was found and return the child folders
+async function reportFolderResults(job, permissionResults) {
+    const { site, drive, scanType } = job.message;
+    const childFolders = [];
+
+    await expandGroupGrants(job, permissionResults);
+
+    for (const result of permissionResults) {
+        if (result.failed) {
+            post('unverified', { jobId: job.id, item: buildUnverifiedItem(site, drive, result, scanType) });
+        }
+
+        job.stats.scannedFolders++;
+
+        const interesting = interestingPermissions(result.permissions);
+        if (interesting.length > 0 && !job.seenItemIds.has(result.item.id)) {
+            job.stats.foundItems++;
+            job.seenItemIds.add(result.item.id);
+            post('result', { jobId: job.id, result: classifier.buildScanResult(site, drive, result.item, result.permissions, interesting, scanType) });
+        }
+
+        // ALL folders (with OR without sharing) are traversed, down to the depth limit
+        if (result.item.folder && classifier.canDescendInto(result.item, settings.maxDepth)) {
+            childFolders.push(result.item);
+        } else if (classifier.stopsAtDepthLimit(result.item, settings.maxDepth)) {
+            reportDepthLimit(job, result.item);
+        }
+    }
+
+    return childFolders;
+}
+
+// The children join the resume frontier in the same message that retires their parent
+function postFrontier(job, folderId, childFolders) {
+    const { drive, scanType } = job.message;
+    post('frontier', {
+        jobId: job.id,
+        added: childFolders.map(folder => [folder.id, classifier.formatItemPath(folder.parentReference?.path, folder.name, drive.name, scanType)]),
+        removed: [folderId]
+    });
+}
+
+function postScanProgress(job) {
+    const stats = job.stats;
+    post('progress', { jobId: job.id, stats, queue: requestQueue.getStats(), text: `SCANNING ${job.sourceName}: ${stats.scannedFolders} items • ${stats.totalBatches} batches • ${stats.foundItems} found` });
+}
+
+// A folder whose children could not be listed stays in the frontier; the page records it as
+// unverified and leaves the drive partial so a resume lists it again
+function reportUnlistedFolder(job, folderId, error) {
+    log('warn', `Children of folder ${folderId} could not be listed:`, error);
+    post('unlisted', { jobId: job.id, folderId, error: { status: error.status || null, message: error.message } });
+}
+
+// Per-item strategy: list a folder (unless the single pass already has its children), then read
+// its children's permissions through $batch. Returns null when the folder could not be listed.
+async function listAndCheckFolder(job, folderId, children = null) {
+    const { drive } = job.message;
+    let listed = children;
+    if (!listed) {
+        try {
+            listed = await getFolderChildren(drive.id, folderId, settings.contentScope === 'all');
+        } catch (error) {
+            reportUnlistedFolder(job, folderId, error);
+            return null;
+        }
+    }
+
+    const validItems = selectTraversableChildren(job, listed);
+    return validItems.length > 0 ? await batchGetPermissions(drive.id, validItems, job) : [];
+}
+
+async function traverseFolder(job, folderId) {
+    if (job.stopped) return;
+
+    job.stats.totalBatches++;
+    const permissionResults = await listAndCheckFolder(job, folderId);
+    if (job.stopped || !permissionResults) return;
+
+    const childFolders = await reportFolderResults(job, permissionResults);
+    postFrontier(job, folderId, childFolders);
+    postScanProgress(job);
+
+    // Recurse three folders at a time
+    const recursionBatchSize = 3;
+    for (let i = 0; i < childFolders.length; i += recursionBatchSize) {
+        if (job.stopped) return;
+        await Promise.all(childFolders.slice(i, i + recursionBatchSize).map(folder => traverseFolder(job, folder.id)));
+        await delay(300);
+    }
+}
+
+// Single-pass strategy: breadth-first, many folder listings per $batch with permissions expanded
+async function traverseDriveSinglePass(job, startFolders) {
+    const { drive } = job.message;
+    const includeFiles = settings.contentScope === 'all';
+    const queue = startFolders.map(([folderId]) => folderId);
+
+    while (queue.length > 0 && !job.stopped) {
+        const folderIds = queue.splice(0, transport.FOLDER_LISTING_BATCH_SIZE);
+        job.stats.totalBatches++;
+        post('progress', { jobId: job.id, stats: job.stats, queue: requestQueue.getStats(), text: `SINGLE-PASS BATCH ${job.stats.totalBatches}: Listing ${folderIds.length} folders in ${job.sourceName} (${queue.length} queued)...` });
+
+        const listings = await graphClient.listFoldersWithPermissions(drive.id, folderIds, includeFiles, job.controller);
+
+        for (const folderId of folderIds) {
+            if (job.stopped) return;
+
+            const listing = listings.get(folderId);
+            const permissionResults = listing.expanded
+                ? selectTraversableChildren(job, listing.items).map(item => ({ item, permissions: item.permissions }))
+                : await listAndCheckFolder(job, folderId, listing.items);
+            if (job.stopped) return;
+            if (!permissionResults) continue;
+
+            const childFolders = await reportFolderResults(job, permissionResults);
+            childFolders.forEach(folder => queue.push(folder.id));
+            postFrontier(job, folderId, childFolders);
+        }
+
+        postScanProgress(job);
+        await delay(100);
+    }
+}
+
+async function traverseDrive(job) {
+    const { startFolders } = job.message;
+
+    if (settings.traversalMode === 'single-pass') {
+        await traverseDriveSinglePass(job, startFolders);
+    } else {
+        const startBatchSize = 3;
+        for (let i = 0; i < startFolders.length; i += startBatchSize) {
+            if (job.stopped) break;
+            await Promise.all(startFolders.slice(i, i + startBatchSize).map(([folderId]) => traverseFolder(job, folderId)));
+        }
+    }
+
+    return { stats: job.stats, stopped: job.stopped };
+}
+
+// JOB DISPATCH
+async function runJob(message) {
+    const { site, drive, scanType } = message;
+    const job = {
+        id: message.jobId,
+        message,
+        stopped: false,
+        sourceName: scanType === 'onedrive' ? 'OneDrive' : `${site.name}/${drive.name || 'Documents'}`,
+        seenItemIds: new Set(message.seenItemIds || []),
+        stats: { scannedFolders: 0, totalBatches: 0, foundItems: 0 }
+    };
+    // Stop flag in the shape the shared client reads
+    job.controller = { get stop() { return job.stopped; } };
+    jobs.set(job.id, job);
+
+    try {
+        const outcome = message.type === 'classify' ? classifyItems(job) : await traverseDrive(job);
+        post('job-done', { jobId: job.id, ...outcome });
+    } catch (error) {
+        post('job-error', { jobId: job.id, message: error.message, status: error.status || null });
+    } finally {
+        jobs.delete(job.id);
+    }
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'configure':
+            settings = { ...settings, ...message.settings };
+            requestQueue.maxConcurrent = settings.maxConcurrent;
+            break;
+        case 'token':
+            accessToken = message.token || '';
+            break;
+        case 'throttle':
+            // Graph asked the page to back off; this queue holds its dispatches until then too
+            if (message.resumeTime > requestQueue.throttleState.resumeTime) {
+                requestQueue.throttleState.isThrottled = true;
+                requestQueue.throttleState.resumeTime = message.resumeTime;
+            }
+            break;
+        case 'classify':
+        case 'traverse':
+            runJob(message);
+            break;
+        case 'stop': {
+            const job = jobs.get(message.jobId);
+            if (job) job.stopped = true;
+            break;
+        }
+        case 'token-response':
+        case 'graph-response':
+        case 'expand-groups-response':
+            settleReply(message);
+            break;
+        default:
+            log('warn', `Scan worker ignored unknown message: ${message.type}`);
+    }
+};
+
+post('ready');
@@ -2,7 +2,8 @@
 // Handles SharePoint and OneDrive scanning logic with enhanced filtering and real-time results
 
 // ENHANCED SHAREPOINT SCANNING WITH NEW FEATURES
-async function scanSharePointSites() {
+// resumeCheckpoint continues an interrupted scan instead of starting from the current selection
+async function scanSharePointSites(resumeCheckpoint = null) {
     const configModule = window.configModule;
     const apiModule = window.apiModule;
     const uiModule = window.uiModule;
@@ -37,12 +38,16 @@ async function scanSharePointSites() {
         uiModule.updateButtonStates(true);
     }
     
+    let checkpointStatus = 'failed';
+    
     try {
         configModule.criticalLog('🚀 SHAREPOINT SCAN STARTING');
         configModule.criticalLog('📋 Scan Settings:', configModule.scanSettings);
         
         configModule.updateProgressText('sharepoint-progress-text', 'Loading tenant domains...');
         configModule.tenantDomains = await apiModule.loadTenantDomains();
+        sensitivityLabelCatalog = null;
+        await startScanEngine();
         await apiModule.delay(100);
         
         if (configModule.controller.stop) {
@@ -50,7 +55,9 @@ async function scanSharePointSites() {
             return;
         }
         
-        const selectedSites = configModule.sites.filter(s => configModule.selectedSiteIds.has(s.id));
+        const selectedSites = resumeCheckpoint ? resumeCheckpoint.targets : configModule.sites.filter(s => configModule.selectedSiteIds.has(s.id));
+        await startCheckpoint('sharepoint', selectedSites, resumeCheckpoint);
+        startScanBudget();
         const filterText = configModule.scanSettings.sharingFilter === 'external' ? 'external sharing' : 
                           configModule.scanSettings.sharingFilter === 'internal' ? 'internal sharing' : 'all sharing';
         const scopeText = configModule.scanSettings.contentScope === 'folders' ? 'folders' : 'all content';
@@ -80,6 +87,11 @@ async function scanSharePointSites() {
             try {
                 currentSiteIndex++;
                 
+                if (isTargetCompleted(site.id)) {
+                    configModule.debugLog(`⏭️ RESUME: Site already scanned: ${site.name}`);
+                    continue;
+                }
+                
                 const siteProgress = (currentSiteIndex / selectedSites.length) * 20;
                 configModule.updateProgressBar('sharepoint-progress-bar', siteProgress);
                 configModule.updateProgressText('sharepoint-progress-text', `ANALYZING SITE ${currentSiteIndex}/${selectedSites.length}: ${site.name}...`);
@@ -91,66 +103,50 @@ async function scanSharePointSites() {
                 // CRITICAL DEBUG: Log all drives before filtering
                 configModule.debugLog(`🔍 RAW DRIVES for site ${site.name}:`, allDrives);
                 
-                // Filter out preservation hold libraries before processing - ENHANCED DEBUG
-                const drives = allDrives.filter((drive, index) => {
-                    const driveName = drive.name || 'Documents';
-                    const siteName = site.name || '';
-                    const fullContext = `${siteName}/${driveName}`;
-                    
-                    // ENHANCED DEBUG: Check both drive name and full context
-                    configModule.debugLog(`🔍 DRIVE FILTER DEBUG #${index + 1}:`, {
-                        siteName: siteName,
-                        driveName: driveName,
-                        fullContext: fullContext,
-                        driveObject: JSON.stringify(drive, null, 2)
-                    });
-                    
-                    // Test if the shouldSkipPreservationHoldLibrary function exists
-                    if (typeof configModule.shouldSkipPreservationHoldLibrary !== 'function') {
-                        console.error('❌ shouldSkipPreservationHoldLibrary function not found!');
-                        return true; // Don't skip if function missing
-                    }
-                    
-                    // Check if we should skip this drive (check both drive name and full context)
-                    const isPreservationHoldDrive = configModule.shouldSkipPreservationHoldLibrary(driveName);
-                    const isPreservationHoldFullContext = configModule.shouldSkipPreservationHoldLibrary(fullContext);
-                    const isPreservationHoldSite = configModule.shouldSkipPreservationHoldLibrary(siteName);
-                    
-                    const shouldSkip = isPreservationHoldDrive || isPreservationHoldFullContext || isPreservationHoldSite;
-                    
-                    configModule.debugLog(`🔍 PRESERVATION HOLD ANALYSIS for drive #${index + 1}:`, {
-                        driveName: driveName,
-                        siteName: siteName,
-                        fullContext: fullContext,
-                        isPreservationHoldDrive: isPreservationHoldDrive,
-                        isPreservationHoldFullContext: isPreservationHoldFullContext,
-                        isPreservationHoldSite: isPreservationHoldSite,
-                        finalDecision: shouldSkip ? 'SKIP' : 'INCLUDE'
-                    });
-                    
-                    if (shouldSkip) {
-                        configModule.debugLog(`🚫 SKIPPING PRESERVATION HOLD DRIVE: ${fullContext}`);
-                        return false; // Skip this drive
-                    } else {
-                        configModule.debugLog(`✅ INCLUDING DRIVE: ${fullContext}`);
-                        return true; // Include this drive
+                // Libraries excluded by path rules (preservation holds by default) are recorded, not scanned
+                const drives = allDrives.filter(drive => {
+                    const skip = configModule.findActiveLibrarySkip(site, drive.name || 'Documents');
+                    if (skip) {
+                        configModule.recordSkippedPath(window.classifierModule.buildSkippedEntry(site, drive, null, 'sharepoint', 'path-rule', skip.rule));
+                        return false;
                     }
+                    return true;
                 });
                 
                 totalDrives += drives.length;
-                configModule.criticalLog(`📊 Found ${allDrives.length} total drives (${drives.length} after filtering preservation holds) in ${site.name}`);
+                configModule.criticalLog(`📊 Found ${allDrives.length} total drives (${drives.length} after path rules) in ${site.name}`);
                 
+                // A site with a partial drive stays open so a resume comes back to it
+                let siteFinished = true;
                 for (const drive of drives) {
                     if (configModule.controller.stop) break;
                     
                     currentDrive++;
                     
+                    if (isDriveCompleted(drive.id)) {
+                        configModule.debugLog(`⏭️ RESUME: Drive already scanned: ${site.name}/${drive.name || 'Documents'}`);
+                        continue;
+                    }
+                    
                     const driveProgress = 20 + ((currentDrive / Math.max(totalDrives, 1)) * 80);
                     configModule.updateProgressBar('sharepoint-progress-bar', driveProgress);
                     
                     configModule.updateProgressText('sharepoint-progress-text', `SCANNING DRIVE ${currentDrive}/${totalDrives}: ${site.name}/${drive.name || 'Documents'}...`);
                     
+                    startDriveBudget();
                     await scanDriveWithDelta(site, drive, 'sharepoint-progress-text', 'sharepoint');
+                    
+                    if (!settleDrive(site, drive, 'sharepoint')) {
+                        siteFinished = false;
+                    }
+                }
+                
+                if (!configModule.controller.stop && configModule.shouldScanSharePointLists()) {
+                    await scanSiteLists(site, 'sharepoint-progress-text');
+                }
+                
+                if (!configModule.controller.stop && siteFinished) {
+                    markTargetCompleted(site.id);
                 }
                 
             } catch (e) {
@@ -158,13 +154,29 @@ async function scanSharePointSites() {
             }
         }
         
+        if (!configModule.controller.stop && configModule.shouldExpandGroupMembers()) {
+            await expandResultGroupGrants('sharepoint-progress-text');
+        }
+        
+        if (!configModule.controller.stop && configModule.shouldEnrichGuestAccounts()) {
+            await enrichGuestAccounts('sharepoint-progress-text');
+        }
+        
         if (!configModule.controller.stop) {
             configModule.updateProgressBar('sharepoint-progress-bar', 100);
             const sharePointResults = configModule.results.filter(r => r.scanType === 'sharepoint').length;
-            configModule.updateProgressText('sharepoint-progress-text', `SHAREPOINT SCAN COMPLETED • ${sharePointResults} items with ${filterText} found`);
-            configModule.showToast(`SharePoint scan completed! Found ${sharePointResults} items with ${filterText}.`);
+            const unverifiedCount = configModule.unverifiedItems.filter(u => u.scanType === 'sharepoint').length;
+            const partialCount = configModule.partialDrives.filter(p => p.scanType === 'sharepoint').length;
+            configModule.updateProgressText('sharepoint-progress-text', `SHAREPOINT SCAN COMPLETED • ${sharePointResults} items with ${filterText} found${unverifiedCount > 0 ? ` • ${unverifiedCount} unverified` : ''}${partialCount > 0 ? ` • ${partialCount} drives partial (budget reached)` : ''}`);
+            configModule.showToast(`SharePoint scan completed! Found ${sharePointResults} items with ${filterText}.${partialCount > 0 ? ` ${partialCount} drives were partially scanned - resume to continue them.` : ''}`);
+            // Drives cut short by a per-drive budget keep the checkpoint resumable
+            checkpointStatus = hasPartialDrives() ? 'partial' : 'completed';
+        } else if (scanBudgetExhausted()) {
+            configModule.updateProgressText('sharepoint-progress-text', `SharePoint scan paused: ${describeBudget(scanBudgetExhausted())} reached - resume to continue`);
+            checkpointStatus = 'stopped';
         } else {
             configModule.updateProgressText('sharepoint-progress-text', 'SharePoint scan stopped by user');
+            checkpointStatus = 'stopped';
         }
         
         // Finalize CSV export if it was active during scanning
@@ -177,6 +189,15 @@ async function scanSharePointSites() {
             }
         }
         
+        // The scan tab's "After Scan" export target (saved with scan profiles)
+        if ((checkpointStatus === 'completed' || checkpointStatus === 'partial') && window.profilesModule) {
+            window.profilesModule.runPostScanExports();
+        }
+        
+        if (checkpointStatus === 'completed' && window.snapshotsModule) {
+            await window.snapshotsModule.saveCompletedScanSnapshot();
+        }
+        
     } catch (error) {
         console.error('SharePoint scan error:', error);
         alert('SharePoint scan error: ' + error.message);
@@ -191,6 +212,8 @@ async function scanSharePointSites() {
             }
         }
     } finally {
+        await finishCheckpoint(checkpointStatus);
+        endScanBudget();
         configModule.scanning = false;
         
         // Stop enhanced token monitoring for scanning operations
@@ -201,11 +224,28 @@ async function scanSharePointSites() {
         if (uiModule) {
             uiModule.updateButtonStates(false);
         }
+        
+        const resultsModule = window.resultsModule;
+        if (resultsModule && resultsModule.renderUnverifiedItems) {
+            resultsModule.renderUnverifiedItems();
+            resultsModule.renderSkippedPaths();
+            resultsModule.renderPartialDrives();
+        }
+        
+        // Offer the labels and file types found; labels, group members and guest accounts are read
+        // after the items were displayed, so redraw to fill them in
+        if (resultsModule) {
+            resultsModule.refreshResultFilterOptions();
+            if (configModule.shouldReadSensitivityLabels() || configModule.shouldEnrichGuestAccounts() || configModule.shouldExpandGroupMembers()) {
+                resultsModule.applyResultsFilter(resultsModule.getCurrentResultsFilter());
+            }
+        }
     }
 }
 
 // ENHANCED ONEDRIVE SCANNING WITH NEW FEATURES
-async function scanOneDriveUsers() {
+// resumeCheckpoint continues an interrupted scan instead of starting from the current selection
+async function scanOneDriveUsers(resumeCheckpoint = null) {
     const configModule = window.configModule;
     const apiModule = window.apiModule;
     const uiModule = window.uiModule;
@@ -234,12 +274,16 @@ async function scanOneDriveUsers() {
         uiModule.updateButtonStates(true);
     }
     
+    let checkpointStatus = 'failed';
+    
     try {
         configModule.criticalLog('🚀 ONEDRIVE USER SCAN STARTING');
         configModule.criticalLog('📋 Scan Settings:', configModule.scanSettings);
         
         configModule.updateProgressText('onedrive-progress-text', 'Loading tenant domains...');
         configModule.tenantDomains = await apiModule.loadTenantDomains();
+        sensitivityLabelCatalog = null;
+        await startScanEngine();
         configModule.updateProgressBar('onedrive-progress-bar', 10);
         await apiModule.delay(100);
         
@@ -248,13 +292,25 @@ async function scanOneDriveUsers() {
             return;
         }
         
-        const selectedUsers = configModule.users.filter(u => configModule.selectedUserIds.has(u.id));
+        const selectedUsers = resumeCheckpoint ? resumeCheckpoint.targets : configModule.users.filter(u => 
+            configModule.selectedUserIds.has(u.id) && u.oneDriveStatus !== 'not-provisioned'
+        );
+        const skippedUsers = resumeCheckpoint ? [] : configModule.users.filter(u => 
+            configModule.selectedUserIds.has(u.id) && u.oneDriveStatus === 'not-provisioned'
+        );
+        if (skippedUsers.length > 0) {
+            configModule.criticalLog(`⏭️ Skipping ${skippedUsers.length} selected users without a provisioned OneDrive`);
+        }
+        
         if (selectedUsers.length === 0) {
             configModule.updateProgressText('onedrive-progress-text', 'No users selected for scanning');
             configModule.showToast('Please select users to scan');
             return;
         }
         
+        await startCheckpoint('onedrive', selectedUsers, resumeCheckpoint);
+        startScanBudget();
+        
         const filterText = configModule.scanSettings.sharingFilter === 'external' ? 'external sharing' : 
                           configModule.scanSettings.sharingFilter === 'internal' ? 'internal sharing' : 'all sharing';
         const scopeText = configModule.scanSettings.contentScope === 'folders' ? 'folders' : 'all content';
@@ -274,6 +330,11 @@ async function scanOneDriveUsers() {
             
             currentUserIndex++;
             
+            if (isTargetCompleted(user.id)) {
+                configModule.debugLog(`⏭️ RESUME: OneDrive already scanned: ${user.displayName || user.userPrincipalName}`);
+                continue;
+            }
+            
             // Periodic token validation during long scans
             if (authModule && authModule.ensureValidTokenForScanning && currentUserIndex % 3 === 0) {
                 try {
@@ -290,7 +351,8 @@ async function scanOneDriveUsers() {
             configModule.updateProgressText('onedrive-progress-text', `SCANNING USER ${currentUserIndex}/${selectedUsers.length}: ${user.displayName || user.userPrincipalName}...`);
             
             try {
-                const drive = await apiModule.getUserOneDrive(user.id);
+                // Discovery already fetched the drive for users whose provisioning was checked
+                const drive = user.oneDrive || await apiModule.getUserOneDrive(user.id);
                 
                 const oneDriveSite = {
                     name: `${user.displayName || user.userPrincipalName} OneDrive`,
@@ -298,8 +360,13 @@ async function scanOneDriveUsers() {
                     webUrl: drive.webUrl || 'https://onedrive.live.com'
                 };
                 
+                startDriveBudget();
                 await scanDriveWithDelta(oneDriveSite, drive, 'onedrive-progress-text', 'onedrive');
                 
+                if (settleDrive(oneDriveSite, drive, 'onedrive')) {
+                    markTargetCompleted(user.id);
+                }
+                
             } catch (error) {
                 configModule.debugWarn(`Failed to scan OneDrive for user ${user.displayName || user.userPrincipalName}:`, error);
                 if (error.message.includes('404') || error.message.includes('mysite not found')) {
@@ -309,16 +376,34 @@ async function scanOneDriveUsers() {
                 if (error.message && error.message.includes('Authentication token expired')) {
                     throw error;
                 }
+                // Nothing more to learn from this user on resume
+                markTargetCompleted(user.id);
             }
         }
         
+        if (!configModule.controller.stop && configModule.shouldExpandGroupMembers()) {
+            await expandResultGroupGrants('onedrive-progress-text');
+        }
+        
+        if (!configModule.controller.stop && configModule.shouldEnrichGuestAccounts()) {
+            await enrichGuestAccounts('onedrive-progress-text');
+        }
+        
         if (!configModule.controller.stop) {
             configModule.updateProgressBar('onedrive-progress-bar', 100);
             const oneDriveResults = configModule.results.filter(r => r.scanType === 'onedrive').length;
-            configModule.updateProgressText('onedrive-progress-text', `ONEDRIVE SCAN COMPLETED • ${oneDriveResults} items with ${filterText} found`);
-            configModule.showToast(`OneDrive scan completed! Found ${oneDriveResults} items with ${filterText}.`);
+            const unverifiedCount = configModule.unverifiedItems.filter(u => u.scanType === 'onedrive').length;
+            const partialCount = configModule.partialDrives.filter(p => p.scanType === 'onedrive').length;
+            configModule.updateProgressText('onedrive-progress-text', `ONEDRIVE SCAN COMPLETED • ${oneDriveResults} items with ${filterText} found${unverifiedCount > 0 ? ` • ${unverifiedCount} unverified` : ''}${partialCount > 0 ? ` • ${partialCount} drives partial (budget reached)` : ''}`);
+            configModule.showToast(`OneDrive scan completed! Found ${oneDriveResults} items with ${filterText}.${partialCount > 0 ? ` ${partialCount} drives were partially scanned - resume to continue them.` : ''}`);
+            // Drives cut short by a per-drive budget keep the checkpoint resumable
+            checkpointStatus = hasPartialDrives() ? 'partial' : 'completed';
+        } else if (scanBudgetExhausted()) {
+            configModule.updateProgressText('onedrive-progress-text', `OneDrive scan paused: ${describeBudget(scanBudgetExhausted())} reached - resume to continue`);
+            checkpointStatus = 'stopped';
         } else {
             configModule.updateProgressText('onedrive-progress-text', 'OneDrive scan stopped by user');
+            checkpointStatus = 'stopped';
         }
         
         // Finalize CSV export if it was active during scanning
@@ -331,6 +416,15 @@ async function scanOneDriveUsers() {
             }
         }
         
+        // The scan tab's "After Scan" export target (saved with scan profiles)
+        if ((checkpointStatus === 'completed' || checkpointStatus === 'partial') && window.profilesModule) {
+            window.profilesModule.runPostScanExports();
+        }
+        
+        if (checkpointStatus === 'completed' && window.snapshotsModule) {
+            await window.snapshotsModule.saveCompletedScanSnapshot();
+        }
+        
     } catch (error) {
         console.error('OneDrive scan error:', error);
         alert('OneDrive scan error: ' + error.message);
@@ -345,6 +439,8 @@ async function scanOneDriveUsers() {
             }
         }
     } finally {
+        await finishCheckpoint(checkpointStatus);
+        endScanBudget();
         configModule.scanning = false;
         
         // Stop enhanced token monitoring for scanning operations
@@ -355,6 +451,22 @@ async function scanOneDriveUsers() {
         if (uiModule) {
             uiModule.updateButtonStates(false);
         }
+        
+        const resultsModule = window.resultsModule;
+        if (resultsModule && resultsModule.renderUnverifiedItems) {
+            resultsModule.renderUnverifiedItems();
+            resultsModule.renderSkippedPaths();
+            resultsModule.renderPartialDrives();
+        }
+        
+        // Offer the labels and file types found; labels, group members and guest accounts are read
+        // after the items were displayed, so redraw to fill them in
+        if (resultsModule) {
+            resultsModule.refreshResultFilterOptions();
+            if (configModule.shouldReadSensitivityLabels() || configModule.shouldEnrichGuestAccounts() || configModule.shouldExpandGroupMembers()) {
+                resultsModule.applyResultsFilter(resultsModule.getCurrentResultsFilter());
+            }
+        }
     }
 }
 
@@ -362,27 +474,85 @@ async function scanOneDriveUsers() {
 async function scanDriveWithDelta(site, drive, progressTextId, scanType = 'sharepoint') {
     const configModule = window.configModule;
     const apiModule = window.apiModule;
+    const storageModule = window.storageModule;
     
     if (!configModule || !apiModule) {
         console.error('Required modules not available');
         return;
     }
     
-    try {
-        const sourceName = scanType === 'onedrive' ? 'OneDrive' : `${site.name}/${drive.name || 'Documents'}`;
-        configModule.criticalLog(`⚡ Starting delta query for: ${sourceName}`);
+    const sourceName = scanType === 'onedrive' ? 'OneDrive' : `${site.name}/${drive.name || 'Documents'}`;
+    
+    // Position inside this drive saved by an interrupted scan, if any
+    const resumeDrive = beginDriveCheckpoint(site, drive);
+    driveTraversalGaps = 0;
+    
+    // CHANGES-ONLY RESCAN: resume from the delta link stored by the previous scan of this drive,
+    // applied on top of the results that scan saved with it
+    if (configModule.scanSettings.rescanMode === 'changes' && storageModule) {
+        const stored = await storageModule.getDeltaLink(drive.id);
+        const baseline = stored ? await storageModule.getDeltaBaseline(drive.id) : null;
+        const baselineMatches = baseline &&
+            baseline.sharingFilter === configModule.scanSettings.sharingFilter &&
+            baseline.contentScope === configModule.scanSettings.contentScope;
         
-        if (progressTextId) {
-            configModule.updateProgressText(progressTextId, `DELTA SCANNING: ${sourceName} (enhanced filtering)...`);
+        if (stored && baselineMatches) {
+            try {
+                await scanDriveChangesOnly(site, drive, stored.deltaLink, baseline.results, progressTextId, scanType);
+                return;
+            } catch (error) {
+                apiModule.annotateGraphRecording('changesOnly.fallback.fullScan', { driveId: drive.id, resyncRequired: !!error.isResyncRequired, reason: error.message });
+                if (error.isResyncRequired) {
+                    configModule.criticalWarn(`⚠️ Stored delta link for ${sourceName} has expired - running full scan to re-establish it`);
+                    await storageModule.deleteDeltaLink(drive.id);
+                } else {
+                    configModule.criticalWarn(`⚠️ Changes-only rescan failed for ${sourceName}, running full scan instead:`, error);
+                }
+            }
+        } else if (stored) {
+            configModule.criticalLog(`ℹ️ No saved results for ${sourceName} match the current filters - running full scan to establish a baseline`);
+        } else {
+            configModule.criticalLog(`ℹ️ No stored delta link for ${sourceName} - running full scan to establish a baseline`);
+        }
+    }
+    
+    // Capture the drive's current delta position before walking it, so changes made
+    // while this scan runs are picked up by the next changes-only rescan
+    apiModule.clearCapturedDeltaLink(drive.id);
+    const baselineDeltaLink = resumeDrive && resumeDrive.baselineDeltaLink
+        ? resumeDrive.baselineDeltaLink
+        : (storageModule ? await apiModule.getLatestDeltaLink(drive.id) : null);
+    updateDriveCheckpoint({ baselineDeltaLink });
+    
+    // Items already reported for this drive (by the interrupted run, or an earlier fallback path)
+    const seenItemIds = activeCheckpoint && activeCheckpoint.resumedAt
+        ? new Set(configModule.results.filter(r => r.driveId === drive.id).map(r => r.itemId))
+        : new Set();
+    
+    try {
+        if (resumeDrive && resumeDrive.mode === 'comprehensive') {
+            throw Object.assign(new Error('Resuming interrupted comprehensive traversal'), { isResume: true });
         }
         
-        const allItems = await apiModule.performOptimizedSharedItemsQuery(drive.id);
+        configModule.criticalLog(`⚡ Starting delta query for: ${sourceName}`);
         
         if (progressTextId) {
-            configModule.updateProgressText(progressTextId, `DELTA SCANNING ${sourceName}: ${allItems.length} items processed...`);
+            configModule.updateProgressText(progressTextId, `DELTA SCANNING: ${sourceName} (enhanced filtering)...`);
         }
         
-        await processEnhancedDeltaItems(site, drive, allItems, scanType);
+        // Each page is processed and checkpointed as it arrives so a resume continues from the next page
+        const allItems = await apiModule.performOptimizedSharedItemsQuery(drive.id, {
+            resumeFrom: resumeDrive && resumeDrive.mode === 'delta' ? resumeDrive.deltaNextLink : null,
+            onPage: async (pageItems, nextLink) => {
+                await processEnhancedDeltaItems(site, drive, pageItems, scanType, seenItemIds);
+                if (configModule.controller.stop) return false;
+                updateDriveCheckpoint({ mode: 'delta', deltaNextLink: nextLink });
+                
+                if (progressTextId) {
+                    configModule.updateProgressText(progressTextId, `DELTA SCANNING ${sourceName}: ${seenItemIds.size} shared items so far...`);
+                }
+            }
+        });
         
         if (progressTextId) {
             const currentResults = configModule.results.filter(r => r.scanType === scanType).length;
@@ -392,218 +562,1075 @@ async function scanDriveWithDelta(site, drive, progressTextId, scanType = 'share
         configModule.criticalLog(`✅ Delta scan completed for ${sourceName}: ${allItems.length} items processed`);
         
     } catch (error) {
-        configModule.criticalWarn(`⚠️ Delta scan failed for ${drive.name || 'OneDrive'}, falling back to comprehensive scan:`, error);
-        
-        if (progressTextId) {
-            configModule.updateProgressText(progressTextId, `Delta failed for ${drive.name || 'OneDrive'}, switching to COMPREHENSIVE MODE...`);
+        if (error.isResume) {
+            configModule.criticalLog(`⏯️ RESUME: Continuing comprehensive traversal of ${sourceName} from ${resumeDrive.pendingFolders.length} pending folders`);
+        } else {
+            configModule.criticalWarn(`⚠️ Delta scan failed for ${drive.name || 'OneDrive'}, falling back to comprehensive scan:`, error);
+            apiModule.annotateGraphRecording('deltaScan.fallback.comprehensive', { driveId: drive.id, reason: error.message });
+            
+            if (progressTextId) {
+                configModule.updateProgressText(progressTextId, `Delta failed for ${drive.name || 'OneDrive'}, switching to COMPREHENSIVE MODE...`);
+            }
+            await apiModule.delay(300); // Reduced delay when switching to comprehensive mode
+            
+            configModule.criticalLog('🔄 Switching to comprehensive scan mode...');
         }
-        await apiModule.delay(300); // Reduced delay when switching to comprehensive mode
         
-        configModule.criticalLog('🔄 Switching to comprehensive scan mode...');
-        await scanDriveComprehensive(site, drive, progressTextId, scanType);
+        await scanDriveComprehensive(site, drive, progressTextId, scanType, {
+            pendingFolders: error.isResume ? resumeDrive.pendingFolders : null,
+            seenItemIds
+        });
+    }
+    
+    if (configModule.shouldReadSensitivityLabels()) {
+        await enrichSensitivityLabels(drive, progressTextId);
+    }
+    
+    // Persist the delta link only for drives that were scanned to completion
+    if (storageModule && !configModule.controller.stop && driveTraversalGaps === 0) {
+        const deltaLink = apiModule.getCapturedDeltaLink(drive.id) || baselineDeltaLink;
+        await storageModule.saveDeltaLink(drive.id, deltaLink, { driveName: drive.name, siteName: site.name, baseline: buildDeltaBaseline(drive) });
     }
 }
 
-// ENHANCED DELTA ITEM PROCESSING WITH NEW FILTERING
-async function processEnhancedDeltaItems(site, drive, items, scanType) {
+// CHANGES-ONLY DRIVE RESCAN FROM A STORED DELTA LINK
+// baselineResults are the drive's results saved with the link; the changes are merged into them
+async function scanDriveChangesOnly(site, drive, deltaLink, baselineResults, progressTextId, scanType) {
     const configModule = window.configModule;
     const apiModule = window.apiModule;
+    const storageModule = window.storageModule;
+    
+    const sourceName = scanType === 'onedrive' ? 'OneDrive' : `${site.name}/${drive.name || 'Documents'}`;
+    configModule.criticalLog(`🔁 Starting changes-only rescan for: ${sourceName}`);
+    
+    if (progressTextId) {
+        configModule.updateProgressText(progressTextId, `CHANGES ONLY: ${sourceName} (resuming from last scan)...`);
+    }
+    
+    // Errors propagate so scanDriveWithDelta can fall back to a full scan
+    const { items, deltaLink: nextDeltaLink } = await apiModule.performIncrementalDeltaQuery(drive.id, deltaLink);
+    
+    restoreDeltaBaseline(drive, baselineResults);
+    const changes = await mergeDeltaChanges(site, drive, items, scanType);
+    
+    if (progressTextId) {
+        configModule.updateProgressText(progressTextId, `CHANGES COMPLETED for ${sourceName}: ${items.length} changed items • ${changes.added} new • ${changes.updated} updated • ${changes.removed} removed`);
+    }
+    
+    configModule.criticalLog(`✅ Changes-only rescan completed for ${sourceName}:`, changes);
+    
+    if (configModule.shouldReadSensitivityLabels()) {
+        await enrichSensitivityLabels(drive, progressTextId);
+    }
+    
+    if (storageModule && nextDeltaLink && !configModule.controller.stop) {
+        await storageModule.saveDeltaLink(drive.id, nextDeltaLink, { driveName: drive.name, siteName: site.name, baseline: buildDeltaBaseline(drive) });
+    }
+}
+
+// DELTA BASELINES - the drive's results saved with its delta link, and the settings that decided
+// which items became results (a rescan under other filters cannot reuse them)
+function buildDeltaBaseline(drive) {
+    const configModule = window.configModule;
+    return {
+        results: configModule.results.filter(r => r.driveId === drive.id),
+        sharingFilter: configModule.scanSettings.sharingFilter,
+        contentScope: configModule.scanSettings.contentScope
+    };
+}
+
+// Unchanged items are only in the baseline, so it becomes this scan's starting point for the drive.
+// Results already present (restored from a checkpoint) are kept as they are.
+function restoreDeltaBaseline(drive, baselineResults) {
+    const configModule = window.configModule;
     const resultsModule = window.resultsModule;
+    const present = new Set(configModule.results.filter(r => r.driveId === drive.id).map(r => r.itemId));
     
-    if (!configModule || !apiModule) {
-        console.error('Required modules not available');
-        return;
+    let restored = 0;
+    for (const result of baselineResults) {
+        if (present.has(result.itemId)) continue;
+        configModule.results.push(result);
+        checkpointResult(result);
+        restored++;
     }
     
-    for (const item of items) {
-        if (configModule.controller.stop) return;
+    configModule.debugLog(`📥 DELTA BASELINE: ${restored} results restored for ${drive.name || drive.id}`);
+    
+    if (restored > 0 && resultsModule && resultsModule.switchView) {
+        resultsModule.updateResultsDisplay();
+        resultsModule.switchView(resultsModule.getCurrentView());
+    }
+}
+
+// SENSITIVITY LABEL ENRICHMENT
+// Label names come from the tenant's label catalogue, loaded once per scan; an empty catalogue
+// (e.g. the policy permission was not granted) leaves labels shown by id
+let sensitivityLabelCatalog = null;
+
+async function getSensitivityLabelCatalog() {
+    if (sensitivityLabelCatalog) return sensitivityLabelCatalog;
+    
+    sensitivityLabelCatalog = new Map();
+    try {
+        const labels = await window.apiModule.getSensitivityLabels();
+        labels.forEach(label => sensitivityLabelCatalog.set(label.id, { name: label.name, sensitivity: label.sensitivity }));
+        window.configModule.debugLog(`🏷️ Loaded ${sensitivityLabelCatalog.size} sensitivity labels`);
+    } catch (error) {
+        window.configModule.criticalWarn('⚠️ Could not load the sensitivity label catalogue - labels will be shown by id:', error);
+    }
+    return sensitivityLabelCatalog;
+}
+
+// Reads the label of every shared file found in this drive and flags labels the sharing contradicts.
+// sensitivityLabel is null for unlabeled files and stays undefined when it was never read.
+async function enrichSensitivityLabels(drive, progressTextId) {
+    const configModule = window.configModule;
+    const apiModule = window.apiModule;
+    const classifierModule = window.classifierModule;
+    
+    const pending = configModule.results.filter(r =>
+        r.driveId === drive.id && r.itemType === 'file' && r.sensitivityLabel === undefined
+    );
+    if (pending.length === 0 || configModule.controller.stop) return;
+    
+    if (progressTextId) {
+        configModule.updateProgressText(progressTextId, `🏷️ Reading sensitivity labels for ${pending.length} shared files in ${drive.name || 'OneDrive'}...`);
+    }
+    
+    const catalog = await getSensitivityLabelCatalog();
+    const labelResults = await apiModule.batchExtractSensitivityLabels(
+        drive.id,
+        pending.map(result => ({ id: result.itemId, name: result.itemName, result })),
+        configModule.controller
+    );
+    
+    let violationCount = 0;
+    for (const { item, labels, failed, error } of labelResults) {
+        const result = item.result;
         
-        // Skip preservation hold libraries in delta scanning too
-        if (item.folder && configModule.shouldSkipPreservationHoldLibrary(item.name)) {
-            configModule.debugLog(`🚫 DELTA SKIPPING PRESERVATION HOLD: ${item.name}`);
+        if (failed) {
+            result.sensitivityLabelError = error;
             continue;
         }
         
-        // Skip items that don't match content scope
-        if (configModule.scanSettings.contentScope === 'folders' && !item.folder) {
-            continue;
+        const assigned = labels[0];
+        const known = assigned ? catalog.get(assigned.sensitivityLabelId) : null;
+        result.sensitivityLabel = assigned ? {
+            id: assigned.sensitivityLabelId,
+            name: known ? known.name : assigned.sensitivityLabelId,
+            sensitivity: known ? known.sensitivity : null,
+            assignmentMethod: assigned.assignmentMethod || null
+        } : null;
+        result.labelViolations = classifierModule.findLabelViolations(
+            result.sensitivityLabel,
+            result.allPermissions || result.permissions,
+            configModule.tenantDomains,
+            configModule.labelSharingRules
+        );
+        if (result.labelViolations.length > 0) {
+            violationCount++;
+            configModule.criticalWarn(`🚨 LABEL VIOLATION: ${result.itemPath} - ${result.labelViolations.join('; ')}`);
         }
+        checkpointResult(result);
+    }
+    
+    configModule.criticalLog(`🏷️ Sensitivity labels read for ${labelResults.length} files in ${drive.name || 'OneDrive'} • ${violationCount} label violations`);
+}
+
+// GROUP MEMBERSHIP EXPANSION
+// Group and site-group grants are expanded to their transitive members once per group; each grant
+// is annotated with permission.groupMembership so classification sees groups that contain outsiders
+const pendingGroupExpansions = new Map();
+
+function groupGrantKey(permission, siteUrl) {
+    const grantee = permission.grantedToV2 || {};
+    if (grantee.group) {
+        if (permission.source !== 'roleAssignment') return `group:${grantee.group.id}`;
         
-        if (!item.permissions || item.permissions.length === 0) continue;
-        
-        // 🔥 CRITICAL FIX: Store BOTH all permissions AND filtered permissions for owner detection
-        // Apply enhanced filtering based on scan settings for display
-        const interesting = item.permissions.filter(p => 
-            configModule.shouldIncludePermission(p, configModule.tenantDomains, configModule.scanSettings.sharingFilter)
-        );
+        // Role assignments carry SharePoint principal ids; the Entra id is in the login name
+        const loginName = grantee.group.loginName || '';
+        const groupId = window.classifierModule.entraIdFromLoginName(loginName);
+        return groupId ? `${/_o$/i.test(loginName) ? 'groupOwners' : 'group'}:${groupId}` : null;
+    }
+    if (grantee.siteGroup && grantee.siteGroup.id && siteUrl) {
+        return `siteGroup:${siteUrl}|${grantee.siteGroup.id}`;
+    }
+    return null;
+}
 
-        if (interesting.length > 0) {
-            let itemPath = '';
-            let displayLocation = '';
-            
-            if (scanType === 'onedrive') {
-                if (item.parentReference?.path) {
-                    let parentPath = item.parentReference.path;
-                    parentPath = parentPath.replace('/drive/root:', '');
-                    parentPath = parentPath.replace(/^\/drives\/[^\/]+/, '');
-                    itemPath = parentPath ? `${parentPath}/${item.name}` : `/${item.name}`;
-                } else {
-                    itemPath = `/${item.name}`;
-                }
-                displayLocation = 'OneDrive';
-            } else {
-                const driveName = drive.name || 'Documents';
-                if (item.parentReference?.path) {
-                    let parentPath = item.parentReference.path;
-                    parentPath = parentPath.replace('/drive/root:', '');
-                    parentPath = parentPath.replace(/^\/drives\/[^\/]+/, '');
-                    if (parentPath && parentPath !== '/') {
-                        itemPath = `/${driveName}${parentPath}/${item.name}`;
-                    } else {
-                        itemPath = `/${driveName}/${item.name}`;
-                    }
-                } else {
-                    itemPath = `/${driveName}/${item.name}`;
-                }
-                displayLocation = site.name;
-            }
-            
-            itemPath = itemPath.replace(/\/+/g, '/');
-            if (!itemPath.startsWith('/')) itemPath = '/' + itemPath;
-
-            const scanResult = {
-                siteName: displayLocation,
-                siteUrl: site.webUrl,
-                driveId: drive.id,
-                itemId: item.id,
-                itemName: item.name,
-                itemPath: itemPath,
-                itemType: item.folder ? 'folder' : 'file',
-                permissions: interesting, // Filtered permissions for display
-                allPermissions: item.permissions, // Complete permissions set for owner detection
-                scanType: scanType,
-                driveName: drive.name || (scanType === 'onedrive' ? 'OneDrive' : 'Documents')
-            };
-            
-            configModule.results.push(scanResult);
-            configModule.criticalLog(`📋 Found shared ${scanResult.itemType}: ${scanResult.itemName}`);
-            
-            // Write to real-time CSV if enabled
-            const exportModule = window.exportModule;
-            if (exportModule && exportModule.realtimeCsvEnabled) {
-                try {
-                    await exportModule.writeResultToCsv(scanResult);
-                    configModule.criticalLog(`📝 CSV: Exported result to CSV: ${scanResult.itemName}`);
-                } catch (csvError) {
-                    configModule.debugWarn('Failed to write result to CSV:', csvError);
-                }
-            }
-            
-            // 🚀 VIRTUAL DOM: Use virtual DOM for optimized real-time updates
-            const virtualDomModule = window.virtualDomModule;
-            
-            if (virtualDomModule) {
-                // Check if result should be displayed based on current filters
-                const shouldShow = resultsModule ? resultsModule.shouldShowResultBasedOnFilter(scanResult, resultsModule.getCurrentResultsFilter()) : true;
-                
-                // Use virtual DOM for efficient updates
-                virtualDomModule.createVirtualResultDisplay(scanResult, shouldShow);
-                
-                // Update result count through virtual DOM
-                virtualDomModule.updateCount(configModule.results.length, resultsModule ? resultsModule.getCurrentResultsFilter() : 'all');
-                
-                configModule.debugLog(`✅ VIRTUAL DOM: Added ${scanResult.itemName} to virtual DOM queue (${shouldShow ? 'visible' : 'hidden'})`);
-            } else {
-                // Fallback to direct DOM updates if virtual DOM not available
-                if (resultsModule && resultsModule.addResultToDisplay) {
-                    resultsModule.updateResultsDisplay();
-                    resultsModule.addResultToDisplay(scanResult);
-                }
-            }
+function buildGroupMember(member, tenantDomains) {
+    const email = member.mail || member.userPrincipalName || '';
+    const isGuest = member.userType === 'Guest' || /#EXT#/i.test(member.userPrincipalName || '');
+    return {
+        id: member.id,
+        displayName: member.displayName || email || member.id,
+        email: member.mail || null,
+        userType: member.userType || null,
+        external: isGuest || (!!member.mail && window.classifierModule.isExternalUser(member.mail, tenantDomains))
+    };
+}
+
+async function loadEntraGroupMembers(groupId, ownersOnly = false) {
+    const configModule = window.configModule;
+    const members = ownersOnly
+        ? await window.apiModule.getGroupOwners(groupId)
+        : await window.apiModule.getGroupTransitiveMembers(groupId);
+    return members.map(member => buildGroupMember(member, configModule.tenantDomains));
+}
 
-            configModule.debugLog(`🔍 DELTA FOUND shared ${scanResult.itemType}: ${itemPath} (${interesting.length} permissions, filter: ${configModule.scanSettings.sharingFilter})`);
+// Site groups hold users, Entra groups (expanded through Graph) and claims such as "Everyone"
+async function loadSiteGroupMembers(siteUrl, siteGroupId) {
+    const configModule = window.configModule;
+    const classifierModule = window.classifierModule;
+    const members = [];
+    
+    for (const principal of await window.apiModule.getSiteGroupMembers(siteUrl, siteGroupId)) {
+        const nestedGroupId = principal.PrincipalType === 1 ? null : classifierModule.entraIdFromLoginName(principal.LoginName);
+        
+        if (nestedGroupId) {
+            // A "_o" claim is the group's owners, not its members
+            const ownersOnly = /_o$/i.test(principal.LoginName);
+            const nested = await getGroupMembership(`${ownersOnly ? 'groupOwners' : 'group'}:${nestedGroupId}`, siteUrl);
+            // A site group missing a nested group's members would look smaller than it is
+            if (nested.error) throw new Error(`nested group ${principal.Title || nestedGroupId}: ${nested.error}`);
+            members.push(...nested.members);
+        } else if (principal.PrincipalType === 1) {
+            const email = principal.Email || classifierModule.emailFromLoginName(principal.LoginName);
+            members.push({
+                id: String(principal.Id),
+                displayName: principal.Title || email,
+                email: email || null,
+                userType: /#ext#/i.test(principal.LoginName || '') || principal.IsShareByEmailGuestUser ? 'Guest' : null,
+                external: /#ext#/i.test(principal.LoginName || '') || !!principal.IsShareByEmailGuestUser ||
+                    (!!email && classifierModule.isExternalUser(email, configModule.tenantDomains))
+            });
+        } else {
+            // "Everyone" (c:0(.s|true) includes guests; "Everyone except external users" does not
+            members.push({
+                id: principal.LoginName,
+                displayName: principal.Title,
+                email: null,
+                userType: 'claim',
+                external: principal.LoginName === 'c:0(.s|true'
+            });
         }
     }
+    
+    // A user reached through several nested groups is one member
+    return Array.from(new Map(members.map(member => [member.id, member])).values());
 }
 
-// ENHANCED COMPREHENSIVE SCANNING WITH NEW FILTERING
-async function scanDriveComprehensive(site, drive, progressTextId, scanType) {
+// Cached per group; concurrent lookups of the same group share one request. Failures are not cached,
+// so a later grant of the same group (or expandResultGroupGrants) tries again
+async function getGroupMembership(key, siteUrl, displayName = null) {
     const configModule = window.configModule;
-    const apiModule = window.apiModule;
+    if (configModule.groupMemberships.has(key)) return configModule.groupMemberships.get(key);
+    if (pendingGroupExpansions.has(key)) return pendingGroupExpansions.get(key);
     
-    if (!configModule || !apiModule) {
-        console.error('Required modules not available');
-        return;
-    }
+    const lookup = (async () => {
+        const record = { key, displayName, members: [], memberCount: 0, externalMemberCount: 0, guestCount: 0, error: null };
+        try {
+            const [kind, id] = [key.slice(0, key.indexOf(':')), key.slice(key.indexOf(':') + 1)];
+            record.members = kind === 'siteGroup'
+                ? await loadSiteGroupMembers(siteUrl, id.slice(id.lastIndexOf('|') + 1))
+                : await loadEntraGroupMembers(id, kind === 'groupOwners');
+        } catch (error) {
+            configModule.debugWarn(`⚠️ Could not expand ${displayName || key}:`, error);
+            record.error = error.message;
+        }
+        record.memberCount = record.members.length;
+        record.externalMemberCount = record.members.filter(member => member.external).length;
+        record.guestCount = record.members.filter(member => member.userType === 'Guest').length;
+        if (!record.error) configModule.groupMemberships.set(key, record);
+        pendingGroupExpansions.delete(key);
+        return record;
+    })();
     
-    try {
-        const sourceName = scanType === 'onedrive' ? 'OneDrive' : `${site.name}/${drive.name || 'Documents'}`;
-        configModule.criticalLog(`🔍 Starting comprehensive scan for ${sourceName}`);
+    pendingGroupExpansions.set(key, lookup);
+    return lookup;
+}
+
+// Returns true when any grant was newly annotated; grants whose group could not be expanded are
+// marked with permission.groupExpansionError instead
+async function expandGroupGrants(permissions, siteUrl) {
+    const configModule = window.configModule;
+    let annotated = false;
+    
+    for (const permission of permissions) {
+        if (configModule.controller.stop) break;
+        if (permission.groupMembership) continue;
         
-        if (progressTextId) {
-            configModule.updateProgressText(progressTextId, `COMPREHENSIVE MODE: ${sourceName} (enhanced filtering)...`);
-        }
+        const key = groupGrantKey(permission, siteUrl);
+        if (!key) continue;
         
-        const scanState = { scannedFolders: 0, totalBatches: 0, foundItems: 0 };
-        const suppressedPaths = new Set();
+        const grantee = permission.grantedToV2.group || permission.grantedToV2.siteGroup;
+        const record = await getGroupMembership(key, siteUrl, grantee.displayName);
+        if (record.error) {
+            permission.groupExpansionError = record.error;
+            continue;
+        }
         
-        await traverseFolderEnhanced(site, drive, "root", "", suppressedPaths, scanState, scanType, progressTextId);
+        delete permission.groupExpansionError;
+        permission.groupMembership = {
+            key,
+            memberCount: record.memberCount,
+            externalMemberCount: record.externalMemberCount,
+            guestCount: record.guestCount
+        };
+        annotated = true;
         
-        if (progressTextId) {
-            configModule.updateProgressText(progressTextId, `COMPREHENSIVE COMPLETED for ${sourceName}: ${scanState.scannedFolders} folders, ${scanState.totalBatches} batches, ${scanState.foundItems} found`);
+        if (record.externalMemberCount > 0) {
+            configModule.debugLog(`👥 ${grantee.displayName}: ${record.externalMemberCount} of ${record.memberCount} members are external`);
         }
+    }
+    
+    return annotated;
+}
+
+// Group grants are expanded before the sharing filter runs, so an item shared only with a group
+// that contains outsiders is kept by the "external" filter. An item whose group could not be
+// expanded is recorded as unverified, since the filter may drop it as internal.
+async function expandBeforeFiltering(site, drive, permissionResults, scanType) {
+    if (!window.configModule.shouldExpandGroupMembers()) return;
+    await expandGroupGrants(permissionResults.flatMap(result => result.permissions || []), site.webUrl);
+    
+    const unexpanded = permissionResults
+        .map(result => ({ item: result.item, failed: true, error: window.classifierModule.describeUnexpandedGroups(result.permissions || []) }))
+        .filter(result => result.error);
+    recordUnverifiedPermissionResults(site, drive, unexpanded, scanType);
+}
+
+// A result whose groups all expanded on a later attempt is no longer unverified
+function clearUnexpandedGroups(driveId, itemId) {
+    const configModule = window.configModule;
+    if (configModule.unverifiedItems.some(entry => entry.driveId === driveId && entry.itemId === itemId && entry.errorCode === 'groupExpansionFailed')) {
+        configModule.removeUnverifiedItem(driveId, itemId);
+    }
+}
+
+// Every scan path expands group grants before filtering (expandBeforeFiltering); this catches results
+// restored from a checkpoint or read while a group could not be expanded, and re-filters them
+async function expandResultGroupGrants(progressTextId) {
+    const configModule = window.configModule;
+    
+    const pending = configModule.results.filter(result =>
+        (result.allPermissions || result.permissions || []).some(p => !p.groupMembership && groupGrantKey(p, result.siteUrl))
+    );
+    if (pending.length === 0) return;
+    
+    if (progressTextId) {
+        configModule.updateProgressText(progressTextId, `👥 Expanding group grants on ${pending.length} items...`);
+    }
+    
+    for (const result of pending) {
+        if (configModule.controller.stop) break;
         
-        configModule.criticalLog(`✅ Comprehensive scan completed for ${sourceName}: ${scanState.scannedFolders} items, ${scanState.totalBatches} batches`);
+        // permissions is a subset of allPermissions, but copies may not share objects after a resume
+        const grants = [...(result.allPermissions || []), ...result.permissions];
+        const annotated = await expandGroupGrants(grants, result.siteUrl);
+        if (!annotated) continue;
+        if (!grants.some(p => p.groupExpansionError)) clearUnexpandedGroups(result.driveId, result.itemId);
         
-    } catch (error) {
-        configModule.criticalError(`❌ Comprehensive scan failed for ${drive.name || 'OneDrive'}:`, error);
-        if (progressTextId) {
-            configModule.updateProgressText(progressTextId, `Enhanced comprehensive scan failed for ${drive.name || 'OneDrive'}`);
+        // A group that turned out to contain outsiders changes which grants the sharing filter keeps
+        if (result.allPermissions) {
+            const interesting = result.allPermissions.filter(p =>
+                configModule.shouldIncludePermission(p, configModule.tenantDomains, configModule.scanSettings.sharingFilter)
+            );
+            if (interesting.length > 0) result.permissions = interesting;
         }
+        checkpointResult(result);
     }
+    
+    configModule.criticalLog(`👥 Group grants expanded: ${configModule.groupMemberships.size} groups`);
 }
 
-// ENHANCED FOLDER TRAVERSAL WITH NEW FEATURES
-async function traverseFolderEnhanced(site, drive, itemId, path, suppressedPaths, scanState, scanType, progressTextId) {
+// GUEST ACCOUNT ENRICHMENT
+// Resolves every external grantee in the results against the directory, so the report can tell
+// active partners from unredeemed invitations and from addresses that never had a guest account
+async function enrichGuestAccounts(progressTextId) {
     const configModule = window.configModule;
     const apiModule = window.apiModule;
-    const resultsModule = window.resultsModule;
+    const classifierModule = window.classifierModule;
     
-    if (!configModule || !apiModule) {
-        console.error('Required modules not available');
-        return;
-    }
+    const emails = new Set();
+    configModule.results.forEach(result => {
+        (result.permissions || []).forEach(permission => {
+            classifierModule.externalEmailsFromPermission(permission, configModule.tenantDomains).forEach(email => emails.add(email));
+        });
+    });
     
-    if (configModule.controller.stop) return;
+    const pending = Array.from(emails).filter(email => !configModule.guestAccounts.has(email));
+    if (pending.length === 0) return;
     
-    const sourceName = scanType === 'onedrive' ? 'OneDrive' : `${site.name}/${drive.name || 'Documents'}`;
+    configModule.criticalLog(`👤 Resolving ${pending.length} external grantees against the directory`);
     
-    // Get children based on content scope
-    const includeFiles = configModule.scanSettings.contentScope === 'all';
-    const children = await apiModule.getFolderChildren(drive.id, itemId, includeFiles);
+    for (let i = 0; i < pending.length; i++) {
+        if (configModule.controller.stop) break;
+        const email = pending[i];
+        
+        if (progressTextId && i % 10 === 0) {
+            configModule.updateProgressText(progressTextId, `👤 Looking up guest accounts: ${i + 1} of ${pending.length}...`);
+        }
+        
+        try {
+            const user = await apiModule.getGuestAccount(email);
+            configModule.guestAccounts.set(email, buildGuestAccountRecord(email, user));
+        } catch (error) {
+            configModule.debugWarn(`⚠️ Guest lookup failed for ${email}:`, error);
+            configModule.guestAccounts.set(email, { email, exists: null, status: 'unknown', error: error.message });
+        }
+    }
+    
+    const counts = {};
+    configModule.guestAccounts.forEach(record => { counts[record.status] = (counts[record.status] || 0) + 1; });
+    configModule.criticalLog('👤 Guest account lookups complete:', counts);
+}
 
-        const validItems = children.filter(f => {
-            // Skip preservation hold libraries - CRITICAL FIX: Apply at folder level too
-            if (f.folder && configModule.shouldSkipPreservationHoldLibrary(f.name)) {
-                configModule.debugLog(`🚫 SKIPPING PRESERVATION HOLD FOLDER: ${f.name} in ${sourceName}`);
-                return false;
-            }
+function buildGuestAccountRecord(email, user) {
+    if (!user) return { email, exists: false, status: 'no-account' };
+    
+    let status = 'active';
+    if (user.accountEnabled === false) {
+        status = 'disabled';
+    } else if (user.externalUserState === 'PendingAcceptance') {
+        status = 'pending';
+    }
+    
+    return {
+        email,
+        exists: true,
+        status,
+        userId: user.id,
+        displayName: user.displayName || null,
+        userType: user.userType || null,
+        creationType: user.creationType || null,
+        redemptionState: user.externalUserState || null,
+        redemptionStateChangedDateTime: user.externalUserStateChangeDateTime || null,
+        accountEnabled: user.accountEnabled !== false,
+        createdDateTime: user.createdDateTime || null,
+        lastSignInDateTime: user.signInActivity ? user.signInActivity.lastSignInDateTime || null : null,
+        invitedBy: (user.sponsors || []).map(s => s.displayName || s.mail || s.userPrincipalName).join(', ') || null
+    };
+}
+
+// MERGE DELTA CHANGES (ADDED / CHANGED / DELETED ITEMS) INTO EXISTING RESULTS
+async function mergeDeltaChanges(site, drive, items, scanType) {
+    const configModule = window.configModule;
+    const apiModule = window.apiModule;
+    const resultsModule = window.resultsModule;
+    
+    const changes = { added: 0, updated: 0, removed: 0 };
+    const previouslyShared = new Map(); // itemId -> the result it had before this change
+    const itemsToProcess = [];
+    const itemsMissingPermissions = [];
+    
+    for (const item of items) {
+        if (configModule.controller.stop) break;
+        
+        // The drive root is always reported by delta and never carries sharing of its own
+        if (item.root) continue;
+        
+        // Drop any existing result for this item - it is re-evaluated below
+        const existingIndex = configModule.results.findIndex(r => r.driveId === drive.id && r.itemId === item.id);
+        if (existingIndex !== -1) {
+            const [previousResult] = configModule.results.splice(existingIndex, 1);
+            forgetCheckpointResult(drive.id, item.id);
+            previouslyShared.set(item.id, previousResult);
+        }
+        
+        if (item.deleted) {
+            if (existingIndex !== -1) {
+                changes.removed++;
+                configModule.debugLog(`🗑️ DELTA REMOVED: ${item.name || item.id}`);
+            }
+            continue;
+        }
+        
+        if (Array.isArray(item.permissions)) {
+            itemsToProcess.push(item);
+        } else {
+            itemsMissingPermissions.push({
+                item: item,
+                url: `${apiModule.graphBaseUrl()}/drives/${drive.id}/items/${item.id}/permissions`
+            });
+        }
+    }
+    
+    // Delta doesn't always expand permissions on changed items - fetch them through the batch path
+    if (itemsMissingPermissions.length > 0 && !configModule.controller.stop) {
+        configModule.debugLog(`🔍 DELTA: Fetching permissions for ${itemsMissingPermissions.length} changed items`);
+        const permissionResults = await apiModule.batchGetPermissions(itemsMissingPermissions, configModule.controller);
+        recordUnverifiedPermissionResults(site, drive, permissionResults, scanType);
+        for (const result of permissionResults) {
+            if (result.failed) {
+                // Put the previous result back - the item is listed as unverified, and a share is
+                // only reported removed once its permissions could be read
+                const previousResult = previouslyShared.get(result.item.id);
+                if (previousResult) {
+                    configModule.results.push(previousResult);
+                    checkpointResult(previousResult);
+                }
+                continue;
+            }
+            itemsToProcess.push({ ...result.item, permissions: result.permissions });
+        }
+    }
+    
+    await processEnhancedDeltaItems(site, drive, itemsToProcess, scanType);
+    
+    for (const item of itemsToProcess) {
+        const isShared = configModule.results.some(r => r.driveId === drive.id && r.itemId === item.id);
+        if (isShared && previouslyShared.has(item.id)) {
+            changes.updated++;
+        } else if (isShared) {
+            changes.added++;
+        } else if (previouslyShared.has(item.id)) {
+            changes.removed++;
+        }
+    }
+    
+    // Results were removed or replaced in place - redraw the current view so stale entries disappear
+    if (previouslyShared.size > 0 && resultsModule && resultsModule.switchView) {
+        resultsModule.updateResultsDisplay();
+        resultsModule.switchView(resultsModule.getCurrentView());
+    }
+    
+    return changes;
+}
+
+// ENHANCED DELTA ITEM PROCESSING WITH NEW FILTERING
+// seenItemIds (optional) skips items already reported for this drive and is updated as results are added
+async function processEnhancedDeltaItems(site, drive, items, scanType, seenItemIds = null) {
+    const configModule = window.configModule;
+    const apiModule = window.apiModule;
+    
+    if (!configModule || !apiModule) {
+        console.error('Required modules not available');
+        return;
+    }
+    
+    const unseenItems = seenItemIds ? items.filter(item => !seenItemIds.has(item.id)) : items;
+    
+    await expandBeforeFiltering(site, drive, unseenItems.map(item => ({ item, permissions: item.permissions || [] })), scanType);
+    
+    // Classification runs in the scan worker when it is available
+    if (useScanEngine()) {
+        const found = await window.scanEngineModule.classifyItems(site, drive, unseenItems, scanType, {
+            onSkipped: (entry) => configModule.recordSkippedPath(entry)
+        });
+        for (const scanResult of found) {
+            if (configModule.controller.stop) return;
+            await reportScanResult(scanResult, seenItemIds);
+        }
+        countExaminedItems(unseenItems.length);
+        return;
+    }
+    
+    for (const item of unseenItems) {
+        if (configModule.controller.stop) return;
+        
+        // Delta pages cover the whole drive, so path rules skip the contents of excluded folders as well
+        const skip = configModule.findActivePathSkip(site, drive, item);
+        if (skip) {
+            if (!skip.inherited) {
+                configModule.recordSkippedPath(window.classifierModule.buildSkippedEntry(site, drive, item, scanType, 'path-rule', skip.rule));
+            }
+            continue;
+        }
+        
+        // Skip items that don't match content scope
+        if (configModule.scanSettings.contentScope === 'folders' && !item.folder) {
+            continue;
+        }
+        
+        // Delta pages cover the whole drive, so the depth limit is applied per item
+        if (window.classifierModule.exceedsDepthLimit(item, configModule.scanSettings.maxDepth)) {
+            continue;
+        }
+        if (window.classifierModule.stopsAtDepthLimit(item, configModule.scanSettings.maxDepth)) {
+            configModule.recordSkippedPath(window.classifierModule.buildSkippedEntry(site, drive, item, scanType, 'depth-limit'));
+        }
+        
+        if (!item.permissions || item.permissions.length === 0) continue;
+        
+        // Apply enhanced filtering based on scan settings for display
+        const interesting = item.permissions.filter(p => 
+            configModule.shouldIncludePermission(p, configModule.tenantDomains, configModule.scanSettings.sharingFilter)
+        );
+
+        if (interesting.length > 0) {
+            const scanResult = window.classifierModule.buildScanResult(site, drive, item, item.permissions, interesting, scanType);
+            await reportScanResult(scanResult, seenItemIds);
+            configModule.debugLog(`🔍 DELTA FOUND shared ${scanResult.itemType}: ${scanResult.itemPath} (${interesting.length} permissions, filter: ${configModule.scanSettings.sharingFilter})`);
+        }
+    }
+    countExaminedItems(unseenItems.length);
+}
+
+// REPORT A SHARED ITEM - results list, checkpoint, real-time CSV and the virtual DOM
+async function reportScanResult(scanResult, seenItemIds = null) {
+    const configModule = window.configModule;
+    const resultsModule = window.resultsModule;
+    
+    configModule.results.push(scanResult);
+    if (seenItemIds) seenItemIds.add(scanResult.itemId);
+    checkpointResult(scanResult);
+    configModule.criticalLog(`📋 Found shared ${scanResult.itemType}: ${scanResult.itemName}`);
+    
+    // Write to real-time CSV if enabled
+    const exportModule = window.exportModule;
+    if (exportModule && exportModule.realtimeCsvEnabled) {
+        try {
+            await exportModule.writeResultToCsv(scanResult);
+            configModule.criticalLog(`📝 CSV: Exported result to CSV: ${scanResult.itemName}`);
+        } catch (csvError) {
+            configModule.debugWarn('Failed to write result to CSV:', csvError);
+        }
+    }
+    
+    // 🚀 VIRTUAL DOM: Use virtual DOM for optimized real-time updates
+    const virtualDomModule = window.virtualDomModule;
+    
+    if (virtualDomModule) {
+        // Check if result should be displayed based on current filters
+        const shouldShow = resultsModule ? resultsModule.shouldShowResultBasedOnFilter(scanResult, resultsModule.getCurrentResultsFilter()) : true;
+        
+        // Use virtual DOM for efficient updates
+        virtualDomModule.createVirtualResultDisplay(scanResult, shouldShow);
+        
+        // Update result count through virtual DOM
+        virtualDomModule.updateCount(configModule.results.length, resultsModule ? resultsModule.getCurrentResultsFilter() : 'all');
+        
+        configModule.debugLog(`✅ VIRTUAL DOM: Added ${scanResult.itemName} to virtual DOM queue (${shouldShow ? 'visible' : 'hidden'})`);
+    } else {
+        // Fallback to direct DOM updates if virtual DOM not available
+        if (resultsModule && resultsModule.addResultToDisplay) {
+            resultsModule.updateResultsDisplay();
+            resultsModule.addResultToDisplay(scanResult);
+        }
+    }
+}
+
+// RECORD ITEMS WHOSE PERMISSIONS COULD NOT BE VERIFIED
+function recordUnverifiedPermissionResults(site, drive, permissionResults, scanType) {
+    const configModule = window.configModule;
+    
+    for (const result of permissionResults) {
+        if (!result.failed) continue;
+        
+        configModule.recordUnverifiedItem({
+            siteName: scanType === 'onedrive' ? 'OneDrive' : site.name,
+            siteId: site.id,
+            siteUrl: site.webUrl,
+            driveId: drive.id,
+            driveName: drive.name || (scanType === 'onedrive' ? 'OneDrive' : 'Documents'),
+            itemId: result.item.id,
+            itemName: result.item.name,
+            itemPath: configModule.formatItemPath(result.item.parentReference?.path, result.item.name, drive.name, scanType),
+            itemType: result.item.folder ? 'folder' : 'file',
+            parentPath: result.item.parentReference?.path || null,
+            scanType: scanType,
+            status: result.error ? result.error.status : null,
+            errorCode: result.error ? result.error.code : 'unknown',
+            errorMessage: result.error ? result.error.message : ''
+        });
+    }
+}
+
+// RECORD FOLDERS WHOSE CHILDREN COULD NOT BE LISTED
+// Nothing under such a folder was examined, so it is reported as unverified rather than scanned. It
+// stays in the drive's frontier and the drive is settled as partial, so a resume lists it again.
+function recordUnlistedFolder(site, drive, folderId, folderPath, scanType, error) {
+    const configModule = window.configModule;
+    const statusMatch = /HTTP (\d+)/.exec(error.message || '');
+    const failure = window.graphTransportModule.buildPermissionFailure(error.status || (statusMatch ? parseInt(statusMatch[1]) : null), null, error.message);
+    
+    driveTraversalGaps++;
+    configModule.recordUnverifiedItem({
+        siteName: scanType === 'onedrive' ? 'OneDrive' : site.name,
+        siteId: site.id,
+        siteUrl: site.webUrl,
+        driveId: drive.id,
+        driveName: drive.name || (scanType === 'onedrive' ? 'OneDrive' : 'Documents'),
+        itemId: folderId,
+        itemName: folderPath ? folderPath.split('/').pop() : (drive.name || 'Documents'),
+        itemPath: folderPath || `/${drive.name || 'Documents'}`,
+        itemType: 'folder',
+        parentPath: null,
+        scanType: scanType,
+        status: failure.status,
+        errorCode: failure.code,
+        errorMessage: `Folder contents could not be listed: ${failure.message}`,
+        contentsUnlisted: true
+    });
+}
+
+// A folder listed on a later attempt (e.g. after a resume) is no longer a gap
+function clearUnlistedFolder(driveId, folderId) {
+    const configModule = window.configModule;
+    if (configModule.unverifiedItems.some(entry => entry.driveId === driveId && entry.itemId === folderId && entry.contentsUnlisted)) {
+        configModule.removeUnverifiedItem(driveId, folderId);
+    }
+}
+
+// RESCAN ITEMS THAT WERE RECORDED AS UNVERIFIED
+async function rescanUnverifiedItems() {
+    const configModule = window.configModule;
+    const apiModule = window.apiModule;
+    const resultsModule = window.resultsModule;
+    
+    if (!configModule || !apiModule) {
+        console.error('Required modules not available');
+        return;
+    }
+    
+    if (configModule.scanning) {
+        configModule.showToast('Wait for the current scan to finish before rescanning unverified items');
+        return;
+    }
+    
+    // Folders whose contents could not be listed are retried by resuming the scan, and list entries by
+    // scanning the site's lists again, not by a drive item permission read
+    const pending = configModule.unverifiedItems.filter(entry => !entry.contentsUnlisted && !entry.listId);
+    if (pending.length === 0) {
+        configModule.showToast('No unverified items to rescan');
+        return;
+    }
+    
+    configModule.scanning = true;
+    configModule.resetScanController();
+    
+    let verified = 0;
+    
+    try {
+        configModule.criticalLog(`🔁 RESCANNING ${pending.length} UNVERIFIED ITEMS`);
+        
+        if (!configModule.tenantDomains || configModule.tenantDomains.size === 0) {
+            configModule.tenantDomains = await apiModule.loadTenantDomains();
+        }
+        
+        // Group by drive so each drive's items go through one batched permission pass
+        const byDrive = new Map();
+        for (const entry of pending) {
+            if (!byDrive.has(entry.driveId)) byDrive.set(entry.driveId, []);
+            byDrive.get(entry.driveId).push(entry);
+        }
+        
+        for (const [driveId, entries] of byDrive) {
+            if (configModule.controller.stop) break;
+            
+            const first = entries[0];
+            const site = { id: first.siteId, name: first.siteName, webUrl: first.siteUrl };
+            const drive = { id: driveId, name: first.driveName };
+            
+            const requests = entries.map(entry => ({
+                item: {
+                    id: entry.itemId,
+                    name: entry.itemName,
+                    folder: entry.itemType === 'folder' ? {} : undefined,
+                    file: entry.itemType === 'file' ? {} : undefined,
+                    parentReference: entry.parentPath ? { path: entry.parentPath } : undefined
+                },
+                url: `${apiModule.graphBaseUrl()}/drives/${driveId}/items/${entry.itemId}/permissions`
+            }));
+            
+            const permissionResults = await apiModule.batchGetPermissions(requests, configModule.controller);
+            recordUnverifiedPermissionResults(site, drive, permissionResults, first.scanType);
             
-            // Skip system folders
-            if (f.folder && configModule.shouldSkipFolder(f.name)) {
-                configModule.debugLog(`🚫 SKIPPING SYSTEM FOLDER: ${f.name} in ${sourceName}`);
-                return false;
+            const verifiedItems = [];
+            for (const result of permissionResults) {
+                if (result.failed) continue;
+                
+                configModule.removeUnverifiedItem(driveId, result.item.id);
+                verified++;
+                verifiedItems.push({ ...result.item, permissions: result.permissions });
+            }
+            
+            await processEnhancedDeltaItems(site, drive, verifiedItems, first.scanType);
+        }
+        
+        const remaining = configModule.unverifiedItems.length;
+        configModule.showToast(`Rescan complete: ${verified} verified, ${remaining} still unverified`);
+        configModule.criticalLog(`✅ UNVERIFIED RESCAN: ${verified} verified, ${remaining} still unverified`);
+        
+    } catch (error) {
+        console.error('Unverified items rescan error:', error);
+        configModule.showToast('Rescan of unverified items failed: ' + error.message);
+    } finally {
+        configModule.scanning = false;
+        
+        if (resultsModule && resultsModule.renderUnverifiedItems) {
+            resultsModule.renderUnverifiedItems();
+        }
+    }
+}
+
+// ENHANCED COMPREHENSIVE SCANNING WITH NEW FILTERING
+// resumeState.pendingFolders restarts from a saved traversal frontier instead of the drive root
+async function scanDriveComprehensive(site, drive, progressTextId, scanType, resumeState = {}) {
+    const configModule = window.configModule;
+    const apiModule = window.apiModule;
+    
+    if (!configModule || !apiModule) {
+        console.error('Required modules not available');
+        return;
+    }
+    
+    try {
+        const sourceName = scanType === 'onedrive' ? 'OneDrive' : `${site.name}/${drive.name || 'Documents'}`;
+        configModule.criticalLog(`🔍 Starting comprehensive scan for ${sourceName}`);
+        
+        if (progressTextId) {
+            configModule.updateProgressText(progressTextId, `COMPREHENSIVE MODE: ${sourceName} (enhanced filtering)...`);
+        }
+        
+        const scanState = {
+            scannedFolders: 0,
+            totalBatches: 0,
+            foundItems: 0,
+            // Folders queued for listing but not yet listed: the frontier a resume restarts from
+            pendingFolders: new Map(resumeState.pendingFolders || [["root", ""]]),
+            seenItemIds: resumeState.seenItemIds || new Set()
+        };
+        const suppressedPaths = new Set();
+        updateDriveCheckpoint({ mode: 'comprehensive', deltaNextLink: null, pendingFolders: scanState.pendingFolders });
+        
+        const startFolders = Array.from(scanState.pendingFolders.entries());
+        if (useScanEngine()) {
+            await traverseDriveInEngine(site, drive, scanType, progressTextId, startFolders, scanState);
+        } else if (configModule.scanSettings.traversalMode === 'single-pass') {
+            await traverseDriveSinglePass(site, drive, scanType, progressTextId, startFolders, scanState);
+        } else {
+            const startBatchSize = 3;
+            for (let i = 0; i < startFolders.length; i += startBatchSize) {
+                if (configModule.controller.stop) break;
+                await Promise.all(startFolders.slice(i, i + startBatchSize).map(([folderId, folderPath]) =>
+                    traverseFolderEnhanced(site, drive, folderId, folderPath, suppressedPaths, scanState, scanType, progressTextId)
+                ));
             }
+        }
+        
+        if (progressTextId) {
+            configModule.updateProgressText(progressTextId, `COMPREHENSIVE COMPLETED for ${sourceName}: ${scanState.scannedFolders} folders, ${scanState.totalBatches} batches, ${scanState.foundItems} found`);
+        }
+        
+        configModule.criticalLog(`✅ Comprehensive scan completed for ${sourceName}: ${scanState.scannedFolders} items, ${scanState.totalBatches} batches`);
+        
+    } catch (error) {
+        // The rest of the frontier was never listed, so the drive cannot be settled as completed
+        driveTraversalGaps++;
+        configModule.criticalError(`❌ Comprehensive scan failed for ${drive.name || 'OneDrive'}:`, error);
+        if (progressTextId) {
+            configModule.updateProgressText(progressTextId, `Enhanced comprehensive scan failed for ${drive.name || 'OneDrive'}`);
+        }
+    }
+}
+
+// COMPREHENSIVE TRAVERSAL IN THE SCAN WORKER
+// The worker lists folders, batches permission reads and classifies; this side only records what it streams back
+async function traverseDriveInEngine(site, drive, scanType, progressTextId, startFolders, scanState) {
+    const configModule = window.configModule;
+    
+    // Results are reported in arrival order so the checkpoint and CSV stay consistent
+    let reporting = Promise.resolve();
+    
+    const outcome = await window.scanEngineModule.traverseDrive(site, drive, scanType, {
+        startFolders,
+        seenItemIds: scanState.seenItemIds
+    }, {
+        onResult: (scanResult) => {
+            scanState.foundItems++;
+            reporting = reporting.then(() => reportScanResult(scanResult, scanState.seenItemIds));
+        },
+        onUnverified: (entry) => configModule.recordUnverifiedItem(entry),
+        onUnlisted: (folderId, error) => recordUnlistedFolder(site, drive, folderId, scanState.pendingFolders.get(folderId), scanType, error),
+        onSkipped: (entry) => configModule.recordSkippedPath(entry),
+        onFrontier: (added, removed) => {
+            added.forEach(([folderId, folderPath]) => scanState.pendingFolders.set(folderId, folderPath));
+            removed.forEach(folderId => {
+                scanState.pendingFolders.delete(folderId);
+                clearUnlistedFolder(drive.id, folderId);
+            });
+            scheduleCheckpointSave();
+        },
+        onProgress: (text, stats) => {
+            countExaminedItems(stats.scannedFolders - scanState.scannedFolders);
+            scanState.scannedFolders = stats.scannedFolders;
+            scanState.totalBatches = stats.totalBatches;
+            if (progressTextId) configModule.updateProgressText(progressTextId, text);
+        }
+    });
+    
+    await reporting;
+    return outcome;
+}
+
+// CHILDREN WORTH CHECKING - drops what the path rules and depth limit exclude and applies the content scope
+function selectTraversableChildren(children, site, drive, scanType) {
+    const configModule = window.configModule;
+    
+    return children.filter(f => {
+        const skip = configModule.findActivePathSkip(site, drive, f);
+        if (skip) {
+            configModule.recordSkippedPath(window.classifierModule.buildSkippedEntry(site, drive, f, scanType, 'path-rule', skip.rule));
+            return false;
+        }
+        
+        if (window.classifierModule.exceedsDepthLimit(f, configModule.scanSettings.maxDepth)) {
+            return false;
+        }
+        
+        if (configModule.scanSettings.contentScope === 'folders') {
+            return f.folder;
+        } else {
+            // For all content, include files and folders (already filtered above)
+            return f.file || f.folder;
+        }
+    });
+}
+
+// SINGLE-PASS COMPREHENSIVE TRAVERSAL
+// Walks the drive breadth-first: each round lists up to FOLDER_LISTING_BATCH_SIZE folders in one
+// $batch with permissions expanded on the children, so no separate /permissions calls are needed.
+// Children listed without their permissions get them through batchGetPermissions, and folders the
+// batch could not list are listed and checked the per-item way instead.
+async function traverseDriveSinglePass(site, drive, scanType, progressTextId, startFolders, scanState) {
+    const configModule = window.configModule;
+    const apiModule = window.apiModule;
+    
+    const sourceName = scanType === 'onedrive' ? 'OneDrive' : `${site.name}/${drive.name || 'Documents'}`;
+    const includeFiles = configModule.scanSettings.contentScope === 'all';
+    const queue = startFolders.map(([folderId]) => folderId);
+    let fallbackFolders = 0;
+    
+    while (queue.length > 0) {
+        if (configModule.controller.stop) return;
+        
+        const folderIds = queue.splice(0, apiModule.FOLDER_LISTING_BATCH_SIZE);
+        scanState.totalBatches++;
+        
+        if (progressTextId) {
+            configModule.updateProgressText(progressTextId, `SINGLE-PASS BATCH ${scanState.totalBatches}: Listing ${folderIds.length} folders in ${sourceName} (${queue.length} queued)...`);
+        }
+        
+        const listings = await apiModule.listFoldersWithPermissions(drive.id, folderIds, includeFiles, configModule.controller);
+        
+        for (const folderId of folderIds) {
+            if (configModule.controller.stop) return;
+            
+            const listing = listings.get(folderId);
+            let permissionResults;
             
-            if (configModule.scanSettings.contentScope === 'folders') {
-                return f.folder;
+            if (listing.expanded) {
+                permissionResults = selectTraversableChildren(listing.items, site, drive, scanType)
+                    .map(item => ({ item, permissions: item.permissions }));
             } else {
-                // For all content, include files and folders (already filtered above)
-                return f.file || f.folder;
+                fallbackFolders++;
+                let listed = listing.items;
+                if (!listed) {
+                    try {
+                        listed = await apiModule.getFolderChildren(drive.id, folderId, includeFiles);
+                    } catch (error) {
+                        // Stays in the frontier for a resume
+                        recordUnlistedFolder(site, drive, folderId, scanState.pendingFolders.get(folderId), scanType, error);
+                        continue;
+                    }
+                }
+                const children = selectTraversableChildren(listed, site, drive, scanType);
+                permissionResults = children.length > 0
+                    ? await apiModule.batchGetPermissions(children.map(item => ({
+                        item,
+                        url: `${apiModule.graphBaseUrl()}/drives/${drive.id}/items/${item.id}/permissions`
+                    })), configModule.controller)
+                    : [];
+                recordUnverifiedPermissionResults(site, drive, permissionResults, scanType);
             }
-        });
+            
+            if (configModule.controller.stop) return;
+            
+            await expandBeforeFiltering(site, drive, permissionResults, scanType);
+            for (const result of permissionResults) {
+                scanState.scannedFolders++;
+                
+                const interesting = result.permissions.filter(p => 
+                    configModule.shouldIncludePermission(p, configModule.tenantDomains, configModule.scanSettings.sharingFilter)
+                );
+                
+                if (interesting.length > 0 && !scanState.seenItemIds.has(result.item.id)) {
+                    scanState.foundItems++;
+                    await reportScanResult(
+                        window.classifierModule.buildScanResult(site, drive, result.item, result.permissions, interesting, scanType),
+                        scanState.seenItemIds
+                    );
+                }
+                
+                // ALL folders (with OR without sharing) are traversed, down to the depth limit
+                if (result.item.folder && window.classifierModule.canDescendInto(result.item, configModule.scanSettings.maxDepth)) {
+                    scanState.pendingFolders.set(result.item.id, configModule.formatItemPath(result.item.parentReference?.path, result.item.name, drive.name, scanType));
+                    queue.push(result.item.id);
+                } else if (window.classifierModule.stopsAtDepthLimit(result.item, configModule.scanSettings.maxDepth)) {
+                    configModule.recordSkippedPath(window.classifierModule.buildSkippedEntry(site, drive, result.item, scanType, 'depth-limit'));
+                }
+            }
+            
+            // Children are queued, so this folder leaves the resume frontier
+            scanState.pendingFolders.delete(folderId);
+            clearUnlistedFolder(drive.id, folderId);
+            scheduleCheckpointSave();
+            countExaminedItems(permissionResults.length);
+        }
+        
+        if (progressTextId) {
+            configModule.updateProgressText(progressTextId, `SCANNING ${sourceName}: ${scanState.scannedFolders} items • ${scanState.totalBatches} batches • ${scanState.foundItems} found`);
+        }
+        
+        await apiModule.delay(Math.max(apiModule.requestQueue.delayBetweenRequests, 100));
+    }
+    
+    if (fallbackFolders > 0) {
+        configModule.criticalLog(`📂 SINGLE-PASS: ${fallbackFolders} folders in ${sourceName} did not support expanded permissions and were checked per item`);
+    }
+}
+
+// ENHANCED FOLDER TRAVERSAL WITH NEW FEATURES
+async function traverseFolderEnhanced(site, drive, itemId, path, suppressedPaths, scanState, scanType, progressTextId) {
+    const configModule = window.configModule;
+    const apiModule = window.apiModule;
+    
+    if (!configModule || !apiModule) {
+        console.error('Required modules not available');
+        return;
+    }
+    
+    if (configModule.controller.stop) return;
+    
+    const sourceName = scanType === 'onedrive' ? 'OneDrive' : `${site.name}/${drive.name || 'Documents'}`;
+    
+    // This folder leaves the resume frontier once its children are listed and queued
+    const completeFolder = () => {
+        if (scanState.pendingFolders) {
+            scanState.pendingFolders.delete(itemId);
+            clearUnlistedFolder(drive.id, itemId);
+            scheduleCheckpointSave();
+        }
+    };
+    
+    // Get children based on content scope; a folder that cannot be listed stays in the frontier
+    const includeFiles = configModule.scanSettings.contentScope === 'all';
+    let children;
+    try {
+        children = await apiModule.getFolderChildren(drive.id, itemId, includeFiles);
+    } catch (error) {
+        recordUnlistedFolder(site, drive, itemId, path, scanType, error);
+        return;
+    }
+
+    const validItems = selectTraversableChildren(children, site, drive, scanType);
 
-    if (validItems.length === 0) return;
+    if (validItems.length === 0) {
+        completeFolder();
+        return;
+    }
 
     const itemsToCheck = [];
     
@@ -612,129 +1639,1014 @@ async function traverseFolderEnhanced(site, drive, itemId, path, suppressedPaths
         
         let itemPath = configModule.formatItemPath(f.parentReference?.path, f.name, drive.name, scanType);
 
-        // ✅ CRITICAL FIX: Remove ALL suppression logic to capture every sharing link
-        // No items should be suppressed - we want to find ALL shared content
-        itemsToCheck.push({
-            item: f,
-            itemPath: itemPath,
-            url: `https://graph.microsoft.com/v1.0/drives/${drive.id}/items/${f.id}/permissions`
-        });
+        // ✅ CRITICAL FIX: Remove ALL suppression logic to capture every sharing link
+        // No items should be suppressed - we want to find ALL shared content
+        itemsToCheck.push({
+            item: f,
+            itemPath: itemPath,
+            url: `${apiModule.graphBaseUrl()}/drives/${drive.id}/items/${f.id}/permissions`
+        });
+    }
+
+    if (itemsToCheck.length === 0) {
+        completeFolder();
+        return;
+    }
+    
+    scanState.totalBatches++;
+    
+    if (progressTextId) {
+        configModule.updateProgressText(progressTextId, `BATCH ${scanState.totalBatches}: Checking ${itemsToCheck.length} items in ${sourceName}...`);
+        await apiModule.delay(20);
+    }
+    
+    const permissionResults = await apiModule.batchGetPermissions(itemsToCheck, configModule.controller);
+    recordUnverifiedPermissionResults(site, drive, permissionResults, scanType);
+    const recursionTasks = [];
+    
+    await expandBeforeFiltering(site, drive, permissionResults, scanType);
+    for (const result of permissionResults) {
+        if (configModule.controller.stop) return;
+        
+        scanState.scannedFolders++;
+        
+        if (scanState.scannedFolders % 5 === 0 && progressTextId) {
+            configModule.updateProgressText(progressTextId, `SCANNING ${sourceName}: ${scanState.scannedFolders} items • ${scanState.totalBatches} batches • ${scanState.foundItems} found`);
+            await apiModule.delay(5);
+        }
+
+        // 🔥 CRITICAL FIX: Store BOTH all permissions AND filtered permissions for owner detection  
+        // Apply enhanced filtering
+        const interesting = result.permissions.filter(p => 
+            configModule.shouldIncludePermission(p, configModule.tenantDomains, configModule.scanSettings.sharingFilter)
+        );
+
+        // Check if item has interesting sharing permissions (and wasn't already reported before a resume)
+        const alreadyReported = scanState.seenItemIds && scanState.seenItemIds.has(result.item.id);
+        if (interesting.length > 0 && !alreadyReported) {
+            scanState.foundItems++;
+            
+            const scanResult = window.classifierModule.buildScanResult(site, drive, result.item, result.permissions, interesting, scanType);
+            await reportScanResult(scanResult, scanState.seenItemIds);
+            const itemPath = scanResult.itemPath;
+            
+            if (progressTextId) {
+                configModule.updateProgressText(progressTextId, `FOUND shared ${scanResult.itemType} in ${sourceName}: ${itemPath} (${scanState.foundItems} total)`);
+                await apiModule.delay(300);
+            }
+        }
+        
+        // 🚨 CRITICAL FIX: ALL FOLDERS (with OR without sharing) must be added for recursion!
+        // This was the major bug - folders with sharing were not being recursed into
+        if (result.item.folder && window.classifierModule.canDescendInto(result.item, configModule.scanSettings.maxDepth)) {
+            configModule.debugLog(`📂 QUEUEING FOLDER FOR RECURSION: ${result.item.name} (has sharing: ${interesting.length > 0})`);
+            const folderPath = configModule.formatItemPath(result.item.parentReference?.path, result.item.name, drive.name, scanType);
+            if (scanState.pendingFolders) {
+                scanState.pendingFolders.set(result.item.id, folderPath);
+            }
+            recursionTasks.push(
+                traverseFolderEnhanced(site, drive, result.item.id, folderPath, suppressedPaths, scanState, scanType, progressTextId)
+            );
+        } else if (window.classifierModule.stopsAtDepthLimit(result.item, configModule.scanSettings.maxDepth)) {
+            configModule.recordSkippedPath(window.classifierModule.buildSkippedEntry(site, drive, result.item, scanType, 'depth-limit'));
+        }
+    }
+
+    completeFolder();
+    countExaminedItems(permissionResults.length);
+
+    // Optimized recursion batching: increased from 1 to 3 for better throughput
+    const recursionBatchSize = 3;
+    for (let i = 0; i < recursionTasks.length; i += recursionBatchSize) {
+        if (configModule.controller.stop) return;
+        
+        const batch = recursionTasks.slice(i, i + recursionBatchSize);
+        
+        if (progressTextId && recursionTasks.length > 1) {
+            configModule.updateProgressText(progressTextId, `DEEP SCANNING ${sourceName}: ${scanState.scannedFolders} items • ${scanState.foundItems} found`);
+        }
+        
+        await Promise.all(batch);
+        await apiModule.delay(300);
+    }
+}
+
+// TENANT-WIDE SEARCH PRE-SCAN
+// Finds candidates with Microsoft Search instead of walking drives, verifies each one through the
+// regular permissions path and selects the sites with confirmed sharing for a follow-up full scan
+async function runSearchPreScan() {
+    const configModule = window.configModule;
+    const apiModule = window.apiModule;
+    const uiModule = window.uiModule;
+    const authModule = window.authModule;
+    
+    if (!configModule || !apiModule) {
+        console.error('Required modules not available');
+        return;
+    }
+    
+    if (configModule.scanning) return;
+    
+    configModule.scanning = true;
+    configModule.resetScanController();
+    
+    if (authModule && authModule.startScanningTokenMonitoring) {
+        authModule.startScanningTokenMonitoring();
+    }
+    
+    configModule.showProgressSection('sharepoint-progress-section');
+    configModule.updateProgressBar('sharepoint-progress-bar', 0);
+    
+    if (uiModule) {
+        uiModule.updateButtonStates(true);
+    }
+    
+    try {
+        configModule.criticalLog('🔎 SEARCH PRE-SCAN STARTING');
+        
+        configModule.updateProgressText('sharepoint-progress-text', 'Loading tenant domains...');
+        configModule.tenantDomains = await apiModule.loadTenantDomains();
+        
+        const queryInput = document.getElementById('search-prescan-query');
+        const queryString = (queryInput && queryInput.value.trim()) || apiModule.getDefaultSearchQuery(configModule.scanSettings.sharingFilter);
+        
+        configModule.updateProgressText('sharepoint-progress-text', `SEARCHING TENANT: ${queryString}...`);
+        let candidates = await apiModule.searchSharedDriveItems(queryString, (found, total) => {
+            configModule.updateProgressText('sharepoint-progress-text', `SEARCHING TENANT: ${found} candidates of ~${total} hits...`);
+        }, configModule.controller);
+        configModule.updateProgressBar('sharepoint-progress-bar', 20);
+        
+        if (configModule.scanSettings.contentScope === 'folders') {
+            candidates = candidates.filter(item => item.folder);
+        }
+        
+        // Items already in the results (from an earlier scan) need no second verification
+        const known = new Set(configModule.results.map(r => `${r.driveId}|${r.itemId}`));
+        candidates = candidates.filter(item => !known.has(`${item.parentReference.driveId}|${item.id}`));
+        
+        const confirmedSiteIds = new Set();
+        const verifyChunkSize = 150;
+        let verified = 0;
+        let found = 0;
+        
+        for (let i = 0; i < candidates.length; i += verifyChunkSize) {
+            if (configModule.controller.stop) break;
+            
+            const requests = candidates.slice(i, i + verifyChunkSize).map(item => ({
+                item,
+                url: `${apiModule.graphBaseUrl()}/drives/${item.parentReference.driveId}/items/${item.id}/permissions`
+            }));
+            const permissionResults = await apiModule.batchGetPermissions(requests, configModule.controller);
+            
+            for (const result of permissionResults) {
+                const location = describeSearchHit(result.item);
+                verified++;
+                
+                if (result.failed) {
+                    recordUnverifiedPermissionResults(location.site, location.drive, [result], location.scanType);
+                    continue;
+                }
+                
+                await expandBeforeFiltering(location.site, location.drive, [result], location.scanType);
+                const interesting = result.permissions.filter(p => 
+                    configModule.shouldIncludePermission(p, configModule.tenantDomains, configModule.scanSettings.sharingFilter)
+                );
+                if (interesting.length === 0) continue;
+                
+                const scanResult = window.classifierModule.buildScanResult(location.site, location.drive, result.item, result.permissions, interesting, location.scanType);
+                // Search hits rarely carry parentReference.path, so the path comes from the item URL
+                if (!result.item.parentReference.path) scanResult.itemPath = location.itemPath;
+                scanResult.discoveredBy = 'search';
+                
+                await reportScanResult(scanResult);
+                found++;
+                if (location.site.id) confirmedSiteIds.add(location.site.id);
+            }
+            
+            configModule.updateProgressBar('sharepoint-progress-bar', 20 + (verified / Math.max(candidates.length, 1)) * 80);
+            configModule.updateProgressText('sharepoint-progress-text', `VERIFYING CANDIDATES: ${verified}/${candidates.length} checked • ${found} confirmed`);
+        }
+        
+        if (configModule.controller.stop) {
+            configModule.updateProgressText('sharepoint-progress-text', `Search pre-scan stopped • ${found} confirmed so far`);
+            return;
+        }
+        
+        // Queue the sites with confirmed sharing for a full crawl
+        const discoveredSiteIds = confirmedSiteIds.size > 0
+            ? configModule.sites.filter(site => confirmedSiteIds.has(site.id)).map(site => site.id)
+            : [];
+        discoveredSiteIds.forEach(siteId => configModule.selectedSiteIds.add(siteId));
+        if (uiModule && discoveredSiteIds.length > 0) {
+            uiModule.updateCheckboxes();
+        }
+        
+        configModule.updateProgressBar('sharepoint-progress-bar', 100);
+        configModule.updateProgressText('sharepoint-progress-text', `SEARCH PRE-SCAN COMPLETED • ${candidates.length} candidates • ${found} confirmed across ${confirmedSiteIds.size} sites`);
+        configModule.showToast(discoveredSiteIds.length > 0
+            ? `Search pre-scan confirmed ${found} shared items. ${discoveredSiteIds.length} sites selected for a full scan.`
+            : `Search pre-scan confirmed ${found} shared items across ${confirmedSiteIds.size} sites.`, 5000);
+        
+    } catch (error) {
+        console.error('Search pre-scan error:', error);
+        configModule.updateProgressText('sharepoint-progress-text', `Search pre-scan failed: ${error.message}`);
+    } finally {
+        configModule.scanning = false;
+        
+        if (authModule && authModule.stopScanningTokenMonitoring) {
+            authModule.stopScanningTokenMonitoring();
+        }
+        
+        if (uiModule) {
+            uiModule.updateButtonStates(false);
+        }
+        
+        const resultsModule = window.resultsModule;
+        if (resultsModule && resultsModule.renderUnverifiedItems) {
+            resultsModule.renderUnverifiedItems();
+        }
+    }
+}
+
+// Work out the site, library and path of a search hit from its ids and URL
+function describeSearchHit(item) {
+    const configModule = window.configModule;
+    const parent = item.parentReference || {};
+    const webUrl = item.webUrl || '';
+    const isPersonal = /-my\.sharepoint\.[a-z.]+\/personal\//i.test(webUrl);
+    
+    // parentReference.siteId is "host,siteCollectionId,webId" - discovered sites use the same form
+    const knownSite = configModule.sites.find(site => site.id === parent.siteId);
+    
+    let sitePath = '';
+    let relativePath = '';
+    try {
+        const pathname = decodeURIComponent(new URL(webUrl).pathname);
+        const siteMatch = /^\/(?:sites|teams|personal)\/[^/]+/i.exec(pathname);
+        sitePath = siteMatch ? siteMatch[0] : '';
+        relativePath = pathname.slice(sitePath.length);
+    } catch (e) {
+        relativePath = `/${item.name}`;
+    }
+    
+    const libraryName = relativePath.split('/').filter(Boolean)[0] || 'Documents';
+    const siteUrl = knownSite ? knownSite.webUrl : (webUrl && sitePath ? `${new URL(webUrl).origin}${sitePath}` : webUrl);
+    
+    return {
+        scanType: isPersonal ? 'onedrive' : 'sharepoint',
+        site: {
+            id: knownSite ? knownSite.id : parent.siteId || null,
+            name: knownSite ? knownSite.name : (sitePath.split('/').pop() || 'SharePoint'),
+            webUrl: siteUrl
+        },
+        drive: { id: parent.driveId, name: libraryName },
+        // OneDrive paths are relative to the drive root; SharePoint paths start with the library
+        itemPath: isPersonal ? (relativePath.slice(libraryName.length + 1) || `/${item.name}`) : relativePath
+    };
+}
+
+// SHAREPOINT LIST SCANNING
+// Libraries are already covered as drives; everything else is checked for lists and items that
+// break permission inheritance
+const LIBRARY_LIST_TEMPLATES = [
+    'documentLibrary', 'webPageLibrary', 'pictureLibrary', 'xmlForm', 'dataConnectionLibrary', 'assetLibrary'
+];
+
+async function scanSiteLists(site, progressTextId) {
+    const configModule = window.configModule;
+    const apiModule = window.apiModule;
+    
+    let lists;
+    try {
+        lists = await apiModule.getSiteLists(site.id);
+    } catch (error) {
+        console.warn(`⚠️ LISTS: Could not list ${site.name}'s lists:`, error);
+        return;
+    }
+    
+    const scannable = lists.filter(list => {
+        if (!list.list || list.list.hidden || LIBRARY_LIST_TEMPLATES.includes(list.list.template)) return false;
+        
+        const skip = configModule.findActiveLibrarySkip(site, list.displayName);
+        if (skip) {
+            configModule.recordSkippedPath({
+                ...window.classifierModule.buildSkippedEntry(site, { id: list.id, name: list.displayName }, null, 'sharepoint', 'path-rule', skip.rule),
+                itemType: 'list'
+            });
+            return false;
+        }
+        return true;
+    });
+    configModule.criticalLog(`📋 LISTS: ${scannable.length} of ${lists.length} lists in ${site.name} are not libraries`);
+    
+    for (const list of scannable) {
+        if (configModule.controller.stop) break;
+        
+        // Lists share the checkpoint's completed-drive bookkeeping - their ids never collide with drive ids
+        if (isDriveCompleted(list.id)) {
+            configModule.debugLog(`⏭️ RESUME: List already scanned: ${site.name}/${list.displayName}`);
+            continue;
+        }
+        
+        configModule.updateProgressText(progressTextId, `SCANNING LIST: ${site.name}/${list.displayName}...`);
+        
+        try {
+            await scanSiteList(site, list);
+            if (!configModule.controller.stop) {
+                markDriveCompleted(list.id);
+            }
+        } catch (error) {
+            if (error.isAuthenticationError) throw error;
+            console.warn(`⚠️ LISTS: Could not read permissions of ${site.name}/${list.displayName}:`, error);
+        }
+    }
+}
+
+async function scanSiteList(site, list) {
+    const configModule = window.configModule;
+    const apiModule = window.apiModule;
+    
+    const scopes = await apiModule.getListUniquePermissionScopes(site.webUrl, list.id);
+    
+    // The list itself (null) when it breaks inheritance, then its uniquely permissioned items;
+    // items are leaf content, so a folders-only scan skips them like files
+    const targets = scopes.hasUniqueRoleAssignments ? [null] : [];
+    if (configModule.scanSettings.contentScope !== 'folders') {
+        targets.push(...scopes.uniqueItems);
+    }
+    configModule.debugLog(`📋 LISTS: ${site.name}/${list.displayName}: list ${scopes.hasUniqueRoleAssignments ? 'has' : 'inherits'} unique permissions, ${scopes.uniqueItems.length} unique items`);
+    
+    for (const listItem of targets) {
+        if (configModule.controller.stop) break;
+        
+        const allPermissions = await apiModule.getListPermissions(site.webUrl, list.id, listItem ? listItem.Id : null);
+        if (configModule.shouldExpandGroupMembers()) {
+            await expandGroupGrants(allPermissions, site.webUrl);
+            recordUnexpandedListGroups(site, list, listItem, allPermissions);
+        }
+        const interesting = allPermissions.filter(p =>
+            configModule.shouldIncludePermission(p, configModule.tenantDomains, configModule.scanSettings.sharingFilter)
+        );
+        
+        if (interesting.length > 0) {
+            await reportScanResult(buildListScanResult(site, list, listItem, allPermissions, interesting));
+        }
+    }
+}
+
+// Same record shape as drive items; driveId holds the list id and listId/listItemId mark the origin
+// Lists are not drives, so their unverified entries are keyed by list id and re-read by a list scan
+function recordUnexpandedListGroups(site, list, listItem, allPermissions) {
+    const failure = window.classifierModule.describeUnexpandedGroups(allPermissions);
+    if (!failure) return;
+    
+    const target = buildListScanResult(site, list, listItem, allPermissions, []);
+    window.configModule.recordUnverifiedItem({
+        siteName: site.name,
+        siteId: site.id,
+        siteUrl: site.webUrl,
+        driveId: target.driveId,
+        driveName: target.driveName,
+        itemId: target.itemId,
+        itemName: target.itemName,
+        itemPath: target.itemPath,
+        itemType: target.itemType,
+        parentPath: null,
+        scanType: 'sharepoint',
+        status: failure.status,
+        errorCode: failure.code,
+        errorMessage: failure.message,
+        listId: list.id
+    });
+}
+
+function buildListScanResult(site, list, listItem, allPermissions, interesting) {
+    const listName = list.displayName || list.name;
+    const itemName = listItem ? (listItem.Title || `Item ${listItem.Id}`) : listName;
+    
+    return {
+        siteName: site.name,
+        siteUrl: site.webUrl,
+        driveId: list.id,
+        itemId: listItem ? `${list.id}:${listItem.Id}` : list.id,
+        itemName: itemName,
+        // Hierarchy and path display split on "/", which list item titles may contain
+        itemPath: listItem ? `/${listName}/${itemName.replace(/\//g, '-')}` : `/${listName}`,
+        itemType: listItem ? 'listItem' : 'list',
+        permissions: interesting,
+        allPermissions: allPermissions,
+        scanType: 'sharepoint',
+        driveName: listName,
+        listId: list.id,
+        listItemId: listItem ? listItem.Id : null,
+        // Only lists and items that break inheritance are read, so they are their own breakpoint
+        permissionInheritance: 'unique',
+        inheritanceBreakpoint: null,
+        ...describeListMetadata(list, listItem),
+        webUrl: list.webUrl
+    };
+}
+
+// Lists come from Graph and items from SharePoint REST; neither has a size or file type
+function describeListMetadata(list, listItem) {
+    if (!listItem) {
+        return { ...window.classifierModule.describeItemMetadata(list), fileExtension: null };
     }
+    return {
+        createdDateTime: listItem.Created || null,
+        lastModifiedDateTime: listItem.Modified || null,
+        createdBy: listItem.Author ? listItem.Author.Title || null : null,
+        lastModifiedBy: listItem.Editor ? listItem.Editor.Title || null : null,
+        size: null,
+        mimeType: null,
+        fileExtension: null
+    };
+}
 
-    if (itemsToCheck.length === 0) return;
+// INBOUND SHARING INVENTORY
+// Lists what outside organizations have shared with our users (sharedWithMe): the remote tenant,
+// who shared it, the item and the role granted. Runs for the selected users, or for the signed-in
+// user when nobody is selected.
+async function scanInboundSharing() {
+    const configModule = window.configModule;
+    const apiModule = window.apiModule;
+    const uiModule = window.uiModule;
+    const authModule = window.authModule;
     
-    scanState.totalBatches++;
+    if (!configModule || !apiModule) {
+        console.error('Required modules not available');
+        return;
+    }
     
-    if (progressTextId) {
-        configModule.updateProgressText(progressTextId, `BATCH ${scanState.totalBatches}: Checking ${itemsToCheck.length} items in ${sourceName}...`);
-        await apiModule.delay(20);
+    if (configModule.scanning) return;
+    
+    configModule.scanning = true;
+    configModule.resetScanController();
+    
+    if (authModule && authModule.startScanningTokenMonitoring) {
+        authModule.startScanningTokenMonitoring();
     }
     
-    const permissionResults = await apiModule.batchGetPermissions(itemsToCheck, configModule.controller);
-    const recursionTasks = [];
+    configModule.showProgressSection('onedrive-progress-section');
+    configModule.updateProgressBar('onedrive-progress-bar', 0);
     
-    for (const result of permissionResults) {
-        if (configModule.controller.stop) return;
+    if (uiModule) {
+        uiModule.updateButtonStates(true);
+    }
+    
+    try {
+        configModule.criticalLog('📥 INBOUND SHARING INVENTORY STARTING');
         
-        scanState.scannedFolders++;
+        configModule.updateProgressText('onedrive-progress-text', 'Loading tenant domains...');
+        configModule.tenantDomains = await apiModule.loadTenantDomains();
         
-        if (scanState.scannedFolders % 5 === 0 && progressTextId) {
-            configModule.updateProgressText(progressTextId, `SCANNING ${sourceName}: ${scanState.scannedFolders} items • ${scanState.totalBatches} batches • ${scanState.foundItems} found`);
-            await apiModule.delay(5);
-        }
-
-        // 🔥 CRITICAL FIX: Store BOTH all permissions AND filtered permissions for owner detection  
-        // Apply enhanced filtering
-        const interesting = result.permissions.filter(p => 
-            configModule.shouldIncludePermission(p, configModule.tenantDomains, configModule.scanSettings.sharingFilter)
-        );
-
-        // Check if item has interesting sharing permissions
-        if (interesting.length > 0) {
-            scanState.foundItems++;
-            
-            let itemPath = configModule.formatItemPath(result.item.parentReference?.path, result.item.name, drive.name, scanType);
-
-            const scanResult = {
-                siteName: scanType === 'onedrive' ? 'OneDrive' : site.name,
-                siteUrl: site.webUrl,
-                driveId: drive.id,
-                itemId: result.item.id,
-                itemName: result.item.name,
-                itemPath: itemPath,
-                itemType: result.item.folder ? 'folder' : 'file',
-                permissions: interesting, // Filtered permissions for display
-                allPermissions: result.permissions, // Complete permissions set for owner detection
-                scanType: scanType,
-                driveName: drive.name || (scanType === 'onedrive' ? 'OneDrive' : 'Documents')
-            };
+        const selectedUsers = configModule.users.filter(u => configModule.selectedUserIds.has(u.id));
+        const account = authModule ? authModule.account : null;
+        const targets = selectedUsers.length > 0
+            ? selectedUsers
+            : [{ id: null, displayName: account ? account.name : 'Signed-in user', userPrincipalName: account ? account.username : '', mail: account ? account.username : '' }];
+        
+        const ownTenantNames = getOwnTenantNames();
+        const known = new Set(configModule.inboundShares.map(record => record.key));
+        let unavailableUsers = 0;
+        let internalSkipped = 0;
+        let added = 0;
+        
+        for (let i = 0; i < targets.length; i++) {
+            if (configModule.controller.stop) break;
             
-            configModule.results.push(scanResult);
+            const user = targets[i];
+            const userLabel = user.displayName || user.userPrincipalName;
+            configModule.updateProgressBar('onedrive-progress-bar', (i / targets.length) * 100);
+            configModule.updateProgressText('onedrive-progress-text', `INBOUND SHARING ${i + 1}/${targets.length}: ${userLabel}...`);
             
-            // Write to real-time CSV if enabled
-            const exportModule = window.exportModule;
-            if (exportModule && exportModule.realtimeCsvEnabled) {
-                try {
-                    await exportModule.writeResultToCsv(scanResult);
-                    configModule.criticalLog(`📝 CSV: Exported result to CSV: ${scanResult.itemName}`);
-                } catch (csvError) {
-                    configModule.debugWarn('Failed to write result to CSV:', csvError);
+            let items;
+            try {
+                items = await apiModule.getSharedWithMe(user.id);
+            } catch (error) {
+                if (error.isAuthenticationError || (error.message && error.message.includes('Authentication token expired'))) {
+                    throw error;
                 }
+                unavailableUsers++;
+                configModule.debugWarn(`📥 INBOUND: sharedWithMe not available for ${userLabel}:`, error);
+                continue;
             }
             
-            // 🚀 VIRTUAL DOM: Use virtual DOM for optimized real-time updates (comprehensive scanning)
-            const virtualDomModule = window.virtualDomModule;
-            
-            if (virtualDomModule) {
-                // Check if result should be displayed based on current filters
-                const shouldShow = resultsModule ? resultsModule.shouldShowResultBasedOnFilter(scanResult, resultsModule.getCurrentResultsFilter()) : true;
-                
-                // Use virtual DOM for efficient updates
-                virtualDomModule.createVirtualResultDisplay(scanResult, shouldShow);
-                
-                // Update result count through virtual DOM
-                virtualDomModule.updateCount(configModule.results.length, resultsModule ? resultsModule.getCurrentResultsFilter() : 'all');
-                
-                configModule.debugLog(`✅ VIRTUAL DOM: Added ${scanResult.itemName} to virtual DOM queue (comprehensive) (${shouldShow ? 'visible' : 'hidden'})`);
-            } else {
-                // Fallback to direct DOM updates if virtual DOM not available
-                if (resultsModule && resultsModule.addResultToDisplay) {
-                    resultsModule.updateResultsDisplay();
-                    resultsModule.addResultToDisplay(scanResult);
-                }
-            }
+            const records = items.map(item => buildInboundShareRecord(user, item, ownTenantNames));
+            internalSkipped += records.filter(record => !record.isExternal).length;
             
-            configModule.criticalLog(`📋 Found shared ${scanResult.itemType}: ${scanResult.itemName}`);
+            const external = records.filter(record => record.isExternal && !known.has(record.key));
+            await resolveInboundRoles(external, user);
             
-            if (progressTextId) {
-                configModule.updateProgressText(progressTextId, `FOUND shared ${scanResult.itemType} in ${sourceName}: ${itemPath} (${scanState.foundItems} total)`);
-                await apiModule.delay(300);
-            }
+            external.forEach(record => {
+                known.add(record.key);
+                configModule.inboundShares.push(record);
+            });
+            added += external.length;
         }
         
-        // 🚨 CRITICAL FIX: ALL FOLDERS (with OR without sharing) must be added for recursion!
-        // This was the major bug - folders with sharing were not being recursed into
-        if (result.item.folder) {
-            configModule.debugLog(`📂 QUEUEING FOLDER FOR RECURSION: ${result.item.name} (has sharing: ${interesting.length > 0})`);
-            recursionTasks.push(
-                traverseFolderEnhanced(site, drive, result.item.id, result.itemPath, suppressedPaths, scanState, scanType, progressTextId)
-            );
+        const resultsModule = window.resultsModule;
+        if (resultsModule && resultsModule.renderInboundShares) {
+            resultsModule.renderInboundShares();
+        }
+        
+        const remoteTenants = new Set(configModule.inboundShares.map(record => record.remoteTenant));
+        const summary = `${added} items from outside organizations • ${remoteTenants.size} remote tenants • ${internalSkipped} internal shares skipped${unavailableUsers > 0 ? ` • ${unavailableUsers} users unavailable` : ''}`;
+        
+        if (configModule.controller.stop) {
+            configModule.updateProgressText('onedrive-progress-text', `Inbound sharing inventory stopped • ${summary}`);
+        } else {
+            configModule.updateProgressBar('onedrive-progress-bar', 100);
+            configModule.updateProgressText('onedrive-progress-text', `INBOUND SHARING INVENTORY COMPLETED • ${summary}`);
+            configModule.showToast(`Inbound sharing: ${added} items from ${remoteTenants.size} outside organizations`);
+        }
+        
+    } catch (error) {
+        console.error('Inbound sharing inventory error:', error);
+        configModule.updateProgressText('onedrive-progress-text', `Inbound sharing inventory failed: ${error.message}`);
+    } finally {
+        configModule.scanning = false;
+        
+        if (authModule && authModule.stopScanningTokenMonitoring) {
+            authModule.stopScanningTokenMonitoring();
+        }
+        
+        if (uiModule) {
+            uiModule.updateButtonStates(false);
         }
     }
+}
 
-    // Optimized recursion batching: increased from 1 to 3 for better throughput
-    const recursionBatchSize = 3;
-    for (let i = 0; i < recursionTasks.length; i += recursionBatchSize) {
-        if (configModule.controller.stop) return;
+// Tenant name from a SharePoint host: fabrikam.sharepoint.com / fabrikam-my.sharepoint.us -> fabrikam
+function tenantNameFromHost(host) {
+    const match = /^([^.]+?)(?:-my)?\.sharepoint\./i.exec(host || '');
+    return match ? match[1].toLowerCase() : (host || '').toLowerCase();
+}
+
+// Our own tenant names, from the *.onmicrosoft.* domain and the hosts of discovered sites
+function getOwnTenantNames() {
+    const configModule = window.configModule;
+    const names = new Set();
+    
+    configModule.tenantDomains.forEach(domain => {
+        const match = /^([^.]+)\.onmicrosoft\./i.exec(domain);
+        if (match) names.add(match[1].toLowerCase());
+    });
+    configModule.sites.forEach(site => {
+        try {
+            names.add(tenantNameFromHost(new URL(site.webUrl).host));
+        } catch (e) {
+            // Sites without a usable URL say nothing about the tenant name
+        }
+    });
+    
+    return names;
+}
+
+function buildInboundShareRecord(user, item, ownTenantNames) {
+    const configModule = window.configModule;
+    const remote = item.remoteItem || {};
+    const shared = remote.shared || item.shared || {};
+    const sharer = (shared.sharedBy && shared.sharedBy.user) || (shared.owner && shared.owner.user) || {};
+    const webUrl = remote.webUrl || item.webUrl || '';
+    
+    let remoteHost = '';
+    try {
+        remoteHost = new URL(webUrl).host;
+    } catch (e) {
+        remoteHost = '';
+    }
+    
+    const sharerEmail = sharer.email || '';
+    const sharerDomain = sharerEmail.includes('@') ? sharerEmail.split('@')[1].toLowerCase() : '';
+    const remoteTenant = remoteHost ? tenantNameFromHost(remoteHost) : (sharerDomain || 'unknown');
+    const remoteDriveId = remote.parentReference ? remote.parentReference.driveId : null;
+    const remoteItemId = remote.id || item.id;
+    
+    return {
+        key: `${user.id || 'me'}|${remoteDriveId}|${remoteItemId}`,
+        userId: user.id,
+        userName: user.displayName || user.userPrincipalName,
+        userPrincipalName: user.userPrincipalName || user.mail || '',
+        itemId: remoteItemId,
+        itemName: remote.name || item.name,
+        itemType: (remote.folder || item.folder) ? 'folder' : 'file',
+        webUrl: webUrl,
+        remoteDriveId: remoteDriveId,
+        remoteHost: remoteHost,
+        remoteTenant: remoteTenant,
+        sharerName: sharer.displayName || 'Unknown',
+        sharerEmail: sharerEmail,
+        sharerDomain: sharerDomain,
+        sharedDateTime: shared.sharedDateTime || null,
+        role: 'unknown',
+        isExternal: (!!remoteHost && !ownTenantNames.has(remoteTenant)) ||
+            (!!sharerDomain && configModule.isExternalUser(sharerEmail, configModule.tenantDomains))
+    };
+}
+
+// Best effort: the remote item's permissions are often not readable from our tenant, in which case
+// the role stays "unknown"
+async function resolveInboundRoles(records, user) {
+    const configModule = window.configModule;
+    const apiModule = window.apiModule;
+    const readable = records.filter(record => record.remoteDriveId);
+    if (readable.length === 0) return;
+    
+    const userEmails = [user.mail, user.userPrincipalName].filter(Boolean).map(email => email.toLowerCase());
+    const permissionResults = await apiModule.batchGetPermissions(readable.map(record => ({
+        item: { name: record.itemName, record },
+        url: `${apiModule.graphBaseUrl()}/drives/${record.remoteDriveId}/items/${record.itemId}/permissions`
+    })), configModule.controller);
+    
+    for (const result of permissionResults) {
+        if (result.failed) continue;
         
-        const batch = recursionTasks.slice(i, i + recursionBatchSize);
+        const granted = result.permissions.find(p => {
+            const identities = [
+                p.grantedToV2 && p.grantedToV2.user,
+                p.grantedTo && p.grantedTo.user,
+                ...(p.grantedToIdentitiesV2 || []).map(g => g.user)
+            ].filter(Boolean);
+            return identities.some(identity => identity.email && userEmails.includes(identity.email.toLowerCase()));
+        }) || result.permissions.find(p => p.link);
         
-        if (progressTextId && recursionTasks.length > 1) {
-            configModule.updateProgressText(progressTextId, `DEEP SCANNING ${sourceName}: ${scanState.scannedFolders} items • ${scanState.foundItems} found`);
+        if (granted && granted.roles && granted.roles.length > 0) {
+            result.item.record.role = granted.link ? `${granted.roles.join('/')} (via ${granted.link.scope || 'sharing'} link)` : granted.roles.join('/');
         }
+    }
+}
+
+// SCAN ENGINE - traversal and classification move into the scan worker when it can start
+async function startScanEngine() {
+    const scanEngineModule = window.scanEngineModule;
+    if (!scanEngineModule || !(await scanEngineModule.ensureEngine())) return false;
+    
+    const authModule = window.authModule;
+    scanEngineModule.supplyToken(authModule ? authModule.accessToken : '');
+    return true;
+}
+
+function useScanEngine() {
+    return !!(window.scanEngineModule && window.scanEngineModule.isEngineAvailable());
+}
+
+// SCAN BUDGETS - per-drive and whole-scan limits on items examined, Graph calls and minutes.
+// A used-up budget reads as controller.stop, so the running drive winds down exactly like a Stop.
+// That drive keeps its position in the checkpoint as a partial drive and "Resume" continues it later.
+const BUDGET_LIMIT_LABELS = {
+    maxItems: 'items examined',
+    maxGraphCalls: 'Graph calls',
+    maxMinutes: 'minutes'
+};
+let budgetState = null;
+
+function openBudgetWindow() {
+    return { startedAt: Date.now(), startCalls: window.apiModule.getGraphCallCount(), items: 0 };
+}
+
+function startScanBudget() {
+    budgetState = { scan: openBudgetWindow(), drive: null, exhausted: null };
+    window.configModule.controller.budgetCheck = checkScanBudgets;
+}
+
+function endScanBudget() {
+    budgetState = null;
+    window.configModule.controller.budgetCheck = null;
+}
+
+function startDriveBudget() {
+    if (!budgetState) return;
+    budgetState.drive = openBudgetWindow();
+    if (budgetState.exhausted && budgetState.exhausted.scope === 'drive') budgetState.exhausted = null;
+}
+
+// Counted once a batch or delta page is fully processed, so a budget never cuts a batch in half
+function countExaminedItems(count) {
+    if (!budgetState || count <= 0) return;
+    budgetState.scan.items += count;
+    if (budgetState.drive) budgetState.drive.items += count;
+}
+
+function exhaustedLimit(scope, usage, limits) {
+    if (!usage || !limits) return null;
+    const used = {
+        maxItems: usage.items,
+        maxGraphCalls: window.apiModule.getGraphCallCount() - usage.startCalls,
+        maxMinutes: (Date.now() - usage.startedAt) / 60000
+    };
+    const limit = Object.keys(BUDGET_LIMIT_LABELS).find(key => limits[key] && used[key] >= limits[key]);
+    return limit ? { scope, limit, value: limits[limit] } : null;
+}
+
+// The budget that ran out, or null - it stays set until the drive it cut short is settled
+function checkScanBudgets() {
+    if (!budgetState) return null;
+    
+    if (!budgetState.exhausted) {
+        const scanSettings = window.configModule.scanSettings;
+        budgetState.exhausted = exhaustedLimit('scan', budgetState.scan, scanSettings.scanBudget) ||
+            exhaustedLimit('drive', budgetState.drive, scanSettings.driveBudget);
         
-        await Promise.all(batch);
-        await apiModule.delay(300);
+        if (budgetState.exhausted) {
+            window.configModule.criticalWarn(`⏸️ BUDGET: ${describeBudget(budgetState.exhausted)} reached`);
+        }
+    }
+    return budgetState.exhausted;
+}
+
+function describeBudget(exhausted) {
+    return `${exhausted.scope === 'drive' ? 'Per-drive' : 'Whole-scan'} limit of ${exhausted.value} ${BUDGET_LIMIT_LABELS[exhausted.limit]}`;
+}
+
+function scanBudgetExhausted() {
+    return budgetState && budgetState.exhausted && budgetState.exhausted.scope === 'scan' ? budgetState.exhausted : null;
+}
+
+// TRAVERSAL GAPS - folders in the current drive whose children could not be listed, plus traversals
+// that failed outright. scanDriveWithDelta resets the count for each drive.
+let driveTraversalGaps = 0;
+
+// Called after every drive: returns true when it was scanned to the end. A drive cut short by a
+// budget or left with traversal gaps is recorded as partial; after a plain Stop its position simply
+// stays the active drive.
+function settleDrive(site, drive, scanType) {
+    const configModule = window.configModule;
+    const exhausted = budgetState ? budgetState.exhausted : null;
+    
+    if (budgetState) {
+        budgetState.drive = null;
+        if (exhausted && exhausted.scope === 'drive') budgetState.exhausted = null;
+    }
+    
+    if (exhausted && !configModule.controller.stopRequested) {
+        markDrivePartial(site, drive, scanType, describeBudget(exhausted));
+        return false;
+    }
+    if (configModule.controller.stop) return false;
+    
+    if (driveTraversalGaps > 0) {
+        markDrivePartial(site, drive, scanType, `${driveTraversalGaps} folder${driveTraversalGaps === 1 ? '' : 's'} could not be listed`);
+        return false;
+    }
+    
+    markDriveCompleted(drive.id);
+    return true;
+}
+
+function markDrivePartial(site, drive, scanType, reason) {
+    const configModule = window.configModule;
+    const entry = {
+        siteName: scanType === 'onedrive' ? 'OneDrive' : site.name,
+        siteUrl: site.webUrl,
+        driveId: drive.id,
+        driveName: drive.name || (scanType === 'onedrive' ? 'OneDrive' : 'Documents'),
+        scanType: scanType,
+        reason: reason,
+        markedAt: new Date().toISOString()
+    };
+    configModule.partialDrives = configModule.partialDrives.filter(p => p.driveId !== drive.id).concat(entry);
+    
+    // The drive's position moves aside so the next drive can become the active one
+    if (activeCheckpoint) {
+        const position = activeCheckpoint.activeDrive;
+        if (position && position.driveId === drive.id) {
+            activeCheckpoint.partialDrivePositions = {
+                ...(activeCheckpoint.partialDrivePositions || {}),
+                [drive.id]: { ...position, pendingFolders: position.pendingFolders ? Array.from(position.pendingFolders.entries()) : null }
+            };
+            activeCheckpoint.activeDrive = null;
+        }
+        persistCheckpoint();
+    }
+    
+    configModule.criticalWarn(`⏸️ PARTIAL DRIVE: ${entry.siteName}/${entry.driveName} - ${entry.reason}; resume the scan to continue it`);
+}
+
+function hasPartialDrives() {
+    return !!activeCheckpoint && Object.keys(activeCheckpoint.partialDrivePositions || {}).length > 0;
+}
+
+// SCAN CHECKPOINTS - the traversal frontier and results so far are persisted to IndexedDB as the
+// scan runs, so a reload, failed token refresh or Stop can be picked up by "Resume last scan"
+const CHECKPOINT_SAVE_INTERVAL_MS = 5000;
+let activeCheckpoint = null;
+let checkpointSaveTimer = null;
+
+async function startCheckpoint(scanType, targets, resumeCheckpoint = null) {
+    const storageModule = window.storageModule;
+    const configModule = window.configModule;
+    if (!storageModule) return;
+    
+    if (resumeCheckpoint) {
+        activeCheckpoint = { ...resumeCheckpoint, status: 'running', resumedAt: new Date().toISOString() };
+    } else {
+        // A new scan replaces whatever was left by the previous one
+        await storageModule.clearScanCheckpoint();
+        activeCheckpoint = {
+            scanType,
+            status: 'running',
+            startedAt: new Date().toISOString(),
+            scanSettings: { ...configModule.scanSettings },
+            targets: targets,
+            completedTargetIds: [],
+            completedDriveIds: [],
+            activeDrive: null,
+            partialDrivePositions: {}
+        };
+    }
+    
+    await persistCheckpoint();
+}
+
+function scheduleCheckpointSave() {
+    if (!activeCheckpoint || checkpointSaveTimer) return;
+    checkpointSaveTimer = setTimeout(() => {
+        checkpointSaveTimer = null;
+        persistCheckpoint();
+    }, CHECKPOINT_SAVE_INTERVAL_MS);
+}
+
+async function persistCheckpoint() {
+    const storageModule = window.storageModule;
+    if (!activeCheckpoint || !storageModule) return;
+    
+    const activeDrive = activeCheckpoint.activeDrive;
+    await storageModule.saveScanCheckpoint({
+        ...activeCheckpoint,
+        activeDrive: activeDrive ? {
+            ...activeDrive,
+            pendingFolders: activeDrive.pendingFolders ? Array.from(activeDrive.pendingFolders.entries()) : null
+        } : null,
+        unverifiedItems: window.configModule.unverifiedItems,
+        skippedPaths: window.configModule.skippedPaths,
+        partialDrives: window.configModule.partialDrives
+    });
+}
+
+async function finishCheckpoint(status) {
+    const storageModule = window.storageModule;
+    clearTimeout(checkpointSaveTimer);
+    checkpointSaveTimer = null;
+    
+    if (!activeCheckpoint || !storageModule) return;
+    
+    if (status === 'completed') {
+        await storageModule.clearScanCheckpoint();
+        window.configModule.criticalLog('🏁 CHECKPOINT: Scan completed - checkpoint cleared');
+    } else {
+        activeCheckpoint.status = status;
+        await persistCheckpoint();
+        window.configModule.criticalLog(`💾 CHECKPOINT: Scan ${status} - ${activeCheckpoint.completedDriveIds.length} drives done, resumable`);
+    }
+    activeCheckpoint = null;
+    
+    if (window.uiModule && window.uiModule.refreshResumeButtons) {
+        window.uiModule.refreshResumeButtons();
+    }
+}
+
+function isTargetCompleted(targetId) {
+    return !!activeCheckpoint && activeCheckpoint.completedTargetIds.includes(targetId);
+}
+
+function isDriveCompleted(driveId) {
+    return !!activeCheckpoint && activeCheckpoint.completedDriveIds.includes(driveId);
+}
+
+function markTargetCompleted(targetId) {
+    if (!activeCheckpoint || activeCheckpoint.completedTargetIds.includes(targetId)) return;
+    activeCheckpoint.completedTargetIds.push(targetId);
+    persistCheckpoint();
+}
+
+function markDriveCompleted(driveId) {
+    if (!activeCheckpoint) return;
+    if (!activeCheckpoint.completedDriveIds.includes(driveId)) {
+        activeCheckpoint.completedDriveIds.push(driveId);
+    }
+    if (activeCheckpoint.activeDrive && activeCheckpoint.activeDrive.driveId === driveId) {
+        activeCheckpoint.activeDrive = null;
+    }
+    
+    // A partial drive that a resume finished is no longer partial
+    const configModule = window.configModule;
+    if (configModule.partialDrives.some(p => p.driveId === driveId)) {
+        configModule.partialDrives = configModule.partialDrives.filter(p => p.driveId !== driveId);
+    }
+    persistCheckpoint();
+}
+
+// Returns the saved position inside this drive when resuming, and makes it the active drive
+function beginDriveCheckpoint(site, drive) {
+    if (!activeCheckpoint) return null;
+    
+    // A drive a budget cut short continues from the position it was set aside with
+    const partialPositions = activeCheckpoint.partialDrivePositions || {};
+    const saved = partialPositions[drive.id] || activeCheckpoint.activeDrive;
+    const resumeDrive = saved && saved.driveId === drive.id ? saved : null;
+    if (partialPositions[drive.id]) {
+        delete partialPositions[drive.id];
+    }
+    
+    activeCheckpoint.activeDrive = resumeDrive ? {
+        ...resumeDrive,
+        pendingFolders: resumeDrive.pendingFolders ? new Map(resumeDrive.pendingFolders) : null
+    } : {
+        siteId: site.id,
+        driveId: drive.id,
+        mode: 'delta',
+        deltaNextLink: null,
+        pendingFolders: null,
+        baselineDeltaLink: null
+    };
+    
+    // Hand back the serialized form - callers rebuild their own frontier from it
+    return resumeDrive && (resumeDrive.deltaNextLink || resumeDrive.pendingFolders) ? resumeDrive : null;
+}
+
+function updateDriveCheckpoint(changes) {
+    if (!activeCheckpoint || !activeCheckpoint.activeDrive) return;
+    Object.assign(activeCheckpoint.activeDrive, changes);
+    scheduleCheckpointSave();
+}
+
+function checkpointResult(scanResult) {
+    if (activeCheckpoint && window.storageModule) {
+        window.storageModule.saveCheckpointResult(scanResult);
+    }
+}
+
+function forgetCheckpointResult(driveId, itemId) {
+    if (activeCheckpoint && window.storageModule) {
+        window.storageModule.deleteCheckpointResult(driveId, itemId);
+    }
+}
+
+// RESUMABLE SCAN LOOKUP AND RESUME
+async function getResumableCheckpoint() {
+    const storageModule = window.storageModule;
+    if (!storageModule) return null;
+    
+    const checkpoint = await storageModule.getScanCheckpoint();
+    return checkpoint && checkpoint.status !== 'completed' ? checkpoint : null;
+}
+
+async function resumeLastScan() {
+    const configModule = window.configModule;
+    const storageModule = window.storageModule;
+    const resultsModule = window.resultsModule;
+    
+    if (!configModule || !storageModule) {
+        console.error('Required modules not available');
+        return;
+    }
+    
+    if (configModule.scanning) {
+        configModule.showToast('A scan is already running');
+        return;
+    }
+    
+    const checkpoint = await getResumableCheckpoint();
+    if (!checkpoint) {
+        configModule.showToast('No interrupted scan to resume');
+        return;
+    }
+    
+    configModule.criticalLog(`⏯️ RESUMING ${checkpoint.scanType.toUpperCase()} SCAN started ${checkpoint.startedAt}: ${checkpoint.completedTargetIds.length}/${checkpoint.targets.length} done`);
+    
+    // Run with the settings the interrupted scan started with - except the budgets, which are the
+    // ones set now so a resume can be given more room than the run that stopped
+    configModule.updateScanSettings({
+        ...checkpoint.scanSettings,
+        driveBudget: configModule.scanSettings.driveBudget,
+        scanBudget: configModule.scanSettings.scanBudget
+    });
+    
+    // Bring back the results found so far, replacing any in-memory copies of the same items
+    const savedResults = await storageModule.getCheckpointResults();
+    const savedKeys = new Set(savedResults.map(r => `${r.driveId}|${r.itemId}`));
+    configModule.results = configModule.results
+        .filter(r => !savedKeys.has(`${r.driveId}|${r.itemId}`))
+        .concat(savedResults);
+    configModule.unverifiedItems = checkpoint.unverifiedItems || [];
+    configModule.skippedPaths = checkpoint.skippedPaths || [];
+    configModule.partialDrives = checkpoint.partialDrives || [];
+    
+    if (resultsModule) {
+        resultsModule.updateResultsDisplay();
+        resultsModule.switchView(resultsModule.getCurrentView());
+        resultsModule.renderUnverifiedItems();
+        resultsModule.renderSkippedPaths();
+        resultsModule.renderPartialDrives();
+    }
+    
+    configModule.showToast(`Resuming scan with ${savedResults.length} results already found...`);
+    
+    if (checkpoint.scanType === 'onedrive') {
+        await scanOneDriveUsers(checkpoint);
+    } else {
+        await scanSharePointSites(checkpoint);
     }
 }
 
@@ -747,8 +2659,33 @@ window.scanningModule = {
     // Delta scanning
     scanDriveWithDelta,
     processEnhancedDeltaItems,
+    scanDriveChangesOnly,
+    mergeDeltaChanges,
     
     // Comprehensive scanning
     scanDriveComprehensive,
-    traverseFolderEnhanced
+    traverseFolderEnhanced,
+    
+    // Tenant-wide search pre-scan
+    runSearchPreScan,
+    
+    // SharePoint lists
+    scanSiteLists,
+    
+    // Enrichment
+    expandGroupGrants,
+    expandResultGroupGrants,
+    enrichSensitivityLabels,
+    enrichGuestAccounts,
+    
+    // Inbound sharing inventory
+    scanInboundSharing,
+    
+    // Unverified items
+    recordUnverifiedPermissionResults,
+    rescanUnverifiedItems,
+    
+    // Resumable scans
+    getResumableCheckpoint,
+    resumeLastScan
 };
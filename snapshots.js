@@ -0,0 +1,407 @@
+// snapshots.js - Scan Snapshots Module for SharePoint & OneDrive Scanner v3.0
+// Keeps completed result sets as named snapshots in IndexedDB (see storageModule) and diffs two of
+// them - or a snapshot and the current results - by drive, item and permission ID
+
+const CURRENT_RESULTS_ID = 'current';
+
+// DIFF CHANGE TYPES - in display order
+const CHANGE_TYPE_LABELS = {
+    'new-share': 'New share',
+    'removed-share': 'Removed share',
+    'role-escalation': 'Role escalation',
+    'expiration-change': 'Expiration change',
+    'new-external-grantee': 'New external grantee'
+};
+
+// Graph and SharePoint role names from least to most access; unknown roles rank lowest
+const ROLE_RANKS = { read: 1, write: 2, owner: 3 };
+
+// SNAPSHOT STATE
+let snapshots = [];         // Metadata of the tenant's saved snapshots, newest first
+let currentDiff = null;     // { base, compare, changes, summary, comparedAt } - rendered by resultsModule
+
+// DIFF ENGINE
+function itemKey(result) {
+    return `${result.driveId}|${result.itemId}`;
+}
+
+// Inherited grants change together with their breakpoint item, which is diffed in its own right.
+// Every grant the item had is compared, not just the ones the scan's sharing filter displayed.
+function directPermissions(result) {
+    return (result.allPermissions || result.permissions || []).filter(p => p.id && !p.inheritedFrom);
+}
+
+// Items the later scan never confirmed - unverified, skipped by a path rule or the depth limit, or on
+// a drive a budget or a listing failure left partial. Their absence from that scan says nothing about their sharing.
+function unconfirmedItemKeys(baseResults, compareResults, coverage) {
+    const unconfirmed = new Set();
+    if (!coverage) return unconfirmed;
+
+    const unverified = new Set((coverage.unverifiedItems || []).map(item => itemKey(item)));
+    const partialDriveIds = new Set((coverage.partialDrives || []).map(drive => drive.driveId));
+    const skippedPaths = coverage.skippedPaths || [];
+    const compareKeys = new Set(compareResults.map(result => itemKey(result)));
+
+    baseResults.forEach(result => {
+        const key = itemKey(result);
+        const skipped = skippedPaths.some(entry => entry.driveId === result.driveId && (
+            !entry.itemId ||
+            entry.itemId === result.itemId ||
+            (result.itemPath || '').startsWith(`${entry.itemPath}/`)
+        ));
+        if (unverified.has(key) || skipped || (partialDriveIds.has(result.driveId) && !compareKeys.has(key))) {
+            unconfirmed.add(key);
+        }
+    });
+    return unconfirmed;
+}
+
+function roleRank(roles) {
+    return (roles || []).reduce((rank, role) => Math.max(rank, ROLE_RANKS[String(role).toLowerCase()] || 0), 0);
+}
+
+function formatRoles(permission) {
+    return (permission.roles || []).join(', ') || 'n/a';
+}
+
+function permissionExpiration(permission) {
+    return permission.expirationDateTime || (permission.link && permission.link.expirationDateTime) || null;
+}
+
+function formatExpiration(isoDate) {
+    return isoDate ? new Date(isoDate).toLocaleDateString() : 'No expiration';
+}
+
+function describeChange(changeType, result, permission, tenantDomains, before, after, grantee = null) {
+    return {
+        changeType,
+        driveId: result.driveId,
+        itemId: result.itemId,
+        itemName: result.itemName,
+        itemPath: result.itemPath,
+        itemType: result.itemType,
+        webUrl: result.webUrl || null,
+        siteName: result.siteName,
+        siteUrl: result.siteUrl || null,
+        scanType: result.scanType,
+        permissionId: permission.id,
+        grantee: grantee || window.configModule.extractUserFromPermission(permission, tenantDomains),
+        before,
+        after
+    };
+}
+
+// baseResults is the earlier scan; changes describe how compareResults differs from it.
+// Items in unconfirmed (see unconfirmedItemKeys) are never reported as removed shares.
+function diffResultSets(baseResults, compareResults, tenantDomains, unconfirmed = new Set()) {
+    const classifier = window.classifierModule;
+    const baseItems = new Map(baseResults.map(result => [itemKey(result), result]));
+    const compareItems = new Map(compareResults.map(result => [itemKey(result), result]));
+    const changes = [];
+
+    compareItems.forEach((result, key) => {
+        const baseResult = baseItems.get(key);
+        const basePermissions = new Map(baseResult ? directPermissions(baseResult).map(p => [p.id, p]) : []);
+
+        directPermissions(result).forEach(permission => {
+            const previous = basePermissions.get(permission.id);
+            if (!previous) {
+                changes.push(describeChange('new-share', result, permission, tenantDomains, null, formatRoles(permission)));
+                return;
+            }
+
+            if (roleRank(permission.roles) > roleRank(previous.roles)) {
+                changes.push(describeChange('role-escalation', result, permission, tenantDomains, formatRoles(previous), formatRoles(permission)));
+            }
+
+            const previousExpiration = permissionExpiration(previous);
+            const expiration = permissionExpiration(permission);
+            if (previousExpiration !== expiration) {
+                changes.push(describeChange('expiration-change', result, permission, tenantDomains, formatExpiration(previousExpiration), formatExpiration(expiration)));
+            }
+        });
+
+        // Grantees outside the tenant who could not reach this item in the earlier scan
+        const baseExternal = new Set(baseResult
+            ? directPermissions(baseResult).flatMap(p => classifier.externalEmailsFromPermission(p, tenantDomains))
+            : []);
+        const reported = new Set();
+        directPermissions(result).forEach(permission => {
+            classifier.externalEmailsFromPermission(permission, tenantDomains).forEach(email => {
+                if (baseExternal.has(email) || reported.has(email)) return;
+                reported.add(email);
+                changes.push(describeChange('new-external-grantee', result, permission, tenantDomains, null, formatRoles(permission), email));
+            });
+        });
+    });
+
+    baseItems.forEach((baseResult, key) => {
+        if (unconfirmed.has(key)) return;
+        const result = compareItems.get(key);
+        const remainingIds = new Set(result ? directPermissions(result).map(p => p.id) : []);
+        directPermissions(baseResult).forEach(permission => {
+            if (!remainingIds.has(permission.id)) {
+                changes.push(describeChange('removed-share', baseResult, permission, tenantDomains, formatRoles(permission), null));
+            }
+        });
+    });
+
+    const typeOrder = Object.keys(CHANGE_TYPE_LABELS);
+    return changes.sort((a, b) =>
+        typeOrder.indexOf(a.changeType) - typeOrder.indexOf(b.changeType) || (a.itemPath || '').localeCompare(b.itemPath || '')
+    );
+}
+
+function summarizeDiff(changes, baseResults, compareResults, unconfirmed = new Set()) {
+    const counts = {};
+    Object.keys(CHANGE_TYPE_LABELS).forEach(type => { counts[type] = 0; });
+    changes.forEach(change => { counts[change.changeType]++; });
+
+    // Drives missing from the later set may simply not have been scanned, so their removals are suspect
+    const compareDrives = new Set(compareResults.map(result => result.driveId));
+    const drivesOnlyInBase = new Set(baseResults.map(result => result.driveId).filter(driveId => !compareDrives.has(driveId)));
+
+    return { counts, total: changes.length, drivesOnlyInBase: drivesOnlyInBase.size, unconfirmedItems: unconfirmed.size };
+}
+
+// SNAPSHOT STORAGE
+function createSnapshotId() {
+    return `snapshot-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function describeCurrentResults() {
+    const configModule = window.configModule;
+    const profile = window.profilesModule ? window.profilesModule.getActiveProfile() : null;
+
+    return {
+        createdAt: new Date().toISOString(),
+        resultCount: configModule.results.length,
+        scanTypes: Array.from(new Set(configModule.results.map(result => result.scanType))),
+        sharingFilter: configModule.scanSettings.sharingFilter,
+        tenantDomains: Array.from(configModule.tenantDomains),
+        profileName: profile ? profile.name : null
+    };
+}
+
+function currentCoverage() {
+    const configModule = window.configModule;
+    return {
+        unverifiedItems: configModule.unverifiedItems.slice(),
+        skippedPaths: configModule.skippedPaths.slice(),
+        partialDrives: configModule.partialDrives.slice()
+    };
+}
+
+function defaultSnapshotName() {
+    const profile = window.profilesModule ? window.profilesModule.getActiveProfile() : null;
+    const scanTypes = Array.from(new Set(window.configModule.results.map(result => result.scanType)));
+    const label = profile ? profile.name : scanTypes.map(type => type === 'onedrive' ? 'OneDrive' : 'SharePoint').join(' + ') || 'Scan';
+    return `${label} ${new Date().toLocaleString()}`;
+}
+
+async function refreshSnapshots() {
+    snapshots = await window.storageModule.getSnapshots();
+    renderSnapshotOptions();
+    return snapshots;
+}
+
+async function takeSnapshot(name) {
+    const configModule = window.configModule;
+
+    if (configModule.results.length === 0) {
+        configModule.showToast('No results to snapshot - run a scan first');
+        return null;
+    }
+
+    const snapshot = { id: createSnapshotId(), name, ...describeCurrentResults() };
+    const saved = await window.storageModule.saveSnapshot(snapshot, configModule.results, currentCoverage());
+    if (!saved) {
+        configModule.showToast('Failed to save snapshot - check console for details', 5000);
+        return null;
+    }
+
+    await refreshSnapshots();
+    configModule.showToast(`Saved snapshot "${name}" (${snapshot.resultCount} results)`);
+    return snapshot;
+}
+
+// Called by scanningModule when a scan completes and automatic snapshots are enabled
+async function saveCompletedScanSnapshot() {
+    const checkbox = document.getElementById('auto-snapshot');
+    if (!checkbox || !checkbox.checked || window.configModule.results.length === 0) return null;
+    return takeSnapshot(defaultSnapshotName());
+}
+
+async function removeSnapshot(snapshotId) {
+    const snapshot = snapshots.find(s => s.id === snapshotId);
+    if (!snapshot || !confirm(`Delete the snapshot "${snapshot.name}"?`)) return;
+
+    await window.storageModule.deleteSnapshot(snapshotId);
+    await refreshSnapshots();
+    window.configModule.showToast(`Deleted snapshot "${snapshot.name}"`);
+}
+
+// COMPARISON
+async function loadSnapshotSide(snapshotId) {
+    const configModule = window.configModule;
+
+    if (snapshotId === CURRENT_RESULTS_ID) {
+        return { meta: { id: CURRENT_RESULTS_ID, name: 'Current results', ...describeCurrentResults() }, results: configModule.results, coverage: currentCoverage() };
+    }
+
+    const meta = snapshots.find(s => s.id === snapshotId);
+    const results = meta ? await window.storageModule.getSnapshotResults(snapshotId) : null;
+    if (!results) {
+        throw new Error('Snapshot not found - it may have been deleted');
+    }
+    return { meta, results, coverage: await window.storageModule.getSnapshotCoverage(snapshotId) };
+}
+
+async function compareSnapshots(baseId, compareId) {
+    const configModule = window.configModule;
+
+    const base = await loadSnapshotSide(baseId);
+    const compare = await loadSnapshotSide(compareId);
+
+    // The later scan's tenant domains decide who is external on both sides
+    const tenantDomains = compare.meta.tenantDomains && compare.meta.tenantDomains.length > 0
+        ? compare.meta.tenantDomains
+        : (base.meta.tenantDomains || []);
+
+    const unconfirmed = unconfirmedItemKeys(base.results, compare.results, compare.coverage);
+    const changes = diffResultSets(base.results, compare.results, tenantDomains, unconfirmed);
+    currentDiff = {
+        base: base.meta,
+        compare: compare.meta,
+        changes,
+        summary: summarizeDiff(changes, base.results, compare.results, unconfirmed),
+        comparedAt: new Date().toISOString()
+    };
+
+    configModule.criticalLog(`🔍 SNAPSHOT DIFF: "${base.meta.name}" → "${compare.meta.name}": ${changes.length} changes`, currentDiff.summary.counts);
+    if (window.resultsModule && window.resultsModule.renderSnapshotDiff) {
+        window.resultsModule.renderSnapshotDiff();
+    }
+    return currentDiff;
+}
+
+function clearDiff() {
+    currentDiff = null;
+    if (window.resultsModule && window.resultsModule.renderSnapshotDiff) {
+        window.resultsModule.renderSnapshotDiff();
+    }
+}
+
+// SNAPSHOT CONTROLS
+function renderSnapshotOptions() {
+    const baseSelect = document.getElementById('snapshot-base-select');
+    const compareSelect = document.getElementById('snapshot-compare-select');
+    if (!baseSelect || !compareSelect) return;
+
+    const previousBase = baseSelect.value;
+    const previousCompare = compareSelect.value;
+    const describe = snapshot => `${snapshot.name} (${snapshot.resultCount} results)`;
+
+    baseSelect.innerHTML = '';
+    if (snapshots.length === 0) {
+        baseSelect.add(new Option('No saved snapshots', ''));
+    }
+    snapshots.forEach(snapshot => baseSelect.add(new Option(describe(snapshot), snapshot.id)));
+
+    compareSelect.innerHTML = '';
+    compareSelect.add(new Option('Current results', CURRENT_RESULTS_ID));
+    snapshots.forEach(snapshot => compareSelect.add(new Option(describe(snapshot), snapshot.id)));
+
+    // Default to the most recent snapshot against the current results
+    baseSelect.value = snapshots.some(s => s.id === previousBase) ? previousBase : (snapshots[0] ? snapshots[0].id : '');
+    compareSelect.value = snapshots.some(s => s.id === previousCompare) ? previousCompare : CURRENT_RESULTS_ID;
+    updateSnapshotButtons();
+}
+
+function updateSnapshotButtons() {
+    const baseSelect = document.getElementById('snapshot-base-select');
+    const hasBase = !!(baseSelect && baseSelect.value);
+
+    const compareBtn = document.getElementById('compare-snapshots-btn');
+    const deleteBtn = document.getElementById('delete-snapshot-btn');
+    if (compareBtn) compareBtn.disabled = !hasBase;
+    if (deleteBtn) deleteBtn.disabled = !hasBase;
+}
+
+function initializeSnapshotControls() {
+    const saveBtn = document.getElementById('save-snapshot-btn');
+    if (saveBtn) {
+        saveBtn.addEventListener('click', async () => {
+            if (window.configModule.scanning) {
+                window.configModule.showToast('Wait for the scan to finish before taking a snapshot');
+                return;
+            }
+            if (window.configModule.results.length === 0) {
+                window.configModule.showToast('No results to snapshot - run a scan first');
+                return;
+            }
+            const name = prompt('Snapshot name:', defaultSnapshotName());
+            if (name && name.trim()) await takeSnapshot(name.trim());
+        });
+    }
+
+    const baseSelect = document.getElementById('snapshot-base-select');
+    const compareSelect = document.getElementById('snapshot-compare-select');
+    [baseSelect, compareSelect].forEach(select => {
+        if (select) select.addEventListener('change', updateSnapshotButtons);
+    });
+
+    const compareBtn = document.getElementById('compare-snapshots-btn');
+    if (compareBtn) {
+        compareBtn.addEventListener('click', async () => {
+            if (baseSelect.value === compareSelect.value) {
+                window.configModule.showToast('Choose two different result sets to compare');
+                return;
+            }
+            try {
+                await compareSnapshots(baseSelect.value, compareSelect.value);
+            } catch (error) {
+                console.error('❌ Snapshot comparison failed:', error);
+                alert('Snapshot comparison failed: ' + error.message);
+            }
+        });
+    }
+
+    const deleteBtn = document.getElementById('delete-snapshot-btn');
+    if (deleteBtn) {
+        deleteBtn.addEventListener('click', () => removeSnapshot(baseSelect.value));
+    }
+
+    // Re-read after sign-in too (authModule), since snapshots belong to the signed-in tenant
+    refreshSnapshots();
+    console.log('✅ Snapshot controls initialized');
+}
+
+// Export functions for use in other modules
+window.snapshotsModule = {
+    // Constants
+    CHANGE_TYPE_LABELS,
+    CURRENT_RESULTS_ID,
+
+    // State
+    get snapshots() { return snapshots; },
+    get currentDiff() { return currentDiff; },
+
+    // Diff engine
+    diffResultSets,
+    summarizeDiff,
+    unconfirmedItemKeys,
+
+    // Snapshots
+    refreshSnapshots,
+    takeSnapshot,
+    saveCompletedScanSnapshot,
+    removeSnapshot,
+
+    // Comparison
+    compareSnapshots,
+    clearDiff,
+
+    // Initialization
+    initializeSnapshotControls
+};
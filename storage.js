@@ -0,0 +1,352 @@
+// storage.js - Storage Module for SharePoint & OneDrive Scanner v3.0
+// Handles IndexedDB persistence for scan state that outlives a page load (delta links, etc.)
+
+const DB_NAME = 'sp_scanner_db';
+const DB_VERSION = 4;
+
+const STORES = {
+    deltaLinks: 'deltaLinks',
+    deltaBaselines: 'deltaBaselines',         // Each drive's results when its delta link was saved
+    scanCheckpoints: 'scanCheckpoints',       // One in-progress scan per tenant
+    checkpointResults: 'checkpointResults',   // Results found so far by that scan, one record per item
+    snapshots: 'snapshots',                   // Named scan snapshots (metadata only)
+    snapshotResults: 'snapshotResults'        // The result set of each snapshot, one record per snapshot
+};
+
+let dbPromise = null;
+
+// OPEN (AND UPGRADE) THE SCANNER DATABASE
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    if (!('indexedDB' in window)) {
+        return Promise.reject(new Error('IndexedDB is not supported in this browser'));
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            const db = event.target.result;
+            console.log(`🗄️ STORAGE: Upgrading database to version ${DB_VERSION}`);
+
+            if (!db.objectStoreNames.contains(STORES.deltaLinks)) {
+                const store = db.createObjectStore(STORES.deltaLinks, { keyPath: 'key' });
+                store.createIndex('tenantId', 'tenantId', { unique: false });
+            }
+
+            if (!db.objectStoreNames.contains(STORES.deltaBaselines)) {
+                db.createObjectStore(STORES.deltaBaselines, { keyPath: 'key' });
+            }
+
+            if (!db.objectStoreNames.contains(STORES.scanCheckpoints)) {
+                db.createObjectStore(STORES.scanCheckpoints, { keyPath: 'key' });
+            }
+
+            if (!db.objectStoreNames.contains(STORES.checkpointResults)) {
+                const store = db.createObjectStore(STORES.checkpointResults, { keyPath: 'key' });
+                store.createIndex('tenantId', 'tenantId', { unique: false });
+            }
+
+            if (!db.objectStoreNames.contains(STORES.snapshots)) {
+                const store = db.createObjectStore(STORES.snapshots, { keyPath: 'key' });
+                store.createIndex('tenantId', 'tenantId', { unique: false });
+            }
+
+            if (!db.objectStoreNames.contains(STORES.snapshotResults)) {
+                db.createObjectStore(STORES.snapshotResults, { keyPath: 'key' });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return dbPromise;
+}
+
+// GENERIC OBJECT STORE HELPERS
+async function idbRequest(storeName, mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = operation(tx.objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function idbGet(storeName, key) {
+    return idbRequest(storeName, 'readonly', store => store.get(key));
+}
+
+function idbPut(storeName, value) {
+    return idbRequest(storeName, 'readwrite', store => store.put(value));
+}
+
+function idbDelete(storeName, key) {
+    return idbRequest(storeName, 'readwrite', store => store.delete(key));
+}
+
+function idbGetAllByIndex(storeName, indexName, value) {
+    return idbRequest(storeName, 'readonly', store => store.index(indexName).getAll(value));
+}
+
+async function idbDeleteAllByIndex(storeName, indexName, value) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, 'readwrite');
+        const request = tx.objectStore(storeName).index(indexName).openKeyCursor(IDBKeyRange.only(value));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                tx.objectStore(storeName).delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// TENANT SCOPING - every persisted record is keyed by the signed-in tenant
+function getCurrentTenantId() {
+    // Replayed fixtures get their own namespace so they never touch a real tenant's state
+    const apiModule = window.apiModule;
+    if (apiModule && apiModule.isReplayMode && apiModule.isReplayMode()) {
+        return `replay:${apiModule.getTransportStats().fixtureName}`;
+    }
+
+    const authModule = window.authModule;
+    if (authModule && authModule.account && authModule.account.tenantId) {
+        return authModule.account.tenantId;
+    }
+    return localStorage.getItem('sp_scanner_tenant_id') || 'unknown-tenant';
+}
+
+// DELTA LINK PERSISTENCE
+// A link is only useful together with the drive's results at that point: details.baseline
+// ({ results, sharingFilter, contentScope }) is saved next to it for changes-only rescans to merge into
+async function saveDeltaLink(driveId, deltaLink, details = {}) {
+    if (!driveId || !deltaLink) return;
+
+    const tenantId = getCurrentTenantId();
+    try {
+        // Without a baseline any older one is dropped, so the link cannot be merged into stale results
+        if (details.baseline) {
+            await idbPut(STORES.deltaBaselines, { key: `${tenantId}|${driveId}`, tenantId, driveId, ...details.baseline });
+        } else {
+            await idbDelete(STORES.deltaBaselines, `${tenantId}|${driveId}`);
+        }
+        await idbPut(STORES.deltaLinks, {
+            key: `${tenantId}|${driveId}`,
+            tenantId,
+            driveId,
+            deltaLink,
+            driveName: details.driveName || null,
+            siteName: details.siteName || null,
+            savedAt: new Date().toISOString()
+        });
+        console.log(`💾 STORAGE: Saved delta link for drive ${details.driveName || driveId}`);
+    } catch (error) {
+        console.warn(`⚠️ STORAGE: Failed to save delta link for drive ${driveId}:`, error);
+    }
+}
+
+async function getDeltaLink(driveId) {
+    try {
+        return await idbGet(STORES.deltaLinks, `${getCurrentTenantId()}|${driveId}`) || null;
+    } catch (error) {
+        console.warn(`⚠️ STORAGE: Failed to read delta link for drive ${driveId}:`, error);
+        return null;
+    }
+}
+
+async function getDeltaBaseline(driveId) {
+    try {
+        return await idbGet(STORES.deltaBaselines, `${getCurrentTenantId()}|${driveId}`) || null;
+    } catch (error) {
+        console.warn(`⚠️ STORAGE: Failed to read delta baseline for drive ${driveId}:`, error);
+        return null;
+    }
+}
+
+async function deleteDeltaLink(driveId) {
+    try {
+        await idbDelete(STORES.deltaLinks, `${getCurrentTenantId()}|${driveId}`);
+        await idbDelete(STORES.deltaBaselines, `${getCurrentTenantId()}|${driveId}`);
+    } catch (error) {
+        console.warn(`⚠️ STORAGE: Failed to delete delta link for drive ${driveId}:`, error);
+    }
+}
+
+async function getDeltaLinksForTenant() {
+    try {
+        return await idbGetAllByIndex(STORES.deltaLinks, 'tenantId', getCurrentTenantId());
+    } catch (error) {
+        console.warn('⚠️ STORAGE: Failed to list delta links:', error);
+        return [];
+    }
+}
+
+// SCAN CHECKPOINT PERSISTENCE
+async function saveScanCheckpoint(checkpoint) {
+    const tenantId = getCurrentTenantId();
+    try {
+        await idbPut(STORES.scanCheckpoints, {
+            ...checkpoint,
+            key: tenantId,
+            tenantId,
+            updatedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.warn('⚠️ STORAGE: Failed to save scan checkpoint:', error);
+    }
+}
+
+async function getScanCheckpoint() {
+    try {
+        return await idbGet(STORES.scanCheckpoints, getCurrentTenantId()) || null;
+    } catch (error) {
+        console.warn('⚠️ STORAGE: Failed to read scan checkpoint:', error);
+        return null;
+    }
+}
+
+async function clearScanCheckpoint() {
+    const tenantId = getCurrentTenantId();
+    try {
+        await idbDelete(STORES.scanCheckpoints, tenantId);
+        await idbDeleteAllByIndex(STORES.checkpointResults, 'tenantId', tenantId);
+    } catch (error) {
+        console.warn('⚠️ STORAGE: Failed to clear scan checkpoint:', error);
+    }
+}
+
+async function saveCheckpointResult(result) {
+    const tenantId = getCurrentTenantId();
+    try {
+        await idbPut(STORES.checkpointResults, {
+            key: `${tenantId}|${result.driveId}|${result.itemId}`,
+            tenantId,
+            result
+        });
+    } catch (error) {
+        console.warn(`⚠️ STORAGE: Failed to checkpoint result ${result.itemName}:`, error);
+    }
+}
+
+async function deleteCheckpointResult(driveId, itemId) {
+    try {
+        await idbDelete(STORES.checkpointResults, `${getCurrentTenantId()}|${driveId}|${itemId}`);
+    } catch (error) {
+        console.warn(`⚠️ STORAGE: Failed to remove checkpointed result ${itemId}:`, error);
+    }
+}
+
+async function getCheckpointResults() {
+    try {
+        const records = await idbGetAllByIndex(STORES.checkpointResults, 'tenantId', getCurrentTenantId());
+        return records.map(record => record.result);
+    } catch (error) {
+        console.warn('⚠️ STORAGE: Failed to read checkpointed results:', error);
+        return [];
+    }
+}
+
+// SCAN SNAPSHOTS - results live in their own store so listing snapshots does not load them.
+// coverage ({ unverifiedItems, skippedPaths, partialDrives }) records what that scan could not confirm.
+async function saveSnapshot(snapshot, results, coverage = null) {
+    const tenantId = getCurrentTenantId();
+    const key = `${tenantId}|${snapshot.id}`;
+    try {
+        await idbPut(STORES.snapshotResults, { key, tenantId, results, coverage });
+        await idbPut(STORES.snapshots, { ...snapshot, key, tenantId });
+        console.log(`💾 STORAGE: Saved snapshot "${snapshot.name}" (${results.length} results)`);
+        return true;
+    } catch (error) {
+        console.warn(`⚠️ STORAGE: Failed to save snapshot ${snapshot.name}:`, error);
+        return false;
+    }
+}
+
+async function getSnapshots() {
+    try {
+        const snapshots = await idbGetAllByIndex(STORES.snapshots, 'tenantId', getCurrentTenantId());
+        return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    } catch (error) {
+        console.warn('⚠️ STORAGE: Failed to list snapshots:', error);
+        return [];
+    }
+}
+
+async function getSnapshotResults(snapshotId) {
+    try {
+        const record = await idbGet(STORES.snapshotResults, `${getCurrentTenantId()}|${snapshotId}`);
+        return record ? record.results : null;
+    } catch (error) {
+        console.warn(`⚠️ STORAGE: Failed to read snapshot ${snapshotId}:`, error);
+        return null;
+    }
+}
+
+// null for snapshots saved before coverage was recorded
+async function getSnapshotCoverage(snapshotId) {
+    try {
+        const record = await idbGet(STORES.snapshotResults, `${getCurrentTenantId()}|${snapshotId}`);
+        return record && record.coverage ? record.coverage : null;
+    } catch (error) {
+        console.warn(`⚠️ STORAGE: Failed to read snapshot coverage ${snapshotId}:`, error);
+        return null;
+    }
+}
+
+async function deleteSnapshot(snapshotId) {
+    const key = `${getCurrentTenantId()}|${snapshotId}`;
+    try {
+        await idbDelete(STORES.snapshots, key);
+        await idbDelete(STORES.snapshotResults, key);
+    } catch (error) {
+        console.warn(`⚠️ STORAGE: Failed to delete snapshot ${snapshotId}:`, error);
+    }
+}
+
+// Export functions for use in other modules
+window.storageModule = {
+    // Constants
+    STORES,
+
+    // Database
+    openDatabase,
+    idbGet,
+    idbPut,
+    idbDelete,
+    idbGetAllByIndex,
+    idbDeleteAllByIndex,
+    getCurrentTenantId,
+
+    // Delta links
+    saveDeltaLink,
+    getDeltaLink,
+    getDeltaBaseline,
+    deleteDeltaLink,
+    getDeltaLinksForTenant,
+
+    // Scan checkpoints
+    saveScanCheckpoint,
+    getScanCheckpoint,
+    clearScanCheckpoint,
+    saveCheckpointResult,
+    deleteCheckpointResult,
+    getCheckpointResults,
+
+    // Scan snapshots
+    saveSnapshot,
+    getSnapshots,
+    getSnapshotResults,
+    getSnapshotCoverage,
+    deleteSnapshot
+};
@@ -85,9 +85,200 @@ function initializeScanControls() {
             }
         });
     });
+    
+    // Setup rescan mode controls (full scan vs. changes since the stored delta link)
+    const rescanControls = document.querySelectorAll('.tab-content .toggle-btn[data-rescan]');
+    rescanControls.forEach(btn => {
+        btn.addEventListener('click', () => {
+            const rescanMode = btn.dataset.rescan;
+            const parentTab = btn.closest('.tab-content');
+            
+            // Update active state within the same tab
+            parentTab.querySelectorAll('.toggle-btn[data-rescan]').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            
+            if (window.configModule && window.configModule.updateScanSettings) {
+                window.configModule.updateScanSettings({ rescanMode: rescanMode });
+            }
+            
+            console.log(`Rescan mode updated to: ${rescanMode}`);
+            
+            if (window.configModule && window.configModule.showToast) {
+                window.configModule.showToast(`Rescan mode: ${rescanMode === 'changes' ? 'Changes Only (drives without a stored delta link get a full scan)' : 'Full Scan'}`);
+            }
+        });
+    });
+    
+    // Setup comprehensive traversal controls (expanded permissions on listings vs. per-item reads)
+    const traversalControls = document.querySelectorAll('.tab-content .toggle-btn[data-traversal]');
+    traversalControls.forEach(btn => {
+        btn.addEventListener('click', () => {
+            const traversalMode = btn.dataset.traversal;
+            const parentTab = btn.closest('.tab-content');
+            
+            // Update active state within the same tab
+            parentTab.querySelectorAll('.toggle-btn[data-traversal]').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            
+            if (window.configModule && window.configModule.updateScanSettings) {
+                window.configModule.updateScanSettings({ traversalMode: traversalMode });
+            }
+            
+            console.log(`Traversal mode updated to: ${traversalMode}`);
+            
+            if (window.configModule && window.configModule.showToast) {
+                window.configModule.showToast(`Traversal: ${traversalMode === 'single-pass' ? 'Single Pass (permissions expanded on folder listings)' : 'Per Item (separate permission reads)'}`);
+            }
+        });
+    });
+    
+    // Setup depth limit inputs (empty scans every folder level)
+    const depthInputs = document.querySelectorAll('.tab-content .max-depth-input');
+    depthInputs.forEach(input => {
+        input.addEventListener('change', () => {
+            const depth = parseInt(input.value, 10);
+            const maxDepth = depth > 0 ? depth : null;
+            
+            // Both tabs show the same setting
+            depthInputs.forEach(other => { other.value = maxDepth || ''; });
+            
+            if (window.configModule && window.configModule.updateScanSettings) {
+                window.configModule.updateScanSettings({ maxDepth: maxDepth });
+            }
+            
+            console.log(`Max depth updated to: ${maxDepth || 'unlimited'}`);
+            
+            if (window.configModule && window.configModule.showToast) {
+                window.configModule.showToast(`Max depth: ${maxDepth ? `${maxDepth} folder level${maxDepth === 1 ? '' : 's'}` : 'Unlimited'}`);
+            }
+        });
+    });
+    
+    // Setup scan budget inputs - per drive and whole scan (empty means no limit)
+    const budgetInputs = document.querySelectorAll('.tab-content .budget-input');
+    budgetInputs.forEach(input => {
+        input.addEventListener('change', () => {
+            if (!window.configModule || !window.configModule.updateScanSettings) return;
+            
+            const value = parseInt(input.value, 10);
+            const limit = value > 0 ? value : null;
+            const { budget, limit: limitName } = input.dataset;
+            
+            // Both tabs show the same setting
+            budgetInputs.forEach(other => {
+                if (other.dataset.budget === budget && other.dataset.limit === limitName) other.value = limit || '';
+            });
+            
+            const current = window.configModule.scanSettings[budget];
+            window.configModule.updateScanSettings({ [budget]: { ...current, [limitName]: limit } });
+            
+            console.log(`Scan budget ${budget}.${limitName} updated to: ${limit || 'no limit'}`);
+        });
+    });
+}
+
+// Reflect scanSettings in the toggle buttons, depth and budget inputs of both tabs (e.g. after a profile is loaded)
+function syncScanControls() {
+    if (!window.configModule) return;
+    const scanSettings = window.configModule.scanSettings;
+    
+    const toggles = [
+        { attribute: 'filter', value: scanSettings.sharingFilter },
+        { attribute: 'scope', value: scanSettings.contentScope },
+        { attribute: 'rescan', value: scanSettings.rescanMode },
+        { attribute: 'traversal', value: scanSettings.traversalMode }
+    ];
+    
+    toggles.forEach(({ attribute, value }) => {
+        document.querySelectorAll(`.tab-content .toggle-btn[data-${attribute}]`).forEach(btn => {
+            btn.classList.toggle('active', btn.dataset[attribute] === value);
+        });
+    });
+    
+    document.querySelectorAll('.tab-content .max-depth-input').forEach(input => {
+        input.value = scanSettings.maxDepth || '';
+    });
+    
+    document.querySelectorAll('.tab-content .budget-input').forEach(input => {
+        const budget = scanSettings[input.dataset.budget];
+        input.value = (budget && budget[input.dataset.limit]) || '';
+    });
 }
 
 // SITES RENDERING AND MANAGEMENT
+function getFilteredSites() {
+    if (!window.configModule) return [];
+    return window.configModule.sites.filter(site => window.configModule.siteMatchesFilters(site));
+}
+
+function formatSiteMetadata(site) {
+    const parts = [];
+    if (site.teamChannel) {
+        parts.push(`${site.teamChannel.membershipType === 'shared' ? 'Shared' : 'Private'} channel: ${site.teamChannel.channelName}`);
+    }
+    if (site.template) parts.push(`Template: ${site.template}`);
+    if (site.createdDateTime) parts.push(`Created: ${new Date(site.createdDateTime).toLocaleDateString()}`);
+    if (site.lastModifiedDateTime) parts.push(`Modified: ${new Date(site.lastModifiedDateTime).toLocaleDateString()}`);
+    if (site.isHubSite) {
+        parts.push('Hub site');
+    } else if (site.hubSiteId) {
+        parts.push('Hub-associated');
+    }
+    if (site.isGroupConnected) parts.push('M365 group');
+    return parts.join(' • ');
+}
+
+function createSiteItem(site, isChannelSite = false) {
+    const selectedSiteIds = window.configModule.selectedSiteIds;
+    const siteItem = document.createElement('div');
+    siteItem.className = 'site-item';
+    siteItem.dataset.siteId = site.id;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selectedSiteIds.has(site.id);
+    checkbox.addEventListener('change', (e) => {
+        if (e.target.checked) {
+            selectedSiteIds.add(site.id);
+        } else {
+            selectedSiteIds.delete(site.id);
+        }
+        updateScanButton();
+    });
+
+    const siteInfo = document.createElement('div');
+    siteInfo.className = 'site-info';
+    
+    const siteName = document.createElement('h3');
+    siteName.className = 'site-name';
+    siteName.innerText = site.name || site.displayName || 'Unnamed Site';
+    
+    const siteUrl = document.createElement('p');
+    siteUrl.className = 'site-url';
+    siteUrl.innerText = site.webUrl || '';
+
+    siteInfo.appendChild(siteName);
+    siteInfo.appendChild(siteUrl);
+    
+    const metadataText = formatSiteMetadata(site);
+    if (metadataText) {
+        const siteMeta = document.createElement('p');
+        siteMeta.className = 'site-url';
+        siteMeta.innerText = metadataText;
+        siteInfo.appendChild(siteMeta);
+    }
+    
+    siteItem.appendChild(checkbox);
+    siteItem.appendChild(siteInfo);
+    
+    if (isChannelSite) {
+        siteItem.classList.add('site-item-channel');
+        siteItem.style.marginLeft = '24px';
+    }
+    
+    return siteItem;
+}
+
 function renderSites() {
     const container = document.getElementById('sites-container');
     const sitesCount = document.getElementById('sites-count');
@@ -98,7 +289,6 @@ function renderSites() {
     }
     
     const sites = window.configModule.sites;
-    const selectedSiteIds = window.configModule.selectedSiteIds;
     
     container.innerHTML = '';
     
@@ -108,44 +298,335 @@ function renderSites() {
         return;
     }
 
-    sitesCount.innerText = `${sites.length} sites found`;
+    const filteredSites = getFilteredSites();
+    
+    sitesCount.innerText = filteredSites.length === sites.length ? 
+        `${sites.length} sites found` : 
+        `${filteredSites.length} of ${sites.length} sites shown`;
     sitesCount.className = 'status-badge status-approved';
 
-    sites.forEach(site => {
-        const siteItem = document.createElement('div');
-        siteItem.className = 'site-item';
+    if (filteredSites.length === 0) {
+        container.innerHTML = '<div class="empty-state"><p>No sites match the current filters</p></div>';
+    }
 
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.addEventListener('change', (e) => {
-            if (e.target.checked) {
-                selectedSiteIds.add(site.id);
-            } else {
-                selectedSiteIds.delete(site.id);
+    // Private and shared channel sites are listed under their team's site; teams whose own site
+    // is not shown still get a header so their channels stay grouped
+    const channelSitesByTeam = new Map();
+    filteredSites.filter(site => site.teamChannel).forEach(site => {
+        const teamId = site.teamChannel.teamId.toLowerCase();
+        if (!channelSitesByTeam.has(teamId)) channelSitesByTeam.set(teamId, []);
+        channelSitesByTeam.get(teamId).push(site);
+    });
+    
+    filteredSites.filter(site => !site.teamChannel).forEach(site => {
+        container.appendChild(createSiteItem(site));
+        
+        const teamId = site.groupId ? site.groupId.toLowerCase() : null;
+        if (teamId && channelSitesByTeam.has(teamId)) {
+            channelSitesByTeam.get(teamId).forEach(channelSite => container.appendChild(createSiteItem(channelSite, true)));
+            channelSitesByTeam.delete(teamId);
+        }
+    });
+    
+    channelSitesByTeam.forEach(channelSites => {
+        const teamHeader = document.createElement('div');
+        teamHeader.className = 'site-team-header';
+        teamHeader.style.cssText = 'padding: 8px 12px 4px; font-size: 13px; font-weight: 600; color: var(--text-muted);';
+        teamHeader.innerText = `👥 ${channelSites[0].teamChannel.teamName} (team site not listed)`;
+        container.appendChild(teamHeader);
+        channelSites.forEach(channelSite => container.appendChild(createSiteItem(channelSite, true)));
+    });
+
+    document.getElementById('select-all-sites').disabled = filteredSites.length === 0;
+    document.getElementById('deselect-all-sites').disabled = false;
+}
+
+// USER DISCOVERY FILTER CONTROLS
+const USER_FILTER_INPUTS = [
+    { id: 'user-filter-enabled', key: 'accountEnabled', event: 'change' },
+    { id: 'user-filter-type', key: 'userType', event: 'change' },
+    { id: 'user-filter-department', key: 'department', event: 'change' },
+    { id: 'user-filter-company', key: 'companyName', event: 'change' },
+    { id: 'user-filter-location', key: 'usageLocation', event: 'change' },
+    { id: 'user-filter-license', key: 'licenseSkuId', event: 'change' }
+];
+
+function initializeUserFilters() {
+    USER_FILTER_INPUTS.forEach(({ id, key, event }) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        
+        input.addEventListener(event, () => {
+            if (window.configModule) {
+                window.configModule.updateUserFilters({ [key]: input.value });
             }
-            updateScanButton();
         });
+    });
+    
+    const provisioningCheckbox = document.getElementById('user-filter-check-provisioning');
+    if (provisioningCheckbox) {
+        provisioningCheckbox.addEventListener('change', () => {
+            if (window.configModule) {
+                window.configModule.updateUserFilters({ checkProvisioning: provisioningCheckbox.checked });
+            }
+        });
+    }
+    
+    // Licenses are loaded the first time the dropdown is used (requires a signed-in session)
+    const licenseSelect = document.getElementById('user-filter-license');
+    if (licenseSelect) {
+        let licensesLoaded = false;
+        licenseSelect.addEventListener('focus', async () => {
+            if (licensesLoaded || !window.apiModule || !window.apiModule.getSubscribedSkus) return;
+            licensesLoaded = true;
+            
+            const skus = await window.apiModule.getSubscribedSkus();
+            if (skus.length === 0) {
+                licensesLoaded = false; // Allow a retry after sign-in
+                return;
+            }
+            
+            licenseSelect.innerHTML = '<option value="all">Any license</option>' + 
+                skus.map(sku => `<option value="${sku.skuId}">${sku.skuPartNumber} (${sku.consumedUnits} assigned)</option>`).join('');
+        });
+    }
+}
 
-        const siteInfo = document.createElement('div');
-        siteInfo.className = 'site-info';
+// Reflect configModule.userFilters in the discovery filter inputs
+function syncUserFilterInputs() {
+    if (!window.configModule) return;
+    const userFilters = window.configModule.userFilters;
+    
+    USER_FILTER_INPUTS.forEach(({ id, key }) => {
+        const input = document.getElementById(id);
+        if (!input) return;
         
-        const siteName = document.createElement('h3');
-        siteName.className = 'site-name';
-        siteName.innerText = site.name || site.displayName || 'Unnamed Site';
+        // Licenses load on first use - keep a saved SKU selectable until then
+        if (input.tagName === 'SELECT' && !Array.from(input.options).some(option => option.value === userFilters[key])) {
+            input.add(new Option(userFilters[key], userFilters[key]));
+        }
+        input.value = userFilters[key];
+    });
+    
+    const provisioningCheckbox = document.getElementById('user-filter-check-provisioning');
+    if (provisioningCheckbox) provisioningCheckbox.checked = userFilters.checkProvisioning;
+}
+
+// SITE FILTER CONTROLS
+function populateSiteFilterOptions() {
+    const filtersBar = document.getElementById('site-filters');
+    const templateSelect = document.getElementById('site-filter-template');
+    const sites = window.configModule ? window.configModule.sites : [];
+    
+    if (filtersBar) {
+        filtersBar.style.display = sites.length > 0 ? 'flex' : 'none';
+    }
+    
+    if (templateSelect) {
+        // A template set by a loaded scan profile stays selected even when no discovered site uses it
+        const current = window.configModule ? window.configModule.siteFilters.template : templateSelect.value;
+        const templates = [...new Set(sites.map(site => site.template || 'Unknown').concat(current !== 'all' ? [current] : []))].sort();
+        templateSelect.innerHTML = '<option value="all">All templates</option>' + 
+            templates.map(t => `<option value="${t}">${t} (${sites.filter(site => (site.template || 'Unknown') === t).length})</option>`).join('');
+        templateSelect.value = templates.includes(current) ? current : 'all';
+    }
+}
+
+const SITE_FILTER_INPUTS = [
+    { id: 'site-filter-text', key: 'text', event: 'input' },
+    { id: 'site-filter-template', key: 'template', event: 'change' },
+    { id: 'site-filter-group', key: 'groupConnection', event: 'change' },
+    { id: 'site-filter-hub', key: 'hub', event: 'change' },
+    { id: 'site-filter-created-after', key: 'createdAfter', event: 'change' },
+    { id: 'site-filter-modified-after', key: 'modifiedAfter', event: 'change' },
+    { id: 'site-filter-modified-before', key: 'modifiedBefore', event: 'change' }
+];
+
+function initializeSiteFilters() {
+    SITE_FILTER_INPUTS.forEach(({ id, key, event }) => {
+        const input = document.getElementById(id);
+        if (!input) return;
         
-        const siteUrl = document.createElement('p');
-        siteUrl.className = 'site-url';
-        siteUrl.innerText = site.webUrl || '';
-
-        siteInfo.appendChild(siteName);
-        siteInfo.appendChild(siteUrl);
-        siteItem.appendChild(checkbox);
-        siteItem.appendChild(siteInfo);
-        container.appendChild(siteItem);
+        input.addEventListener(event, () => {
+            if (!window.configModule) return;
+            
+            window.configModule.updateSiteFilters({ [key]: input.value });
+            
+            // Sites hidden by the filter are dropped from the selection so they aren't scanned unseen
+            const visibleIds = new Set(getFilteredSites().map(site => site.id));
+            const selectedSiteIds = window.configModule.selectedSiteIds;
+            Array.from(selectedSiteIds).forEach(siteId => {
+                if (!visibleIds.has(siteId)) selectedSiteIds.delete(siteId);
+            });
+            
+            renderSites();
+            updateScanButton();
+        });
     });
+}
 
-    document.getElementById('select-all-sites').disabled = false;
-    document.getElementById('deselect-all-sites').disabled = false;
+// Reflect configModule.siteFilters in the filter bar inputs
+function syncSiteFilterInputs() {
+    if (!window.configModule) return;
+    const siteFilters = window.configModule.siteFilters;
+    
+    populateSiteFilterOptions();
+    SITE_FILTER_INPUTS.forEach(({ id, key }) => {
+        const input = document.getElementById(id);
+        if (input) input.value = siteFilters[key];
+    });
+}
+
+// PATH RULE EDITOR - custom include/exclude rules, listed after the built-in ones they can override
+const PATH_RULE_TARGET_LABELS = {
+    folders: 'Folders',
+    items: 'Files and folders',
+    libraries: 'Libraries and lists'
+};
+
+function renderPathRules() {
+    const list = document.getElementById('path-rules-list');
+    const status = document.getElementById('path-rules-status');
+    if (!list || !window.configModule || !window.classifierModule) return;
+    
+    const configModule = window.configModule;
+    const holdsExcluded = configModule.shouldExcludePreservationHolds();
+    const builtInRules = window.classifierModule.BUILT_IN_PATH_RULES;
+    const customRules = configModule.pathRules;
+    
+    // Patterns and scopes are user-typed, so every cell is filled through textContent
+    const ruleCell = (text, style = '') => {
+        const cell = document.createElement('td');
+        cell.style.cssText = `padding: 4px 8px; font-size: 12px; ${style}`;
+        cell.textContent = text;
+        return cell;
+    };
+    
+    const ruleRow = (rule, builtIn) => {
+        const inactive = builtIn && rule.preservationHold && !holdsExcluded;
+        const scope = [rule.site && `site ${rule.site}`, rule.drive && `library ${rule.drive}`].filter(Boolean).join(' • ') || 'Everywhere';
+        const row = document.createElement('tr');
+        if (inactive) row.style.opacity = '0.5';
+        
+        row.appendChild(ruleCell(rule.action === 'include' ? '✅ Include' : '🚫 Exclude'));
+        row.appendChild(ruleCell(PATH_RULE_TARGET_LABELS[rule.appliesTo] || rule.appliesTo));
+        row.appendChild(ruleCell(rule.syntax === 'regex' ? `/${rule.pattern}/i` : rule.pattern, 'font-family: monospace; word-break: break-all;'));
+        row.appendChild(ruleCell(builtIn ? `${rule.description}${inactive ? ' (off while preservation holds are included)' : ''}` : scope));
+        
+        const actionCell = ruleCell('', 'text-align: right;');
+        if (builtIn) {
+            const label = document.createElement('span');
+            label.style.color = 'var(--text-muted)';
+            label.textContent = 'Built-in';
+            actionCell.appendChild(label);
+        } else {
+            const removeButton = document.createElement('button');
+            removeButton.className = 'btn btn-secondary btn-small';
+            removeButton.dataset.removePathRule = rule.id;
+            removeButton.textContent = 'Remove';
+            actionCell.appendChild(removeButton);
+        }
+        row.appendChild(actionCell);
+        return row;
+    };
+    
+    list.innerHTML = `
+        <table style="width: 100%; border-collapse: collapse;">
+            <thead>
+                <tr style="text-align: left; font-size: 12px;">
+                    <th style="padding: 4px 8px;">Action</th>
+                    <th style="padding: 4px 8px;">Applies To</th>
+                    <th style="padding: 4px 8px;">Pattern</th>
+                    <th style="padding: 4px 8px;">Scope</th>
+                    <th style="padding: 4px 8px;"></th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+    `;
+    
+    const body = list.querySelector('tbody');
+    builtInRules.forEach(rule => body.appendChild(ruleRow(rule, true)));
+    customRules.forEach(rule => body.appendChild(ruleRow(rule, false)));
+    
+    if (status) {
+        status.textContent = `${customRules.length} custom rule${customRules.length === 1 ? '' : 's'} • ${builtInRules.length} built-in`;
+    }
+}
+
+// Rule changes are refused mid-scan - the scan worker only picks up rules when a drive starts
+function changePathRules(rules) {
+    const configModule = window.configModule;
+    
+    if (configModule.scanning) {
+        configModule.showToast('Stop the running scan before changing path rules');
+        return false;
+    }
+    
+    try {
+        configModule.updatePathRules(rules);
+    } catch (error) {
+        configModule.showToast(error.message);
+        return false;
+    }
+    
+    renderPathRules();
+    return true;
+}
+
+function initializePathRuleEditor() {
+    const addButton = document.getElementById('add-path-rule-btn');
+    const patternInput = document.getElementById('path-rule-pattern');
+    const siteInput = document.getElementById('path-rule-site');
+    const driveInput = document.getElementById('path-rule-drive');
+    const list = document.getElementById('path-rules-list');
+    
+    const addRule = () => {
+        const configModule = window.configModule;
+        if (!configModule || !patternInput) return;
+        
+        const rule = {
+            action: document.getElementById('path-rule-action').value,
+            appliesTo: document.getElementById('path-rule-applies-to').value,
+            syntax: document.getElementById('path-rule-syntax').value,
+            pattern: patternInput.value,
+            site: siteInput ? siteInput.value : '',
+            drive: driveInput ? driveInput.value : ''
+        };
+        
+        if (changePathRules([...configModule.pathRules, rule])) {
+            patternInput.value = '';
+            configModule.showToast(`Path rule added: ${rule.action} ${rule.pattern.trim()}`);
+        }
+    };
+    
+    if (addButton) {
+        addButton.addEventListener('click', addRule);
+    }
+    
+    if (patternInput) {
+        patternInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') addRule();
+        });
+    }
+    
+    if (list) {
+        list.addEventListener('click', (event) => {
+            const removeButton = event.target.closest('[data-remove-path-rule]');
+            if (!removeButton || !window.configModule) return;
+            
+            const ruleId = removeButton.dataset.removePathRule;
+            changePathRules(window.configModule.pathRules.filter(rule => rule.id !== ruleId));
+        });
+    }
+    
+    // The built-in preservation hold rules follow their checkbox
+    const holdsCheckbox = document.getElementById('exclude-preservation-holds');
+    if (holdsCheckbox) {
+        holdsCheckbox.addEventListener('change', renderPathRules);
+    }
+    
+    renderPathRules();
 }
 
 function renderUsers() {
@@ -168,15 +649,27 @@ function renderUsers() {
         return;
     }
 
-    usersCount.innerText = `${users.length} users found`;
+    const notProvisionedCount = users.filter(u => u.oneDriveStatus === 'not-provisioned').length;
+    usersCount.innerText = notProvisionedCount > 0 ? 
+        `${users.length} users found (${notProvisionedCount} without OneDrive)` : 
+        `${users.length} users found`;
     usersCount.className = 'status-badge status-approved';
 
     users.forEach(user => {
         const userItem = document.createElement('div');
         userItem.className = 'user-item';
+        userItem.dataset.userId = user.id;
 
         const checkbox = document.createElement('input');
         checkbox.type = 'checkbox';
+        
+        // Users without a provisioned OneDrive have nothing to scan
+        if (user.oneDriveStatus === 'not-provisioned') {
+            checkbox.disabled = true;
+            userItem.style.opacity = '0.6';
+            userItem.title = 'OneDrive not provisioned - this user will be skipped';
+        }
+        
         checkbox.addEventListener('change', (e) => {
             if (e.target.checked) {
                 selectedUserIds.add(user.id);
@@ -199,6 +692,22 @@ function renderUsers() {
 
         userInfo.appendChild(userName);
         userInfo.appendChild(userEmail);
+        
+        const userDetails = [
+            user.userType === 'Guest' ? 'Guest' : null,
+            user.accountEnabled === false ? 'Disabled' : null,
+            user.department,
+            user.companyName,
+            user.usageLocation,
+            user.oneDriveStatus === 'not-provisioned' ? 'No OneDrive' : null
+        ].filter(Boolean);
+        
+        if (userDetails.length > 0) {
+            const userMeta = document.createElement('p');
+            userMeta.className = 'user-email';
+            userMeta.innerText = userDetails.join(' • ');
+            userInfo.appendChild(userMeta);
+        }
         userItem.appendChild(checkbox);
         userItem.appendChild(userInfo);
         container.appendChild(userItem);
@@ -229,23 +738,24 @@ function updateUserButtons() {
 }
 
 function updateCheckboxes() {
-    const sites = window.configModule ? window.configModule.sites : [];
     const selectedSiteIds = window.configModule ? window.configModule.selectedSiteIds : new Set();
     
-    document.querySelectorAll('.site-item input[type="checkbox"]').forEach((checkbox, index) => {
-        if (sites[index]) {
-            checkbox.checked = selectedSiteIds.has(sites[index].id);
+    // Match by site ID - the rendered list may be a filtered subset of configModule.sites
+    document.querySelectorAll('.site-item').forEach(siteItem => {
+        const checkbox = siteItem.querySelector('input[type="checkbox"]');
+        if (checkbox && siteItem.dataset.siteId) {
+            checkbox.checked = selectedSiteIds.has(siteItem.dataset.siteId);
         }
     });
 }
 
 function updateUserCheckboxes() {
-    const users = window.configModule ? window.configModule.users : [];
     const selectedUserIds = window.configModule ? window.configModule.selectedUserIds : new Set();
     
-    document.querySelectorAll('.user-item input[type="checkbox"]').forEach((checkbox, index) => {
-        if (users[index]) {
-            checkbox.checked = selectedUserIds.has(users[index].id);
+    document.querySelectorAll('.user-item').forEach(userItem => {
+        const checkbox = userItem.querySelector('input[type="checkbox"]');
+        if (checkbox && userItem.dataset.userId) {
+            checkbox.checked = selectedUserIds.has(userItem.dataset.userId);
         }
     });
 }
@@ -264,14 +774,22 @@ function initializeDiscoveryHandlers() {
                     throw new Error('API module not available');
                 }
                 
-                const sites = await window.apiModule.discoverSharePointSites();
+                const sites = await window.apiModule.discoverSharePointSites((status) => {
+                    this.innerText = status;
+                });
                 
                 if (window.configModule) {
                     window.configModule.sites = sites;
                 }
                 
+                populateSiteFilterOptions();
                 renderSites();
                 
+                // A loaded scan profile may be waiting for the sites it selects
+                if (window.profilesModule) {
+                    window.profilesModule.applyPendingSelection('sites');
+                }
+                
                 if (window.configModule && window.configModule.showToast) {
                     window.configModule.showToast(`Found ${sites.length} sites`);
                 }
@@ -298,7 +816,10 @@ function initializeDiscoveryHandlers() {
                     throw new Error('API module not available');
                 }
                 
-                const users = await window.apiModule.discoverOneDriveUsers();
+                const userFilters = window.configModule ? window.configModule.userFilters : {};
+                const users = await window.apiModule.discoverOneDriveUsers(userFilters, (status) => {
+                    this.innerText = status;
+                });
                 
                 if (window.configModule) {
                     window.configModule.users = users;
@@ -306,6 +827,10 @@ function initializeDiscoveryHandlers() {
                 
                 renderUsers();
                 
+                if (window.profilesModule) {
+                    window.profilesModule.applyPendingSelection('users');
+                }
+                
                 if (window.configModule && window.configModule.showToast) {
                     window.configModule.showToast(`Found ${users.length} users`);
                 }
@@ -327,7 +852,7 @@ function initializeSelectionHandlers() {
     const selectAllSitesBtn = document.getElementById('select-all-sites');
     if (selectAllSitesBtn) {
         selectAllSitesBtn.addEventListener('click', function() {
-            const sites = window.configModule ? window.configModule.sites : [];
+            const sites = getFilteredSites();
             const selectedSiteIds = window.configModule ? window.configModule.selectedSiteIds : new Set();
             
             selectedSiteIds.clear();
@@ -336,7 +861,7 @@ function initializeSelectionHandlers() {
             updateScanButton();
             
             if (window.configModule && window.configModule.showToast) {
-                window.configModule.showToast(`Selected all ${sites.length} sites`);
+                window.configModule.showToast(`Selected all ${sites.length} ${sites.length === window.configModule.sites.length ? '' : 'filtered '}sites`);
             }
         });
     }
@@ -360,7 +885,8 @@ function initializeSelectionHandlers() {
     const selectAllUsersBtn = document.getElementById('select-all-users');
     if (selectAllUsersBtn) {
         selectAllUsersBtn.addEventListener('click', function() {
-            const users = window.configModule ? window.configModule.users : [];
+            const users = (window.configModule ? window.configModule.users : [])
+                .filter(user => user.oneDriveStatus !== 'not-provisioned');
             const selectedUserIds = window.configModule ? window.configModule.selectedUserIds : new Set();
             
             selectedUserIds.clear();
@@ -418,6 +944,45 @@ function initializeScanHandlers() {
         });
     }
 
+    // Tenant-wide search pre-scan button
+    const searchPreScanBtn = document.getElementById('search-prescan-btn');
+    if (searchPreScanBtn) {
+        searchPreScanBtn.addEventListener('click', function() {
+            if (window.scanningModule && window.scanningModule.runSearchPreScan) {
+                window.scanningModule.runSearchPreScan();
+            } else {
+                console.error('Scanning module not available');
+                alert('Scanning module not loaded. Please refresh the page.');
+            }
+        });
+    }
+
+    // Inbound sharing inventory button
+    const inboundInventoryBtn = document.getElementById('inbound-inventory-btn');
+    if (inboundInventoryBtn) {
+        inboundInventoryBtn.addEventListener('click', function() {
+            if (window.scanningModule && window.scanningModule.scanInboundSharing) {
+                window.scanningModule.scanInboundSharing();
+            } else {
+                console.error('Scanning module not available');
+                alert('Scanning module not loaded. Please refresh the page.');
+            }
+        });
+    }
+
+    // Resume last scan buttons
+    ['resume-sharepoint-btn', 'resume-onedrive-btn'].forEach(btnId => {
+        const resumeBtn = document.getElementById(btnId);
+        if (resumeBtn) {
+            resumeBtn.addEventListener('click', function() {
+                if (window.scanningModule && window.scanningModule.resumeLastScan) {
+                    this.disabled = true;
+                    window.scanningModule.resumeLastScan();
+                }
+            });
+        }
+    });
+
     // Stop scan buttons
     const stopSharePointBtn = document.getElementById('stop-sharepoint-btn');
     if (stopSharePointBtn) {
@@ -493,6 +1058,72 @@ function initializeProgressUI() {
     });
 }
 
+// RESUME LAST SCAN BUTTONS - shown on the tab whose scan was interrupted
+async function refreshResumeButtons() {
+    const scanningModule = window.scanningModule;
+    const checkpoint = scanningModule ? await scanningModule.getResumableCheckpoint() : null;
+    
+    ['sharepoint', 'onedrive'].forEach(scanType => {
+        const btn = document.getElementById(`resume-${scanType}-btn`);
+        if (!btn) return;
+        
+        if (checkpoint && checkpoint.scanType === scanType) {
+            const unit = scanType === 'onedrive' ? 'users' : 'sites';
+            btn.style.display = 'inline-flex';
+            btn.disabled = false;
+            btn.title = `Scan ${checkpoint.status} • started ${new Date(checkpoint.startedAt).toLocaleString()} • ${checkpoint.completedTargetIds.length}/${checkpoint.targets.length} ${unit} done`;
+        } else {
+            btn.style.display = 'none';
+        }
+    });
+}
+
+// QUEUE LANE STATS - per-lane in-flight/queued counts shown under each scan progress bar, followed
+// by the scan worker's own queue while a worker job runs
+const QUEUE_LANE_LABELS = {
+    interactive: 'Interactive',
+    remediation: 'Remediation',
+    scan: 'Scan'
+};
+
+let queueLaneMonitorInterval = null;
+
+function renderQueueLaneStats() {
+    const apiModule = window.apiModule;
+    if (!apiModule || !apiModule.requestQueue) return;
+
+    const stats = apiModule.requestQueue.getStats();
+    const html = Object.entries(stats.lanes).map(([lane, laneStats]) =>
+        `<span style="margin-right: 12px;">${QUEUE_LANE_LABELS[lane] || lane}: <strong>${laneStats.running}</strong> in flight, ${laneStats.queued} queued</span>`
+    ).join('') + `<span>Concurrency ${stats.concurrency} • ${stats.delay}ms delay</span>`;
+
+    const workerStats = window.scanEngineModule ? window.scanEngineModule.getWorkerQueueStats() : null;
+    const workerHtml = workerStats
+        ? `<div>Scan worker: <strong>${workerStats.running}</strong> in flight, ${workerStats.queued} queued • Concurrency ${workerStats.concurrency} • ${workerStats.delay}ms delay</div>`
+        : '';
+
+    ['sharepoint-queue-lanes', 'onedrive-queue-lanes'].forEach(elementId => {
+        const element = document.getElementById(elementId);
+        if (element) {
+            element.innerHTML = html + workerHtml;
+        }
+    });
+}
+
+function startQueueLaneMonitor() {
+    if (queueLaneMonitorInterval) return;
+    renderQueueLaneStats();
+    queueLaneMonitorInterval = setInterval(renderQueueLaneStats, 1000);
+}
+
+function stopQueueLaneMonitor() {
+    if (queueLaneMonitorInterval) {
+        clearInterval(queueLaneMonitorInterval);
+        queueLaneMonitorInterval = null;
+    }
+    renderQueueLaneStats();
+}
+
 // BUTTON STATE MANAGEMENT
 function updateButtonStates(scanning = false) {
     const scanButtons = [
@@ -529,6 +1160,26 @@ function updateButtonStates(scanning = false) {
             btn.innerText = 'Stop Scan';
         }
     });
+    
+    const searchPreScanBtn = document.getElementById('search-prescan-btn');
+    if (searchPreScanBtn) {
+        searchPreScanBtn.disabled = scanning;
+    }
+    
+    const inboundInventoryBtn = document.getElementById('inbound-inventory-btn');
+    if (inboundInventoryBtn) {
+        inboundInventoryBtn.disabled = scanning;
+    }
+    
+    if (scanning) {
+        startQueueLaneMonitor();
+        ['resume-sharepoint-btn', 'resume-onedrive-btn'].forEach(btnId => {
+            const btn = document.getElementById(btnId);
+            if (btn) btn.style.display = 'none';
+        });
+    } else {
+        stopQueueLaneMonitor();
+    }
 }
 
 // CSV PREVIEW DISPLAY
@@ -582,6 +1233,9 @@ function initializeUI() {
         initializeTabs();
         initializeScanControls();
         initializeDiscoveryHandlers();
+        initializeSiteFilters();
+        initializeUserFilters();
+        initializePathRuleEditor();
         initializeSelectionHandlers();
         initializeScanHandlers();
         initializeProgressUI();
@@ -599,11 +1253,24 @@ window.uiModule = {
     
     // Scan Controls
     initializeScanControls,
+    syncScanControls,
     
     // Rendering
     renderSites,
     renderUsers,
     
+    // Site Filters
+    getFilteredSites,
+    populateSiteFilterOptions,
+    initializeSiteFilters,
+    initializeUserFilters,
+    syncSiteFilterInputs,
+    syncUserFilterInputs,
+    
+    // Path Rules
+    initializePathRuleEditor,
+    renderPathRules,
+    
     // Button Updates
     updateScanButton,
     updateUserButtons,
@@ -618,6 +1285,10 @@ window.uiModule = {
     
     // Progress UI
     initializeProgressUI,
+    refreshResumeButtons,
+    renderQueueLaneStats,
+    startQueueLaneMonitor,
+    stopQueueLaneMonitor,
     
     // CSV Display
     displayCSVPreview,
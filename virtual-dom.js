@@ -283,7 +283,9 @@ class VirtualDOMUpdate {
         displayPath = displayPath.replace(/\/+/g, '/');
         if (!displayPath.startsWith('/')) displayPath = '/' + displayPath;
         
-        const displayIcon = result.itemType === 'file' 
+        const displayIcon = result.itemType === 'listItem' ? '📋'
+            : result.itemType === 'list' ? '🗂️'
+            : result.itemType === 'file'
             ? (result.scanType === 'onedrive' ? '☁️📄' : '📄')
             : (result.scanType === 'onedrive' ? '☁️📁' : '📁');
         
@@ -530,7 +532,9 @@ class VirtualDOMUpdate {
         displayPath = displayPath.replace(/\/+/g, '/');
         if (!displayPath.startsWith('/')) displayPath = '/' + displayPath;
         
-        const displayIcon = result.itemType === 'file' 
+        const displayIcon = result.itemType === 'listItem' ? '📋'
+            : result.itemType === 'list' ? '🗂️'
+            : result.itemType === 'file'
             ? (result.scanType === 'onedrive' ? '☁️📄' : '📄')
             : (result.scanType === 'onedrive' ? '☁️📁' : '📁');
         
@@ -555,6 +559,9 @@ class VirtualDOMUpdate {
                 ]),
                 new VirtualDOMNode('div', { className: 'table-item-path' }, [
                     result.siteUrl || (result.scanType === 'onedrive' ? 'Personal OneDrive' : 'SharePoint Site')
+                ]),
+                new VirtualDOMNode('div', { className: 'table-item-path' }, [
+                    window.resultsModule ? window.resultsModule.formatMetadataSummary(result) : ''
                 ])
             ]),
             // ItemID column
@@ -577,6 +584,8 @@ class VirtualDOMUpdate {
                     return new VirtualDOMNode('span', { className: badgeClass }, [classification.toUpperCase()]);
                 })
             ),
+            // Label column
+            this.createVirtualTableLabelCell(result),
             // Actions column
             new VirtualDOMNode('td', { className: 'table-actions-cell' }, [
                 this.createVirtualTableActions(result, resultIndex)
@@ -584,6 +593,24 @@ class VirtualDOMUpdate {
         ]);
     }
     
+    // Mirrors resultsModule.formatLabelCell
+    createVirtualTableLabelCell(result) {
+        const mutedStyle = { color: 'var(--text-muted)' };
+        let labelNode;
+        if (result.sensitivityLabel) {
+            labelNode = new VirtualDOMNode('div', { className: 'table-item-label' }, [`🏷️ ${result.sensitivityLabel.name}`]);
+        } else if (result.sensitivityLabel === null) {
+            labelNode = new VirtualDOMNode('div', { className: 'table-item-label', style: mutedStyle }, ['None']);
+        } else {
+            labelNode = new VirtualDOMNode('div', { className: 'table-item-label', style: mutedStyle }, ['—']);
+        }
+        
+        const violationNodes = (result.labelViolations || []).map(violation =>
+            new VirtualDOMNode('div', { style: { color: 'var(--danger)', fontSize: '11px', fontWeight: '600' } }, [`⚠️ ${violation}`])
+        );
+        return new VirtualDOMNode('td', {}, [labelNode, ...violationNodes]);
+    }
+    
     createVirtualTablePermissionItem(permission) {
         const configModule = window.configModule;
         if (!configModule) return new VirtualDOMNode('div');
@@ -593,10 +620,17 @@ class VirtualDOMUpdate {
         const exp = configModule.extractExpirationDate(permission);
         const roleText = exp !== 'No expiration' ? `${roles} • Expires: ${exp}` : roles;
         
-        return new VirtualDOMNode('div', { className: 'table-permission-item' }, [
+        const children = [
             new VirtualDOMNode('div', { className: 'table-permission-who' }, [who]),
             new VirtualDOMNode('div', { className: 'table-permission-role' }, [roleText])
-        ]);
+        ];
+        if (permission.groupMembership && window.resultsModule) {
+            children.push(new VirtualDOMNode('div', { className: 'table-permission-role' }, [
+                window.resultsModule.formatGroupMembershipSummary(permission)
+            ]));
+        }
+        
+        return new VirtualDOMNode('div', { className: 'table-permission-item' }, children);
     }
     
     createVirtualTableActions(result, resultIndex) {
@@ -675,7 +709,9 @@ class VirtualDOMUpdate {
         const expandIcon = isContainer ? '▼' : '•';
         
         const nodeIcon = nodeType === 'site' ? (name.includes('OneDrive') ? '☁️' : '🏢') :
-                         nodeType === 'folder' ? '📁' : '📄';
+                         nodeType === 'folder' ? '📁' :
+                         nodeType === 'list' ? '🗂️' :
+                         nodeType === 'listItem' ? '📋' : '📄';
         
         const children = [
             new VirtualDOMNode('div', { className: 'tree-node-header', style: headerStyle }, [